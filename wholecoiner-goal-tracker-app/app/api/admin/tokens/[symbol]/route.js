@@ -0,0 +1,67 @@
+import { requireAuth, ensureTwoFa, requireAdmin } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { setCustomTokenEnabled } from '@/lib/customTokens';
+import { AuthenticationError, AuthorizationError, NotFoundError, ValidationError } from '@/lib/errors';
+
+/**
+ * PATCH /api/admin/tokens/:symbol
+ * Enable or disable an admin-added token for new goals. Admins only (ADMIN_PRIVY_IDS).
+ * Body: { enabled: boolean }
+ */
+export async function PATCH(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { symbol } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+    requireAdmin(user);
+
+    const body = await request.json();
+
+    if (typeof body.enabled !== 'boolean') {
+      throw new ValidationError('enabled must be a boolean');
+    }
+
+    const token = await setCustomTokenEnabled(symbol, body.enabled);
+
+    if (!token) {
+      throw new NotFoundError('Custom token not found');
+    }
+
+    logger.info('Custom token updated', { symbol: token.symbol, enabled: token.enabled, userId: user.id, requestId });
+
+    return Response.json({ success: true, token }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Custom token update failed', { symbol, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update custom token'
+      }
+    }, { status: 500 });
+  }
+}
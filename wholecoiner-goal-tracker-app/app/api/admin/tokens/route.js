@@ -0,0 +1,104 @@
+import { requireAuth, ensureTwoFa, requireAdmin } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { listCustomTokens, createCustomToken } from '@/lib/customTokens';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * GET /api/admin/tokens
+ * List admin-added goal tokens (including disabled). Admins only (ADMIN_PRIVY_IDS).
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+    requireAdmin(user);
+
+    const tokens = await listCustomTokens();
+
+    return Response.json({ success: true, tokens }, { status: 200 });
+  } catch (error) {
+    logger.error('Custom token list failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch custom tokens'
+      }
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/admin/tokens
+ * Add a goal token by mint. Admins only (ADMIN_PRIVY_IDS).
+ * Body: { symbol, mint, decimals, name?, maxTarget }
+ */
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+    requireAdmin(user);
+
+    const body = await request.json();
+    const token = await createCustomToken(body, user.id);
+
+    logger.info('Custom token added', { symbol: token.symbol, mint: token.mint, userId: user.id, requestId });
+
+    return Response.json({ success: true, token }, { status: 201 });
+  } catch (error) {
+    logger.error('Custom token creation failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to add custom token'
+      }
+    }, { status: 500 });
+  }
+}
@@ -2,6 +2,7 @@ import { ok, fail } from '@/lib/http';
 import { prisma } from '@/lib/prisma';
 import { requireAuth, markTwoFaVerified } from '@/lib/auth';
 import { verifyPin, validatePin, isLocked, recordFailedAttempt } from '@/lib/2fa';
+import { checkRateLimit, rateLimitHeaders } from '@/lib/rateLimit';
 
 /**
  * POST /api/auth/2fa/verify
@@ -11,6 +12,13 @@ export async function POST(req) {
   try {
     const { user } = await requireAuth(req);
 
+    const rateLimit = await checkRateLimit('twoFaVerify', user.id);
+    if (!rateLimit.allowed) {
+      return fail('Too many verification attempts. Try later.', 429, {
+        retryAfterSec: rateLimit.retryAfterSec,
+      }, { headers: rateLimitHeaders(rateLimit) });
+    }
+
     if (!user.twoFaEnabled || !user.twoFaPinHash) {
       return fail('2FA not set up', 400);
     }
@@ -3,6 +3,7 @@ import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { AuthenticationError } from '@/lib/errors';
 import { setSession } from '@/lib/session';
+import { checkRateLimit, getClientIp, rateLimitHeaders } from '@/lib/rateLimit';
 
 // Initialize Privy client
 const privyClient = new PrivyClient(
@@ -20,6 +21,22 @@ export async function POST(request) {
   try {
     logger.info('[AUTH] Login request received', { requestId });
 
+    const ip = getClientIp(request);
+    const rateLimit = await checkRateLimit('login', ip);
+    if (!rateLimit.allowed) {
+      logger.warn('[AUTH] Login rate limit exceeded', { ip, requestId });
+      return Response.json(
+        {
+          error: {
+            message: 'Too many login attempts. Try again later.',
+            code: 'RATE_LIMIT_EXCEEDED',
+            retryAfterSec: rateLimit.retryAfterSec,
+          },
+        },
+        { status: 429, headers: rateLimitHeaders(rateLimit) }
+      );
+    }
+
     // Get authorization token from header
     const authHeader = request.headers.get('authorization');
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -0,0 +1,82 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { archiveGoal } from '@/lib/goalLifecycle';
+import { calculateProgress } from '@/lib/goalValidation';
+import { getTokenInfo } from '@/lib/prices';
+import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
+import { loadCustomTokens } from '@/lib/customTokens';
+
+/**
+ * POST /api/goals/:id/archive
+ * Archive a goal: hides it from goal lists and stops scheduling, keeps history
+ */
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+    await loadCustomTokens();
+
+    logger.info('Archiving goal', { userId: user.id, goalId, requestId });
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const updatedGoal = await archiveGoal(goal);
+
+    logger.info('Goal archived', { userId: user.id, goalId, status: updatedGoal.status, requestId });
+
+    const tokenInfo = getTokenInfo(updatedGoal.coin);
+
+    return Response.json({
+      success: true,
+      goal: {
+        ...updatedGoal,
+        progressPercentage: calculateProgress(updatedGoal.investedAmount, updatedGoal.targetAmount),
+        tokenMint: tokenInfo.mint,
+        decimals: tokenInfo.decimals
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Goal archive failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to archive goal'
+      }
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,163 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import {
+  getAutoSignerName,
+  getAutoSignedThisMonth,
+  listServerSignedSwaps,
+  validateAutoSignSettings,
+} from '@/lib/custodialSigning';
+import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+function toSettings(goal, signer, monthSpentUsdc) {
+  return {
+    enabled: goal.autoSign,
+    enabledAt: goal.autoSignEnabledAt,
+    maxPerSwapUsdc: goal.autoSignMaxPerSwapUsdc,
+    maxPerMonthUsdc: goal.autoSignMaxPerMonthUsdc,
+    monthSpentUsdc,
+    signer,
+  };
+}
+
+/**
+ * GET /api/goals/:id/auto-sign
+ * Auto-sign settings of a goal, this month's auto-signed total and the latest
+ * server-signed swap audit records
+ */
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const [monthSpentUsdc, audit] = await Promise.all([
+      getAutoSignedThisMonth(goalId),
+      listServerSignedSwaps(goalId),
+    ]);
+
+    return Response.json({
+      success: true,
+      settings: toSettings(goal, getAutoSignerName(), monthSpentUsdc),
+      walletAddress: user.walletAddress,
+      audit
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Auto-sign settings fetch failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch auto-sign settings'
+      }
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/goals/:id/auto-sign
+ * Turn auto-sign on or off and set its caps
+ * Body: { enabled: boolean, maxPerSwapUsdc?: number|null, maxPerMonthUsdc?: number|null }
+ */
+export async function PUT(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const body = await request.json();
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const data = validateAutoSignSettings(body, goal);
+    const updated = await prisma.goal.update({
+      where: { id: goalId },
+      data
+    });
+
+    logger.info('Auto-sign settings updated', {
+      userId: user.id,
+      goalId,
+      enabled: updated.autoSign,
+      maxPerSwapUsdc: updated.autoSignMaxPerSwapUsdc,
+      maxPerMonthUsdc: updated.autoSignMaxPerMonthUsdc,
+      requestId
+    });
+
+    return Response.json({
+      success: true,
+      settings: toSettings(updated, getAutoSignerName(), await getAutoSignedThisMonth(goalId))
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Auto-sign settings update failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update auto-sign settings'
+      }
+    }, { status: 500 });
+  }
+}
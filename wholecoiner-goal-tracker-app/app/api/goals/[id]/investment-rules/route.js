@@ -0,0 +1,145 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { evaluateInvestmentRules, validateInvestmentRules } from '@/lib/investmentRules';
+import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * Rules plus what they would do to the goal's next scheduled run
+ * A preview that cannot be computed (no price) does not fail the request.
+ */
+async function toResponse(goal) {
+  let preview = null;
+  try {
+    preview = await evaluateInvestmentRules(goal, { amountInr: goal.amountInr, adjustAmount: true });
+  } catch (error) {
+    logger.warn('Investment rules preview failed', { goalId: goal.id, error: error.message });
+  }
+
+  return {
+    success: true,
+    rules: goal.investmentRules || {},
+    preview
+  };
+}
+
+/**
+ * GET /api/goals/:id/investment-rules
+ * Conditional investment rules of a goal and whether the next scheduled run would go ahead
+ */
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    return Response.json(await toResponse(goal), { status: 200 });
+
+  } catch (error) {
+    logger.error('Investment rules fetch failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch investment rules'
+      }
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/goals/:id/investment-rules
+ * Set or remove rules
+ * Body: { priceCeilingInr?, maxSpendPerIntervalInr?, dipThresholdPct?, dipMultiplier?, dipLookback? } (null removes a rule)
+ */
+export async function PUT(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const body = await request.json();
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const investmentRules = validateInvestmentRules(body, goal.investmentRules, goal.strategy);
+    const updated = await prisma.goal.update({
+      where: { id: goalId },
+      data: { investmentRules }
+    });
+
+    logger.info('Investment rules updated', { userId: user.id, goalId, investmentRules, requestId });
+
+    return Response.json(await toResponse(updated), { status: 200 });
+
+  } catch (error) {
+    logger.error('Investment rules update failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update investment rules'
+      }
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,147 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { listMilestones, recordReachedMilestones, validateMilestones } from '@/lib/milestones';
+import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * Configured and reached milestones, smallest first
+ */
+async function toResponse(goal) {
+  const reached = await prisma.goalMilestone.findMany({
+    where: { goalId: goal.id },
+    orderBy: { reachedAt: 'asc' }
+  });
+
+  return {
+    success: true,
+    custom: Array.isArray(goal.milestoneConfig),
+    milestones: listMilestones(goal, reached)
+  };
+}
+
+/**
+ * GET /api/goals/:id/milestones
+ * A goal's milestones, with the date each was reached
+ */
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    return Response.json(await toResponse(goal), { status: 200 });
+
+  } catch (error) {
+    logger.error('Milestones fetch failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch milestones'
+      }
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/goals/:id/milestones
+ * Replace the goal's milestones
+ * Body: { milestones: [{ percent } | { amount }] } (null goes back to 10/25/50/75/100%)
+ * Milestones the goal is already past are recorded as reached now, without a notification.
+ */
+export async function PUT(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const body = await request.json();
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const milestoneConfig = validateMilestones(body.milestones);
+    const updated = await prisma.$transaction(async (tx) => {
+      const updatedGoal = await tx.goal.update({
+        where: { id: goalId },
+        data: { milestoneConfig }
+      });
+      await recordReachedMilestones(updatedGoal, { client: tx });
+      return updatedGoal;
+    });
+
+    logger.info('Milestones updated', { userId: user.id, goalId, milestoneConfig, requestId });
+
+    return Response.json(await toResponse(updated), { status: 200 });
+
+  } catch (error) {
+    logger.error('Milestones update failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update milestones'
+      }
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,101 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { approvePauseRequest, rejectPauseRequest } from '@/lib/pauseRequests';
+import { GoalErrors, AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+
+/**
+ * PATCH /api/goals/:id/pause-requests/:pauseRequestId
+ * Approve or reject a pending pause request
+ * Body: { status: 'APPROVED' | 'REJECTED', resumeAt? (ISO date, approve only) }
+ * Approving pauses the goal (ACTIVE -> PAUSED); only allowed after the cooling-off
+ * period (PAUSE_COOLING_OFF_MS, default 24 hours) since the request was made
+ */
+export async function PATCH(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId, pauseRequestId } = await params;
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+
+    const body = await request.json();
+
+    if (!['APPROVED', 'REJECTED'].includes(body.status)) {
+      throw new ValidationError('status must be APPROVED or REJECTED');
+    }
+
+    logger.info('Deciding pause request', { userId: user.id, goalId, pauseRequestId, status: body.status, requestId });
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    if (body.status === 'APPROVED') {
+      const { pauseRequest, goal: updatedGoal } = await approvePauseRequest(goal, pauseRequestId, {
+        resumeAt: body.resumeAt
+      });
+
+      logger.info('Pause request approved', { userId: user.id, goalId, pauseRequestId, resumeAt: pauseRequest.resumeAt, requestId });
+
+      return Response.json({
+        success: true,
+        pauseRequest,
+        goal: updatedGoal
+      }, { status: 200 });
+    }
+
+    const pauseRequest = await rejectPauseRequest(goal, pauseRequestId);
+
+    logger.info('Pause request rejected', { userId: user.id, goalId, pauseRequestId, requestId });
+
+    return Response.json({
+      success: true,
+      pauseRequest,
+      goal
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Pause request decision failed', {
+      goalId,
+      pauseRequestId,
+      error: error.message,
+      errorName: error.name,
+      requestId
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update pause request'
+      }
+    }, { status: 500 });
+  }
+}
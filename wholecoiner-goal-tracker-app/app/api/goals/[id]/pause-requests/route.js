@@ -0,0 +1,173 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { createPauseRequest, getPauseApprovableAt } from '@/lib/pauseRequests';
+import { GoalErrors, AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+
+const VALID_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+/**
+ * GET /api/goals/:id/pause-requests
+ * List pause requests for a goal (optional ?status=PENDING|APPROVED|REJECTED)
+ * Each request has `approvableAt`, when its cooling-off period ends
+ */
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status');
+
+    if (status && !VALID_STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status: ${status}. Must be ${VALID_STATUSES.join(', ')}`);
+    }
+
+    logger.info('Fetching pause requests', { userId: user.id, goalId, status, requestId });
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const pauseRequests = await prisma.pauseRequest.findMany({
+      where: {
+        goalId,
+        ...(status && { status })
+      },
+      orderBy: { requestedAt: 'desc' }
+    });
+
+    return Response.json({
+      success: true,
+      pauseRequests: pauseRequests.map((pauseRequest) => ({
+        ...pauseRequest,
+        approvableAt: getPauseApprovableAt(pauseRequest)
+      }))
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Pause request fetch failed', {
+      goalId,
+      error: error.message,
+      errorName: error.name,
+      requestId
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch pause requests'
+      }
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/goals/:id/pause-requests
+ * Request to pause an ACTIVE goal; it can be approved once `approvableAt` has passed
+ * Body: { reason?, resumeAt? (ISO date for auto-resume) }
+ */
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+
+    const body = await request.json().catch(() => ({}));
+
+    logger.info('Creating pause request', { userId: user.id, goalId, requestId });
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const pauseRequest = await createPauseRequest(goal, {
+      reason: body.reason,
+      resumeAt: body.resumeAt
+    });
+
+    logger.info('Pause request created', { userId: user.id, goalId, pauseRequestId: pauseRequest.id, requestId });
+
+    return Response.json({
+      success: true,
+      pauseRequest: {
+        ...pauseRequest,
+        approvableAt: getPauseApprovableAt(pauseRequest)
+      }
+    }, { status: 201 });
+
+  } catch (error) {
+    logger.error('Pause request creation failed', {
+      goalId,
+      error: error.message,
+      errorName: error.name,
+      requestId
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create pause request'
+      }
+    }, { status: 500 });
+  }
+}
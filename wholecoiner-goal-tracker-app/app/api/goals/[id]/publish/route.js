@@ -0,0 +1,83 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { publishGoal } from '@/lib/goalLifecycle';
+import { calculateProgress } from '@/lib/goalValidation';
+import { getTokenInfo } from '@/lib/prices';
+import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
+import { loadCustomTokens } from '@/lib/customTokens';
+
+/**
+ * POST /api/goals/:id/publish
+ * Validate a draft like a new goal and make it ACTIVE
+ */
+export async function POST(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+    await loadCustomTokens();
+
+    logger.info('Publishing goal draft', { userId: user.id, goalId, requestId });
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const { goal: publishedGoal, estimatedCompletion } = await publishGoal(goal);
+
+    logger.info('Goal draft published', { userId: user.id, goalId, requestId });
+
+    const tokenInfo = getTokenInfo(publishedGoal.coin);
+
+    return Response.json({
+      success: true,
+      goal: {
+        ...publishedGoal,
+        progressPercentage: calculateProgress(publishedGoal.investedAmount, publishedGoal.targetAmount),
+        tokenMint: tokenInfo.mint,
+        decimals: tokenInfo.decimals,
+        estimatedCompletion
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Goal publish failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to publish goal'
+      }
+    }, { status: 500 });
+  }
+}
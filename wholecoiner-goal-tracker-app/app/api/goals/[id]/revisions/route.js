@@ -0,0 +1,76 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { getGoalRevisions } from '@/lib/goalRevisions';
+import { GoalErrors, AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+
+/**
+ * GET /api/goals/:id/revisions
+ * Change history of a goal's parameters, newest first (optional ?limit=1..100)
+ */
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+
+    const { searchParams } = new URL(request.url);
+    const limit = parseInt(searchParams.get('limit') || '50');
+
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      throw new ValidationError('limit must be between 1 and 100');
+    }
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const revisions = await getGoalRevisions(goalId, { limit });
+
+    logger.info('Goal revisions fetched', { userId: user.id, goalId, count: revisions.length, requestId });
+
+    return Response.json({
+      success: true,
+      revisions
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Goal revisions fetch failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch goal revisions'
+      }
+    }, { status: 500 });
+  }
+}
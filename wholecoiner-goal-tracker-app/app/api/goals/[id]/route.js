@@ -3,12 +3,21 @@ import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { 
   calculateProgress, 
-  calculateEstimatedCompletion,
   validateStatusTransition,
+  validateGoalText,
   shouldAutoComplete
 } from '@/lib/goalValidation';
 import { getTokenInfo } from '@/lib/prices';
+import { projectCompletion } from '@/lib/contributionStrategies';
+import { closeOpenPauseRequests } from '@/lib/pauseRequests';
+import { deleteGoal, updateDraft } from '@/lib/goalLifecycle';
+import {
+  getGoalParamChanges,
+  validateGoalParamChanges,
+  updateGoalWithRevision
+} from '@/lib/goalRevisions';
 import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
+import { loadCustomTokens } from '@/lib/customTokens';
 
 /**
  * GET /api/goals/:id
@@ -23,6 +32,7 @@ export async function GET(request, { params }) {
     const { user: authUser, sess } = await requireAuth(request);
     user = authUser;
     ensureTwoFa(sess, user);
+    await loadCustomTokens();
     
     logger.info('Fetching goal', { userId: user.id, goalId, requestId });
     
@@ -47,18 +57,13 @@ export async function GET(request, { params }) {
     const tokenInfo = getTokenInfo(goal.coin);
     const progressPercentage = calculateProgress(goal.investedAmount, goal.targetAmount);
     
-    // Calculate remaining cost and ETA
+    // Calculate remaining amount and ETA under the goal's contribution strategy
     const remainingAmount = Math.max(0, goal.targetAmount - goal.investedAmount);
     let estimatedCompletion = null;
     
     if (remainingAmount > 0 && goal.status === 'ACTIVE') {
       try {
-        estimatedCompletion = await calculateEstimatedCompletion(
-          goal.coin,
-          remainingAmount,
-          goal.amountInr,
-          goal.frequency
-        );
+        estimatedCompletion = await projectCompletion(goal);
       } catch (e) {
         // If ETA calc fails (e.g., too long), just omit it
         logger.warn('ETA calculation failed', { goalId, error: e.message });
@@ -122,6 +127,10 @@ export async function GET(request, { params }) {
 /**
  * PATCH /api/goals/:id
  * Update goal settings
+ * Body: { targetAmount?, amountInr?, frequency?, status?, name?, note? }
+ * Parameter edits are validated like goal creation, return the re-computed ETA
+ * and are recorded in the goal's revision history (name and note are not).
+ * Drafts also accept coin, get the light draft validation and keep no history.
  */
 export async function PATCH(request, { params }) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -132,6 +141,7 @@ export async function PATCH(request, { params }) {
     const { user: authUser, sess } = await requireAuth(request);
     user = authUser;
     ensureTwoFa(sess, user);
+    await loadCustomTokens();
     
     const body = await request.json();
     
@@ -149,42 +159,68 @@ export async function PATCH(request, { params }) {
       throw GoalErrors.GOAL_NOT_FOUND();
     }
     
+    // Archived goals must be unarchived before editing
+    if (goal.status === 'ARCHIVED') {
+      throw GoalErrors.GOAL_ARCHIVED();
+    }
+    
     // Cannot modify completed goals
     if (goal.status === 'COMPLETED') {
       throw GoalErrors.GOAL_ALREADY_COMPLETED();
     }
     
-    const updates = {};
-    
-    // Validate and apply amountInr update
-    if (body.amountInr !== undefined) {
-      if (body.amountInr < 100) {
-        throw GoalErrors.INVALID_AMOUNT('amountInr', 100, Infinity);
+    // Drafts go live through POST /api/goals/:id/publish
+    if (goal.status === 'DRAFT') {
+      if (body.status !== undefined) {
+        throw GoalErrors.GOAL_IS_DRAFT();
       }
-      updates.amountInr = body.amountInr;
+      
+      const updatedDraft = await updateDraft(goal, body);
+      
+      logger.info('Goal draft updated', { userId: user.id, goalId, requestId });
+      
+      return Response.json({
+        success: true,
+        goal: updatedDraft
+      }, { status: 200 });
     }
     
-    // Validate and apply frequency update
-    if (body.frequency !== undefined) {
-      if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(body.frequency)) {
-        throw GoalErrors.INVALID_FREQUENCY(body.frequency);
-      }
-      updates.frequency = body.frequency;
+    // Validate parameter edits with the same rules as creation
+    const changes = getGoalParamChanges(goal, body);
+    const updates = {
+      ...validateGoalParamChanges(goal, changes),
+      ...validateGoalText(body)
+    };
+    
+    // Re-compute ETA for the new plan under the goal's strategy; edits that push it past 10 years are rejected
+    let estimatedCompletion = null;
+    if (Object.keys(changes).length > 0) {
+      estimatedCompletion = await projectCompletion({ ...goal, ...updates });
     }
     
     // Validate and apply status update (state machine)
     if (body.status !== undefined) {
+      // Archiving goes through POST /api/goals/:id/archive (it records the previous status)
+      if (body.status === 'ARCHIVED') {
+        throw GoalErrors.INVALID_STATUS_TRANSITION(goal.status, body.status);
+      }
+      // Pausing goes through a pause request, which has a cooling-off period
+      if (body.status === 'PAUSED') {
+        throw GoalErrors.PAUSE_REQUIRES_REQUEST();
+      }
       validateStatusTransition(goal.status, body.status);
       updates.status = body.status;
     }
     
-    // Update goal
-    const updatedGoal = await prisma.goal.update({
-      where: { id: goalId },
-      data: updates
-    });
+    // Update goal (parameter changes are recorded as a revision)
+    const updatedGoal = await updateGoalWithRevision(goal, updates, changes, user.id);
     
-    logger.info('Goal updated', { userId: user.id, goalId, requestId });
+    // Manual resume supersedes any scheduled auto-resume
+    if (updates.status === 'ACTIVE') {
+      await closeOpenPauseRequests(goalId);
+    }
+    
+    logger.info('Goal updated', { userId: user.id, goalId, changed: Object.keys(changes), requestId });
     
     // Return with metadata
     const tokenInfo = getTokenInfo(updatedGoal.coin);
@@ -195,8 +231,10 @@ export async function PATCH(request, { params }) {
         ...updatedGoal,
         progressPercentage: calculateProgress(updatedGoal.investedAmount, updatedGoal.targetAmount),
         tokenMint: tokenInfo.mint,
-        decimals: tokenInfo.decimals
-      }
+        decimals: tokenInfo.decimals,
+        estimatedCompletion
+      },
+      changes
     }, { status: 200 });
     
   } catch (error) {
@@ -237,3 +275,80 @@ export async function PATCH(request, { params }) {
     }, { status: 500 });
   }
 }
+
+/**
+ * DELETE /api/goals/:id
+ * Delete a goal created by mistake. Only allowed while it has no transactions;
+ * goals with history should be archived instead.
+ */
+export async function DELETE(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const goalId = params.id;
+  let user = null;
+  
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+    
+    logger.info('Deleting goal', { userId: user.id, goalId, requestId });
+    
+    // Fetch goal with ownership check
+    const goal = await prisma.goal.findFirst({
+      where: { 
+        id: goalId,
+        userId: user.id // Multi-tenancy filter
+      }
+    });
+    
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+    
+    await deleteGoal(goal);
+    
+    logger.info('Goal deleted', { userId: user.id, goalId, requestId });
+    
+    return Response.json({
+      success: true,
+      goalId
+    }, { status: 200 });
+    
+  } catch (error) {
+    logger.error('Goal deletion failed', { 
+      goalId, 
+      error: error.message,
+      errorName: error.name,
+      requestId 
+    });
+    
+    // Check if it's an Authentication or Authorization error
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+    
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+    
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete goal'
+      }
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,143 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import {
+  SWAP_PREFERENCE_LIMITS,
+  resolveSwapPreferences,
+  validateSwapPreferences,
+} from '@/lib/swapPreferences';
+import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+function toResponse(goal) {
+  return {
+    success: true,
+    user: goal.user.swapPreferences || {},
+    goal: goal.swapPreferences || {},
+    effective: resolveSwapPreferences(goal.user, goal),
+    limits: SWAP_PREFERENCE_LIMITS
+  };
+}
+
+/**
+ * GET /api/goals/:id/swap-preferences
+ * The goal's slippage and priority-fee overrides, the user's settings they
+ * override and the values its swaps use
+ */
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id },
+      include: { user: { select: { swapPreferences: true } } }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    return Response.json(toResponse(goal), { status: 200 });
+
+  } catch (error) {
+    logger.error('Goal swap preferences fetch failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch swap preferences'
+      }
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/goals/:id/swap-preferences
+ * Override the user's swap preferences for this goal
+ * Body: { defaultSlippageBps?, maxSlippageBps?, priorityLevel?, maxPriorityFeeLamports? } (null falls back to the user's setting)
+ */
+export async function PUT(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: goalId } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const body = await request.json();
+
+    const goal = await prisma.goal.findFirst({
+      where: { id: goalId, userId: user.id }
+    });
+
+    if (!goal) {
+      throw GoalErrors.GOAL_NOT_FOUND();
+    }
+
+    const swapPreferences = validateSwapPreferences(body, goal.swapPreferences);
+    const updated = await prisma.goal.update({
+      where: { id: goalId },
+      data: { swapPreferences },
+      include: { user: { select: { swapPreferences: true } } }
+    });
+
+    logger.info('Goal swap preferences updated', { userId: user.id, goalId, swapPreferences, requestId });
+
+    return Response.json(toResponse(updated), { status: 200 });
+
+  } catch (error) {
+    logger.error('Goal swap preferences update failed', { goalId, error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update swap preferences'
+      }
+    }, { status: 500 });
+  }
+}
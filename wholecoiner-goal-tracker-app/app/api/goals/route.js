@@ -3,15 +3,19 @@ import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { 
   validateGoalInput, 
-  calculateEstimatedCompletion, 
+  validateDraftInput,
+  validateGoalText,
   calculateProgress 
 } from '@/lib/goalValidation';
-import { getTokenInfo } from '@/lib/prices';
-import { GoalErrors, AuthenticationError, AuthorizationError } from '@/lib/errors';
+import { validateContributionStrategy, projectCompletion } from '@/lib/contributionStrategies';
+import { getTokenInfo, getPriceInINR } from '@/lib/prices';
+import { GoalErrors, AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+import { loadCustomTokens } from '@/lib/customTokens';
 
 /**
  * POST /api/goals
- * Create a new goal
+ * Create a new goal, or save a draft with { status: 'DRAFT' }
+ * Drafts skip the amount limits and ETA check until they are published
  */
 export async function POST(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -21,18 +25,54 @@ export async function POST(request) {
     const { user: authUser, sess } = await requireAuth(request);
     user = authUser;
     ensureTwoFa(sess, user);
+    await loadCustomTokens();
     
     const body = await request.json();
-    const { coin, targetAmount, amountInr, frequency } = body;
+    const { coin, targetAmount, amountInr, frequency, status } = body;
+    const isDraft = status === 'DRAFT';
     
-    logger.info('Creating goal', { userId: user.id, coin, requestId });
+    logger.info('Creating goal', { userId: user.id, coin, isDraft, requestId });
+    
+    if (status !== undefined && status !== 'ACTIVE' && !isDraft) {
+      throw new ValidationError('status must be ACTIVE or DRAFT');
+    }
+    
+    const text = validateGoalText(body);
+    const strategy = validateContributionStrategy(body);
+    
+    if (isDraft) {
+      const draft = validateDraftInput({ coin, targetAmount, amountInr, frequency });
+      
+      const goal = await prisma.goal.create({
+        data: {
+          userId: user.id,
+          ...draft,
+          ...text,
+          ...strategy,
+          investedAmount: 0,
+          status: 'DRAFT'
+        }
+      });
+      
+      logger.info('Goal draft saved', { goalId: goal.id, userId: user.id, requestId });
+      
+      return Response.json({
+        success: true,
+        goalId: goal.id,
+        goal
+      }, { status: 201 });
+    }
     
     // Validate and normalize coin
     const normalizedCoin = validateGoalInput({ coin, targetAmount, amountInr, frequency });
     
-    // Calculate ETA (for response only, not stored)
-    const { monthsToComplete, estimatedCompletionDate, totalCostINR } = 
-      await calculateEstimatedCompletion(normalizedCoin, targetAmount, amountInr, frequency);
+    // Calculate ETA under the chosen strategy (for response only, not stored)
+    const priceInr = await getPriceInINR(normalizedCoin);
+    const totalCostINR = Math.round(targetAmount * priceInr);
+    const { monthsToComplete, estimatedCompletionDate } = await projectCompletion(
+      { coin: normalizedCoin, targetAmount, investedAmount: 0, amountInr, frequency, ...strategy },
+      { priceInr }
+    );
     
     // Get token metadata for response
     const tokenInfo = getTokenInfo(normalizedCoin);
@@ -42,11 +82,14 @@ export async function POST(request) {
       data: {
         userId: user.id,
         coin: normalizedCoin,
+        ...text,
         targetAmount,
         investedAmount: 0,
         frequency,
         amountInr,
-        status: 'ACTIVE'
+        ...strategy,
+        status: 'ACTIVE',
+        publishedAt: new Date()
       }
     });
     
@@ -106,7 +149,7 @@ export async function POST(request) {
 
 /**
  * GET /api/goals
- * List user's goals
+ * List user's goals (excludes DRAFT and ARCHIVED unless asked for with ?status=)
  */
 export async function GET(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -116,15 +159,19 @@ export async function GET(request) {
     const { user: authUser, sess } = await requireAuth(request);
     user = authUser;
     ensureTwoFa(sess, user);
+    await loadCustomTokens();
     
     const { searchParams } = new URL(request.url);
     const statusFilter = searchParams.get('status');
     
     logger.info('Fetching goals', { userId: user.id, statusFilter, requestId });
     
+    // Drafts and archived goals are only listed when asked for explicitly
     const where = { userId: user.id };
-    if (statusFilter && ['ACTIVE', 'PAUSED', 'COMPLETED'].includes(statusFilter)) {
+    if (statusFilter && ['DRAFT', 'ACTIVE', 'PAUSED', 'COMPLETED', 'ARCHIVED'].includes(statusFilter)) {
       where.status = statusFilter;
+    } else {
+      where.status = { notIn: ['DRAFT', 'ARCHIVED'] };
     }
     
     const goals = await prisma.goal.findMany({
@@ -0,0 +1,112 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { buildHistoryWhere } from '@/lib/history';
+import { createHistoryExportStream, EXPORT_FORMATS } from '@/lib/historyExport';
+import { AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+import { loadCustomTokens } from '@/lib/customTokens';
+
+/**
+ * GET /api/history/export
+ * Download transaction history, one row per batch, streamed as it is read
+ *
+ * Query params:
+ * - format: csv | json | ofx (default: csv)
+ * - goalId, type, coin, startDate, endDate: same filters as GET /api/history
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+    await loadCustomTokens();
+
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get('format') || 'csv';
+    const goalId = searchParams.get('goalId');
+
+    if (!EXPORT_FORMATS[format]) {
+      throw new ValidationError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const where = buildHistoryWhere(user.id, searchParams);
+
+    if (goalId) {
+      // Validate goal ownership
+      const goal = await prisma.goal.findFirst({
+        where: { id: goalId, userId: user.id },
+      });
+
+      if (!goal) {
+        throw new ValidationError('Goal not found or access denied');
+      }
+    }
+
+    const filters = Object.fromEntries(
+      ['goalId', 'type', 'coin', 'startDate', 'endDate']
+        .filter((key) => searchParams.get(key))
+        .map((key) => [key, searchParams.get(key)])
+    );
+
+    logger.info('Exporting transaction history', { userId: user.id, format, ...filters, requestId });
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `wholecoiner-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    const stream = await createHistoryExportStream(user.id, where, format, { filters, requestId });
+
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+
+  } catch (error) {
+    logger.error('Failed to export transaction history', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json(
+        {
+          success: false,
+          error: {
+            code: error.code || 'AUTH_ERROR',
+            message: error.message,
+          },
+        },
+        { status: error.statusCode || 401 }
+      );
+    }
+
+    if (error instanceof ValidationError) {
+      return Response.json(
+        {
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+          },
+        },
+        { status: error.statusCode }
+      );
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to export transaction history',
+      },
+    }, { status: 500 });
+  }
+}
@@ -1,9 +1,10 @@
 import { requireAuth, ensureTwoFa } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
-import { groupByBatchId } from '@/lib/history';
-import { getTokenMint } from '@/lib/tokens';
+import { groupByBatchId, attachFxRates, buildHistoryWhere } from '@/lib/history';
+import { getFxRatesForDates } from '@/lib/fx';
 import { AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+import { loadCustomTokens } from '@/lib/customTokens';
 
 /**
  * GET /api/history
@@ -26,13 +27,12 @@ export async function GET(request) {
     const { user: authUser, sess } = await requireAuth(request);
     user = authUser;
     ensureTwoFa(sess, user);
+    await loadCustomTokens();
 
     const { searchParams } = new URL(request.url);
     const goalId = searchParams.get('goalId');
     const type = searchParams.get('type');
     const coin = searchParams.get('coin');
-    const startDate = searchParams.get('startDate');
-    const endDate = searchParams.get('endDate');
     const after = searchParams.get('after');
     const limit = parseInt(searchParams.get('limit') || '20');
 
@@ -41,15 +41,8 @@ export async function GET(request) {
       throw new ValidationError('limit must be between 1 and 100');
     }
 
-    // Validate type if provided
-    if (type && !['ONRAMP', 'SWAP'].includes(type)) {
-      throw new ValidationError('type must be either ONRAMP or SWAP');
-    }
-
     // Build where clause with filters (server-side)
-    const where = {
-      goal: { userId: user.id },
-    };
+    const where = buildHistoryWhere(user.id, searchParams);
 
     if (goalId) {
       // Validate goal ownership
@@ -60,32 +53,6 @@ export async function GET(request) {
       if (!goal) {
         throw new ValidationError('Goal not found or access denied');
       }
-
-      where.goalId = goalId;
-    }
-
-    if (type) {
-      where.type = type;
-    }
-
-    if (coin) {
-      try {
-        const tokenInfo = getTokenMint(coin);
-        where.tokenMint = tokenInfo.mint;
-      } catch (error) {
-        throw new ValidationError(`Invalid coin: ${coin}`);
-      }
-    }
-
-    // Date range filters
-    if (startDate || endDate) {
-      where.timestamp = {};
-      if (startDate) {
-        where.timestamp.gte = new Date(startDate);
-      }
-      if (endDate) {
-        where.timestamp.lte = new Date(endDate);
-      }
     }
 
     // Cursor pagination: fetch records before the cursor
@@ -116,8 +83,9 @@ export async function GET(request) {
     const hasMore = transactions.length > limit;
     const results = hasMore ? transactions.slice(0, limit) : transactions;
 
-    // Group by batchId
-    const grouped = groupByBatchId(results);
+    // Group by batchId, valued in INR at each batch's own FX rate
+    const batches = groupByBatchId(results);
+    const grouped = attachFxRates(batches, await getFxRatesForDates(batches.map((b) => b.timestamp)));
 
     logger.info('Transaction history fetched', {
       userId: user.id,
@@ -7,9 +7,8 @@ import { requireAuth, ensureTwoFa } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { sendInvestmentNotification } from '@/lib/notifications';
-import { ValidationError } from '@/lib/errors';
-
-const CANCELABLE_STATES = ['PENDING_ONRAMP', 'ONRAMP_CONFIRMED', 'QUOTED', 'EXPIRED'];
+import { ValidationError, BatchErrors } from '@/lib/errors';
+import { getBatch, isCancelable, transitionBatch } from '@/lib/investmentBatch';
 
 export async function POST(request, { params }) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -31,13 +30,9 @@ export async function POST(request, { params }) {
 
     logger.info('Canceling investment', { batchId, userId: user.id, requestId });
 
-    // Get all transactions for this batch
-    const transactions = await prisma.transaction.findMany({
-      where: { batchId },
-      orderBy: { timestamp: 'asc' },
-    });
+    const batch = await getBatch(batchId);
 
-    if (transactions.length === 0) {
+    if (!batch) {
       return Response.json({
         success: false,
         error: {
@@ -50,7 +45,7 @@ export async function POST(request, { params }) {
     // Get goal to verify ownership
     const goal = await prisma.goal.findFirst({
       where: {
-        id: transactions[0].goalId,
+        id: batch.goalId,
         userId: user.id,
       },
     });
@@ -65,18 +60,8 @@ export async function POST(request, { params }) {
       }, { status: 403 });
     }
 
-    // Determine current state
-    let currentState = null;
-    for (const txn of transactions) {
-      const state = txn.meta?.state;
-      if (state && state !== 'CANCELED') {
-        currentState = state;
-      }
-    }
-
     // Check if already canceled
-    const isAlreadyCanceled = transactions.some(txn => txn.meta?.state === 'CANCELED');
-    if (isAlreadyCanceled) {
+    if (batch.state === 'CANCELED') {
       return Response.json({
         success: true,
         batchId,
@@ -85,52 +70,23 @@ export async function POST(request, { params }) {
       }, { status: 200 });
     }
 
-    // Check if cancelable
-    if (!currentState || !CANCELABLE_STATES.includes(currentState)) {
-      const message = currentState === 'SWAP_SUBMITTED' || currentState === 'SWAP_CONFIRMED'
-        ? 'Cannot cancel: transaction already submitted to blockchain'
-        : `Cannot cancel investment in state: ${currentState}`;
-
-      return Response.json({
-        success: false,
-        error: {
-          code: 'NOT_CANCELABLE',
-          message
-        }
-      }, { status: 422 });
+    // Check if cancelable (not yet signed or submitted to blockchain)
+    if (!isCancelable(batch.state)) {
+      throw BatchErrors.NOT_CANCELABLE(batch.state);
     }
 
-    // Get ONRAMP transaction to get amount for notification
-    const onrampTxn = transactions.find(t => t.type === 'ONRAMP');
-    const amountUsdc = onrampTxn?.amountInr || 0;
-
-    // Update all transactions to CANCELED state
-    await prisma.$transaction(async (tx) => {
-      for (const txn of transactions) {
-        await tx.transaction.update({
-          where: { id: txn.id },
-          data: {
-            meta: {
-              ...(txn.meta || {}),
-              state: 'CANCELED',
-              canceledAt: new Date().toISOString(),
-              canceledBy: user.id,
-            },
-          },
-        });
-      }
-    });
+    await transitionBatch(batchId, 'CANCELED', { canceledBy: user.id }, { requestId });
 
     logger.info('Investment canceled', {
       batchId,
-      previousState: currentState,
+      previousState: batch.state,
       userId: user.id,
       requestId
     });
 
     // Send notification
     await sendInvestmentNotification(batchId, 'CANCELED', {
-      amountUsdc,
+      amountUsdc: batch.amountUsdc || 0,
     });
 
     return Response.json({
@@ -0,0 +1,92 @@
+/**
+ * GET /api/investments/:batchId/events
+ * Timeline of a batch: state changes, quotes, submit attempts and RPC errors
+ */
+
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { getBatch } from '@/lib/investmentBatch';
+import { listBatchEvents } from '@/lib/batchEvents';
+
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { batchId } = await params;
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const batch = await getBatch(batchId);
+
+    if (!batch) {
+      return Response.json({
+        success: false,
+        error: {
+          code: 'BATCH_NOT_FOUND',
+          message: 'Investment batch not found'
+        }
+      }, { status: 404 });
+    }
+
+    // Get goal to verify ownership
+    const goal = await prisma.goal.findFirst({
+      where: {
+        id: batch.goalId,
+        userId: user.id,
+      },
+    });
+
+    if (!goal) {
+      return Response.json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Not authorized to view this investment'
+        }
+      }, { status: 403 });
+    }
+
+    const events = await listBatchEvents(batchId);
+
+    return Response.json({
+      success: true,
+      batchId,
+      state: batch.state,
+      events: events.map(event => ({
+        id: event.id,
+        type: event.type,
+        fromState: event.fromState,
+        toState: event.toState,
+        requestId: event.requestId,
+        data: event.data,
+        createdAt: event.createdAt.toISOString(),
+      })),
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch investment events', {
+      error: error.message,
+      batchId,
+      requestId
+    });
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch investment events'
+      }
+    }, { status: 500 });
+  }
+}
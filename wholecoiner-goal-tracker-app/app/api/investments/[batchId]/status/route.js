@@ -8,46 +8,7 @@ import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { calculateProgress } from '@/lib/goalValidation';
 import { getNetwork } from '@/lib/tokens';
-
-/**
- * Determine current state from transactions
- */
-function getCurrentState(transactions) {
-  const states = [
-    'PENDING_ONRAMP',
-    'ONRAMP_CONFIRMED',
-    'QUOTED',
-    'SWAP_SIGNED',
-    'SWAP_SUBMITTED',
-    'SWAP_CONFIRMED',
-    'EXPIRED',
-    'FAILED',
-    'CANCELED',
-  ];
-
-  // Find highest completed state
-  for (let i = states.length - 1; i >= 0; i--) {
-    const state = states[i];
-    const hasState = transactions.some(txn => {
-      const txnState = txn.meta?.state;
-      return txnState === state;
-    });
-    if (hasState) {
-      return state;
-    }
-  }
-
-  // Default to first state if no transactions
-  return 'PENDING_ONRAMP';
-}
-
-/**
- * Check if investment can be canceled
- */
-function canCancel(state) {
-  const cancelableStates = ['PENDING_ONRAMP', 'ONRAMP_CONFIRMED', 'QUOTED'];
-  return cancelableStates.includes(state);
-}
+import { getBatch, isCancelable } from '@/lib/investmentBatch';
 
 export async function GET(request, { params }) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -69,13 +30,9 @@ export async function GET(request, { params }) {
 
     logger.info('Fetching investment status', { batchId, userId: user.id, requestId });
 
-    // Get all transactions for this batch
-    const transactions = await prisma.transaction.findMany({
-      where: { batchId },
-      orderBy: { timestamp: 'asc' },
-    });
+    const batch = await getBatch(batchId);
 
-    if (transactions.length === 0) {
+    if (!batch) {
       return Response.json({
         success: false,
         error: {
@@ -88,7 +45,7 @@ export async function GET(request, { params }) {
     // Get goal to verify ownership
     const goal = await prisma.goal.findFirst({
       where: {
-        id: transactions[0].goalId,
+        id: batch.goalId,
         userId: user.id,
       },
     });
@@ -103,8 +60,11 @@ export async function GET(request, { params }) {
       }, { status: 403 });
     }
 
-    // Determine current state
-    const state = getCurrentState(transactions);
+    // Get all transactions for this batch
+    const transactions = await prisma.transaction.findMany({
+      where: { batchId },
+      orderBy: { timestamp: 'asc' },
+    });
 
     // Get last signature
     const lastTransaction = transactions
@@ -112,17 +72,12 @@ export async function GET(request, { params }) {
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
     const lastSignature = lastTransaction?.txnHash || null;
 
-    // Get expiresAt from QUOTED transaction
-    const quotedTxn = transactions.find(t => t.meta?.state === 'QUOTED');
-    const expiresAt = quotedTxn?.meta?.expiresAt || null;
-
-    // Check if expired
-    let isExpired = false;
-    if (expiresAt && state === 'QUOTED') {
-      const now = Date.now();
-      const expiryTime = new Date(expiresAt).getTime();
-      isExpired = now > expiryTime;
-    }
+    // A QUOTED batch is reported as EXPIRED once its quote runs out; the stored
+    // state only moves when the swap route or a re-quote touches the batch
+    const expiresAt = batch.quoteExpiresAt ? batch.quoteExpiresAt.toISOString() : null;
+    const isExpired = batch.state === 'EXPIRED'
+      || (batch.state === 'QUOTED' && !!batch.quoteExpiresAt && Date.now() > batch.quoteExpiresAt.getTime());
+    const state = isExpired ? 'EXPIRED' : batch.state;
 
     // Calculate progress if goal exists
     let progress = null;
@@ -133,14 +88,15 @@ export async function GET(request, { params }) {
     logger.info('Investment status fetched', {
       batchId,
       state,
-      canCancel: canCancel(state),
+      canCancel: isCancelable(state),
       requestId
     });
 
     return Response.json({
       success: true,
       batchId,
-      state: isExpired ? 'EXPIRED' : state,
+      state,
+      error: batch.error,
       lastSignature,
       transactions: transactions.map(txn => ({
         id: txn.id,
@@ -151,11 +107,20 @@ export async function GET(request, { params }) {
         amountCrypto: txn.amountCrypto,
         tokenMint: txn.tokenMint,
         timestamp: txn.timestamp.toISOString(),
-        state: txn.meta?.state || null,
       })),
-      canCancel: canCancel(isExpired ? 'EXPIRED' : state),
+      canCancel: isCancelable(state),
       expiresAt,
       isExpired,
+      timestamps: {
+        onrampConfirmedAt: batch.onrampConfirmedAt,
+        quotedAt: batch.quotedAt,
+        swapSignedAt: batch.swapSignedAt,
+        swapSubmittedAt: batch.swapSubmittedAt,
+        swapConfirmedAt: batch.swapConfirmedAt,
+        failedAt: batch.failedAt,
+        expiredAt: batch.expiredAt,
+        canceledAt: batch.canceledAt,
+      },
       progress: progress !== null ? {
         percentage: progress,
         investedAmount: goal.investedAmount,
@@ -1,6 +1,6 @@
 /**
  * POST /api/investments/reconcile
- * Reconciliation endpoint to finalize pending SWAP_SUBMITTED transactions
+ * Reconciliation endpoint to finalize swaps whose batch is still SWAP_SUBMITTED
  * This can be called by a cron job or manually
  */
 
@@ -9,7 +9,14 @@ import { logger } from '@/lib/logger';
 import { getSolanaConnection } from '@/lib/solana';
 import { getTokenMint, fromSmallestUnits, getNetwork } from '@/lib/tokens';
 import { calculateProgress, shouldAutoComplete } from '@/lib/goalValidation';
+import { recordReachedMilestones, notifyMilestonesReached } from '@/lib/milestones';
 import { sendInvestmentNotification } from '@/lib/notifications';
+import { buildSwapCost } from '@/lib/costBasis';
+import { getSwapFeePaid } from '@/lib/priorityFees';
+import { loadCustomTokens } from '@/lib/customTokens';
+import { getBatch, transitionBatch } from '@/lib/investmentBatch';
+import { recordBatchEvent, BATCH_EVENT_TYPES } from '@/lib/batchEvents';
+import { recordSwapFailure, hasBlockhashExpired } from '@/lib/swapRetry';
 
 const RECONCILE_OLDER_THAN_MS = 60000; // 1 minute
 
@@ -54,23 +61,24 @@ export async function POST(request) {
   
   try {
     logger.info('Starting reconciliation job', { requestId });
+    await loadCustomTokens();
 
-    // Get all SWAP_SUBMITTED transactions older than 1 minute
+    // Get swaps of batches submitted more than 1 minute ago and still SWAP_SUBMITTED
     const cutoffTime = new Date(Date.now() - RECONCILE_OLDER_THAN_MS);
     
     const pendingTransactions = await prisma.transaction.findMany({
       where: {
         type: 'SWAP',
-        meta: {
-          path: ['state'],
-          equals: 'SWAP_SUBMITTED',
-        },
-        timestamp: {
-          lt: cutoffTime,
+        batch: {
+          state: 'SWAP_SUBMITTED',
+          swapSubmittedAt: {
+            lt: cutoffTime,
+          },
         },
       },
       include: {
         goal: true,
+        batch: { select: { quotedAt: true } },
       },
     });
 
@@ -90,6 +98,7 @@ export async function POST(request) {
     const connection = getSolanaConnection();
     let reconciled = 0;
     let failed = 0;
+    let expired = 0;
 
     for (const txn of pendingTransactions) {
       try {
@@ -102,14 +111,21 @@ export async function POST(request) {
         const confirmed = await pollConfirmation(connection, txn.txnHash, 30000);
 
         if (confirmed) {
+          // Swaps submitted before cost tracking get their cost recorded now
+          const swapCost = txn.meta?.costUsdc === undefined && txn.meta?.inputAmount !== undefined
+            ? await buildSwapCost(txn.meta.inputAmount, txn.amountCrypto)
+            : {};
+          const feePaid = await getSwapFeePaid(txn.txnHash, connection);
+
           // Update to SWAP_CONFIRMED and update goal
           const result = await prisma.$transaction(async (tx) => {
-            // Get the transaction again to ensure we have latest data
+            // Re-read the batch and transaction to ensure we have latest data
+            const currentBatch = await getBatch(txn.batchId, tx);
             const currentTxn = await tx.transaction.findUnique({
               where: { id: txn.id },
             });
 
-            if (!currentTxn || currentTxn.meta?.state !== 'SWAP_SUBMITTED') {
+            if (!currentTxn || currentBatch?.state !== 'SWAP_SUBMITTED') {
               // Already processed or state changed
               return null;
             }
@@ -128,13 +144,20 @@ export async function POST(request) {
               outputTokenInfo.decimals
             );
 
+            await transitionBatch(txn.batchId, 'SWAP_CONFIRMED', {}, {
+              client: tx,
+              requestId,
+              details: { signature: txn.txnHash, outputAmount: outAmountGoalTokenUnits, reconciled: true, ...feePaid },
+            });
+
             // Update transaction
             const updatedTxn = await tx.transaction.update({
               where: { id: txn.id },
               data: {
                 meta: {
+                  ...swapCost,
                   ...currentTxn.meta,
-                  state: 'SWAP_CONFIRMED',
+                  ...feePaid,
                   reconciledAt: new Date().toISOString(),
                 },
               },
@@ -159,6 +182,8 @@ export async function POST(request) {
               updatedGoal.status = 'COMPLETED';
             }
 
+            const milestonesReached = await recordReachedMilestones(updatedGoal, { client: tx, batchId: txn.batchId });
+
             const progress = calculateProgress(updatedGoal.investedAmount, updatedGoal.targetAmount);
 
             return {
@@ -166,6 +191,7 @@ export async function POST(request) {
               goal: updatedGoal,
               progress,
               outAmountGoalTokenUnits,
+              milestonesReached,
             };
           });
 
@@ -178,6 +204,7 @@ export async function POST(request) {
               goalCoin: txn.goal.coin,
               progressPercentage: result.progress,
             });
+            await notifyMilestonesReached(result.goal, result.milestonesReached);
 
             logger.info('Transaction reconciled', {
               transactionId: txn.id,
@@ -185,6 +212,28 @@ export async function POST(request) {
               requestId
             });
           }
+        } else if (await hasBlockhashExpired(connection, txn, txn.batch?.quotedAt)) {
+          // Past its lastValidBlockHeight the swap can no longer land (checked once more in case it just did)
+          const status = await connection.getSignatureStatus(txn.txnHash, { searchTransactionHistory: true });
+          if (status?.value) {
+            continue;
+          }
+
+          expired++;
+          logger.warn('Swap blockhash expired before it landed', {
+            transactionId: txn.id,
+            batchId: txn.batchId,
+            requestId
+          });
+
+          // The retry worker re-quotes it
+          await recordSwapFailure(txn.batchId, new Error('Blockhash expired before the swap landed'), {
+            requestId,
+            stage: 'reconcile',
+          });
+          await sendInvestmentNotification(txn.batchId, 'FAILED', {
+            reason: 'the swap did not land in time',
+          });
         } else {
           logger.warn('Transaction still pending after reconciliation attempt', {
             transactionId: txn.id,
@@ -201,15 +250,20 @@ export async function POST(request) {
           requestId
         });
 
-        // Mark as FAILED if transaction failed on-chain
+        await recordBatchEvent(txn.batchId, BATCH_EVENT_TYPES.RPC_ERROR, {
+          signature: txn.txnHash,
+          error: error.message,
+          stage: 'reconcile',
+        }, { requestId });
+
+        // Mark as FAILED if transaction failed on-chain; the retry worker re-quotes it
         if (error.message.includes('Transaction failed')) {
+          await recordSwapFailure(txn.batchId, error, { requestId, stage: 'reconcile' });
           await prisma.transaction.update({
             where: { id: txn.id },
             data: {
               meta: {
                 ...txn.meta,
-                state: 'FAILED',
-                error: error.message,
                 reconciledAt: new Date().toISOString(),
               },
             },
@@ -225,6 +279,7 @@ export async function POST(request) {
     logger.info('Reconciliation job completed', {
       reconciled,
       failed,
+      expired,
       total: pendingTransactions.length,
       requestId
     });
@@ -233,6 +288,7 @@ export async function POST(request) {
       success: true,
       reconciled,
       failed,
+      expired,
       total: pendingTransactions.length,
     }, { status: 200 });
 
@@ -0,0 +1,55 @@
+/**
+ * POST /api/investments/retry
+ * Run the swap retry worker once: recover, resubmit or re-quote FAILED and
+ * EXPIRED batches whose retry is due. Meant to be called by a cron job.
+ * Requires `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+import { requireCronSecret } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { runSwapRetries } from '@/lib/swapRetry';
+import { AuthenticationError } from '@/lib/errors';
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    requireCronSecret(request);
+
+    logger.info('Swap retry run requested', { requestId });
+
+    const summary = await runSwapRetries({ requestId });
+
+    return Response.json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('Swap retry run failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to run swap retries'
+      }
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,64 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { getNotificationDeliveries } from '@/lib/notificationDelivery';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * GET /api/notifications/:id/deliveries
+ * Channel deliveries of a notification (email) with every attempt made
+ */
+export async function GET(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: notificationId } = await params;
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+
+    const deliveries = await getNotificationDeliveries(notificationId, user.id);
+
+    return Response.json({
+      success: true,
+      deliveries,
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch notification deliveries', {
+      notificationId,
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message,
+        },
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch notification deliveries',
+      },
+    }, { status: 500 });
+  }
+}
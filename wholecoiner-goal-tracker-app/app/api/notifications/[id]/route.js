@@ -0,0 +1,68 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { markNotificationAsRead, getUnreadCount } from '@/lib/notifications';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * PATCH /api/notifications/:id
+ * Mark a single notification as read
+ */
+export async function PATCH(request, { params }) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  const { id: notificationId } = await params;
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+
+    const notification = await markNotificationAsRead(notificationId, user.id);
+    const unreadCount = await getUnreadCount(user.id);
+
+    logger.info('Notification marked as read', { userId: user.id, notificationId, requestId });
+
+    return Response.json({
+      success: true,
+      notification,
+      unreadCount,
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to mark notification as read', {
+      notificationId,
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message,
+        },
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update notification',
+      },
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * POST /api/notifications/deliver
+ * Run the notification delivery worker once: send email (and other channel)
+ * deliveries that are due, including retries and deliveries held back by
+ * quiet hours. Meant to be called by a cron job.
+ * Requires `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+import { requireCronSecret } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { runNotificationDeliveries } from '@/lib/notificationDelivery';
+import { AuthenticationError } from '@/lib/errors';
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    requireCronSecret(request);
+
+    logger.info('Notification delivery run requested', { requestId });
+
+    const summary = await runNotificationDeliveries({ requestId });
+
+    return Response.json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('Notification delivery run failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to run notification deliveries'
+      }
+    }, { status: 500 });
+  }
+}
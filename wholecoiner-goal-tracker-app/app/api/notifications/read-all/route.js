@@ -0,0 +1,55 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { markAllNotificationsAsRead } from '@/lib/notifications';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * POST /api/notifications/read-all
+ * Mark all of the user's unread notifications as read
+ */
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+
+    const updated = await markAllNotificationsAsRead(user.id);
+
+    logger.info('All notifications marked as read', { userId: user.id, updated, requestId });
+
+    return Response.json({
+      success: true,
+      updated,
+      unreadCount: 0,
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to mark all notifications as read', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message,
+        },
+      }, { status: error.statusCode || 401 });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update notifications',
+      },
+    }, { status: 500 });
+  }
+}
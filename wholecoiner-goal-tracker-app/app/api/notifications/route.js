@@ -0,0 +1,91 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { getUserNotifications, getUnreadCount } from '@/lib/notifications';
+import { AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+
+/**
+ * GET /api/notifications
+ * List the user's notifications, newest first
+ *
+ * Query params:
+ * - status (optional): UNREAD | READ
+ * - after (optional): Cursor for pagination (nextCursor from the previous page)
+ * - limit (optional): Results per page (default: 20)
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status');
+    const after = searchParams.get('after');
+    const limit = Number(searchParams.get('limit') || '20');
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new ValidationError('limit must be between 1 and 100');
+    }
+
+    if (status && !['UNREAD', 'READ'].includes(status)) {
+      throw new ValidationError('status must be either UNREAD or READ');
+    }
+
+    logger.info('Fetching notifications', { userId: user.id, status, limit, requestId });
+
+    const [page, unreadCount] = await Promise.all([
+      getUserNotifications(user.id, { limit, status, after }),
+      getUnreadCount(user.id),
+    ]);
+
+    return Response.json({
+      success: true,
+      notifications: page.notifications,
+      unreadCount,
+      pagination: {
+        limit,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      },
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch notifications', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message,
+        },
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch notifications',
+      },
+    }, { status: 500 });
+  }
+}
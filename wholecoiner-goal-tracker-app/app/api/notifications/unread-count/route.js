@@ -0,0 +1,52 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { getUnreadCount } from '@/lib/notifications';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * GET /api/notifications/unread-count
+ * Lightweight unread badge count for the header bell
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+
+    const unreadCount = await getUnreadCount(user.id);
+
+    return Response.json({
+      success: true,
+      unreadCount,
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to fetch unread count', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message,
+        },
+      }, { status: error.statusCode || 401 });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch unread count',
+      },
+    }, { status: 500 });
+  }
+}
@@ -8,14 +8,13 @@ import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { nanoid } from 'nanoid';
 import { isValidSolanaAddress } from '@/lib/solana';
-import { TOKEN_MINTS, getNetwork } from '@/lib/tokens';
-import { SwapErrors, AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
-import { ensureIdempotency } from '@/lib/idempotency';
-import { checkRateLimit } from '@/lib/rateLimit';
+import { getNetwork } from '@/lib/tokens';
+import { SwapErrors, AuthenticationError, AuthorizationError, ValidationError, RateLimitError } from '@/lib/errors';
+import { createSimulatedOnramp, MIN_AMOUNT_USDC } from '@/lib/onramp';
+import { getBatch } from '@/lib/investmentBatch';
+import { enforceRateLimit } from '@/lib/rateLimit';
 import { sendInvestmentNotification } from '@/lib/notifications';
 
-const MIN_AMOUNT_USDC = 1; // Lowered for testing mode
-
 export async function POST(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
   let user = null;
@@ -34,10 +33,7 @@ export async function POST(request) {
     
     // Step 2: Rate limiting
     logger.debug('[ONRAMP] Checking rate limit', { userId: user.id, requestId });
-    if (!checkRateLimit(user.id, 5)) {
-      logger.warn('[ONRAMP] Rate limit exceeded', { userId: user.id, requestId });
-      throw SwapErrors.NETWORK_ERROR();
-    }
+    await enforceRateLimit('onramp', user.id);
     logger.debug('[ONRAMP] Rate limit check passed', { userId: user.id, requestId });
     
     // Step 3: Parse and validate request body
@@ -132,23 +128,8 @@ export async function POST(request) {
       requestId 
     });
     
-    // Step 6: Get network and USDC mint
+    // Step 6: Check idempotency and create transaction if needed
     const network = getNetwork();
-    const usdcMintInfo = TOKEN_MINTS.USDC;
-    logger.debug('[ONRAMP] Network configuration', { 
-      network, 
-      usdcMint: usdcMintInfo.mint,
-      requestId 
-    });
-    
-    // Step 7: Generate simulated transaction signature
-    const simulatedSignature = `sim_${crypto.randomUUID().replace(/-/g, '')}`;
-    logger.debug('[ONRAMP] Generated simulated signature', { 
-      signature: simulatedSignature, 
-      requestId 
-    });
-    
-    // Step 8: Check idempotency and create transaction if needed
     logger.info('[ONRAMP] Checking idempotency and creating transaction', { 
       userId: user.id,
       goalId,
@@ -158,81 +139,41 @@ export async function POST(request) {
       requestId 
     });
     
-    const dbTransaction = await ensureIdempotency(finalBatchId, 'ONRAMP', async () => {
-      // This function only runs if transaction doesn't exist
-      logger.debug('[ONRAMP] Transaction does not exist, creating new one', { 
-        batchId: finalBatchId, 
-        requestId 
-      });
-      
-      return await prisma.$transaction(async (tx) => {
-        logger.debug('[ONRAMP] Inside DB transaction, creating record', { 
-          batchId: finalBatchId, 
-          requestId 
-        });
-        
-        const txn = await tx.transaction.create({
-          data: {
-            goalId: goal.id,
-            batchId: finalBatchId,
-            type: 'ONRAMP',
-            provider: 'FAUCET',
-            network: network === 'devnet' ? 'DEVNET' : 'MAINNET',
-            txnHash: simulatedSignature,
-            amountInr: amountUsdc, // Store USDC amount in amountInr for backward compatibility
-            amountCrypto: amountUsdc, // Amount in USDC (not converted)
-            tokenMint: usdcMintInfo.mint, // Mainnet USDC mint
-            meta: {
-              state: 'ONRAMP_CONFIRMED',
-              simulation: true,
-              simulated: true,
-              userWalletAddress: user.walletAddress,
-            },
-          },
-        });
-        
-        logger.debug('[ONRAMP] Transaction record created in DB', { 
-          transactionId: txn.id, 
-          requestId 
-        });
-        
-        return txn;
-      });
+    const { transaction: dbTransaction, created } = await createSimulatedOnramp({
+      goal,
+      walletAddress: user.walletAddress,
+      amountUsdc,
+      batchId: finalBatchId,
+      requestId,
     });
     
-    // Check if this was an existing transaction (from idempotency check)
-    if (dbTransaction.meta?.state === 'ONRAMP_CONFIRMED' && dbTransaction.meta?.simulated) {
-      // Check if we just created it or if it already existed
-      // If created, the signature should match what we just generated
-      const isNewlyCreated = dbTransaction.txnHash === simulatedSignature;
+    if (!created) {
+      const batch = await getBatch(finalBatchId);
+      const state = batch?.state || 'ONRAMP_CONFIRMED';
       
-      if (!isNewlyCreated) {
-        logger.info('[ONRAMP] Transaction already exists (idempotency)', { 
-          transactionId: dbTransaction.id, 
-          batchId: finalBatchId,
-          state: dbTransaction.meta?.state,
-          requestId 
-        });
-        
-        const state = dbTransaction.meta?.state || 'ONRAMP_CONFIRMED';
-        
-        return Response.json({
-          success: true,
-          batchId: finalBatchId,
-          transaction: {
-            id: dbTransaction.id,
-            type: dbTransaction.type,
-            txnHash: dbTransaction.txnHash,
-            amountUsdc: dbTransaction.amountInr,
-            amountCrypto: dbTransaction.amountCrypto,
-            network: dbTransaction.network,
-            state,
-          },
-          explorerUrl: dbTransaction.txnHash 
-            ? `https://explorer.solana.com/tx/${dbTransaction.txnHash}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`
-            : null,
-        }, { status: 200 });
-      }
+      logger.info('[ONRAMP] Transaction already exists (idempotency)', { 
+        transactionId: dbTransaction.id, 
+        batchId: finalBatchId,
+        state,
+        requestId 
+      });
+      
+      return Response.json({
+        success: true,
+        batchId: finalBatchId,
+        transaction: {
+          id: dbTransaction.id,
+          type: dbTransaction.type,
+          txnHash: dbTransaction.txnHash,
+          amountUsdc: dbTransaction.amountInr,
+          amountCrypto: dbTransaction.amountCrypto,
+          network: dbTransaction.network,
+          state,
+        },
+        explorerUrl: dbTransaction.txnHash 
+          ? `https://explorer.solana.com/tx/${dbTransaction.txnHash}?cluster=${network === 'devnet' ? 'devnet' : 'mainnet-beta'}`
+          : null,
+      }, { status: 200 });
     }
     
     logger.info('[ONRAMP] Transaction successfully recorded', { 
@@ -241,7 +182,7 @@ export async function POST(request) {
       requestId 
     });
     
-    // Step 9: Send notification (non-critical)
+    // Step 7: Send notification (non-critical)
     logger.debug('[ONRAMP] Sending notification', { batchId: finalBatchId, requestId });
     try {
       await sendInvestmentNotification(finalBatchId, 'ONRAMP_CONFIRMED', {
@@ -259,7 +200,7 @@ export async function POST(request) {
       // Don't fail the whole request if notification fails
     }
     
-    // Step 10: Return success response
+    // Step 8: Return success response
     logger.info('[ONRAMP] USDC onramp simulation completed successfully', { 
       transactionId: dbTransaction.id,
       batchId: finalBatchId,
@@ -277,7 +218,7 @@ export async function POST(request) {
         amountUsdc: dbTransaction.amountInr,
         amountCrypto: dbTransaction.amountCrypto,
         network: dbTransaction.network,
-        state: dbTransaction.meta?.state || 'ONRAMP_CONFIRMED',
+        state: 'ONRAMP_CONFIRMED',
       },
       explorerUrl: null, // No real transaction, so no explorer URL
     }, { status: 201 });
@@ -310,6 +251,17 @@ export async function POST(request) {
       }, { status: error.statusCode || 401 });
     }
     
+    if (error instanceof RateLimitError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          retryAfterSec: error.retryAfterSec
+        }
+      }, { status: error.statusCode, headers: error.headers });
+    }
+    
     if (error.statusCode) {
       logger.debug('[ONRAMP] Error with status code', { 
         statusCode: error.statusCode,
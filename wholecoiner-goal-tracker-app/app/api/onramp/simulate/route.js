@@ -14,9 +14,10 @@ import {
   solToLamports,
   isValidSolanaAddress 
 } from '@/lib/solana';
-import { SwapErrors, AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+import { SwapErrors, AuthenticationError, AuthorizationError, ValidationError, RateLimitError } from '@/lib/errors';
 import { ensureIdempotency } from '@/lib/idempotency';
-import { checkRateLimit } from '@/lib/rateLimit';
+import { createBatch } from '@/lib/investmentBatch';
+import { enforceRateLimit } from '@/lib/rateLimit';
 import { TOKEN_MINTS } from '@/lib/tokens';
 import { SystemProgram, Transaction, PublicKey } from '@solana/web3.js';
 
@@ -34,9 +35,7 @@ export async function POST(request) {
     ensureTwoFa(sess, user);
     
     // Rate limiting
-    if (!checkRateLimit(user.id, 5)) {
-      throw SwapErrors.NETWORK_ERROR();
-    }
+    await enforceRateLimit('onramp', user.id);
     
     const body = await request.json();
     const { goalId, amountUsdc, batchId } = body;
@@ -187,6 +186,8 @@ export async function POST(request) {
     
     // Record transaction in database (atomic)
     const dbTransaction = await prisma.$transaction(async (tx) => {
+      await createBatch({ id: finalBatchId, goalId: goal.id, userId: user.id, amountUsdc }, tx, { requestId });
+      
       const txn = await tx.transaction.create({
         data: {
           goalId: goal.id,
@@ -249,6 +250,17 @@ export async function POST(request) {
       }, { status: error.statusCode || 401 });
     }
     
+    if (error instanceof RateLimitError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          retryAfterSec: error.retryAfterSec
+        }
+      }, { status: error.statusCode, headers: error.headers });
+    }
+    
     if (error.statusCode) {
       return Response.json({
         success: false,
@@ -0,0 +1,88 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { buildPortfolio, PORTFOLIO_RANGES } from '@/lib/portfolio';
+import { AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+import { loadCustomTokens } from '@/lib/customTokens';
+
+/**
+ * GET /api/portfolio
+ * Portfolio totals, allocation by coin, per-goal progress, 24h change and a
+ * value series across the user's goals (drafts and archived goals excluded)
+ *
+ * Query params:
+ * - range (optional): Value series range, 7d | 30d | 90d | 1y (default: 30d)
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+    await loadCustomTokens();
+
+    const range = new URL(request.url).searchParams.get('range') || '30d';
+    if (!PORTFOLIO_RANGES.includes(range)) {
+      throw new ValidationError(`range must be one of: ${PORTFOLIO_RANGES.join(', ')}`);
+    }
+
+    logger.info('Building portfolio', { userId: user.id, range, requestId });
+
+    const portfolio = await buildPortfolio(user.id, { range });
+
+    logger.info('Portfolio built', {
+      userId: user.id,
+      goals: portfolio.totals.goalCount,
+      points: portfolio.series.points.length,
+      requestId,
+    });
+
+    return Response.json({
+      success: true,
+      ...portfolio,
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to build portfolio', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json(
+        {
+          success: false,
+          error: {
+            code: error.code || 'AUTH_ERROR',
+            message: error.message,
+          },
+        },
+        { status: error.statusCode || 401 }
+      );
+    }
+
+    if (error instanceof ValidationError) {
+      return Response.json(
+        {
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+          },
+        },
+        { status: error.statusCode }
+      );
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to build portfolio',
+      },
+    }, { status: 500 });
+  }
+}
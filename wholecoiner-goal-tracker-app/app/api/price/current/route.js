@@ -2,6 +2,7 @@ import { requireAuth, ensureTwoFa } from '@/lib/auth';
 import { getPricesInINR, getPricesInUSD } from '@/lib/prices';
 import { getPopularTokenSymbols } from '@/lib/popular-tokens';
 import { logger } from '@/lib/logger';
+import { loadCustomTokens } from '@/lib/customTokens';
 
 /**
  * GET /api/price/current?coins=BTC,ETH,SOL&currency=USD
@@ -14,6 +15,7 @@ export async function GET(request) {
   try {
     const { user, sess } = await requireAuth(request);
     ensureTwoFa(sess, user);
+    await loadCustomTokens();
     
     const { searchParams } = new URL(request.url);
     const coinsParam = searchParams.get('coins');
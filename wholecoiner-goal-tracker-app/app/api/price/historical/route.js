@@ -1,22 +1,33 @@
 import { requireAuth, ensureTwoFa } from '@/lib/auth';
-import { isValidCoin, getPriceInINR } from '@/lib/prices';
+import { getTokenInfo } from '@/lib/prices';
+import { getPriceHistory, PRICE_HISTORY_RANGES } from '@/lib/priceHistory';
 import { logger } from '@/lib/logger';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+import { loadCustomTokens } from '@/lib/customTokens';
 
 /**
- * GET /api/price/historical?coin=BTC&range=30d
- * Returns mock historical prices (30 daily candles)
+ * GET /api/price/historical?coin=BTC&range=30d&currency=USD
+ * Returns OHLC candles from stored price snapshots, filled from the
+ * configured history provider where snapshots do not cover the range
+ *
+ * Query params:
+ * - coin (required): Token symbol
+ * - range (optional): 7d | 30d | 90d | 1y | all (default: 30d)
+ * - currency (optional): USD | INR (default: INR)
  */
 export async function GET(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
-  
+
   try {
     const { user, sess } = await requireAuth(request);
     ensureTwoFa(sess, user);
-    
+    await loadCustomTokens();
+
     const { searchParams } = new URL(request.url);
     const coin = searchParams.get('coin');
     const range = searchParams.get('range') || '30d';
-    
+    const currency = (searchParams.get('currency') || 'INR').toUpperCase();
+
     if (!coin) {
       return Response.json({
         success: false,
@@ -26,63 +37,72 @@ export async function GET(request) {
         }
       }, { status: 400 });
     }
-    
+
     const normalized = coin.toUpperCase();
-    if (!isValidCoin(normalized)) {
+    if (!getTokenInfo(normalized)) {
       return Response.json({
         success: false,
         error: {
           code: 'INVALID_COIN',
-          message: `Unknown token: ${coin}. Supported tokens: BTC, ETH, SOL, USDC, USDT, JUP, RAY, BONK, WIF, PYTH`
+          message: `Unknown token: ${coin}. See GET /api/tokens for supported tokens`
         }
       }, { status: 422 });
     }
-    
-    // Only support 30d for now
-    if (range !== '30d') {
+
+    if (!PRICE_HISTORY_RANGES[range]) {
       return Response.json({
         success: false,
         error: {
           code: 'INVALID_RANGE',
-          message: 'Only "30d" range supported currently'
+          message: `Invalid range: ${range}. Supported ranges: ${Object.keys(PRICE_HISTORY_RANGES).join(', ')}`
         }
       }, { status: 400 });
     }
-    
-    logger.info('Fetching historical prices', { coin: normalized, range, userId: user.id, requestId });
-    
-    // Generate mock 30-day series
-    const currentPrice = await getPriceInINR(normalized);
-    const series = [];
-    const now = new Date();
-    
-    for (let i = 29; i >= 0; i--) {
-      const date = new Date(now);
-      date.setDate(date.getDate() - i);
-      
-      // Add random variance ±5%
-      const variance = 0.95 + Math.random() * 0.1;
-      const price = Math.round(currentPrice * variance * 100) / 100;
-      
-      series.push({
-        date: date.toISOString().split('T')[0], // YYYY-MM-DD
-        priceInr: price
-      });
+
+    if (!['USD', 'INR'].includes(currency)) {
+      return Response.json({
+        success: false,
+        error: {
+          code: 'INVALID_CURRENCY',
+          message: 'currency must be USD or INR'
+        }
+      }, { status: 400 });
     }
-    
-    logger.info('Historical prices generated', { coin: normalized, points: series.length, requestId });
-    
+
+    logger.info('Fetching historical prices', { coin: normalized, range, currency, userId: user.id, requestId });
+
+    const history = await getPriceHistory(normalized, range, { currency });
+
+    logger.info('Historical prices fetched', {
+      coin: normalized,
+      candles: history.candles.length,
+      source: history.source,
+      requestId
+    });
+
     return Response.json({
       success: true,
       coin: normalized,
       range,
-      series,
-      source: 'mock' // Flag for frontend to know this is simulated
+      currency,
+      intervalMs: history.intervalMs,
+      candles: history.candles,
+      source: history.source
     }, { status: 200 });
-    
+
   } catch (error) {
     logger.error('Historical price fetch failed', { error: error.message, requestId });
-    
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
     return Response.json({
       success: false,
       error: {
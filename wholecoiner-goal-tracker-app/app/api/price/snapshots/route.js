@@ -0,0 +1,45 @@
+/**
+ * POST /api/price/snapshots
+ * Store a snapshot of current token prices for the historical price chart.
+ * Meant to be called periodically by a cron job (e.g. every 15 minutes).
+ * Requires `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+import { requireCronSecret } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { recordPriceSnapshots } from '@/lib/priceHistory';
+import { AuthenticationError } from '@/lib/errors';
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    requireCronSecret(request);
+
+    const recorded = await recordPriceSnapshots();
+
+    logger.info('Price snapshot job completed', { recorded, requestId });
+
+    return Response.json({ success: true, recorded });
+  } catch (error) {
+    logger.error('Price snapshot job failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to record price snapshots'
+      }
+    }, { status: 500 });
+  }
+}
@@ -1,14 +1,23 @@
 import { requireAuth, ensureTwoFa } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
-import { calculateProgress, calculateEstimatedCompletion } from '@/lib/goalValidation';
+import { calculateProgress } from '@/lib/goalValidation';
+import { getContributionStrategy, getNextContribution, projectCompletion } from '@/lib/contributionStrategies';
 import { getPriceInINR, getPriceUSD } from '@/lib/prices';
-import { GoalErrors } from '@/lib/errors';
+import { GoalErrors, ValidationError } from '@/lib/errors';
 import { getTokenMint } from '@/lib/tokens';
+import { getNextDueAt, getLastScheduledRun } from '@/lib/scheduler';
+import { computeCostBasis } from '@/lib/costBasis';
+import { getFxRate } from '@/lib/fx';
+import { loadCustomTokens } from '@/lib/customTokens';
 
 /**
  * GET /api/progress/:goalId
  * Returns detailed progress metrics for a goal
+ *
+ * Query params:
+ * - fxDate (optional): YYYY-MM-DD. Convert to INR with the stored FX rate for
+ *   that day instead of the live rate, so INR values can be reproduced
  */
 export async function GET(request, { params }) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -17,8 +26,14 @@ export async function GET(request, { params }) {
   try {
     const { user, sess } = await requireAuth(request);
     ensureTwoFa(sess, user);
+    await loadCustomTokens();
     
-    logger.info('Fetching goal progress', { goalId, userId: user.id, requestId });
+    const fxDate = new URL(request.url).searchParams.get('fxDate');
+    if (fxDate && (!/^\d{4}-\d{2}-\d{2}$/.test(fxDate) || isNaN(new Date(fxDate).getTime()))) {
+      throw new ValidationError('fxDate must be a date in YYYY-MM-DD format');
+    }
+    
+    logger.info('Fetching goal progress', { goalId, fxDate, userId: user.id, requestId });
     
     // Fetch goal with ownership check
     const goal = await prisma.goal.findFirst({
@@ -32,8 +47,8 @@ export async function GET(request, { params }) {
       throw GoalErrors.GOAL_NOT_FOUND();
     }
     
-    // Get current price for this coin
-    const currentPriceInr = await getPriceInINR(goal.coin);
+    // One FX rate for every INR value in the response
+    const fx = await getFxRate({ date: fxDate || undefined });
     
     // Get current price in USD
     let currentPriceUSD = null;
@@ -47,35 +62,57 @@ export async function GET(request, { params }) {
       // Continue without USD values if price fetch fails
     }
     
+    // Get current price for this coin
+    const currentPriceInr = currentPriceUSD !== null
+      ? currentPriceUSD * fx.rate
+      : await getPriceInINR(goal.coin, { fxDate: fxDate || undefined });
+    
     // Calculate progress metrics
     const progressPercentage = calculateProgress(goal.investedAmount, goal.targetAmount);
     
+    // Cost basis from confirmed swaps (cost recorded at execution time)
+    const confirmedSwaps = await prisma.transaction.findMany({
+      where: {
+        goalId: goal.id,
+        type: 'SWAP',
+        batch: { state: 'SWAP_CONFIRMED' },
+      },
+      orderBy: { timestamp: 'asc' }
+    });
+    
+    const costBasis = computeCostBasis(confirmedSwaps, {
+      currentPriceInr,
+      currentPriceUsd: currentPriceUSD,
+      fxRate: fx.rate,
+    });
+    
     // Calculate INR totals
-    const totalInvestedINR = goal.investedAmount * currentPriceInr;
+    const totalInvestedINR = costBasis.totalCostInr;
     const targetValueINR = goal.targetAmount * currentPriceInr;
     const currentValueINR = goal.investedAmount * currentPriceInr;
     
-    // For now, profit/loss is 0 since we haven't tracked purchase prices yet
-    // Tomorrow when swaps are implemented, this will use actual transaction data
-    const profitLossINR = 0;
-    const profitLossPercentage = 0;
+    const profitLossINR = Math.round((currentValueINR - totalInvestedINR) * 100) / 100;
+    const profitLossPercentage = totalInvestedINR > 0
+      ? Math.round((profitLossINR / totalInvestedINR) * 10000) / 100
+      : 0;
+    const profitLossUSD = currentValueUSDC !== null
+      ? Math.round((currentValueUSDC - costBasis.totalCostUsdc) * 100) / 100
+      : null;
     
-    // Calculate remaining and ETA
+    // Calculate remaining and ETA under the goal's contribution strategy
     const remainingAmount = Math.max(0, goal.targetAmount - goal.investedAmount);
     let estimatedCompletion = null;
+    let nextContribution = null;
     
     if (remainingAmount > 0 && goal.status === 'ACTIVE') {
+      nextContribution = await getNextContribution(goal, { priceInr: currentPriceInr });
       try {
-        const eta = await calculateEstimatedCompletion(
-          goal.coin,
-          remainingAmount,
-          goal.amountInr,
-          goal.frequency
-        );
+        const eta = await projectCompletion(goal, { priceInr: currentPriceInr });
         estimatedCompletion = {
           estimatedCompletionDate: eta.estimatedCompletionDate,
           monthsToComplete: eta.monthsToComplete,
-          intervalsNeeded: eta.intervalsNeeded
+          intervalsNeeded: eta.intervalsNeeded,
+          expectedContributionInr: eta.expectedContributionInr
         };
       } catch (error) {
         // If ETA > 10y, just omit it
@@ -92,25 +129,11 @@ export async function GET(request, { params }) {
       }
     }
     
-    // Next investment date (simple calculation based on frequency)
+    // Next investment date from the recurring scheduler
     let nextInvestmentDate = null;
     if (goal.status === 'ACTIVE') {
-      const now = new Date();
-      const next = new Date(now);
-      
-      switch (goal.frequency) {
-        case 'DAILY':
-          next.setDate(next.getDate() + 1);
-          break;
-        case 'WEEKLY':
-          next.setDate(next.getDate() + 7);
-          break;
-        case 'MONTHLY':
-          next.setMonth(next.getMonth() + 1);
-          break;
-      }
-      
-      nextInvestmentDate = next.toISOString();
+      const lastRun = await getLastScheduledRun(goal.id);
+      nextInvestmentDate = getNextDueAt(goal, lastRun?.dueAt ?? null).toISOString();
     }
     
     logger.info('Progress computed', { goalId, progressPercentage, requestId });
@@ -118,6 +141,8 @@ export async function GET(request, { params }) {
     return Response.json({
       success: true,
       goalId: goal.id,
+      name: goal.name,
+      note: goal.note,
       coin: goal.coin,
       targetAmount: goal.targetAmount,
       investedAmount: goal.investedAmount,
@@ -129,10 +154,32 @@ export async function GET(request, { params }) {
       currentValueINR: Math.round(currentValueINR * 100) / 100,
       currentValueUSDC: currentValueUSDC ? Math.round(currentValueUSDC * 100) / 100 : null,
       profitLossINR,
+      profitLossUSD,
       profitLossPercentage,
+      costBasis: {
+        totalCostINR: costBasis.totalCostInr,
+        totalCostUSDC: costBasis.totalCostUsdc,
+        averageCostINR: costBasis.averageCostInr,
+        averageCostUSD: costBasis.averageCostUsd,
+        estimated: costBasis.estimated,
+        batches: costBasis.batches,
+      },
       remainingAmount,
       estimatedCompletion,
       nextInvestmentDate,
+      strategy: {
+        name: goal.strategy,
+        label: getContributionStrategy(goal).label,
+        params: goal.strategyParams || {},
+        nextContributionInr: nextContribution ? Math.round(nextContribution.amountInr * 100) / 100 : null,
+        nextContributionReason: nextContribution?.reason ?? null
+      },
+      fx: {
+        rate: fx.rate,
+        source: fx.source,
+        date: fx.date,
+        stale: fx.stale
+      },
       status: goal.status,
       frequency: goal.frequency,
       amountInr: goal.amountInr,
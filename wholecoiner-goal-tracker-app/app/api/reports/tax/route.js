@@ -0,0 +1,113 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { buildTaxReport, getFinancialYear, taxReportToCsv, taxReportToHtml } from '@/lib/taxReport';
+import { AuthenticationError, AuthorizationError, ValidationError } from '@/lib/errors';
+import { loadCustomTokens } from '@/lib/customTokens';
+
+/**
+ * GET /api/reports/tax
+ * Indian VDA tax report for one financial year (April - March)
+ *
+ * Query params:
+ * - fy (optional): Financial year, e.g. 2025-26 (default: the current one)
+ * - format (optional): json | csv | html (default: json). csv downloads;
+ *   html is a printable page to save as PDF
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  let user = null;
+
+  try {
+    const { user: authUser, sess } = await requireAuth(request);
+    user = authUser;
+    ensureTwoFa(sess, user);
+    await loadCustomTokens();
+
+    const { searchParams } = new URL(request.url);
+    const fy = searchParams.get('fy') || getFinancialYear();
+    const format = searchParams.get('format') || 'json';
+
+    if (!['json', 'csv', 'html'].includes(format)) {
+      throw new ValidationError('format must be one of: json, csv, html');
+    }
+
+    logger.info('Building tax report', { userId: user.id, fy, format, requestId });
+
+    const report = await buildTaxReport(user.id, fy);
+
+    logger.info('Tax report built', {
+      userId: user.id,
+      fy,
+      acquisitions: report.summary.acquisitionCount,
+      requestId,
+    });
+
+    if (format === 'csv') {
+      return new Response(taxReportToCsv(report), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="wholecoiner-vda-report-fy${fy}.csv"`,
+          'Cache-Control': 'no-store',
+        },
+      });
+    }
+
+    if (format === 'html') {
+      return new Response(taxReportToHtml(report), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/html; charset=utf-8',
+          'Cache-Control': 'no-store',
+        },
+      });
+    }
+
+    return Response.json({
+      success: true,
+      report,
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Failed to build tax report', {
+      error: error.message,
+      errorName: error.name,
+      userId: user?.id,
+      requestId,
+    });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json(
+        {
+          success: false,
+          error: {
+            code: error.code || 'AUTH_ERROR',
+            message: error.message,
+          },
+        },
+        { status: error.statusCode || 401 }
+      );
+    }
+
+    if (error instanceof ValidationError) {
+      return Response.json(
+        {
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+          },
+        },
+        { status: error.statusCode }
+      );
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to build tax report',
+      },
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * POST /api/scheduler/run
+ * Run the recurring DCA scheduler once: create batches for due goals and
+ * record missed, late and skipped runs. Meant to be called by a cron job.
+ * Requires `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+import { requireCronSecret } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { runScheduler } from '@/lib/scheduler';
+import { AuthenticationError, ValidationError } from '@/lib/errors';
+
+export async function POST(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    requireCronSecret(request);
+
+    const body = await request.json().catch(() => ({}));
+    const { now, goalId, skipQuote } = body;
+
+    // Fake clock for local testing only
+    let runAt = new Date();
+    if (now) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new ValidationError('now cannot be overridden in production');
+      }
+      runAt = new Date(now);
+      if (Number.isNaN(runAt.getTime())) {
+        throw new ValidationError('now must be a valid ISO date');
+      }
+    }
+
+    logger.info('Scheduler run requested', { now: runAt.toISOString(), goalId, requestId });
+
+    const summary = await runScheduler({
+      now: runAt,
+      goalId: goalId || null,
+      skipQuote: !!skipQuote,
+      requestId,
+    });
+
+    return Response.json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('Scheduler run failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to run scheduler'
+      }
+    }, { status: 500 });
+  }
+}
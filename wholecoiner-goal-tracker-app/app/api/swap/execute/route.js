@@ -6,20 +6,22 @@
 import { requireAuth, ensureTwoFa } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
-import { getSwapQuote, getSwapTransaction, submitSwapTransaction } from '@/lib/jupiter';
-import { getSolanaConnection, isValidSolanaAddress } from '@/lib/solana';
-import { PublicKey, VersionedTransaction } from '@solana/web3.js';
-import { getTokenMint, toSmallestUnits, fromSmallestUnits, getNetwork } from '@/lib/tokens';
-import { SwapErrors, AuthenticationError, AuthorizationError, ValidationError, SwapError } from '@/lib/errors';
-import { ensureIdempotency } from '@/lib/idempotency';
+import { submitSwapTransaction } from '@/lib/jupiter';
+import { getSolanaConnection } from '@/lib/solana';
+import { VersionedTransaction } from '@solana/web3.js';
+import { getTokenMint, fromSmallestUnits, getNetwork } from '@/lib/tokens';
+import { SwapErrors, BatchErrors, AuthenticationError, AuthorizationError, ValidationError, SwapError, RateLimitError } from '@/lib/errors';
 import { calculateProgress, shouldAutoComplete } from '@/lib/goalValidation';
+import { recordReachedMilestones, notifyMilestonesReached } from '@/lib/milestones';
 import { sendInvestmentNotification } from '@/lib/notifications';
-
-const SLIPPAGE_CONFIG = {
-  DEFAULT: 50,           // 0.5%
-  HIGH_VOLATILITY: 100,  // 1%
-  MAX_ALLOWED: 200       // 2%
-};
+import { SLIPPAGE_CONFIG, getQuoteData } from '@/lib/swapQuote';
+import { buildSwapCost } from '@/lib/costBasis';
+import { getSwapFeePaid } from '@/lib/priorityFees';
+import { loadCustomTokens } from '@/lib/customTokens';
+import { enforceRateLimit } from '@/lib/rateLimit';
+import { getBatch, transitionBatch } from '@/lib/investmentBatch';
+import { recordBatchEvent, BATCH_EVENT_TYPES } from '@/lib/batchEvents';
+import { RETRY_POLICY, recordSwapFailure, isBlockhashExpiredError } from '@/lib/swapRetry';
 
 export async function POST(request) {
   const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
@@ -29,13 +31,15 @@ export async function POST(request) {
     const { user: authUser, sess } = await requireAuth(request);
     user = authUser;
     ensureTwoFa(sess, user);
+    await enforceRateLimit('swapExecute', user.id);
+    await loadCustomTokens();
     
     const body = await request.json();
     const { 
       goalId, 
       batchId, 
       inputMint, // 'USDC' (default) or 'SOL'
-      outputMint, // Goal token: 'BTC', 'ETH', 'SOL'
+      outputMint, // Goal token symbol (see GET /api/tokens)
       slippageBps,
       signedTransaction, // Optional: if provided, submit instead of getting quote
       quoteResponse, // Required when submitting signed transaction
@@ -131,6 +135,17 @@ export async function POST(request) {
       }, { status: error.statusCode || 401 });
     }
     
+    if (error instanceof RateLimitError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          retryAfterSec: error.retryAfterSec
+        }
+      }, { status: error.statusCode, headers: error.headers });
+    }
+    
     // Check if it's a SwapError (includes SLIPPAGE_EXCEEDED, SWAP_EXECUTION_FAILED, etc.)
     if (error instanceof SwapError) {
       return Response.json({
@@ -182,335 +197,6 @@ export async function POST(request) {
   }
 }
 
-/**
- * Get quote data (internal helper - returns data object, not Response)
- * Used by both handleQuoteMode and auto-requote logic
- */
-async function getQuoteData({ goalId, batchId, inputMint, outputMint, slippageBps, userId, requestId }) {
-  try {
-    const finalSlippageBps = slippageBps || SLIPPAGE_CONFIG.DEFAULT;
-      
-    logger.info('Swap quote request', { 
-      userId, 
-      goalId, 
-      batchId, 
-      inputMint,
-      outputMint,
-      slippageBps: finalSlippageBps,
-      requestId 
-    });
-    
-    // Early validation
-    if (!inputMint || !outputMint) {
-      throw new ValidationError('inputMint and outputMint are required');
-    }
-    
-    // Network validation - Jupiter quotes should use mainnet for better liquidity
-    const currentNetwork = getNetwork();
-    const normalizedOutputMint = outputMint.toUpperCase();
-    
-    logger.info('Quote network check', { 
-      currentNetwork, 
-      outputMint: normalizedOutputMint,
-      requestId 
-    });
-    
-    if (currentNetwork === 'devnet' && (normalizedOutputMint === 'BTC' || normalizedOutputMint === 'ETH')) {
-      logger.warn('BTC/ETH quotes on devnet have limited liquidity', {
-        outputMint: normalizedOutputMint,
-        currentNetwork,
-        requestId
-      });
-      // Note: We still try, but warn that it may fail
-      // getTokenMint will throw error for BTC/ETH on devnet anyway
-    }
-    
-    // Check idempotency (allow re-quoting if previous quote expired)
-    const existing = await ensureIdempotency(batchId, 'SWAP', async () => null);
-    
-    if (existing && existing.meta?.state === 'SWAP_CONFIRMED') {
-      logger.info('Swap already confirmed, returning existing', { 
-        transactionId: existing.id, 
-        batchId,
-        requestId 
-      });
-      
-      // Return data object (not Response) for getQuoteData
-      return {
-        success: true,
-        batchId,
-        alreadyConfirmed: true,
-        transaction: {
-          id: existing.id,
-          type: existing.type,
-          txnHash: existing.txnHash,
-          amountCrypto: existing.amountCrypto,
-          tokenMint: existing.tokenMint,
-          network: existing.network,
-          state: existing.meta?.state || 'SWAP_CONFIRMED',
-        },
-        explorerUrl: existing.txnHash 
-          ? `https://explorer.solana.com/tx/${existing.txnHash}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`
-          : null,
-      };
-    }
-    
-    // Validate goal
-    const goal = await prisma.goal.findFirst({
-      where: {
-        id: goalId,
-        userId: userId,
-      },
-    });
-    
-    if (!goal) {
-      throw SwapErrors.INVALID_WALLET();
-    }
-    
-    if (goal.status !== 'ACTIVE') {
-      throw new ValidationError('Goal must be ACTIVE to execute swap');
-    }
-    
-    // Get ONRAMP transaction for this batchId
-    const onrampTransaction = await prisma.transaction.findFirst({
-      where: {
-        batchId,
-        type: 'ONRAMP',
-      },
-    });
-    
-    if (!onrampTransaction) {
-      throw new ValidationError('ONRAMP transaction not found for this batchId. Please simulate onramp first.');
-    }
-    
-    // Check if onramp is confirmed
-    const onrampState = onrampTransaction.meta?.state || 'ONRAMP_CONFIRMED';
-    if (onrampState !== 'ONRAMP_CONFIRMED') {
-      throw new ValidationError(`ONRAMP not confirmed. Current state: ${onrampState}`);
-    }
-    
-    // Get token mint addresses with error handling
-    // Use mainnet mints for Jupiter quotes (Jupiter API provides accurate mainnet prices)
-    let inputTokenInfo, outputTokenInfo;
-    try {
-      inputTokenInfo = getTokenMint(inputMint, 'mainnet');
-      outputTokenInfo = getTokenMint(outputMint, 'mainnet');
-    } catch (mintError) {
-      logger.error('Invalid token symbol', { 
-        inputMint, 
-        outputMint, 
-        error: mintError.message,
-        requestId 
-      });
-      throw new ValidationError(`Invalid token symbol: ${mintError.message}`);
-    }
-    
-    // Determine swap amount (use amount from ONRAMP transaction - should be USDC now)
-    const swapAmount = onrampTransaction.amountCrypto; // USDC amount from onramp
-    
-    // SAFETY: For testing, limit max swap amount to prevent accidental large transactions
-    const MAX_TEST_AMOUNT_USDC = 5; // Maximum 5 USDC for testing
-    if (swapAmount > MAX_TEST_AMOUNT_USDC) {
-      throw new ValidationError(
-        `Swap amount (${swapAmount} USDC) exceeds test limit (${MAX_TEST_AMOUNT_USDC} USDC). ` +
-        `This is a safety limit to prevent accidental large transactions during testing.`
-      );
-    }
-    
-    const swapAmountInSmallestUnits = toSmallestUnits(swapAmount, inputTokenInfo.decimals);
-      
-    logger.info('Getting swap quote', { 
-      inputMint: inputTokenInfo.mint,
-      outputMint: outputTokenInfo.mint,
-      amount: swapAmountInSmallestUnits,
-      slippageBps: finalSlippageBps,
-      requestId 
-    });
-      
-    // Get quote from Jupiter
-    const quote = await getSwapQuote(
-      inputTokenInfo.mint,
-      outputTokenInfo.mint,
-      swapAmountInSmallestUnits.toString(),
-      finalSlippageBps
-    );
-      
-    // Get user wallet address (needed for swap transaction)
-    // Note: We'll get it from the goal's user relation
-    const goalWithUser = await prisma.goal.findFirst({
-      where: { id: goalId },
-      include: { user: true },
-    });
-    
-    if (!goalWithUser?.user?.walletAddress || !isValidSolanaAddress(goalWithUser.user.walletAddress)) {
-      throw SwapErrors.INVALID_WALLET();
-    }
-    
-    // SAFETY: Check user wallet balance before swap execution
-    const connection = getSolanaConnection();
-    const userWalletPubkey = new PublicKey(goalWithUser.user.walletAddress);
-    const userBalance = await connection.getBalance(userWalletPubkey);
-    const userBalanceSol = userBalance / 1e9;
-    
-    // Estimate required SOL (rough estimate: swap amount + 0.005 SOL for fees)
-    // Note: This is a conservative estimate. Actual swap may need more depending on token and Jupiter fees
-    const estimatedRequiredSol = (swapAmount / 100) + 0.005; // Rough estimate assuming 1 SOL ≈ 100 USDC
-    const MIN_SOL_FOR_TEST = 0.001; // Minimum 0.001 SOL needed for any transaction
-    
-    if (userBalanceSol < MIN_SOL_FOR_TEST) {
-      throw new ValidationError(
-        `User wallet has insufficient SOL balance (${userBalanceSol.toFixed(6)} SOL). ` +
-        `Minimum ${MIN_SOL_FOR_TEST} SOL required for swap execution. ` +
-        `User needs to fund their wallet first.`
-      );
-    }
-    
-    if (userBalanceSol < estimatedRequiredSol) {
-      logger.warn('User wallet balance may be insufficient for swap', {
-        userBalanceSol,
-        estimatedRequiredSol,
-        swapAmountUsdc: swapAmount,
-        userWallet: goalWithUser.user.walletAddress,
-        requestId
-      });
-      // Continue with warning - actual swap will fail if insufficient, providing better error message
-    }
-    
-    // Get swap transaction (unsigned)
-    const swapData = await getSwapTransaction(
-      quote,
-      goalWithUser.user.walletAddress,
-      finalSlippageBps
-    );
-      
-    // Calculate output amount in human-readable format
-    const outputAmount = fromSmallestUnits(quote.outAmount, outputTokenInfo.decimals);
-    
-    logger.info('Swap transaction prepared', { 
-      inAmount: quote.inAmount,
-      outAmount: quote.outAmount,
-      outputAmount,
-      priceImpact: quote.priceImpactPct,
-      expiresAt: quote.expiresAt,
-      quoteId: quote.quoteId,
-      requestId 
-    });
-    
-    // Record QUOTED state transaction (upsert to handle re-quoting)
-    const quotedTxn = await prisma.transaction.upsert({
-      where: {
-        batchId_type: {
-          batchId,
-          type: 'SWAP',
-        },
-      },
-    create: {
-      goalId,
-      batchId,
-      type: 'SWAP',
-      provider: 'JUPITER',
-      network: getNetwork() === 'devnet' ? 'DEVNET' : 'MAINNET',
-      tokenMint: outputTokenInfo.mint,
-      amountInr: onrampTransaction.amountInr,
-      amountCrypto: outputAmount,
-      meta: {
-        state: 'QUOTED',
-        expiresAt: quote.expiresAt,
-        quoteId: quote.quoteId,
-        inputMint: inputTokenInfo.mint,
-        outputMint: outputTokenInfo.mint,
-        inputAmount: swapAmount,
-        outputAmount,
-        priceImpactPct: quote.priceImpactPct,
-        slippageBps: finalSlippageBps,
-      },
-    },
-    update: {
-      meta: {
-        state: 'QUOTED',
-        expiresAt: quote.expiresAt,
-        quoteId: quote.quoteId,
-        inputMint: inputTokenInfo.mint,
-        outputMint: outputTokenInfo.mint,
-        inputAmount: swapAmount,
-        outputAmount,
-        priceImpactPct: quote.priceImpactPct,
-        slippageBps: finalSlippageBps,
-      },
-    },
-    });
-    
-    // Send notification
-    const expiresIn = quote.expiresAt ? 
-      Math.round((new Date(quote.expiresAt).getTime() - Date.now()) / 1000) : 30;
-    await sendInvestmentNotification(batchId, 'QUOTED', {
-      inputAmount: swapAmount,
-      outputAmount,
-      goalCoin: outputMint,
-      expiresIn,
-    });
-  
-    // Return quote data object (not wrapped in Response)
-    return {
-      success: true,
-      batchId,
-      quote: {
-        inAmount: quote.inAmount,
-        outAmount: quote.outAmount,
-        outputAmount,
-        inputMint: inputTokenInfo.mint,
-        outputMint: outputTokenInfo.mint,
-        priceImpactPct: quote.priceImpactPct,
-        slippageBps: finalSlippageBps,
-        expiresAt: quote.expiresAt,
-        quoteId: quote.quoteId,
-      },
-      swapTransaction: swapData.swapTransaction,
-      lastValidBlockHeight: swapData.lastValidBlockHeight,
-    };
-  } catch (error) {
-    // Return structured error response with enhanced context
-    const errorCode = error.code || (error instanceof ValidationError ? 'VALIDATION_ERROR' : 'QUOTE_FAILED');
-    let errorMessage = error.message || 'Failed to get quote';
-    const statusCode = error.statusCode || (error instanceof ValidationError ? 400 : 500);
-    
-    // Enhance error message with token context if available
-    // Try to get resolved mint addresses if error occurred after token resolution
-    let inputMintAddress = inputMint;
-    let outputMintAddress = outputMint;
-    
-    try {
-      // If we got past token resolution, try to include resolved addresses
-      const inputInfo = getTokenMint(inputMint, 'mainnet');
-      const outputInfo = getTokenMint(outputMint, 'mainnet');
-      inputMintAddress = inputInfo?.mint || inputMint;
-      outputMintAddress = outputInfo?.mint || outputMint;
-    } catch {
-      // If token resolution failed, use symbols as-is
-    }
-    
-    // Add mint addresses to error message for NO_ROUTE_FOUND
-    if (errorCode === 'NO_ROUTE_FOUND') {
-      errorMessage = `No swap route found for ${inputMint} → ${outputMint} (input: ${inputMintAddress}, output: ${outputMintAddress}). This may be due to limited liquidity or unsupported token pair.`;
-    } else if (errorCode === 'JUPITER_API_ERROR' || errorCode === 'QUOTE_FAILED') {
-      errorMessage = `${errorMessage} (Input: ${inputMint}/${inputMintAddress}, Output: ${outputMint}/${outputMintAddress})`;
-    }
-    
-    logger.error('Quote failed', { 
-      error: errorMessage, 
-      code: errorCode, 
-      requestId,
-      inputMint,
-      outputMint,
-      inputMintAddress,
-      outputMintAddress,
-      stack: error.stack
-    });
-    
-    throw error; // Re-throw to be caught by caller
-  }
-}
-
 /**
  * Handle quote mode (Step A) - wraps getQuoteData in Response
  */
@@ -571,6 +257,11 @@ async function handleQuoteMode({ goalId, batchId, inputMint, outputMint, slippag
       error: {
         code: errorCode,
         message: errorMessage,
+        ...(error.hint && { hint: error.hint }),
+        // Checks that rejected the quote (PRE_TRADE_CHECK_FAILED)
+        ...(error.warnings && { warnings: error.warnings }),
+        // Goal rule that stopped the quote (INVESTMENT_RULE_NOT_MET)
+        ...(error.rule && { rule: error.rule }),
         // Include token info for debugging
         ...(errorCode === 'NO_ROUTE_FOUND' && {
           inputMint,
@@ -589,7 +280,12 @@ async function handleQuoteMode({ goalId, batchId, inputMint, outputMint, slippag
 async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResponse, userId, requestId }) {
   logger.info('Submitting signed swap transaction', { goalId, batchId, requestId });
   
-  // Get existing SWAP transaction (should be in QUOTED state)
+  // Batch should be QUOTED; the SWAP transaction holds the quote details
+  const batch = await getBatch(batchId);
+  if (!batch) {
+    throw BatchErrors.BATCH_NOT_FOUND();
+  }
+  
   const existingSwap = await prisma.transaction.findFirst({
     where: {
       batchId,
@@ -597,7 +293,7 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
     },
   });
   
-  if (existingSwap && existingSwap.meta?.state === 'SWAP_CONFIRMED') {
+  if (existingSwap && batch.state === 'SWAP_CONFIRMED') {
     logger.info('Swap already confirmed', { 
       transactionId: existingSwap.id, 
       batchId,
@@ -663,7 +359,7 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
     const now = Date.now();
     const expiresAt = new Date(quoteResponse.expiresAt).getTime();
     const clockSkewMs = 8000; // 8 seconds buffer (increased from 2s for clock skew tolerance)
-    const gracePeriodMs = 10000; // 10 seconds grace period after expiry
+    const gracePeriodMs = RETRY_POLICY.requoteGraceMs;
     const expiredMs = now - expiresAt;
     const remainingMs = expiresAt - now;
     
@@ -678,6 +374,15 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
         requestId 
       });
       
+      // The signed quote is dead either way. Recording the expiry also schedules a
+      // background re-quote in case the inline one below fails.
+      if (expiredMs > 0 && batch.state === 'QUOTED') {
+        await recordSwapFailure(batchId, SwapErrors.QUOTE_EXPIRED(), {
+          requestId,
+          stage: 'quote',
+        });
+      }
+      
       // AUTO-REQUOTE: If quote expired less than 10s ago, fetch new quote automatically
       if (expiredMs > 0 && expiredMs < gracePeriodMs) {
         logger.info('Quote expired within grace period, attempting auto re-quote', {
@@ -690,7 +395,8 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
           // Get token info from existing quote or transaction
           const inputMint = quoteResponse.inputMint || existingSwap?.meta?.inputMint || 'USDC';
           const outputMint = quoteResponse.outputMint || existingSwap?.meta?.outputMint || goal.coin;
-          const slippageBps = quoteResponse.slippageBps || existingSwap?.meta?.slippageBps || SLIPPAGE_CONFIG.DEFAULT;
+          // Without one, getQuoteData falls back to the user's default slippage
+          const slippageBps = quoteResponse.slippageBps || existingSwap?.meta?.slippageBps;
           
           // Fetch new quote automatically (like sher-web auto-requote pattern)
           // Use getQuoteData directly to get data object (not Response)
@@ -711,22 +417,6 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
               requestId
             });
             
-            // Update state to indicate auto-requote occurred
-            if (existingSwap) {
-              await prisma.transaction.update({
-                where: { id: existingSwap.id },
-                data: {
-                  meta: {
-                    ...existingSwap.meta,
-                    state: 'EXPIRED',
-                    expiredAt: new Date().toISOString(),
-                    gracePeriodUsed: true,
-                    autoReQuoted: true,
-                  },
-                },
-              });
-            }
-            
             // Return special response with retryable flag and new quote (Option C from help.txt)
             return Response.json({
               success: false,
@@ -745,7 +435,7 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
               batchId,
               requestId
             });
-            // Fall through to normal error handling
+            // Fall through to the expired response below
           }
         } catch (requoteError) {
           logger.error('Auto re-quote exception', {
@@ -754,31 +444,19 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
             requestId,
             stack: requoteError.stack
           });
-          // Fall through to normal error handling - will return QUOTE_EXPIRED without retryable
+          // Fall through to the expired response below - QUOTE_EXPIRED without retryable
         }
-      } else if (expiredMs >= gracePeriodMs) {
-        // Quote significantly expired (> 10s), hard fail
-        logger.error('Quote significantly expired, blocking execution', {
+      }
+      
+      if (expiredMs > 0) {
+        // Quote significantly expired (> 10s) or auto re-quote failed, hard fail
+        logger.error('Quote expired, blocking execution', {
           expiredMs,
           gracePeriodMs,
           batchId,
           requestId
         });
         
-        // Update state to EXPIRED
-        if (existingSwap) {
-          await prisma.transaction.update({
-            where: { id: existingSwap.id },
-            data: {
-              meta: {
-                ...existingSwap.meta,
-                state: 'EXPIRED',
-                expiredAt: new Date().toISOString(),
-              },
-            },
-          });
-        }
-        
         await sendInvestmentNotification(batchId, 'EXPIRED', {});
         
         return Response.json({
@@ -848,6 +526,13 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
     });
   }
   
+  // Claim the quote before submitting: only one request can move QUOTED -> SWAP_SIGNED,
+  // so a double-submitted swap fails here instead of on-chain
+  await transitionBatch(batchId, 'SWAP_SIGNED', {}, {
+    requestId,
+    details: { quoteId: quoteResponse.quoteId },
+  });
+  
   // NOTE: Cannot refresh blockhash of signed transactions - it invalidates signatures
   // Jupiter quotes already include fresh blockhashes, so we submit as-is
   // If blockhash expires, auto-retry will handle it
@@ -855,25 +540,24 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
   let signature;
   let blockhash;
   let lastValidBlockHeight;
+  await recordBatchEvent(batchId, BATCH_EVENT_TYPES.SUBMIT_ATTEMPT, {
+    quoteId: quoteResponse.quoteId,
+    transactionLength: signedTransaction.length,
+  }, { requestId });
+  
   try {
     const result = await submitSwapTransactionImmediate(signedTransaction, connection);
     signature = result.signature;
     blockhash = result.blockhash;
     lastValidBlockHeight = result.lastValidBlockHeight;
   } catch (error) {
-    // If submission fails, record as FAILED
-    if (existingSwap) {
-      await prisma.transaction.update({
-        where: { id: existingSwap.id },
-        data: {
-          meta: {
-            ...existingSwap.meta,
-            state: 'FAILED',
-            error: error.message,
-          },
-        },
-      });
-    }
+    // If submission fails, record as FAILED and schedule a retry
+    await recordBatchEvent(batchId, BATCH_EVENT_TYPES.RPC_ERROR, {
+      stage: 'submit',
+      error: error.message,
+      code: error.code,
+    }, { requestId });
+    await recordSwapFailure(batchId, error, { requestId, stage: 'submit', signedTransaction });
     
     await sendInvestmentNotification(batchId, 'FAILED', {
       reason: error.message,
@@ -891,7 +575,15 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
   const outAmountSmallestUnits = BigInt(quoteResponse.outAmount);
   const outAmountGoalTokenUnits = fromSmallestUnits(Number(outAmountSmallestUnits), outputTokenInfo.decimals);
 
+  // Record executed cost (USDC spent + INR equivalent at execution time) for cost basis
+  const swapCost = await buildSwapCost(onrampTransaction.amountCrypto, outAmountGoalTokenUnits);
+
   // Record SWAP_SUBMITTED state
+  await transitionBatch(batchId, 'SWAP_SUBMITTED', {}, {
+    requestId,
+    details: { signature, blockhash, lastValidBlockHeight },
+  });
+  
   const swapTxn = await prisma.transaction.upsert({
     where: {
       batchId_type: {
@@ -910,7 +602,6 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
       amountCrypto: outAmountGoalTokenUnits,
         tokenMint: outputTokenInfo.mint,
         meta: {
-        state: 'SWAP_SUBMITTED',
         expiresAt: quoteResponse.expiresAt,
         quoteId: quoteResponse.quoteId,
           onrampTransactionId: onrampTransaction.id,
@@ -918,15 +609,16 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
           outputMint: outputTokenInfo.mint,
         quoteOutAmountRaw: quoteResponse.outAmount,
           quoteOutAmountDecimals: outputTokenInfo.decimals,
+        ...swapCost,
       },
     },
     update: {
       txnHash: signature,
       meta: {
         ...existingSwap?.meta,
-        state: 'SWAP_SUBMITTED',
         expiresAt: quoteResponse.expiresAt,
         quoteId: quoteResponse.quoteId,
+        ...swapCost,
       },
     },
   });
@@ -944,18 +636,14 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
       confirmed = true;
     }
   } catch (error) {
-    // If confirmation fails, record as FAILED
-    await prisma.transaction.update({
-      where: { id: swapTxn.id },
-      data: {
-        meta: {
-          ...swapTxn.meta,
-          state: 'FAILED',
-          error: error.message,
-          errorCode: error.code,
-        },
-      },
-    });
+    // If confirmation fails, record as FAILED and schedule a retry
+    await recordBatchEvent(batchId, BATCH_EVENT_TYPES.RPC_ERROR, {
+      stage: 'confirm',
+      signature,
+      error: error.message,
+      code: error.code,
+    }, { requestId });
+    await recordSwapFailure(batchId, error, { requestId, stage: 'confirm' });
     
     await sendInvestmentNotification(batchId, 'FAILED', {
       reason: error.message,
@@ -965,17 +653,20 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
   }
   
   if (confirmed) {
+    const feePaid = await getSwapFeePaid(signature, connection);
+
     // Update to SWAP_CONFIRMED and update goal
     const result = await prisma.$transaction(async (tx) => {
-      const updatedTxn = await tx.transaction.update({
+      await transitionBatch(batchId, 'SWAP_CONFIRMED', {}, {
+        client: tx,
+        requestId,
+        details: { signature, outputAmount: outAmountGoalTokenUnits, ...feePaid },
+      });
+
+      const confirmedTxn = await tx.transaction.update({
         where: { id: swapTxn.id },
-        data: {
-          meta: {
-            ...swapTxn.meta,
-            state: 'SWAP_CONFIRMED',
-        },
-      },
-    });
+        data: { meta: { ...swapTxn.meta, ...feePaid } },
+      });
     
       // Update goal invested amount
     const updatedGoal = await tx.goal.update({
@@ -996,12 +687,15 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
       updatedGoal.status = 'COMPLETED';
     }
     
+      const milestonesReached = await recordReachedMilestones(updatedGoal, { client: tx, batchId });
+    
     const progress = calculateProgress(updatedGoal.investedAmount, updatedGoal.targetAmount);
     
     return {
-        transaction: updatedTxn,
+        transaction: confirmedTxn,
       goal: updatedGoal,
       progress,
+        milestonesReached,
     };
   });
   
@@ -1018,6 +712,7 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
       goalCoin: goal.coin,
       progressPercentage: result.progress,
     });
+    await notifyMilestonesReached(result.goal, result.milestonesReached);
   
     return Response.json({
       success: true,
@@ -1036,6 +731,7 @@ async function handleExecuteMode({ goalId, batchId, signedTransaction, quoteResp
       investedAmount: result.goal.investedAmount,
       progressPercentage: result.progress,
       status: result.goal.status,
+        milestonesReached: result.milestonesReached.map(({ kind, threshold }) => ({ kind, threshold })),
     },
       explorerUrl: `https://explorer.solana.com/tx/${signature}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`,
   }, { status: 201 });
@@ -1199,18 +895,7 @@ async function confirmTransactionWithBlockhash(connection, signature, blockhash,
     return true;
   } catch (error) {
     // Handle blockheight exceeded errors (like sher-web)
-    const errorStr = JSON.stringify(error).toLowerCase();
-    const errorMsg = error.message?.toLowerCase() || '';
-    const isBlockheightError =
-      error?.message?.includes('TransactionExpiredBlockheightExceededError') ||
-      error?.message?.includes('block height exceeded') ||
-      error?.message?.includes('expired') ||
-      error?.name === 'TransactionExpiredBlockheightExceededError' ||
-      errorStr.includes('transactionexpiredblockheightexceedederror') ||
-      errorStr.includes('block height exceeded') ||
-      errorStr.includes('expired');
-    
-    if (isBlockheightError) {
+    if (isBlockhashExpiredError(error)) {
       logger.warn('Transaction expired due to blockheight exceeded', { signature, requestId });
       throw SwapErrors.QUOTE_EXPIRED();
     }
@@ -0,0 +1,55 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { logger } from '@/lib/logger';
+import { loadCustomTokens } from '@/lib/customTokens';
+import { getSupportedTokens } from '@/lib/prices';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * GET /api/tokens
+ * Tokens a new goal can target: popular tokens (except USDC) and admin-added mints
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    await loadCustomTokens();
+
+    const tokens = getSupportedTokens().map((token) => ({
+      symbol: token.symbol,
+      name: token.name,
+      mint: token.mint,
+      decimals: token.decimals,
+      maxTarget: token.maxTarget,
+      custom: Boolean(token.custom)
+    }));
+
+    return Response.json({
+      success: true,
+      tokens
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Token list fetch failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch tokens'
+      }
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,141 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import {
+  resolveNotificationPreferences,
+  validateNotificationPreferences,
+} from '@/lib/notificationPreferences';
+import { getNotificationChannels } from '@/lib/notificationChannels';
+import { NOTIFICATION_TYPES } from '@/lib/notificationTemplates';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+// Channels the server can send on and the types a channel can be turned on for
+const availableOptions = () => ({
+  channels: getNotificationChannels().map((channel) => ({ name: channel.name, configured: channel.isConfigured() })),
+  types: NOTIFICATION_TYPES,
+});
+
+/**
+ * GET /api/user/notification-preferences
+ * The user's notification channel settings and quiet hours, the values in
+ * effect (with defaults filled in) and the channels and types to choose from
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const { notificationPreferences } = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { notificationPreferences: true }
+    });
+
+    return Response.json({
+      success: true,
+      preferences: notificationPreferences || {},
+      effective: resolveNotificationPreferences(notificationPreferences),
+      options: availableOptions()
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Notification preferences fetch failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch notification preferences'
+      }
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/user/notification-preferences
+ * Turn channels on or off per notification type and set quiet hours
+ * Body: { channels?: { email?: { enabled?, types? } }, quietHours?: { start, end, timeZone? } | null }
+ * (`types: null` restores the channel's default types)
+ */
+export async function PUT(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const body = await request.json();
+
+    const current = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { notificationPreferences: true }
+    });
+
+    const notificationPreferences = validateNotificationPreferences(body, current.notificationPreferences);
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { notificationPreferences }
+    });
+
+    logger.info('Notification preferences updated', { userId: user.id, notificationPreferences, requestId });
+
+    return Response.json({
+      success: true,
+      preferences: notificationPreferences,
+      effective: resolveNotificationPreferences(notificationPreferences),
+      options: availableOptions()
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Notification preferences update failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update notification preferences'
+      }
+    }, { status: 500 });
+  }
+}
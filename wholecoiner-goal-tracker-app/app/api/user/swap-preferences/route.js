@@ -0,0 +1,133 @@
+import { requireAuth, ensureTwoFa } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import {
+  SWAP_PREFERENCE_LIMITS,
+  resolveSwapPreferences,
+  validateSwapPreferences,
+} from '@/lib/swapPreferences';
+import { AuthenticationError, AuthorizationError } from '@/lib/errors';
+
+/**
+ * GET /api/user/swap-preferences
+ * The user's slippage and priority-fee settings, the values in effect
+ * (with system defaults filled in) and the allowed bounds
+ */
+export async function GET(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const { swapPreferences } = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { swapPreferences: true }
+    });
+
+    return Response.json({
+      success: true,
+      preferences: swapPreferences || {},
+      effective: resolveSwapPreferences({ swapPreferences }),
+      limits: SWAP_PREFERENCE_LIMITS
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Swap preferences fetch failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch swap preferences'
+      }
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/user/swap-preferences
+ * Update the defaults used for all of the user's swaps
+ * Body: { defaultSlippageBps?, maxSlippageBps?, priorityLevel?, maxPriorityFeeLamports? } (null resets a field)
+ */
+export async function PUT(request) {
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+
+  try {
+    const { user, sess } = await requireAuth(request);
+    ensureTwoFa(sess, user);
+
+    const body = await request.json();
+
+    const current = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { swapPreferences: true }
+    });
+
+    const swapPreferences = validateSwapPreferences(body, current.swapPreferences);
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { swapPreferences }
+    });
+
+    logger.info('Swap preferences updated', { userId: user.id, swapPreferences, requestId });
+
+    return Response.json({
+      success: true,
+      preferences: swapPreferences,
+      effective: resolveSwapPreferences({ swapPreferences }),
+      limits: SWAP_PREFERENCE_LIMITS
+    }, { status: 200 });
+
+  } catch (error) {
+    logger.error('Swap preferences update failed', { error: error.message, requestId });
+
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code || 'AUTH_ERROR',
+          message: error.message
+        }
+      }, { status: error.statusCode || 401 });
+    }
+
+    if (error.statusCode) {
+      return Response.json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      }, { status: error.statusCode });
+    }
+
+    return Response.json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update swap preferences'
+      }
+    }, { status: 500 });
+  }
+}
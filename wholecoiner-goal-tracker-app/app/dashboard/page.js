@@ -4,6 +4,7 @@ import { usePrivy } from '@privy-io/react-auth';
 import { useRouter } from 'next/navigation';
 import { useEffect, useMemo, useState } from 'react';
 import HeaderPriceTicker from '@/components/HeaderPriceTicker';
+import NotificationBell from '@/components/NotificationBell';
 
 const STATUS_STYLES = {
   ACTIVE: 'border border-emerald-500/30 bg-emerald-500/10 text-emerald-300',
@@ -18,13 +19,8 @@ export default function Dashboard() {
 
   const [checking2FA, setChecking2FA] = useState(true);
   const [userData, setUserData] = useState(null);
-  const [goals, setGoals] = useState([]);
+  const [portfolio, setPortfolio] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    totalBalance: 0,
-    overallProgress: 0,
-    activeGoals: 0,
-  });
 
   // Redirect unauthenticated users
   useEffect(() => {
@@ -58,7 +54,7 @@ export default function Dashboard() {
         const data = await response.json();
         if (data.success) {
           setUserData(data.user);
-          fetchGoals();
+          fetchPortfolio();
         }
       }
     } catch (error) {
@@ -68,51 +64,25 @@ export default function Dashboard() {
     }
   };
 
-  const fetchGoals = async () => {
+  // Totals, allocation, per-goal progress and value series in one request
+  const fetchPortfolio = async () => {
     try {
       setLoading(true);
-      const response = await fetch('/api/goals', { credentials: 'include' });
+      const response = await fetch('/api/portfolio', { credentials: 'include' });
 
       if (response.ok) {
         const data = await response.json();
         if (data.success) {
-          const list = data.goals || [];
-          setGoals(list);
-          calculateStats(list);
+          setPortfolio(data);
         }
       }
     } catch (err) {
-      console.error('Error fetching goals:', err);
+      console.error('Error fetching portfolio:', err);
     } finally {
       setLoading(false);
     }
   };
 
-  const calculateStats = (goalsData) => {
-    const activeGoals = goalsData.filter((g) => g.status === 'ACTIVE');
-    const activeGoalsCount = activeGoals.length;
-
-    let overallProgress = 0;
-    if (activeGoalsCount > 0) {
-      const totalProgress = activeGoals.reduce(
-        (sum, goal) => sum + (goal.progressPercentage || 0),
-        0
-      );
-      overallProgress = Math.round(totalProgress / activeGoalsCount);
-    }
-
-    const totalBalance = goalsData.reduce(
-      (sum, goal) => sum + (parseFloat(goal.investedAmount) || 0),
-      0
-    );
-
-    setStats({
-      totalBalance,
-      overallProgress,
-      activeGoals: activeGoalsCount,
-    });
-  };
-
   const handleLogout = async () => {
     try {
       await logout();
@@ -172,6 +142,13 @@ export default function Dashboard() {
       maximumFractionDigits: 2,
     }).format(Number(value || 0));
 
+  const formatInr = (value) =>
+    new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR',
+      maximumFractionDigits: 0,
+    }).format(Number(value || 0));
+
   const humanizeFrequency = (freq) => {
     if (!freq) return 'Flexible cadence';
     return freq.charAt(0) + freq.slice(1).toLowerCase();
@@ -271,7 +248,22 @@ export default function Dashboard() {
     );
   };
 
-  const totalBalanceFormatted = formatFiat(stats.totalBalance);
+  const totals = portfolio?.totals ?? { currentValueInr: 0, currentValueUsd: 0, totalInvestedInr: 0, unrealizedPnlInr: 0, unrealizedPnlPercentage: 0, overallProgress: 0, activeGoals: 0 };
+  const change24h = portfolio?.change24h ?? null;
+  const allocation = portfolio?.allocation ?? [];
+  const goals = (portfolio?.goals ?? []).map((goal) => ({ ...goal, id: goal.goalId }));
+
+  // Sparkline of portfolio value over the series range
+  const seriesPoints = portfolio?.series.points ?? [];
+  const sparkline = (() => {
+    if (seriesPoints.length < 2) return null;
+    const values = seriesPoints.map((point) => point.valueInr);
+    const min = Math.min(...values);
+    const span = Math.max(...values) - min || 1;
+    return values
+      .map((value, index) => `${(index / (values.length - 1)) * 100},${30 - ((value - min) / span) * 28 - 1}`)
+      .join(' ');
+  })();
 
   return (
     <div className="relative min-h-screen w-full overflow-hidden bg-[var(--bg-main)] bg-gradient-to-b from-[var(--bg-main)] via-[#17110b] to-[#120904] text-[var(--text-primary)]">
@@ -322,6 +314,7 @@ export default function Dashboard() {
             <span className="hidden rounded-full border border-[var(--border-subtle)] px-3 py-1 sm:inline-flex">
               Secured 2FA
             </span>
+            <NotificationBell />
             <button
               className="rounded-full border border-[var(--border-subtle)] px-3 py-1 hover:text-[var(--accent)] transition-colors"
               onClick={handleLogout}
@@ -381,26 +374,35 @@ export default function Dashboard() {
             <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-3">
               <div className="flex flex-col gap-3 rounded-2xl border border-[#292018] bg-[#150e08] p-6 shadow-[0_18px_70px_rgba(0,0,0,0.45)]">
                 <span className="text-[0.62rem] uppercase tracking-[0.26em] text-[var(--text-secondary)]">
-                  Total balance
+                  Portfolio value
                 </span>
                 <span className="text-3xl font-semibold text-[var(--text-primary)]">
-                  {totalBalanceFormatted}
+                  {formatInr(totals.currentValueInr)}
                 </span>
                 <span className="text-xs text-[var(--text-secondary)]">
-                  Across all active accumulation goals
+                  {formatFiat(totals.currentValueUsd)} · invested {formatInr(totals.totalInvestedInr)}
                 </span>
+                <span className={`text-xs ${totals.unrealizedPnlInr >= 0 ? 'text-emerald-300' : 'text-red-400'}`}>
+                  {totals.unrealizedPnlInr >= 0 ? '+' : ''}{formatInr(totals.unrealizedPnlInr)} ({totals.unrealizedPnlPercentage}%)
+                  {change24h && ` · 24h ${change24h.valueInr >= 0 ? '+' : ''}${change24h.percentage}%`}
+                </span>
+                {sparkline && (
+                  <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="h-10 w-full">
+                    <polyline points={sparkline} fill="none" stroke="var(--accent)" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+                  </svg>
+                )}
               </div>
               <div className="flex flex-col gap-3 rounded-2xl border border-[#292018] bg-[#150e08] p-6 shadow-[0_18px_70px_rgba(0,0,0,0.45)]">
                 <span className="text-[0.62rem] uppercase tracking-[0.26em] text-[var(--text-secondary)]">
                   Overall progress
                 </span>
                 <span className="text-3xl font-semibold text-[var(--text-primary)]">
-                  {stats.overallProgress}%
+                  {totals.overallProgress}%
                 </span>
                 <div className="mt-2 h-2.5 overflow-hidden rounded-full bg-[#24160e]">
                   <div
                     className="h-full rounded-full bg-[var(--accent)] transition-all duration-500"
-                    style={{ width: `${stats.overallProgress}%` }}
+                    style={{ width: `${totals.overallProgress}%` }}
                   />
                 </div>
                 <span className="text-xs text-[var(--text-secondary)]">
@@ -412,11 +414,21 @@ export default function Dashboard() {
                   Active goals
                 </span>
                 <span className="text-3xl font-semibold text-[var(--text-primary)]">
-                  {stats.activeGoals}
+                  {totals.activeGoals}
                 </span>
                 <span className="text-xs text-[var(--text-secondary)]">
                   Targets currently in motion
                 </span>
+                {allocation.length > 0 && (
+                  <div className="mt-1 space-y-1 text-xs text-[var(--text-secondary)]">
+                    {allocation.map((row) => (
+                      <div key={row.coin} className="flex justify-between gap-3">
+                        <span>{row.coin}</span>
+                        <span className="text-[var(--text-primary)]">{row.percentage}% · {formatInr(row.valueInr)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
           </section>
@@ -445,6 +457,12 @@ export default function Dashboard() {
                 >
                   All goals
                 </button>
+                <button
+                  className="rounded-full px-3 py-1 hover:text-[var(--accent)] transition-colors"
+                  onClick={() => router.push('/reports/tax')}
+                >
+                  Tax report
+                </button>
               </div>
             </div>
 
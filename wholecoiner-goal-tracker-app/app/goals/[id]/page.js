@@ -6,6 +6,12 @@ import { usePrivy } from '@privy-io/react-auth';
 import Link from 'next/link';
 import InvestFlow from '@/components/InvestFlow';
 import TransactionHistory from '@/components/TransactionHistory';
+import PriceHistoryChart from '@/components/PriceHistoryChart';
+import EditGoalForm from '@/components/EditGoalForm';
+import GoalRevisionHistory from '@/components/GoalRevisionHistory';
+import AutoSignSettings from '@/components/AutoSignSettings';
+import InvestmentRules from '@/components/InvestmentRules';
+import GoalMilestones from '@/components/GoalMilestones';
 
 export default function GoalProgressPage({ params }) {
   const router = useRouter();
@@ -15,7 +21,11 @@ export default function GoalProgressPage({ params }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [actionLoading, setActionLoading] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [pendingPause, setPendingPause] = useState(null);
   const transactionHistoryRef = useRef(null);
+  const revisionHistoryRef = useRef(null);
+  const milestonesRef = useRef(null);
 
   // Redirect if not authenticated
   useEffect(() => {
@@ -27,9 +37,25 @@ export default function GoalProgressPage({ params }) {
   useEffect(() => {
     if (ready && authenticated) {
       fetchProgress();
+      fetchPendingPause();
     }
   }, [goalId, ready, authenticated]);
 
+  const fetchPendingPause = async () => {
+    try {
+      const response = await fetch(`/api/goals/${goalId}/pause-requests?status=PENDING`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setPendingPause(data.pauseRequests[0] || null);
+      }
+    } catch (err) {
+      // The pause button falls back to creating a request
+    }
+  };
+
   const fetchProgress = async () => {
     try {
       setLoading(true);
@@ -110,11 +136,10 @@ export default function GoalProgressPage({ params }) {
     if (!progress || !progress.currentPriceUSD) return null;
 
     const targetValueUSD = progress.targetAmount * progress.currentPriceUSD;
-    const totalInvestedUSD = progress.currentValueUSDC || 0; // Use current value as invested value
-    
-    // Calculate profit/loss in USD (for now 0, but structure for future)
-    const profitLossUSD = 0;
-    const profitLossPercentage = 0;
+    // Cost basis recorded at swap execution time
+    const totalInvestedUSD = progress.costBasis?.totalCostUSDC || 0;
+    const profitLossUSD = progress.profitLossUSD || 0;
+    const profitLossPercentage = progress.profitLossPercentage || 0;
 
     return {
       targetValueUSD,
@@ -125,8 +150,9 @@ export default function GoalProgressPage({ params }) {
   };
 
   const usdValues = calculateUSDValues();
+  const pauseCoolingOff = pendingPause && new Date() < new Date(pendingPause.approvableAt);
 
-  // Handle pause goal
+  // Handle pause goal: request a pause, then confirm it once the cooling-off period ends
   const handlePauseGoal = async () => {
     if (!progress || actionLoading) return;
     
@@ -134,18 +160,28 @@ export default function GoalProgressPage({ params }) {
     setError('');
     
     try {
-      const response = await fetch(`/api/goals/${goalId}`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-        body: JSON.stringify({ status: 'PAUSED' })
-      });
+      const response = pendingPause
+        ? await fetch(`/api/goals/${goalId}/pause-requests/${pendingPause.id}`, {
+            method: 'PATCH',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({ status: 'APPROVED' })
+          })
+        : await fetch(`/api/goals/${goalId}/pause-requests`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify({})
+          });
 
       const data = await response.json();
 
       if (data.success) {
+        setPendingPause(data.pauseRequest.status === 'PENDING' ? data.pauseRequest : null);
         // Refresh progress data
         await fetchProgress();
       } else {
@@ -190,11 +226,74 @@ export default function GoalProgressPage({ params }) {
     }
   };
 
-  // Handle edit goal (placeholder - can be extended later)
+  // Handle archive / unarchive goal
+  const handleArchiveToggle = async () => {
+    if (!progress || actionLoading) return;
+    
+    const action = progress.status === 'ARCHIVED' ? 'unarchive' : 'archive';
+    setActionLoading(true);
+    setError('');
+    
+    try {
+      const response = await fetch(`/api/goals/${goalId}/${action}`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        await fetchProgress();
+      } else {
+        setError(data.error?.message || `Failed to ${action} goal`);
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Handle delete goal (only possible before any investment)
+  const handleDeleteGoal = async () => {
+    if (!progress || actionLoading) return;
+    if (!window.confirm('Delete this goal? This cannot be undone.')) return;
+    
+    setActionLoading(true);
+    setError('');
+    
+    try {
+      const response = await fetch(`/api/goals/${goalId}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        router.push('/goals');
+      } else {
+        setError(data.error?.message || 'Failed to delete goal');
+        setActionLoading(false);
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+      setActionLoading(false);
+    }
+  };
+
+  // Handle edit goal
   const handleEditGoal = () => {
-    // For now, just show a message that edit functionality is coming
-    // This can be extended to show a modal or redirect to an edit page
-    alert('Edit goal functionality will be available soon. You can update goal settings from the goals page.');
+    setEditing(true);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleGoalSaved = async () => {
+    setEditing(false);
+    await fetchProgress();
+    if (revisionHistoryRef.current) {
+      revisionHistoryRef.current.refresh();
+    }
   };
 
   // Show loading while checking auth
@@ -316,12 +415,16 @@ export default function GoalProgressPage({ params }) {
             <div className="flex flex-wrap justify-between gap-3 p-4 mb-6">
               <div className="flex-1">
                 <h1 className="text-white text-4xl font-black leading-tight tracking-[-0.033em] min-w-72 mb-2">
-                  {progress.targetAmount} {progress.coin} Goal
+                  {progress.name || `${progress.targetAmount} ${progress.coin} Goal`}
                 </h1>
+                {progress.note && (
+                  <p className="text-[#c9b292] text-base max-w-2xl">{progress.note}</p>
+                )}
                 <div className="flex items-center gap-3 mt-2">
                   <span className={`inline-flex px-3 py-1 text-xs font-semibold rounded-full ${
                     progress.status === 'ACTIVE' ? 'bg-green-500/20 text-green-400 border border-green-500/30' :
                     progress.status === 'PAUSED' ? 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/30' :
+                    progress.status === 'ARCHIVED' ? 'bg-[#221a10] text-[#c9b292] border border-[#c9b292]/30' :
                     'bg-gray-500/20 text-gray-400 border border-gray-500/30'
                   }`}>
                     {progress.status}
@@ -333,6 +436,18 @@ export default function GoalProgressPage({ params }) {
               </div>
             </div>
 
+            {/* Edit Goal */}
+            {editing && (
+              <div className="flex flex-col gap-6 mb-6">
+                <EditGoalForm
+                  goalId={goalId}
+                  goal={progress}
+                  onSaved={handleGoalSaved}
+                  onCancel={() => setEditing(false)}
+                />
+              </div>
+            )}
+
             {/* Progress Overview */}
             <div className="flex flex-col gap-6 mb-6">
               <div className="rounded-xl bg-[#483923] p-6">
@@ -389,7 +504,13 @@ export default function GoalProgressPage({ params }) {
                     <div className="flex justify-between items-center">
                       <span className="text-[#c9b292] text-sm font-medium">Total Invested</span>
                       <span className="text-white text-lg font-bold">
-                        {progress.currentValueUSDC ? formatCurrencyUSD(progress.currentValueUSDC) : 'N/A'}
+                        {usdValues ? formatCurrencyUSD(usdValues.totalInvestedUSD) : 'N/A'}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-[#c9b292] text-sm font-medium">Average Cost</span>
+                      <span className="text-white text-lg font-bold">
+                        {progress.costBasis?.averageCostUSD ? formatCurrencyUSD(progress.costBasis.averageCostUSD) : 'N/A'}
                       </span>
                     </div>
                   </div>
@@ -419,6 +540,11 @@ export default function GoalProgressPage({ params }) {
               </div>
             </div>
 
+            {/* Price History */}
+            <div className="flex flex-col gap-6 mb-6">
+              <PriceHistoryChart coin={progress.coin} currency="USD" />
+            </div>
+
             {/* Investment Plan */}
             <div className="flex flex-col gap-6 mb-6">
               <div className="rounded-xl bg-[#483923] p-6">
@@ -461,6 +587,20 @@ export default function GoalProgressPage({ params }) {
                         </div>
                       </>
                     )}
+                    {progress.strategy && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-[#c9b292] text-sm font-medium">Strategy</span>
+                        <span className="text-white text-lg font-bold text-right">
+                          {progress.strategy.label}
+                          {progress.strategy.nextContributionInr !== null && (
+                            <span className="block text-[#c9b292] text-xs font-normal">
+                              Next: ₹{Math.round(progress.strategy.nextContributionInr).toLocaleString('en-IN')}
+                              {progress.strategy.nextContributionReason && ` · ${progress.strategy.nextContributionReason}`}
+                            </span>
+                          )}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between items-center">
                       <span className="text-[#c9b292] text-sm font-medium">Last Updated</span>
                       <span className="text-white text-lg font-bold">
@@ -485,16 +625,43 @@ export default function GoalProgressPage({ params }) {
                     if (transactionHistoryRef.current) {
                       transactionHistoryRef.current.refresh();
                     }
+                    if (milestonesRef.current) {
+                      milestonesRef.current.refresh();
+                    }
                   }}
                 />
               </div>
             </div>
 
+            {/* Milestones */}
+            <div className="mb-6">
+              <GoalMilestones ref={milestonesRef} goalId={goalId} coin={progress.coin} />
+            </div>
+
+            {/* Auto-Invest Signing */}
+            {(progress.status === 'ACTIVE' || progress.status === 'PAUSED') && (
+              <div className="mb-6">
+                <AutoSignSettings goalId={goalId} />
+              </div>
+            )}
+
+            {/* Investment Rules */}
+            {(progress.status === 'ACTIVE' || progress.status === 'PAUSED') && (
+              <div className="mb-6">
+                <InvestmentRules goalId={goalId} coin={progress.coin} />
+              </div>
+            )}
+
             {/* Transaction History */}
             <div className="mb-6">
               <TransactionHistory ref={transactionHistoryRef} goalId={goalId} />
             </div>
 
+            {/* Change History */}
+            <div className="mb-6">
+              <GoalRevisionHistory ref={revisionHistoryRef} goalId={goalId} coin={progress.coin} />
+            </div>
+
             {/* Actions */}
             <div className="flex flex-col sm:flex-row items-center justify-end gap-4 p-4 mt-8 border-t border-solid border-[#483923]">
               <button 
@@ -503,15 +670,38 @@ export default function GoalProgressPage({ params }) {
               >
                 Back to Goals
               </button>
+              {progress.investedAmount === 0 && (
+                <button 
+                  onClick={handleDeleteGoal}
+                  disabled={actionLoading}
+                  className="text-red-400 text-sm font-bold leading-normal tracking-[0.015em] hover:text-red-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Delete Goal
+                </button>
+              )}
+              <button 
+                onClick={handleArchiveToggle}
+                disabled={actionLoading}
+                className="flex min-w-[120px] max-w-[480px] cursor-pointer items-center justify-center overflow-hidden rounded-full h-12 px-6 bg-[#483923] text-white text-base font-bold leading-normal tracking-[0.015em] hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <span className="truncate">{progress.status === 'ARCHIVED' ? 'Unarchive Goal' : 'Archive Goal'}</span>
+              </button>
               {progress.status === 'ACTIVE' ? (
                 <button 
                   onClick={handlePauseGoal}
-                  disabled={actionLoading}
+                  disabled={actionLoading || pauseCoolingOff}
+                  title={pauseCoolingOff ? 'Pauses can be confirmed once the cooling-off period ends' : undefined}
                   className="flex min-w-[120px] max-w-[480px] cursor-pointer items-center justify-center overflow-hidden rounded-full h-12 px-6 bg-yellow-600 text-white text-base font-bold leading-normal tracking-[0.015em] hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  <span className="truncate">{actionLoading ? 'Pausing...' : 'Pause Goal'}</span>
+                  <span className="truncate">
+                    {actionLoading
+                      ? 'Pausing...'
+                      : pauseCoolingOff
+                        ? `Pause from ${formatDate(pendingPause.approvableAt)} ${formatTime(pendingPause.approvableAt)}`
+                        : pendingPause ? 'Confirm Pause' : 'Pause Goal'}
+                  </span>
                 </button>
-              ) : (
+              ) : progress.status === 'PAUSED' && (
                 <button 
                   onClick={handleResumeGoal}
                   disabled={actionLoading}
@@ -522,7 +712,8 @@ export default function GoalProgressPage({ params }) {
               )}
               <button 
                 onClick={handleEditGoal}
-                className="flex min-w-[120px] max-w-[480px] cursor-pointer items-center justify-center overflow-hidden rounded-full h-12 px-6 bg-primary text-[#221b11] text-base font-bold leading-normal tracking-[0.015em] hover:opacity-90 transition-opacity"
+                disabled={editing || progress.status === 'COMPLETED' || progress.status === 'ARCHIVED'}
+                className="flex min-w-[120px] max-w-[480px] cursor-pointer items-center justify-center overflow-hidden rounded-full h-12 px-6 bg-primary text-[#221b11] text-base font-bold leading-normal tracking-[0.015em] hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 <span className="truncate">Edit Goal</span>
               </button>
@@ -5,6 +5,7 @@ import { useRouter } from 'next/navigation';
 import { usePrivy } from '@privy-io/react-auth';
 import Link from 'next/link';
 
+// Default options until GET /api/tokens responds
 const COIN_OPTIONS = [
   {
     value: 'BTC',
@@ -23,12 +24,29 @@ const COIN_OPTIONS = [
   }
 ];
 
+const COIN_CAPTIONS = Object.fromEntries(COIN_OPTIONS.map((option) => [option.value, option.caption]));
+
+const toCoinOption = (token) => ({
+  value: token.symbol,
+  label: token.name,
+  caption: COIN_CAPTIONS[token.symbol] || `Build a position up to ${token.maxTarget.toLocaleString('en-US')} ${token.symbol}.`,
+  maxTarget: token.maxTarget,
+  custom: token.custom
+});
+
 const FREQUENCY_OPTIONS = [
   { value: 'DAILY', label: 'Daily', helper: 'Micro-purchases every day' },
   { value: 'WEEKLY', label: 'Weekly', helper: 'Automate your weekend buys' },
   { value: 'MONTHLY', label: 'Monthly', helper: 'Align with payday momentum' }
 ];
 
+// Defaults match lib/contributionStrategies.js
+const STRATEGY_OPTIONS = [
+  { value: 'FIXED_DCA', label: 'Fixed DCA', helper: 'The same amount every interval', defaultParams: {} },
+  { value: 'VALUE_AVERAGING', label: 'Value averaging', helper: 'Top up to a steady value curve', defaultParams: { maxMultiplier: 3 } },
+  { value: 'BUY_THE_DIP', label: 'Buy the dip', helper: 'Invest more when the price drops', defaultParams: { dipThresholdPct: 10, dipMultiplier: 2, lookback: '30d' } }
+];
+
 const formatCurrency = (value) =>
   new Intl.NumberFormat('en-US', {
     style: 'currency',
@@ -45,12 +63,20 @@ export default function CreateGoalPage() {
     coin: 'BTC',
     targetAmount: 1,
     frequency: 'MONTHLY',
-    amountInr: 5000
+    amountInr: 5000,
+    strategy: 'FIXED_DCA',
+    strategyParams: {}
   });
   const [goalName, setGoalName] = useState('BTC Investment Goal');
+  const [nameEdited, setNameEdited] = useState(false);
+  const [note, setNote] = useState('');
+  const [draftId, setDraftId] = useState(null);
   const [estimatedCompletion, setEstimatedCompletion] = useState(null);
   const [loadingEstimate, setLoadingEstimate] = useState(false);
   const [coinPriceUSD, setCoinPriceUSD] = useState(null);
+  const [coinOptions, setCoinOptions] = useState(COIN_OPTIONS);
+
+  const selectedCoin = coinOptions.find((option) => option.value === formData.coin);
 
   // Redirect if not authenticated
   useEffect(() => {
@@ -59,15 +85,68 @@ export default function CreateGoalPage() {
     }
   }, [ready, authenticated, router]);
 
-  // Update goal name when coin changes
+  // Load the tokens a goal can target (popular + admin-added)
   useEffect(() => {
-    const coinNames = {
-      'BTC': 'Bitcoin',
-      'ETH': 'Ethereum',
-      'SOL': 'Solana'
+    if (!ready || !authenticated) return;
+
+    const fetchTokens = async () => {
+      try {
+        const response = await fetch('/api/tokens', { credentials: 'include' });
+        const data = await response.json();
+        if (data.success && data.tokens?.length) {
+          setCoinOptions(data.tokens.map(toCoinOption));
+        }
+      } catch (err) {
+        console.error('Failed to load tokens:', err);
+      }
     };
-    setGoalName(`${coinNames[formData.coin] || formData.coin} Investment Goal`);
-  }, [formData.coin]);
+
+    fetchTokens();
+  }, [ready, authenticated]);
+
+  // Resume a saved draft (/goals/create?draft=<goalId>)
+  useEffect(() => {
+    if (!ready || !authenticated) return;
+
+    const id = new URLSearchParams(window.location.search).get('draft');
+    if (!id) return;
+
+    const fetchDraft = async () => {
+      try {
+        const response = await fetch(`/api/goals/${id}`, { credentials: 'include' });
+        const data = await response.json();
+        if (data.success && data.goal.status === 'DRAFT') {
+          const draft = data.goal;
+          setDraftId(draft.id);
+          setFormData({
+            coin: draft.coin,
+            targetAmount: draft.targetAmount,
+            frequency: draft.frequency,
+            amountInr: draft.amountInr,
+            strategy: draft.strategy,
+            strategyParams: draft.strategyParams || {}
+          });
+          if (draft.name) {
+            setGoalName(draft.name);
+            setNameEdited(true);
+          }
+          setNote(draft.note || '');
+        } else {
+          setError(data.error?.message || 'Draft not found');
+        }
+      } catch (err) {
+        setError('Unable to load draft. Please try again.');
+      }
+    };
+
+    fetchDraft();
+  }, [ready, authenticated]);
+
+  // Update goal name when coin changes (until the user names the goal)
+  useEffect(() => {
+    if (nameEdited) return;
+    setGoalName(`${selectedCoin?.label || formData.coin} Investment Goal`);
+  }, [formData.coin, selectedCoin?.label, nameEdited]);
 
   // Calculate estimated completion time
   useEffect(() => {
@@ -166,19 +245,51 @@ export default function CreateGoalPage() {
 
   const avatarUrl = getAvatarUrl();
 
+  const goalPayload = () => ({ ...formData, name: goalName, note });
+
+  const setStrategyParam = (field, value) =>
+    setFormData({ ...formData, strategyParams: { ...formData.strategyParams, [field]: value } });
+
+  // Create or update the draft; returns the API response body
+  const saveDraft = async () => {
+    const response = await fetch(draftId ? `/api/goals/${draftId}` : '/api/goals', {
+      method: draftId ? 'PATCH' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+      body: JSON.stringify(draftId ? goalPayload() : { ...goalPayload(), status: 'DRAFT' })
+    });
+    return await response.json();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
 
     try {
-      const response = await fetch('/api/goals', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData)
-      });
+      let response;
+      if (draftId) {
+        // Save the latest edits, then publish (runs the full validation)
+        const saved = await saveDraft();
+        if (!saved.success) {
+          setError(saved.error?.message || 'Failed to save draft');
+          return;
+        }
+        response = await fetch(`/api/goals/${draftId}/publish`, {
+          method: 'POST',
+          credentials: 'include'
+        });
+      } else {
+        response = await fetch('/api/goals', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(goalPayload())
+        });
+      }
 
       const data = await response.json();
 
@@ -222,9 +333,12 @@ export default function CreateGoalPage() {
     setError('');
     setSavingDraft(true);
     try {
-      // Lightweight placeholder flow – future draft endpoint can plug in here.
-      await new Promise((resolve) => setTimeout(resolve, 600));
-      router.push('/goals');
+      const data = await saveDraft();
+      if (data.success) {
+        router.push('/goals');
+      } else {
+        setError(data.error?.message || 'Unable to save draft right now. Please try again.');
+      }
     } catch (err) {
       console.error('Draft save error:', err);
       setError('Unable to save draft right now. Please try again.');
@@ -347,7 +461,7 @@ export default function CreateGoalPage() {
               </header>
 
               <div className="mt-6 grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-                {COIN_OPTIONS.map((option) => {
+                {coinOptions.map((option) => {
                   const isActive = formData.coin === option.value;
                   return (
                     <button
@@ -400,11 +514,15 @@ export default function CreateGoalPage() {
                   <input
                     id="goal-name"
                     value={goalName}
-                    readOnly
+                    maxLength={80}
+                    onChange={(e) => {
+                      setGoalName(e.target.value);
+                      setNameEdited(true);
+                    }}
                     className="h-12 rounded-full border border-[#292018] bg-[#150e08] px-5 text-sm text-[var(--text-primary)] focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--accent)]/60"
                   />
                   <span className="text-[10px] uppercase tracking-[0.24em] text-[var(--text-secondary)]/70">
-                    Auto-generated from your asset
+                    {nameEdited ? 'Your name for this goal' : 'Auto-generated from your asset'}
                   </span>
                 </label>
 
@@ -414,8 +532,9 @@ export default function CreateGoalPage() {
                     <input
                       id="target-amount"
                       type="number"
-                      step="0.01"
-                      min="0.01"
+                      step="any"
+                      min="0"
+                      max={selectedCoin?.maxTarget}
                       value={formData.targetAmount}
                       onChange={(e) =>
                         setFormData({
@@ -431,6 +550,24 @@ export default function CreateGoalPage() {
                       coins
                     </span>
                   </div>
+                  {selectedCoin?.maxTarget && (
+                    <span className="text-[10px] uppercase tracking-[0.24em] text-[var(--text-secondary)]/70">
+                      Max {selectedCoin.maxTarget.toLocaleString('en-US')} {formData.coin}
+                    </span>
+                  )}
+                </label>
+
+                <label className="flex flex-col gap-2 text-sm text-[var(--text-secondary)] md:col-span-2">
+                  Note
+                  <textarea
+                    id="goal-note"
+                    value={note}
+                    maxLength={500}
+                    rows={3}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Why this goal matters to you (optional)"
+                    className="rounded-3xl border border-[#292018] bg-[#150e08] px-5 py-3 text-sm text-[var(--text-primary)] focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--accent)]/60"
+                  />
                 </label>
               </div>
             </section>
@@ -503,6 +640,102 @@ export default function CreateGoalPage() {
                   </span>
                 </label>
               </div>
+
+              <div className="mt-6 flex flex-col gap-4">
+                <span className="text-xs uppercase tracking-[0.26em] text-[var(--text-secondary)]">
+                  Contribution strategy
+                </span>
+                <div className="grid gap-3 sm:grid-cols-3">
+                  {STRATEGY_OPTIONS.map((option) => {
+                    const isActive = formData.strategy === option.value;
+                    return (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => setFormData({ ...formData, strategy: option.value, strategyParams: option.defaultParams })}
+                        className={`flex h-full flex-col items-start gap-2 rounded-2xl border p-4 text-left transition ${
+                          isActive
+                            ? 'border-[var(--accent)] bg-[#1f150c] text-[var(--text-primary)] shadow-[0_18px_60px_rgba(255,159,28,0.15)]'
+                            : 'border-[#2a2016] bg-[#140d08] text-[var(--text-secondary)] hover:border-[var(--accent)]/40 hover:text-[var(--text-primary)]'
+                        }`}
+                        aria-pressed={isActive}
+                      >
+                        <span className="text-sm font-semibold uppercase tracking-[0.24em]">
+                          {option.label}
+                        </span>
+                        <span className="text-xs text-[var(--text-secondary)]/80">{option.helper}</span>
+                      </button>
+                    );
+                  })}
+                </div>
+
+                {formData.strategy !== 'FIXED_DCA' && (
+                  <div className="grid gap-3 sm:grid-cols-3">
+                    {formData.strategy === 'VALUE_AVERAGING' && (
+                      <label className="flex flex-col gap-2 text-sm text-[var(--text-secondary)]">
+                        Invest at most (× amount)
+                        <input
+                          type="number"
+                          step="0.5"
+                          min="1"
+                          max="10"
+                          value={formData.strategyParams.maxMultiplier ?? ''}
+                          onChange={(e) => setStrategyParam('maxMultiplier', parseFloat(e.target.value) || 0)}
+                          className="h-12 w-full rounded-full border border-[#392715] bg-[#1a120a] px-4 text-sm text-[var(--text-primary)] focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--accent)]/60"
+                        />
+                      </label>
+                    )}
+                    {formData.strategy === 'BUY_THE_DIP' && (
+                      <>
+                        <label className="flex flex-col gap-2 text-sm text-[var(--text-secondary)]">
+                          Dip below average (%)
+                          <input
+                            type="number"
+                            step="1"
+                            min="1"
+                            max="90"
+                            value={formData.strategyParams.dipThresholdPct ?? ''}
+                            onChange={(e) => setStrategyParam('dipThresholdPct', parseFloat(e.target.value) || 0)}
+                            className="h-12 w-full rounded-full border border-[#392715] bg-[#1a120a] px-4 text-sm text-[var(--text-primary)] focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--accent)]/60"
+                          />
+                        </label>
+                        <label className="flex flex-col gap-2 text-sm text-[var(--text-secondary)]">
+                          Invest on dips (× amount)
+                          <input
+                            type="number"
+                            step="0.5"
+                            min="1"
+                            max="5"
+                            value={formData.strategyParams.dipMultiplier ?? ''}
+                            onChange={(e) => setStrategyParam('dipMultiplier', parseFloat(e.target.value) || 0)}
+                            className="h-12 w-full rounded-full border border-[#392715] bg-[#1a120a] px-4 text-sm text-[var(--text-primary)] focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--accent)]/60"
+                          />
+                        </label>
+                        <label className="flex flex-col gap-2 text-sm text-[var(--text-secondary)]">
+                          Average over
+                          <select
+                            value={formData.strategyParams.lookback ?? '30d'}
+                            onChange={(e) => setStrategyParam('lookback', e.target.value)}
+                            className="h-12 w-full rounded-full border border-[#392715] bg-[#1a120a] px-4 text-sm text-[var(--text-primary)] focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--accent)]/60"
+                          >
+                            <option value="7d">7 days</option>
+                            <option value="30d">30 days</option>
+                          </select>
+                        </label>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {formData.strategy !== 'FIXED_DCA' && (
+                  <p className="text-xs text-[var(--text-secondary)]/80">
+                    {formData.strategy === 'VALUE_AVERAGING'
+                      ? 'Each run tops your holdings up to a value that grows by your amount per interval, so you invest less after rallies and more after drops.'
+                      : 'Runs invest more while the price is below its recent average.'}{' '}
+                    The runway preview assumes your base amount; your goal page shows the strategy’s own projection.
+                  </p>
+                )}
+              </div>
             </section>
 
             <section className="rounded-3xl border border-[#292018] bg-[#17110b]/85 p-6 shadow-[0_24px_80px_rgba(0,0,0,0.55)] sm:p-8">
@@ -640,6 +873,8 @@ export default function CreateGoalPage() {
                       </span>
                       Creating…
                     </span>
+                  ) : draftId ? (
+                    'Publish goal'
                   ) : (
                     'Create goal'
                   )}
@@ -5,6 +5,11 @@ import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 
 const STATUS_META = {
+  DRAFT: {
+    label: 'Draft',
+    dotClass: 'bg-[#c9b292]',
+    pillClass: 'bg-[#3a2d1d] text-[#c9b292] border border-[#483923]',
+  },
   ACTIVE: {
     label: 'On Track',
     dotClass: 'bg-green-400',
@@ -20,6 +25,11 @@ const STATUS_META = {
     dotClass: 'bg-primary',
     pillClass: 'bg-primary/15 text-primary border border-primary/30',
   },
+  ARCHIVED: {
+    label: 'Archived',
+    dotClass: 'bg-[#a89987]',
+    pillClass: 'bg-[#3a2d1d] text-[#a89987] border border-[#483923]',
+  },
   CANCELLED: {
     label: 'Closed',
     dotClass: 'bg-gray-500',
@@ -74,7 +84,7 @@ const deriveProgress = (goal) => {
   return Math.min(100, Math.max(0, (invested / target) * 100));
 };
 
-const STATUS_ORDER = ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED'];
+const STATUS_ORDER = ['ACTIVE', 'PAUSED', 'COMPLETED', 'ARCHIVED', 'CANCELLED'];
 
 const GoalCard = ({ goal, onNavigate }) => {
   const statusKey =
@@ -101,8 +111,9 @@ const GoalCard = ({ goal, onNavigate }) => {
             {goal.coin} goal
           </p>
           <h3 className="text-xl font-bold text-[#f0eade] tracking-tight">
-            Accumulate {formatNumber(goal.targetAmount, 4)} {goal.coin}
+            {goal.name || `Accumulate ${formatNumber(goal.targetAmount, 4)} ${goal.coin}`}
           </h3>
+          {goal.note && <p className="text-sm text-[#a89987] line-clamp-2">{goal.note}</p>}
         </div>
         <div className="inline-flex items-center gap-2 rounded-full px-3 py-1 text-xs font-semibold uppercase tracking-[0.12em] text-[#c9b292] bg-[#3a2d1d] border border-[#483923]/60">
           <span className={`size-2 rounded-full ${status.dotClass}`} />
@@ -156,30 +167,116 @@ const GoalCard = ({ goal, onNavigate }) => {
 export default function GoalsPage() {
   const router = useRouter();
   const [goals, setGoals] = useState([]);
+  const [archivedGoals, setArchivedGoals] = useState([]);
+  const [draftGoals, setDraftGoals] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [unarchivingId, setUnarchivingId] = useState(null);
+  const [draftActionId, setDraftActionId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  useEffect(() => {
-    const fetchGoals = async () => {
-      try {
-        const response = await fetch('/api/goals', { credentials: 'include' });
-        const data = await response.json();
-
-        if (data.success) {
-          setGoals(data.goals ?? []);
-        } else {
-          setError(data.error?.message || 'Unable to fetch goals right now.');
-        }
-      } catch {
-        setError('Network error. Please try again.');
-      } finally {
-        setLoading(false);
+  const fetchGoals = async () => {
+    try {
+      const [response, archivedResponse, draftResponse] = await Promise.all([
+        fetch('/api/goals', { credentials: 'include' }),
+        fetch('/api/goals?status=ARCHIVED', { credentials: 'include' }),
+        fetch('/api/goals?status=DRAFT', { credentials: 'include' }),
+      ]);
+      const [data, archivedData, draftData] = await Promise.all([
+        response.json(),
+        archivedResponse.json(),
+        draftResponse.json(),
+      ]);
+
+      if (data.success) {
+        setGoals(data.goals ?? []);
+        setArchivedGoals(archivedData.success ? archivedData.goals ?? [] : []);
+        setDraftGoals(draftData.success ? draftData.goals ?? [] : []);
+      } else {
+        setError(data.error?.message || 'Unable to fetch goals right now.');
       }
-    };
+    } catch {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
 
+  useEffect(() => {
     fetchGoals();
   }, []);
 
+  const handleUnarchive = async (goalId) => {
+    setUnarchivingId(goalId);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/goals/${goalId}/unarchive`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        await fetchGoals();
+      } else {
+        setError(data.error?.message || 'Unable to unarchive goal.');
+      }
+    } catch {
+      setError('Network error. Please try again.');
+    } finally {
+      setUnarchivingId(null);
+    }
+  };
+
+  const handlePublishDraft = async (goalId) => {
+    setDraftActionId(goalId);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/goals/${goalId}/publish`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        await fetchGoals();
+      } else {
+        setError(data.error?.message || 'Unable to publish draft.');
+      }
+    } catch {
+      setError('Network error. Please try again.');
+    } finally {
+      setDraftActionId(null);
+    }
+  };
+
+  const handleDeleteDraft = async (goalId) => {
+    if (!window.confirm('Delete this draft?')) return;
+
+    setDraftActionId(goalId);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/goals/${goalId}`, {
+        method: 'DELETE',
+        credentials: 'include',
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        await fetchGoals();
+      } else {
+        setError(data.error?.message || 'Unable to delete draft.');
+      }
+    } catch {
+      setError('Network error. Please try again.');
+    } finally {
+      setDraftActionId(null);
+    }
+  };
+
   const summary = useMemo(() => {
     if (!goals.length) {
       return {
@@ -323,6 +420,93 @@ export default function GoalsPage() {
                   ))}
                 </div>
               )}
+
+              {draftGoals.length > 0 && (
+                <section className="mt-12 border-t border-[#483923] pt-8">
+                  <h2 className="text-sm font-bold uppercase tracking-[0.18em] text-[#a89987]">
+                    Drafts ({draftGoals.length})
+                  </h2>
+                  <div className="mt-6 flex flex-col gap-3">
+                    {draftGoals.map((goal) => (
+                      <div
+                        key={goal.id}
+                        className="flex flex-wrap items-center justify-between gap-4 rounded-2xl border border-dashed border-[#483923] bg-[#2a2217] px-6 py-4"
+                      >
+                        <Link href={`/goals/create?draft=${goal.id}`} className="flex flex-col text-left">
+                          <span className="text-base font-semibold text-[#f0eade]">
+                            {goal.name || `Accumulate ${formatNumber(goal.targetAmount, 4)} ${goal.coin}`}
+                          </span>
+                          <span className="text-sm text-[#a89987]">
+                            {formatINR(goal.amountInr)} • {FREQUENCY_LABELS[goal.frequency] ?? goal.frequency} • Saved{' '}
+                            {formatDate(goal.updatedAt, { day: 'numeric', month: 'short', year: 'numeric' })}
+                          </span>
+                        </Link>
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => handleDeleteDraft(goal.id)}
+                            disabled={draftActionId === goal.id}
+                            className="flex items-center justify-center gap-2 rounded-full border border-[#483923] px-4 h-10 text-sm font-bold text-[#f0eade] hover:bg-[#31271a] disabled:opacity-50"
+                          >
+                            <span className="material-symbols-outlined text-base">delete</span>
+                            Delete
+                          </button>
+                          <button
+                            onClick={() => handlePublishDraft(goal.id)}
+                            disabled={draftActionId === goal.id}
+                            className="flex items-center justify-center gap-2 rounded-full bg-primary px-4 h-10 text-sm font-bold text-[#221a10] hover:opacity-90 transition-opacity disabled:opacity-50"
+                          >
+                            <span className="material-symbols-outlined text-base">rocket_launch</span>
+                            {draftActionId === goal.id ? 'Working...' : 'Publish'}
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              )}
+
+              {archivedGoals.length > 0 && (
+                <section className="mt-12 border-t border-[#483923] pt-8">
+                  <button
+                    onClick={() => setShowArchived((value) => !value)}
+                    className="flex items-center gap-2 text-sm font-bold uppercase tracking-[0.18em] text-[#a89987] hover:text-[#f0eade]"
+                  >
+                    <span className="material-symbols-outlined text-base">
+                      {showArchived ? 'expand_less' : 'expand_more'}
+                    </span>
+                    Archived goals ({archivedGoals.length})
+                  </button>
+
+                  {showArchived && (
+                    <div className="mt-6 flex flex-col gap-3">
+                      {archivedGoals.map((goal) => (
+                        <div
+                          key={goal.id}
+                          className="flex flex-wrap items-center justify-between gap-4 rounded-2xl border border-[#483923] bg-[#2a2217] px-6 py-4"
+                        >
+                          <button onClick={() => router.push(`/goals/${goal.id}`)} className="flex flex-col text-left">
+                            <span className="text-base font-semibold text-[#f0eade]">
+                              Accumulate {formatNumber(goal.targetAmount, 4)} {goal.coin}
+                            </span>
+                            <span className="text-sm text-[#a89987]">
+                              {deriveProgress(goal).toFixed(1)}% complete • Archived{' '}
+                              {formatDate(goal.archivedAt, { day: 'numeric', month: 'short', year: 'numeric' })}
+                            </span>
+                          </button>
+                          <button
+                            onClick={() => handleUnarchive(goal.id)}
+                            disabled={unarchivingId === goal.id}
+                            className="flex items-center justify-center gap-2 rounded-full border border-[#483923] px-4 h-10 text-sm font-bold text-[#f0eade] hover:bg-[#31271a] disabled:opacity-50"
+                          >
+                            <span className="material-symbols-outlined text-base">unarchive</span>
+                            {unarchivingId === goal.id ? 'Restoring...' : 'Unarchive'}
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </section>
+              )}
             </main>
           </div>
         </div>
@@ -0,0 +1,240 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+// Financial years run April - March; same labels as lib/taxReport.js
+const financialYearOf = (date) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const recentFinancialYears = (count = 5) => {
+  const [current] = financialYearOf(new Date()).split('-');
+  return Array.from({ length: count }, (_, index) => {
+    const startYear = Number(current) - index;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  });
+};
+
+const formatINR = (value) => {
+  if (value === null || value === undefined) return '—';
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 2,
+  }).format(value);
+};
+
+const formatDate = (isoString) =>
+  new Intl.DateTimeFormat('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }).format(new Date(isoString));
+
+const HoldingsTable = ({ title, holdings }) => (
+  <section className="rounded-2xl border border-[#483923] bg-[#2a2217] p-6">
+    <h2 className="text-lg font-bold text-[#f0eade] mb-4">{title}</h2>
+    {holdings.length === 0 ? (
+      <p className="text-sm text-[#a89987]">No holdings</p>
+    ) : (
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs uppercase tracking-wider text-[#a89987]">
+            <th className="py-2 pr-4">Coin</th>
+            <th className="py-2 pr-4">Quantity</th>
+            <th className="py-2 pr-4">Cost</th>
+            <th className="py-2">Average cost</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-[#3a2d1d]">
+          {holdings.map((holding) => (
+            <tr key={holding.coin}>
+              <td className="py-2 pr-4 font-medium">{holding.coin}</td>
+              <td className="py-2 pr-4">{holding.quantity.toLocaleString('en-US', { maximumFractionDigits: 8 })}</td>
+              <td className="py-2 pr-4">{formatINR(holding.costInr)}</td>
+              <td className="py-2">{formatINR(holding.averageCostInr)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </section>
+);
+
+export default function TaxReportPage() {
+  const router = useRouter();
+  const years = useMemo(() => recentFinancialYears(), []);
+  const [fy, setFy] = useState(years[0]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await fetch(`/api/reports/tax?fy=${fy}`, { credentials: 'include' });
+        const data = await response.json();
+
+        if (data.success) {
+          setReport(data.report);
+        } else {
+          setReport(null);
+          setError(data.error?.message || 'Unable to build the tax report.');
+        }
+      } catch {
+        setError('Network error. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [fy]);
+
+  return (
+    <div className="relative flex min-h-screen w-full flex-col bg-[#1b130a] font-display text-[#f0eade]">
+      <div className="flex flex-1 justify-center px-4 sm:px-8 md:px-12 lg:px-20 xl:px-40 py-5">
+        <div className="flex w-full max-w-[960px] flex-1 flex-col">
+          <header className="flex items-center justify-between whitespace-nowrap border-b border-solid border-[#483923] px-4 py-5 sm:px-6">
+            <div className="flex items-center gap-3">
+              <span className="material-symbols-outlined text-xl">database</span>
+              <h2 className="text-lg font-bold leading-tight tracking-[-0.015em]">Wholecoiner</h2>
+            </div>
+            <button
+              onClick={() => router.push('/dashboard')}
+              className="flex items-center justify-center gap-2 rounded-full border border-[#483923] px-4 h-10 text-sm font-bold hover:bg-[#2a2217]"
+            >
+              <span className="material-symbols-outlined text-base">arrow_back</span>
+              <span className="truncate">Back to Dashboard</span>
+            </button>
+          </header>
+
+          <main className="flex flex-col gap-6 px-4 py-10 sm:px-6">
+            <div className="flex flex-wrap items-end justify-between gap-6 border-b border-[#483923] pb-8">
+              <div className="flex flex-col gap-3">
+                <p className="text-sm uppercase tracking-[0.22em] text-[#a89987]">Virtual digital assets</p>
+                <h1 className="text-4xl font-black leading-tight tracking-[-0.033em]">Tax Report</h1>
+                <p className="text-sm text-[#a89987] max-w-xl">
+                  Your crypto acquisitions, holdings and disposals for an Indian financial year, with costs in INR at the rate of each trade.
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <select
+                  value={fy}
+                  onChange={(e) => setFy(e.target.value)}
+                  className="h-10 rounded-full border border-[#483923] bg-[#2a2217] px-4 text-sm font-bold focus:outline-none"
+                >
+                  {years.map((year) => (
+                    <option key={year} value={year}>FY {year}</option>
+                  ))}
+                </select>
+                <a
+                  href={`/api/reports/tax?fy=${fy}&format=csv`}
+                  className="flex items-center justify-center rounded-full border border-[#483923] px-4 h-10 text-sm font-bold hover:bg-[#2a2217]"
+                >
+                  CSV
+                </a>
+                <a
+                  href={`/api/reports/tax?fy=${fy}&format=html`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center justify-center rounded-full bg-primary px-4 h-10 text-sm font-bold text-[#221a10] hover:opacity-90 transition-opacity"
+                >
+                  Printable
+                </a>
+              </div>
+            </div>
+
+            {error && (
+              <div className="rounded-lg border border-red-700 bg-red-900/30 px-4 py-3 text-sm text-red-400">{error}</div>
+            )}
+
+            {loading ? (
+              <div className="flex justify-center py-16">
+                <div className="h-12 w-12 rounded-full border-2 border-primary border-t-transparent animate-spin" />
+              </div>
+            ) : report && (
+              <>
+                <section className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="rounded-2xl border border-[#483923] bg-[#2a2217] p-5">
+                    <p className="text-sm text-[#a89987]">Acquisition cost</p>
+                    <p className="text-2xl font-bold">{formatINR(report.summary.totalAcquisitionCostInr)}</p>
+                    <p className="text-xs text-[#a89987]">{report.summary.acquisitionCount} purchases</p>
+                  </div>
+                  <div className="rounded-2xl border border-[#483923] bg-[#2a2217] p-5">
+                    <p className="text-sm text-[#a89987]">Gains</p>
+                    <p className="text-2xl font-bold">{formatINR(report.summary.totalGainInr)}</p>
+                    <p className="text-xs text-[#a89987]">{report.summary.disposalCount} disposals</p>
+                  </div>
+                  <div className="rounded-2xl border border-[#483923] bg-[#2a2217] p-5">
+                    <p className="text-sm text-[#a89987]">Tax at {report.summary.taxRate * 100}%</p>
+                    <p className="text-2xl font-bold">{formatINR(report.summary.estimatedTaxInr)}</p>
+                    <p className="text-xs text-[#a89987]">Section 115BBH</p>
+                  </div>
+                </section>
+
+                <section className="rounded-2xl border border-[#483923] bg-[#2a2217] p-6 overflow-x-auto">
+                  <h2 className="text-lg font-bold mb-4">Acquisitions</h2>
+                  {report.acquisitions.length === 0 ? (
+                    <p className="text-sm text-[#a89987]">No acquisitions in FY {report.financialYear}</p>
+                  ) : (
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs uppercase tracking-wider text-[#a89987]">
+                          <th className="py-2 pr-4">Date</th>
+                          <th className="py-2 pr-4">Coin</th>
+                          <th className="py-2 pr-4">Quantity</th>
+                          <th className="py-2 pr-4">USD/INR</th>
+                          <th className="py-2 pr-4">Cost</th>
+                          <th className="py-2">Price</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-[#3a2d1d]">
+                        {report.acquisitions.map((row) => (
+                          <tr key={row.batchId}>
+                            <td className="py-2 pr-4">
+                              {row.explorerUrl ? (
+                                <a href={row.explorerUrl} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">
+                                  {formatDate(row.date)}
+                                </a>
+                              ) : formatDate(row.date)}
+                            </td>
+                            <td className="py-2 pr-4 font-medium">{row.coin}</td>
+                            <td className="py-2 pr-4">{row.quantity.toLocaleString('en-US', { maximumFractionDigits: 8 })}</td>
+                            <td className="py-2 pr-4">{row.fxRate}{row.estimated && ' *'}</td>
+                            <td className="py-2 pr-4">{formatINR(row.costInr)}</td>
+                            <td className="py-2">{formatINR(row.priceInr)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {report.summary.estimated && (
+                    <p className="mt-3 text-xs text-[#a89987]">* Valued at the stored FX rate of the day; the swap predates cost tracking.</p>
+                  )}
+                </section>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <HoldingsTable title="Holdings on 1 April" holdings={report.openingHoldings} />
+                  <HoldingsTable title="Holdings on 31 March" holdings={report.closingHoldings} />
+                </div>
+
+                <section className="rounded-2xl border border-[#483923] bg-[#2a2217] p-6">
+                  <h2 className="text-lg font-bold mb-2">Disposals</h2>
+                  <p className="text-sm text-[#a89987]">
+                    {report.disposals.length === 0
+                      ? `No disposals in FY ${report.financialYear}.`
+                      : `${report.disposals.length} disposals.`}{' '}
+                    Transfers of crypto attract 1% TDS under Section 194S and losses cannot be set off against gains.
+                  </p>
+                </section>
+
+                <p className="text-xs text-[#a89987]">This report is a record of your transactions, not tax advice.</p>
+              </>
+            )}
+          </main>
+        </div>
+      </div>
+    </div>
+  );
+}
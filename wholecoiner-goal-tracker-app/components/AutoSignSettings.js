@@ -0,0 +1,213 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useDelegatedActions } from '@privy-io/react-auth';
+
+const STATUS_STYLES = {
+  SUBMITTED: 'text-green-400',
+  SIGNED: 'text-primary',
+  FAILED: 'text-red-400',
+  SIGNING_FAILED: 'text-red-400',
+  QUOTE_FAILED: 'text-red-400',
+  REJECTED: 'text-yellow-400',
+  PENDING: 'text-gray-400',
+};
+
+/**
+ * AutoSignSettings - opt a goal into server-signed scheduled swaps
+ * Shows the spend caps, this month's auto-signed total and the audit log of
+ * every swap the server signed (or refused to sign) for this goal.
+ */
+export default function AutoSignSettings({ goalId }) {
+  const { delegateWallet } = useDelegatedActions();
+  const [settings, setSettings] = useState(null);
+  const [walletAddress, setWalletAddress] = useState(null);
+  const [audit, setAudit] = useState([]);
+  const [maxPerSwapUsdc, setMaxPerSwapUsdc] = useState('');
+  const [maxPerMonthUsdc, setMaxPerMonthUsdc] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSettings();
+  }, [goalId]);
+
+  const applySettings = (next) => {
+    setSettings(next);
+    setMaxPerSwapUsdc(next.maxPerSwapUsdc ? String(next.maxPerSwapUsdc) : '');
+    setMaxPerMonthUsdc(next.maxPerMonthUsdc ? String(next.maxPerMonthUsdc) : '');
+  };
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/goals/${goalId}/auto-sign`, { credentials: 'include' });
+      const data = await response.json();
+
+      if (data.success) {
+        applySettings(data.settings);
+        setWalletAddress(data.walletAddress);
+        setAudit(data.audit || []);
+        setError('');
+      } else {
+        setError(data.error?.message || 'Failed to fetch auto-sign settings');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveSettings = async (enabled) => {
+    if (saving) return;
+    setSaving(true);
+    setError('');
+
+    try {
+      // Privy only signs on the server for wallets the user delegated
+      if (enabled && !settings.enabled && settings.signer === 'privy' && walletAddress) {
+        await delegateWallet({ address: walletAddress, chainType: 'solana' });
+      }
+
+      const response = await fetch(`/api/goals/${goalId}/auto-sign`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          enabled,
+          maxPerSwapUsdc: maxPerSwapUsdc ? Number(maxPerSwapUsdc) : null,
+          maxPerMonthUsdc: maxPerMonthUsdc ? Number(maxPerMonthUsdc) : null,
+        })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        applySettings(data.settings);
+      } else {
+        setError(data.error?.message || 'Failed to update auto-sign settings');
+      }
+    } catch (err) {
+      setError(err.message || 'Network error. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleString('en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+
+  const inputClass =
+    'w-full rounded-lg bg-[#221a10] border border-[#67543a] px-4 h-12 text-white focus:outline-none focus:border-primary';
+
+  return (
+    <div className="rounded-xl bg-[#483923] p-6">
+      <h2 className="text-white text-[22px] font-bold leading-tight tracking-[-0.015em] mb-2">Auto-Invest Signing</h2>
+      <p className="text-[#c9b292] text-sm mb-6">
+        Let the server sign this goal&apos;s scheduled swaps, up to the limits you set. Swaps over a limit still wait for your signature.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : !settings ? (
+        <p className="text-red-400 text-sm">{error}</p>
+      ) : (
+        <>
+          {!settings.signer && (
+            <p className="text-[#c9b292] text-sm mb-4">Auto-signing is not available on this server.</p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <label className="flex flex-col gap-2">
+              <span className="text-[#c9b292] text-sm font-medium">Max per swap (USDC)</span>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={maxPerSwapUsdc}
+                onChange={(e) => setMaxPerSwapUsdc(e.target.value)}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex flex-col gap-2">
+              <span className="text-[#c9b292] text-sm font-medium">Max per month (USDC)</span>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={maxPerMonthUsdc}
+                onChange={(e) => setMaxPerMonthUsdc(e.target.value)}
+                className={inputClass}
+              />
+            </label>
+          </div>
+
+          <p className="text-[#c9b292] text-sm mb-4">
+            {settings.enabled
+              ? `On since ${formatDate(settings.enabledAt)} · ${settings.monthSpentUsdc} USDC auto-signed this month`
+              : 'Off'}
+          </p>
+
+          {error && (
+            <div className="bg-red-900/30 border border-red-700 text-red-400 px-4 py-3 rounded-lg text-sm mb-4">
+              {error}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-4 mb-6">
+            {settings.enabled && (
+              <button
+                type="button"
+                onClick={() => saveSettings(false)}
+                disabled={saving}
+                className="text-[#c9b292] text-sm font-bold leading-normal tracking-[0.015em] hover:text-white transition-colors disabled:opacity-50"
+              >
+                Turn Off
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => saveSettings(true)}
+              disabled={saving || !settings.signer}
+              className="flex min-w-[120px] items-center justify-center rounded-full h-12 px-6 bg-primary text-[#221b11] text-base font-bold leading-normal tracking-[0.015em] hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : settings.enabled ? 'Update Limits' : 'Turn On'}
+            </button>
+          </div>
+
+          <h3 className="text-white text-base font-bold mb-3">Server-signed swaps</h3>
+          {audit.length === 0 ? (
+            <p className="text-[#c9b292] text-sm">The server has not signed any swaps for this goal.</p>
+          ) : (
+            <ul className="space-y-3">
+              {audit.map((record) => (
+                <li key={record.id} className="border-l-2 border-primary/40 pl-4">
+                  <p className="text-[#c9b292] text-xs mb-1">
+                    {formatDate(record.createdAt)} · {record.signer}
+                  </p>
+                  <p className="text-white text-sm">
+                    {record.amountUsdc} USDC{' '}
+                    <span className={STATUS_STYLES[record.status] || 'text-white'}>{record.status.replace('_', ' ').toLowerCase()}</span>
+                    {record.reason && <span className="text-[#c9b292]"> — {record.reason}</span>}
+                  </p>
+                  {record.signature && (
+                    <p className="text-[#c9b292] text-xs font-mono truncate">{record.signature}</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
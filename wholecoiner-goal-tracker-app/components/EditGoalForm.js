@@ -0,0 +1,153 @@
+'use client';
+
+import { useState } from 'react';
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+/**
+ * EditGoalForm - edit name, note, target, contribution and frequency of a goal
+ * Only changed fields are sent; the server validates and records a revision
+ */
+export default function EditGoalForm({ goalId, goal, onSaved, onCancel }) {
+  const [targetAmount, setTargetAmount] = useState(String(goal.targetAmount));
+  const [amountInr, setAmountInr] = useState(String(goal.amountInr));
+  const [frequency, setFrequency] = useState(goal.frequency);
+  const [name, setName] = useState(goal.name || '');
+  const [note, setNote] = useState(goal.note || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+
+    const updates = {};
+    if (Number(targetAmount) !== goal.targetAmount) updates.targetAmount = Number(targetAmount);
+    if (Number(amountInr) !== goal.amountInr) updates.amountInr = Number(amountInr);
+    if (frequency !== goal.frequency) updates.frequency = frequency;
+    if (name.trim() !== (goal.name || '')) updates.name = name;
+    if (note.trim() !== (goal.note || '')) updates.note = note;
+
+    if (Object.keys(updates).length === 0) {
+      onCancel();
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/goals/${goalId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(updates)
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        onSaved(data.goal);
+      } else {
+        setError(data.error?.message || 'Failed to update goal');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    'w-full rounded-lg bg-[#221a10] border border-[#67543a] px-4 h-12 text-white focus:outline-none focus:border-primary';
+
+  return (
+    <form onSubmit={handleSubmit} className="rounded-xl bg-[#483923] p-6">
+      <h2 className="text-white text-[22px] font-bold leading-tight tracking-[-0.015em] mb-6">Edit Goal</h2>
+
+      <div className="grid grid-cols-1 gap-4 mb-4">
+        <label className="flex flex-col gap-2">
+          <span className="text-[#c9b292] text-sm font-medium">Name</span>
+          <input
+            type="text"
+            maxLength={80}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={`${goal.targetAmount} ${goal.coin} Goal`}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-[#c9b292] text-sm font-medium">Note</span>
+          <textarea
+            maxLength={500}
+            rows={3}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            className="w-full rounded-lg bg-[#221a10] border border-[#67543a] px-4 py-3 text-white focus:outline-none focus:border-primary"
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <label className="flex flex-col gap-2">
+          <span className="text-[#c9b292] text-sm font-medium">Target ({goal.coin})</span>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={targetAmount}
+            onChange={(e) => setTargetAmount(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-[#c9b292] text-sm font-medium">Contribution (INR)</span>
+          <input
+            type="number"
+            min="100"
+            step="1"
+            value={amountInr}
+            onChange={(e) => setAmountInr(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-[#c9b292] text-sm font-medium">Frequency</span>
+          <select value={frequency} onChange={(e) => setFrequency(e.target.value)} className={inputClass}>
+            {FREQUENCIES.map((value) => (
+              <option key={value} value={value}>
+                {value.charAt(0) + value.slice(1).toLowerCase()}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-400 px-4 py-3 rounded-lg text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-[#c9b292] text-sm font-bold leading-normal tracking-[0.015em] hover:text-white transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex min-w-[120px] items-center justify-center rounded-full h-12 px-6 bg-primary text-[#221b11] text-base font-bold leading-normal tracking-[0.015em] hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,194 @@
+'use client';
+
+import { useState, useEffect, useImperativeHandle, forwardRef } from 'react';
+
+// "10%, 25%, 0.1" -> [{ percent: 10 }, { percent: 25 }, { amount: 0.1 }]
+const parseMilestones = (text) =>
+  text
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => (part.endsWith('%') ? { percent: Number(part.slice(0, -1)) } : { amount: Number(part) }));
+
+const toText = (milestones) =>
+  milestones.map((m) => (m.kind === 'PERCENT' ? `${m.threshold}%` : String(m.threshold))).join(', ');
+
+/**
+ * GoalMilestones - milestones of a goal and when each was reached
+ * Percentages of the target or amounts of the coin, editable as a comma-separated list.
+ */
+const GoalMilestones = forwardRef(function GoalMilestones({ goalId, coin }, ref) {
+  const [milestones, setMilestones] = useState([]);
+  const [custom, setCustom] = useState(false);
+  const [text, setText] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchMilestones();
+  }, [goalId]);
+
+  // Expose refresh function to parent components
+  useImperativeHandle(ref, () => ({
+    refresh: fetchMilestones
+  }));
+
+  const applyMilestones = (data) => {
+    setMilestones(data.milestones || []);
+    setCustom(data.custom);
+  };
+
+  const fetchMilestones = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/goals/${goalId}/milestones`, { credentials: 'include' });
+      const data = await response.json();
+
+      if (data.success) {
+        applyMilestones(data);
+        setError('');
+      } else {
+        setError(data.error?.message || 'Failed to fetch milestones');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveMilestones = async (nextMilestones) => {
+    if (saving) return;
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/goals/${goalId}/milestones`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ milestones: nextMilestones })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        applyMilestones(data);
+        setEditing(false);
+      } else {
+        setError(data.error?.message || 'Failed to update milestones');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString('en-US', { dateStyle: 'medium' });
+
+  return (
+    <div className="rounded-xl bg-[#483923] p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-white text-[22px] font-bold leading-tight tracking-[-0.015em]">Milestones</h2>
+        {!editing && (
+          <button
+            onClick={() => {
+              setText(toText(milestones));
+              setEditing(true);
+            }}
+            className="text-sm text-primary hover:text-primary/80 transition-colors"
+          >
+            Edit
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : editing ? (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            saveMilestones(parseMilestones(text));
+          }}
+          className="flex flex-col gap-4"
+        >
+          <label className="flex flex-col gap-2">
+            <span className="text-[#c9b292] text-sm font-medium">
+              Percentages of your target or amounts of {coin}, separated by commas (e.g. 10%, 50%, 0.1)
+            </span>
+            <input
+              type="text"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              className="w-full rounded-lg bg-[#221a10] border border-[#67543a] px-4 h-12 text-white focus:outline-none focus:border-primary"
+            />
+          </label>
+          <div className="flex justify-end gap-3">
+            {custom && (
+              <button
+                type="button"
+                disabled={saving}
+                onClick={() => saveMilestones(null)}
+                className="text-sm text-[#c9b292] hover:text-white transition-colors disabled:opacity-50"
+              >
+                Use defaults
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="text-sm text-[#c9b292] hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex min-w-[120px] items-center justify-center rounded-full h-10 px-6 bg-primary text-[#221b11] text-sm font-bold hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <ol className="flex flex-col gap-3">
+          {milestones.map((milestone) => (
+            <li key={`${milestone.kind}-${milestone.threshold}`} className="flex items-center justify-between gap-4">
+              <div className="flex items-center gap-3">
+                <span className={`material-symbols-outlined text-xl ${milestone.reached ? 'text-primary' : 'text-[#67543a]'}`}>
+                  {milestone.reached ? 'emoji_events' : 'radio_button_unchecked'}
+                </span>
+                <span className={milestone.reached ? 'text-white font-medium' : 'text-[#c9b292]'}>
+                  {milestone.label}
+                  {milestone.kind === 'PERCENT' && (
+                    <span className="text-[#c9b292] text-xs"> · {Number(milestone.amount.toFixed(8))} {coin}</span>
+                  )}
+                </span>
+              </div>
+              <span className="text-[#c9b292] text-sm">
+                {milestone.reached ? formatDate(milestone.reachedAt) : 'Not yet'}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-400 px-4 py-3 rounded-lg text-sm mt-4">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default GoalMilestones;
@@ -0,0 +1,88 @@
+'use client';
+
+import { useState, useEffect, useImperativeHandle, forwardRef } from 'react';
+
+const FIELD_LABELS = {
+  targetAmount: 'Target',
+  amountInr: 'Contribution',
+  frequency: 'Frequency',
+};
+
+const GoalRevisionHistory = forwardRef(function GoalRevisionHistory({ goalId, coin }, ref) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [goalId]);
+
+  // Expose refresh function to parent components
+  useImperativeHandle(ref, () => ({
+    refresh: fetchRevisions
+  }));
+
+  const fetchRevisions = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/goals/${goalId}/revisions`, { credentials: 'include' });
+      const data = await response.json();
+
+      if (data.success) {
+        setRevisions(data.revisions || []);
+        setError('');
+      } else {
+        setError(data.error?.message || 'Failed to fetch change history');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined) return '—';
+    if (field === 'amountInr') return `₹${Number(value).toLocaleString('en-IN')}`;
+    if (field === 'targetAmount') return `${value} ${coin}`;
+    return value;
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleString('en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+
+  return (
+    <div className="rounded-xl bg-[#483923] p-6">
+      <h2 className="text-white text-[22px] font-bold leading-tight tracking-[-0.015em] mb-6">Change History</h2>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : error ? (
+        <p className="text-red-400 text-sm">{error}</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-[#c9b292] text-sm">No changes since this goal was created.</p>
+      ) : (
+        <ul className="space-y-4">
+          {revisions.map((revision) => (
+            <li key={revision.id} className="border-l-2 border-primary/40 pl-4">
+              <p className="text-[#c9b292] text-xs mb-1">{formatDate(revision.createdAt)}</p>
+              {Object.entries(revision.changes || {}).map(([field, change]) => (
+                <p key={field} className="text-white text-sm">
+                  <span className="text-[#c9b292]">{FIELD_LABELS[field] || field}:</span>{' '}
+                  {formatValue(field, change.from)} → {formatValue(field, change.to)}
+                </p>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+export default GoalRevisionHistory;
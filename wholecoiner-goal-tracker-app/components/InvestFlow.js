@@ -23,11 +23,18 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
   const [progressInfo, setProgressInfo] = useState(null);
   const [debugMode, setDebugMode] = useState(true); // Enable debug mode by default
   const [signedTx, setSignedTx] = useState(null); // Store signed transaction separately
+  const [riskWarnings, setRiskWarnings] = useState([]); // Pre-trade check warnings on the quote
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [swapPrefs, setSwapPrefs] = useState(null); // { user, goal, effective, limits } from the swap-preferences API
+  const [prefsForm, setPrefsForm] = useState(null);
+  const [prefsSaving, setPrefsSaving] = useState(false);
+  const [prefsMessage, setPrefsMessage] = useState('');
 
   // Fetch goal info and progress
   useEffect(() => {
     if (goalId) {
       fetchGoalProgress();
+      fetchSwapPreferences();
     }
   }, [goalId]);
 
@@ -53,6 +60,73 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
     }
   };
 
+  // Slippage is edited in percent, stored in basis points
+  const applySwapPreferences = (data) => {
+    setSwapPrefs(data);
+    setPrefsForm({
+      defaultSlippagePct: String(data.effective.defaultSlippageBps / 100),
+      maxSlippagePct: String(data.effective.maxSlippageBps / 100),
+      priorityLevel: data.effective.priorityLevel,
+      maxPriorityFeeLamports: String(data.effective.maxPriorityFeeLamports),
+    });
+  };
+
+  const fetchSwapPreferences = async () => {
+    try {
+      const response = await fetch(`/api/goals/${goalId}/swap-preferences`, {
+        credentials: 'include',
+      });
+      const data = await response.json();
+      if (data.success) {
+        applySwapPreferences(data);
+      }
+    } catch (err) {
+      console.error('Failed to fetch swap preferences:', err);
+    }
+  };
+
+  // scope: 'goal' overrides the user's settings for this goal, 'user' changes them for every goal
+  const saveSwapPreferences = async (scope, reset = false) => {
+    setPrefsSaving(true);
+    setPrefsMessage('');
+
+    const body = reset
+      ? { defaultSlippageBps: null, maxSlippageBps: null, priorityLevel: null, maxPriorityFeeLamports: null }
+      : {
+          defaultSlippageBps: Math.round(Number(prefsForm.defaultSlippagePct) * 100),
+          maxSlippageBps: Math.round(Number(prefsForm.maxSlippagePct) * 100),
+          priorityLevel: prefsForm.priorityLevel,
+          maxPriorityFeeLamports: Number(prefsForm.maxPriorityFeeLamports),
+        };
+
+    try {
+      const response = await fetch(scope === 'goal' ? `/api/goals/${goalId}/swap-preferences` : '/api/user/swap-preferences', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        setPrefsMessage(data.error?.message || 'Failed to save swap preferences');
+        return;
+      }
+
+      if (scope === 'user') {
+        // A goal override still wins over the new user settings
+        await fetchSwapPreferences();
+      } else {
+        applySwapPreferences(data);
+      }
+      setPrefsMessage(reset ? 'Using your default settings for this goal' : 'Saved');
+    } catch (err) {
+      setPrefsMessage('Network error. Please try again.');
+    } finally {
+      setPrefsSaving(false);
+    }
+  };
+
   const showNotification = (message, type = 'info') => {
     // Simple notification - could be enhanced with toast library
     const colors = {
@@ -258,6 +332,7 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
       // Check if response indicates success
       if (response.ok && data.success) {
         setQuote(data.quote);
+        setRiskWarnings(data.risk?.warnings || []);
         setSwapTransaction(data.swapTransaction); // Store swap transaction for signing
         setCurrentStep('signing');
         showNotification('Quote ready! Please sign the transaction.', 'info');
@@ -837,6 +912,7 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
     setCurrentStep('input');
     setBatchId(null);
     setQuote(null);
+    setRiskWarnings([]);
     setSwapTransaction(null);
     setSignedTx(null);
     setError('');
@@ -923,6 +999,110 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
             <p className="text-xs text-black mt-1">Minimum: 1 USDC (Testing Mode)</p>
           </div>
 
+          {prefsForm && (
+            <div className="border border-gray-200 rounded-md">
+              <button
+                type="button"
+                onClick={() => setShowAdvanced(!showAdvanced)}
+                className="w-full flex justify-between items-center px-4 py-2 text-sm font-medium text-black"
+              >
+                <span>Advanced</span>
+                <span className="text-xs text-gray-600">
+                  {prefsForm.defaultSlippagePct}% slippage · {prefsForm.priorityLevel} priority {showAdvanced ? '▲' : '▼'}
+                </span>
+              </button>
+
+              {showAdvanced && (
+                <div className="px-4 pb-4 space-y-3">
+                  <div className="grid grid-cols-2 gap-3">
+                    <label className="block text-xs font-medium text-black">
+                      Slippage (%)
+                      <input
+                        type="number"
+                        min="0.01"
+                        max={swapPrefs.limits.maxSlippageBps / 100}
+                        step="0.01"
+                        value={prefsForm.defaultSlippagePct}
+                        onChange={(e) => setPrefsForm({ ...prefsForm, defaultSlippagePct: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-black"
+                      />
+                    </label>
+                    <label className="block text-xs font-medium text-black">
+                      Max slippage (%)
+                      <input
+                        type="number"
+                        min="0.01"
+                        max={swapPrefs.limits.maxSlippageBps / 100}
+                        step="0.01"
+                        value={prefsForm.maxSlippagePct}
+                        onChange={(e) => setPrefsForm({ ...prefsForm, maxSlippagePct: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-black"
+                      />
+                    </label>
+                    <label className="block text-xs font-medium text-black">
+                      Priority
+                      <select
+                        value={prefsForm.priorityLevel}
+                        onChange={(e) => setPrefsForm({ ...prefsForm, priorityLevel: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-black"
+                      >
+                        {swapPrefs.limits.priorityLevels.map((level) => (
+                          <option key={level} value={level}>{level}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="block text-xs font-medium text-black">
+                      Max priority fee (lamports)
+                      <input
+                        type="number"
+                        min="0"
+                        max={swapPrefs.limits.maxPriorityFeeLamports}
+                        step="1"
+                        value={prefsForm.maxPriorityFeeLamports}
+                        onChange={(e) => setPrefsForm({ ...prefsForm, maxPriorityFeeLamports: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-black"
+                      />
+                    </label>
+                  </div>
+                  <p className="text-xs text-gray-600">
+                    Max priority fee: {(Number(prefsForm.maxPriorityFeeLamports) / 1e9).toFixed(6)} SOL. Retries never go above your max slippage.
+                  </p>
+
+                  {prefsMessage && <p className="text-xs text-black">{prefsMessage}</p>}
+
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      onClick={() => saveSwapPreferences('goal')}
+                      disabled={prefsSaving}
+                      className="bg-blue-600 text-white text-xs px-3 py-2 rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+                    >
+                      Save for this goal
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => saveSwapPreferences('user')}
+                      disabled={prefsSaving}
+                      className="border border-gray-300 text-black text-xs px-3 py-2 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Save as my default
+                    </button>
+                    {Object.keys(swapPrefs.goal).length > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => saveSwapPreferences('goal', true)}
+                        disabled={prefsSaving}
+                        className="text-gray-600 text-xs px-3 py-2 hover:text-black disabled:opacity-50"
+                      >
+                        Use my defaults
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-50 border border-red-200 rounded p-3">
               <p className="text-sm text-red-700 font-semibold">Error:</p>
@@ -1058,6 +1238,15 @@ export default function InvestFlow({ goalId, goalCoin, onSuccess }) {
                   </span>
                 </div>
               )}
+              {riskWarnings.length > 0 && (
+                <ul className="bg-yellow-50 border border-yellow-200 rounded-md p-3 space-y-1">
+                  {riskWarnings.map((warning) => (
+                    <li key={warning.check} className="text-yellow-800 text-xs">
+                      ⚠️ {warning.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
               {!debugMode && (
                 <button
                   onClick={handleSignAndExecute}
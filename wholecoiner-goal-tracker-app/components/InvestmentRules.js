@@ -0,0 +1,179 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+const EMPTY_FORM = {
+  priceCeilingInr: '',
+  maxSpendPerIntervalInr: '',
+  dipThresholdPct: '',
+  dipMultiplier: '',
+  dipLookback: '30d',
+};
+
+const formatInr = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+/**
+ * InvestmentRules - conditions a goal's investments must meet
+ * Price ceiling, spend cap per interval and a dip-buy multiplier, with a
+ * preview of what the rules would do to the next scheduled run.
+ */
+export default function InvestmentRules({ goalId, coin }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchRules();
+  }, [goalId]);
+
+  const applyRules = (data) => {
+    const toField = (value) => (value === undefined || value === null ? '' : String(value));
+    setForm({
+      priceCeilingInr: toField(data.rules.priceCeilingInr),
+      maxSpendPerIntervalInr: toField(data.rules.maxSpendPerIntervalInr),
+      dipThresholdPct: toField(data.rules.dipThresholdPct),
+      dipMultiplier: toField(data.rules.dipMultiplier),
+      dipLookback: data.rules.dipLookback || '30d',
+    });
+    setPreview(data.preview);
+  };
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/goals/${goalId}/investment-rules`, { credentials: 'include' });
+      const data = await response.json();
+
+      if (data.success) {
+        applyRules(data);
+        setError('');
+      } else {
+        setError(data.error?.message || 'Failed to fetch investment rules');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveRules = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+    setSaving(true);
+    setError('');
+
+    // Empty fields remove the rule
+    const toValue = (value) => (value === '' ? null : Number(value));
+    const hasDip = form.dipThresholdPct !== '' || form.dipMultiplier !== '';
+
+    try {
+      const response = await fetch(`/api/goals/${goalId}/investment-rules`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          priceCeilingInr: toValue(form.priceCeilingInr),
+          maxSpendPerIntervalInr: toValue(form.maxSpendPerIntervalInr),
+          dipThresholdPct: toValue(form.dipThresholdPct),
+          dipMultiplier: toValue(form.dipMultiplier),
+          dipLookback: hasDip ? form.dipLookback : null,
+        })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        applyRules(data);
+      } else {
+        setError(data.error?.message || 'Failed to update investment rules');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    'w-full rounded-lg bg-[#221a10] border border-[#67543a] px-4 h-12 text-white focus:outline-none focus:border-primary';
+
+  const field = (name, label, props = {}) => (
+    <label className="flex flex-col gap-2">
+      <span className="text-[#c9b292] text-sm font-medium">{label}</span>
+      <input
+        type="number"
+        step="any"
+        min="0"
+        value={form[name]}
+        onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+        className={inputClass}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="rounded-xl bg-[#483923] p-6">
+      <h2 className="text-white text-[22px] font-bold leading-tight tracking-[-0.015em] mb-2">Investment Rules</h2>
+      <p className="text-[#c9b292] text-sm mb-6">
+        Only buy {coin} when your conditions are met. Leave a field empty to turn that rule off.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : (
+        <form onSubmit={saveRules}>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            {field('priceCeilingInr', `Buy only below (INR per ${coin})`)}
+            {field('maxSpendPerIntervalInr', 'Max spend per interval (INR)')}
+            {field('dipThresholdPct', 'Dip: price below average by (%)', { max: 90 })}
+            {field('dipMultiplier', 'Dip: multiply amount by', { min: 1, max: 5 })}
+            <label className="flex flex-col gap-2">
+              <span className="text-[#c9b292] text-sm font-medium">Dip: average over</span>
+              <select
+                value={form.dipLookback}
+                onChange={(e) => setForm({ ...form, dipLookback: e.target.value })}
+                className={inputClass}
+              >
+                <option value="7d">7 days</option>
+                <option value="30d">30 days</option>
+              </select>
+            </label>
+          </div>
+
+          {preview && (
+            <p className="text-[#c9b292] text-sm mb-4">
+              {preview.allowed
+                ? `Next scheduled run: ${formatInr(preview.amountInr)}${preview.dip?.applied ? ` (dip ${preview.dip.dropPct.toFixed(1)}%, ×${preview.dip.multiplier})` : ''}`
+                : `Next scheduled run would be skipped: ${preview.reason}`}
+              {preview.priceInr !== null && ` · ${coin} now ${formatInr(preview.priceInr)}`}
+            </p>
+          )}
+
+          {error && (
+            <div className="bg-red-900/30 border border-red-700 text-red-400 px-4 py-3 rounded-lg text-sm mb-4">
+              {error}
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex min-w-[120px] items-center justify-center rounded-full h-12 px-6 bg-primary text-[#221b11] text-base font-bold leading-normal tracking-[0.015em] hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save Rules'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
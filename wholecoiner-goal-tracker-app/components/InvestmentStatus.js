@@ -2,15 +2,24 @@
 
 import { useState, useEffect } from 'react';
 
+const EVENT_LABELS = {
+  SUBMIT_ATTEMPT: 'Swap sent to Solana',
+  RPC_ERROR: 'Solana RPC error',
+  AUTO_SIGN_REJECTED: 'Auto-sign refused',
+  PRE_TRADE_BLOCKED: 'Quote rejected by pre-trade checks',
+  RULE_SKIPPED: 'Skipped by investment rule',
+};
+
 /**
  * InvestmentStatus component
- * Polls investment status and displays state progression
+ * Polls investment status and displays state progression and the batch timeline
  */
 export default function InvestmentStatus({ batchId, onCancel, onReQuote }) {
   const [status, setStatus] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [polling, setPolling] = useState(false);
+  const [events, setEvents] = useState([]);
 
   useEffect(() => {
     if (!batchId) return;
@@ -34,6 +43,28 @@ export default function InvestmentStatus({ batchId, onCancel, onReQuote }) {
     return () => clearInterval(interval);
   }, [batchId, status?.state, polling]);
 
+  // Timeline only changes when something happens to the batch, so refetch it per state
+  useEffect(() => {
+    if (!batchId || !status?.state) return;
+    fetchEvents();
+  }, [batchId, status?.state]);
+
+  const fetchEvents = async () => {
+    try {
+      const response = await fetch(`/api/investments/${batchId}/events`, {
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setEvents(data.events || []);
+      }
+    } catch (err) {
+      console.error('Events fetch error:', err);
+    }
+  };
+
   const fetchStatus = async () => {
     if (polling) return;
     
@@ -81,6 +112,23 @@ export default function InvestmentStatus({ batchId, onCancel, onReQuote }) {
     return states[state] || { label: state, color: 'gray' };
   };
 
+  const getEventLabel = (event) => {
+    if (event.type === 'QUOTED' && event.fromState && event.fromState !== 'ONRAMP_CONFIRMED') {
+      return 'Re-quoted';
+    }
+    if (event.type === 'SWAP_SIGNED' && event.data?.autoSigned) {
+      return 'Auto-signed';
+    }
+    return EVENT_LABELS[event.type] || getStateDisplay(event.type).label;
+  };
+
+  const formatEventTime = (dateString) =>
+    new Date(dateString).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+
   const getStateSteps = () => {
     return [
       { id: 'ONRAMP_CONFIRMED', label: 'Funds Received' },
@@ -230,6 +278,26 @@ export default function InvestmentStatus({ batchId, onCancel, onReQuote }) {
         </div>
       )}
 
+      {/* Timeline */}
+      {events.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-gray-200">
+          <h4 className="text-xs font-semibold text-black mb-2">Timeline</h4>
+          <ul className="space-y-1">
+            {events.map((event) => (
+              <li key={event.id} className="flex items-start text-xs">
+                <span className="text-gray-500 w-20 shrink-0">{formatEventTime(event.createdAt)}</span>
+                <span className={event.type === 'RPC_ERROR' || event.type === 'FAILED' ? 'text-red-600' : 'text-black'}>
+                  {getEventLabel(event)}
+                  {event.data?.error && (
+                    <span className="block text-gray-500 break-all">{event.data.error}</span>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Transaction Link */}
       {status.lastSignature && (
         <div className="mt-3 pt-3 border-t border-gray-200">
@@ -0,0 +1,225 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const PAGE_SIZE = 10;
+
+/**
+ * NotificationBell - Header bell with unread badge and inbox dropdown
+ * Polls the unread count and loads notifications on open (cursor paginated)
+ */
+export default function NotificationBell() {
+  const [open, setOpen] = useState(false);
+  const [filter, setFilter] = useState('ALL');
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await fetch('/api/notifications/unread-count', {
+        credentials: 'include',
+      });
+      const data = await response.json();
+      if (data.success) {
+        setUnreadCount(data.unreadCount);
+      }
+    } catch (err) {
+      console.error('Unread count fetch error:', err);
+    }
+  }, []);
+
+  const fetchNotifications = useCallback(async (cursor = null) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+      if (filter === 'UNREAD') params.set('status', 'UNREAD');
+      if (cursor) params.set('after', cursor);
+
+      const response = await fetch(`/api/notifications?${params}`, {
+        credentials: 'include',
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setNotifications((prev) => (cursor ? [...prev, ...data.notifications] : data.notifications));
+        setNextCursor(data.pagination.nextCursor);
+        setUnreadCount(data.unreadCount);
+      }
+    } catch (err) {
+      console.error('Notifications fetch error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchUnreadCount();
+    // Refresh badge every minute
+    const interval = setInterval(fetchUnreadCount, 60 * 1000);
+    return () => clearInterval(interval);
+  }, [fetchUnreadCount]);
+
+  useEffect(() => {
+    if (open) {
+      fetchNotifications();
+    }
+  }, [open, fetchNotifications]);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const markAsRead = async (notification) => {
+    if (notification.status === 'READ') return;
+    try {
+      const response = await fetch(`/api/notifications/${notification.id}`, {
+        method: 'PATCH',
+        credentials: 'include',
+      });
+      const data = await response.json();
+      if (data.success) {
+        setUnreadCount(data.unreadCount);
+        setNotifications((prev) =>
+          filter === 'UNREAD'
+            ? prev.filter((n) => n.id !== notification.id)
+            : prev.map((n) => (n.id === notification.id ? { ...n, status: 'READ' } : n))
+        );
+      }
+    } catch (err) {
+      console.error('Mark as read error:', err);
+    }
+  };
+
+  const markAllAsRead = async () => {
+    try {
+      const response = await fetch('/api/notifications/read-all', {
+        method: 'POST',
+        credentials: 'include',
+      });
+      const data = await response.json();
+      if (data.success) {
+        setUnreadCount(0);
+        setNotifications((prev) =>
+          filter === 'UNREAD' ? [] : prev.map((n) => ({ ...n, status: 'READ' }))
+        );
+      }
+    } catch (err) {
+      console.error('Mark all as read error:', err);
+    }
+  };
+
+  const formatTime = (timestamp) => {
+    const diffMs = Date.now() - new Date(timestamp).getTime();
+    const minutes = Math.floor(diffMs / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return new Date(timestamp).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        className="relative flex h-10 w-10 items-center justify-center rounded-full border border-[var(--border-subtle)] text-[var(--text-secondary)] transition-colors hover:text-[var(--accent)]"
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ''}`}
+      >
+        <span className="material-symbols-outlined text-xl">notifications</span>
+        {unreadCount > 0 && (
+          <span className="absolute -right-1 -top-1 flex h-5 min-w-[1.25rem] items-center justify-center rounded-full bg-[var(--accent)] px-1 text-[0.65rem] font-bold text-[#0d0804]">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-30 mt-2 w-80 rounded-2xl border border-[#292018] bg-[#17110b] shadow-[0_30px_100px_rgba(0,0,0,0.65)]">
+          <div className="flex items-center justify-between border-b border-[#292018] px-4 py-3">
+            <div className="flex gap-2">
+              {['ALL', 'UNREAD'].map((value) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setFilter(value)}
+                  className={`rounded-full px-3 py-1 text-[0.65rem] font-semibold uppercase tracking-[0.18em] transition-colors ${
+                    filter === value
+                      ? 'bg-[var(--accent)] text-[#0d0804]'
+                      : 'text-[var(--text-secondary)] hover:text-[var(--accent)]'
+                  }`}
+                >
+                  {value === 'ALL' ? 'All' : 'Unread'}
+                </button>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={markAllAsRead}
+              disabled={unreadCount === 0}
+              className="text-[0.7rem] text-[var(--text-secondary)] transition-colors hover:text-[var(--accent)] disabled:opacity-40"
+            >
+              Mark all read
+            </button>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 && !loading && (
+              <p className="px-4 py-8 text-center text-xs text-[var(--text-secondary)]">
+                {filter === 'UNREAD' ? 'You are all caught up.' : 'No notifications yet.'}
+              </p>
+            )}
+
+            {notifications.map((notification) => (
+              <button
+                key={notification.id}
+                type="button"
+                onClick={() => markAsRead(notification)}
+                className="flex w-full gap-3 border-b border-[#292018]/60 px-4 py-3 text-left transition-colors hover:bg-[#1d140c]"
+              >
+                <span
+                  className={`mt-1.5 h-2 w-2 flex-shrink-0 rounded-full ${
+                    notification.status === 'UNREAD' ? 'bg-[var(--accent)]' : 'bg-transparent'
+                  }`}
+                />
+                <span className="flex-1">
+                  <span className={`block text-xs ${notification.status === 'UNREAD' ? 'text-white' : 'text-white/60'}`}>
+                    {notification.message}
+                  </span>
+                  <span className="mt-1 block text-[0.65rem] text-[var(--text-secondary)]">
+                    {formatTime(notification.timestamp)}
+                  </span>
+                </span>
+              </button>
+            ))}
+
+            {loading && (
+              <p className="px-4 py-3 text-center text-xs text-[var(--text-secondary)]">Loading…</p>
+            )}
+
+            {nextCursor && !loading && (
+              <button
+                type="button"
+                onClick={() => fetchNotifications(nextCursor)}
+                className="w-full px-4 py-3 text-center text-xs text-[var(--text-secondary)] transition-colors hover:text-[var(--accent)]"
+              >
+                Load more
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+const RANGES = ['7d', '30d', '90d', '1y', 'all'];
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const PADDING = { top: 12, right: 8, bottom: 24, left: 8 };
+
+/**
+ * PriceHistoryChart - OHLC candle chart for a goal coin
+ * Reads /api/price/historical (stored snapshots + provider fallback)
+ */
+export default function PriceHistoryChart({ coin, currency = 'USD' }) {
+  const [range, setRange] = useState('30d');
+  const [candles, setCandles] = useState([]);
+  const [source, setSource] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [hovered, setHovered] = useState(null);
+
+  useEffect(() => {
+    if (!coin) return;
+
+    let cancelled = false;
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await fetch(
+          `/api/price/historical?coin=${coin}&range=${range}&currency=${currency}`,
+          { credentials: 'include' }
+        );
+        const data = await response.json();
+
+        if (cancelled) return;
+
+        if (data.success) {
+          setCandles(data.candles);
+          setSource(data.source);
+        } else {
+          setError(data.error?.message || 'Failed to load price history');
+        }
+      } catch (err) {
+        if (!cancelled) setError('Failed to load price history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [coin, range, currency]);
+
+  const formatPrice = (price) =>
+    new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : 'en-US', {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: price >= 1 ? 2 : 6,
+    }).format(price);
+
+  const formatTime = (time) =>
+    new Date(time).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      ...(range === '7d' && { hour: 'numeric' }),
+      ...((range === '1y' || range === 'all') && { year: '2-digit' }),
+    });
+
+  const renderChart = () => {
+    const high = Math.max(...candles.map((c) => c.high));
+    const low = Math.min(...candles.map((c) => c.low));
+    const spread = high - low || high * 0.01 || 1;
+    const innerWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+    const innerHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    const slot = innerWidth / candles.length;
+    const bodyWidth = Math.max(1, slot * 0.6);
+    const y = (price) => PADDING.top + ((high - price) / spread) * innerHeight;
+
+    return (
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-auto"
+        onMouseLeave={() => setHovered(null)}
+      >
+        {candles.map((candle, i) => {
+          const x = PADDING.left + slot * i + slot / 2;
+          const up = candle.close >= candle.open;
+          const color = up ? '#4ade80' : '#f87171';
+          const bodyTop = y(Math.max(candle.open, candle.close));
+          const bodyHeight = Math.max(1, Math.abs(y(candle.open) - y(candle.close)));
+
+          return (
+            <g key={candle.time} onMouseEnter={() => setHovered(candle)}>
+              <rect x={x - slot / 2} y={PADDING.top} width={slot} height={innerHeight} fill="transparent" />
+              <line x1={x} x2={x} y1={y(candle.high)} y2={y(candle.low)} stroke={color} strokeWidth="1" />
+              <rect x={x - bodyWidth / 2} y={bodyTop} width={bodyWidth} height={bodyHeight} fill={color} />
+            </g>
+          );
+        })}
+        <text x={PADDING.left} y={CHART_HEIGHT - 6} fill="#c9b292" fontSize="10">
+          {formatTime(candles[0].time)}
+        </text>
+        <text x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 6} fill="#c9b292" fontSize="10" textAnchor="end">
+          {formatTime(candles[candles.length - 1].time)}
+        </text>
+      </svg>
+    );
+  };
+
+  const latest = hovered || candles[candles.length - 1];
+
+  return (
+    <div className="rounded-xl bg-[#483923] p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-white text-[22px] font-bold leading-tight tracking-[-0.015em]">{coin} Price</h2>
+          {latest && (
+            <p className="text-[#c9b292] text-sm mt-1">
+              {formatTime(latest.time)} · O {formatPrice(latest.open)} · H {formatPrice(latest.high)} · L{' '}
+              {formatPrice(latest.low)} · C {formatPrice(latest.close)}
+            </p>
+          )}
+        </div>
+        <div className="flex gap-1">
+          {RANGES.map((value) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setRange(value)}
+              className={`rounded-full px-3 py-1 text-xs font-bold uppercase transition-colors ${
+                range === value ? 'bg-[#c9b292] text-[#221a11]' : 'text-[#c9b292] hover:text-white'
+              }`}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="h-[220px] rounded-lg bg-[#221a11]/40 animate-pulse" />
+      ) : error ? (
+        <p className="text-red-400 text-sm">{error}</p>
+      ) : candles.length === 0 ? (
+        <p className="text-[#c9b292] text-sm">No price history available for this range yet.</p>
+      ) : (
+        renderChart()
+      )}
+
+      {source && !loading && !error && (
+        <p className="text-[#c9b292]/70 text-xs mt-2">Source: {source}</p>
+      )}
+    </div>
+  );
+}
@@ -14,6 +14,7 @@ export default function SwapExecute({ goalId, goalCoin, onSuccess }) {
   const [error, setError] = useState('');
   const [txStatus, setTxStatus] = useState('idle'); // idle, signing, submitting, success, error
   const [batchId, setBatchId] = useState(null);
+  const [riskWarnings, setRiskWarnings] = useState([]); // Pre-trade check results for the latest quote
   
   // Switched to mainnet - Jupiter swaps enabled
   const isDevnet = false;
@@ -22,6 +23,7 @@ export default function SwapExecute({ goalId, goalCoin, onSuccess }) {
     setLoading(true);
     setError('');
     setQuote(null);
+    setRiskWarnings([]);
     const newBatchId = crypto.randomUUID();
     setBatchId(newBatchId);
 
@@ -45,8 +47,10 @@ export default function SwapExecute({ goalId, goalCoin, onSuccess }) {
       if (data.success && data.quote) {
         // Store the full response including swapTransaction
         setQuote(data);
+        setRiskWarnings(data.risk?.warnings || []);
       } else {
         setError(data.error?.message || 'Failed to get swap quote');
+        setRiskWarnings(data.error?.warnings || []);
       }
     } catch (err) {
       setError('Network error. Please try again.');
@@ -201,6 +205,26 @@ export default function SwapExecute({ goalId, goalCoin, onSuccess }) {
         </button>
       </div>
 
+      {/* Pre-trade check warnings */}
+      {riskWarnings.length > 0 && !isDevnet && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <p className="text-sm font-medium text-yellow-800 mb-2">
+            {quote ? 'Check before you sign' : 'Quote rejected'}
+          </p>
+          <ul className="space-y-1 text-sm">
+            {riskWarnings.map((warning) => (
+              <li
+                key={warning.check}
+                className={warning.severity === 'block' ? 'text-red-700' : 'text-yellow-700'}
+              >
+                {warning.message}
+                {warning.threshold !== null && ` (limit ${warning.threshold}${warning.check === 'ROUTE_HOPS' ? '' : '%'})`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {quote && !isDevnet && (
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 space-y-3">
           <p className="text-sm font-medium text-blue-900 mb-2">Quote Details</p>
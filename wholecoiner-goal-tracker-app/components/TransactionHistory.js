@@ -120,12 +120,23 @@ const TransactionHistory = forwardRef(function TransactionHistory({ goalId }, re
     <div className="rounded-xl bg-[#483923] p-6">
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-white text-[22px] font-bold leading-tight tracking-[-0.015em]">Transaction History</h2>
-        <button
-          onClick={fetchTransactions}
-          className="text-sm text-primary hover:text-primary/80 transition-colors"
-        >
-          Refresh
-        </button>
+        <div className="flex items-center gap-4">
+          {['csv', 'json', 'ofx'].map((format) => (
+            <a
+              key={format}
+              href={`/api/history/export?goalId=${goalId}&format=${format}`}
+              className="text-sm text-[#c9b292] hover:text-white transition-colors uppercase"
+            >
+              {format}
+            </a>
+          ))}
+          <button
+            onClick={fetchTransactions}
+            className="text-sm text-primary hover:text-primary/80 transition-colors"
+          >
+            Refresh
+          </button>
+        </div>
       </div>
 
       <div className="overflow-x-auto">
@@ -2,6 +2,7 @@
  * Authentication utilities with Privy integration
  */
 
+import { timingSafeEqual } from 'crypto';
 import { PrivyClient } from '@privy-io/server-auth';
 import { AuthenticationError, AuthorizationError } from './errors.js';
 import { logger } from './logger.js';
@@ -128,3 +129,41 @@ export async function markTwoFaVerified(userId) {
   await setSession({ userId, twoFaVerified: true });
 }
 
+
+/**
+ * Require the shared cron secret for background job endpoints
+ * Expects `Authorization: Bearer <CRON_SECRET>`
+ * @param {Request} request - Request object
+ * @throws {AuthenticationError} If CRON_SECRET is not configured or does not match
+ */
+export function requireCronSecret(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    throw new AuthenticationError('CRON_SECRET is not configured');
+  }
+
+  // Constant-time compare so response timing does not leak the secret
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(request.headers.get('authorization') || '');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw new AuthenticationError('Invalid cron secret');
+  }
+}
+
+/**
+ * Require an admin user (Privy ID listed in ADMIN_PRIVY_IDS, comma separated)
+ * The Privy ID is checked against the verified token at login; the stored
+ * email comes from the login request body, so it must not grant access.
+ * @param {Object} user - User object from requireAuth()
+ * @throws {AuthorizationError} If the user is not an admin
+ */
+export function requireAdmin(user) {
+  const admins = (process.env.ADMIN_PRIVY_IDS || '')
+    .split(',')
+    .map((privyId) => privyId.trim())
+    .filter(Boolean);
+
+  if (!user?.privyId || !admins.includes(user.privyId)) {
+    throw new AuthorizationError('Admin access required');
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Investment batch event log
+ * Append-only: events are only ever created, never updated or deleted (they go
+ * with their batch). State changes use the batch state as the event type, the
+ * same names sendInvestmentNotification uses; the other types below record
+ * activity that does not change the state.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+
+export const BATCH_EVENT_TYPES = {
+  SUBMIT_ATTEMPT: 'SUBMIT_ATTEMPT',         // Signed swap sent to the RPC
+  RPC_ERROR: 'RPC_ERROR',                   // Submit or confirmation call failed
+  AUTO_SIGN_REJECTED: 'AUTO_SIGN_REJECTED', // Server refused to auto-sign (lib/custodialSigning.js)
+  PRE_TRADE_BLOCKED: 'PRE_TRADE_BLOCKED',   // Quote rejected by a pre-trade check (lib/tradeRisk.js)
+  RULE_SKIPPED: 'RULE_SKIPPED',             // Not quoted because a goal rule is not met (lib/investmentRules.js)
+};
+
+/**
+ * Append an event to a batch's log
+ * Logging failures are swallowed so they never break the investment flow;
+ * state-change events are written by transitionBatch in the same transaction instead.
+ * @param {string} batchId - Investment batch ID
+ * @param {string} type - BatchState name or BATCH_EVENT_TYPES value
+ * @param {Object} data - Event details
+ * @param {Object} options
+ * @param {string} options.requestId - Request that caused the event
+ * @param {Object} options.client - Prisma client or transaction client
+ * @returns {Promise<Object|null>} Created event, or null if it could not be stored
+ */
+export async function recordBatchEvent(batchId, type, data = null, { requestId = null, client = prisma } = {}) {
+  try {
+    return await client.batchEvent.create({
+      data: {
+        batchId,
+        type,
+        requestId,
+        data: data || undefined,
+      },
+    });
+  } catch (error) {
+    logger.error('Failed to record batch event', {
+      error: error.message,
+      batchId,
+      type,
+      requestId,
+    });
+    return null;
+  }
+}
+
+/**
+ * Events of a batch, oldest first
+ * @param {string} batchId - Investment batch ID
+ * @returns {Promise<Array>}
+ */
+export async function listBatchEvents(batchId) {
+  return await prisma.batchEvent.findMany({
+    where: { batchId },
+    orderBy: { createdAt: 'asc' },
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * Contribution strategies
+ * How much a goal invests each interval. `amountInr` is the base contribution;
+ * the goal's strategy (`strategy` + `strategyParams`) decides the actual one:
+ *  - FIXED_DCA: always amountInr
+ *  - VALUE_AVERAGING: whatever keeps the holdings' INR value on a straight line
+ *    that grows by amountInr per interval (0 when ahead of it, up to maxMultiplier x amountInr when behind)
+ *  - BUY_THE_DIP: amountInr, or dipMultiplier x amountInr while the price is
+ *    dipThresholdPct or more below its lookback average
+ * Each strategy computes the next contribution and a projected completion date.
+ */
+
+import { GoalErrors } from './errors.js';
+import { logger } from './logger.js';
+import { getPriceInINR } from './prices.js';
+import { getPriceHistory } from './priceHistory.js';
+import { getAveragePriceInr, DIP_LOOKBACKS } from './investmentRules.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intervals counted as whole days (a month is 30 days)
+const DAYS_PER_INTERVAL = {
+  DAILY: 1,
+  WEEKLY: 7,
+  MONTHLY: 30,
+};
+
+const MAX_MONTHS = 120;
+
+function getScheduleAnchor(goal) {
+  return new Date(goal.publishedAt || goal.createdAt || Date.now());
+}
+
+/**
+ * Completion date after `intervals` more contributions, counted from `from`
+ * @throws {GoalValidationError} GOAL_DURATION_TOO_LONG past 10 years from now
+ */
+function toProjection(intervals, frequency, from, now, expectedContributionInr) {
+  const estimatedDate = new Date(from.getTime() + intervals * DAYS_PER_INTERVAL[frequency] * DAY_MS);
+  const daysToComplete = Math.max(0, Math.ceil((estimatedDate.getTime() - now.getTime()) / DAY_MS));
+  const monthsToComplete = Math.ceil(daysToComplete / 30);
+
+  if (monthsToComplete > MAX_MONTHS) {
+    throw GoalErrors.GOAL_DURATION_TOO_LONG(monthsToComplete);
+  }
+
+  return {
+    estimatedCompletionDate: estimatedDate.toISOString(),
+    monthsToComplete,
+    intervalsNeeded: Math.max(0, Math.ceil((estimatedDate.getTime() - now.getTime()) / (DAYS_PER_INTERVAL[frequency] * DAY_MS))),
+    expectedContributionInr: Math.round(expectedContributionInr),
+  };
+}
+
+function requireNumber(params, field, min, max) {
+  const value = params[field];
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw GoalErrors.INVALID_STRATEGY_PARAMS(`${field} must be between ${min} and ${max}`);
+  }
+}
+
+export const CONTRIBUTION_STRATEGIES = {
+  FIXED_DCA: {
+    label: 'Fixed DCA',
+    defaultParams: {},
+
+    validateParams() {
+      return {};
+    },
+
+    async nextContribution(goal) {
+      return { amountInr: goal.amountInr, reason: null };
+    },
+
+    async project(goal, { priceInr, now }) {
+      const remainingCostInr = Math.max(0, goal.targetAmount - goal.investedAmount) * priceInr;
+      return toProjection(Math.ceil(remainingCostInr / goal.amountInr), goal.frequency, now, now, goal.amountInr);
+    },
+  },
+
+  VALUE_AVERAGING: {
+    label: 'Value averaging',
+    defaultParams: { maxMultiplier: 3 },
+
+    validateParams(params) {
+      requireNumber(params, 'maxMultiplier', 1, 10);
+      return { maxMultiplier: params.maxMultiplier };
+    },
+
+    async nextContribution(goal, { priceInr, now }) {
+      const { maxMultiplier } = goal.strategyParams;
+      const intervalMs = DAYS_PER_INTERVAL[goal.frequency] * DAY_MS;
+      const interval = Math.floor((now.getTime() - getScheduleAnchor(goal).getTime()) / intervalMs) + 1;
+
+      const targetValueInr = Math.min(interval * goal.amountInr, goal.targetAmount * priceInr);
+      const currentValueInr = goal.investedAmount * priceInr;
+      const amountInr = Math.min(Math.max(targetValueInr - currentValueInr, 0), maxMultiplier * goal.amountInr);
+
+      return {
+        amountInr,
+        reason: amountInr === 0 ? 'Holdings are ahead of the value-averaging target' : null,
+        targetValueInr: Math.round(targetValueInr),
+        currentValueInr: Math.round(currentValueInr),
+      };
+    },
+
+    // The target line reaches the goal's value after targetValue / amountInr intervals from the start
+    async project(goal, { priceInr, now }) {
+      const intervals = Math.ceil((goal.targetAmount * priceInr) / goal.amountInr);
+      return toProjection(intervals, goal.frequency, getScheduleAnchor(goal), now, goal.amountInr);
+    },
+  },
+
+  BUY_THE_DIP: {
+    label: 'Buy more on dips',
+    defaultParams: { dipThresholdPct: 10, dipMultiplier: 2, lookback: '30d' },
+
+    validateParams(params) {
+      requireNumber(params, 'dipThresholdPct', 1, 90);
+      requireNumber(params, 'dipMultiplier', 1, 5);
+      if (!DIP_LOOKBACKS.includes(params.lookback)) {
+        throw GoalErrors.INVALID_STRATEGY_PARAMS(`lookback must be one of: ${DIP_LOOKBACKS.join(', ')}`);
+      }
+      return { dipThresholdPct: params.dipThresholdPct, dipMultiplier: params.dipMultiplier, lookback: params.lookback };
+    },
+
+    async nextContribution(goal, { priceInr, now }) {
+      const { dipThresholdPct, dipMultiplier, lookback } = goal.strategyParams;
+      const averagePriceInr = await getAveragePriceInr(goal.coin, lookback, now);
+      if (!averagePriceInr) {
+        return { amountInr: goal.amountInr, reason: 'No price history to detect a dip' };
+      }
+
+      const dropPct = ((averagePriceInr - priceInr) / averagePriceInr) * 100;
+      const isDip = dropPct >= dipThresholdPct;
+      return {
+        amountInr: isDip ? goal.amountInr * dipMultiplier : goal.amountInr,
+        reason: isDip ? `Price is ${dropPct.toFixed(1)}% below its ${lookback} average` : null,
+        dropPct,
+      };
+    },
+
+    // Expected contribution assumes dips come as often as they did over the lookback window
+    async project(goal, { priceInr, now }) {
+      const { dipThresholdPct, dipMultiplier, lookback } = goal.strategyParams;
+      let dipShare = 0;
+      try {
+        const { candles } = await getPriceHistory(goal.coin, lookback, { now, currency: 'INR' });
+        if (candles.length > 0) {
+          const average = candles.reduce((sum, candle) => sum + candle.close, 0) / candles.length;
+          dipShare = candles.filter((candle) => candle.close <= average * (1 - dipThresholdPct / 100)).length / candles.length;
+        }
+      } catch (error) {
+        logger.warn('Price history unavailable for dip projection', { coin: goal.coin, error: error.message });
+      }
+
+      const expectedContributionInr = goal.amountInr * (1 + dipShare * (dipMultiplier - 1));
+      const remainingCostInr = Math.max(0, goal.targetAmount - goal.investedAmount) * priceInr;
+      return toProjection(Math.ceil(remainingCostInr / expectedContributionInr), goal.frequency, now, now, expectedContributionInr);
+    },
+  },
+};
+
+/**
+ * Strategy of a goal (FIXED_DCA for goals created before strategies existed)
+ * @param {Object} goal
+ * @returns {Object} Entry of CONTRIBUTION_STRATEGIES
+ */
+export function getContributionStrategy(goal) {
+  return CONTRIBUTION_STRATEGIES[goal.strategy] || CONTRIBUTION_STRATEGIES.FIXED_DCA;
+}
+
+/**
+ * Validate the strategy fields of a goal create/update body
+ * Missing params fall back to the strategy's defaults.
+ * @param {Object} data - { strategy?, strategyParams? }
+ * @returns {Object} { strategy, strategyParams } to store, or {} when no strategy is given
+ * @throws {GoalValidationError}
+ */
+export function validateContributionStrategy({ strategy, strategyParams }) {
+  if (strategy === undefined) {
+    return {};
+  }
+
+  const definition = CONTRIBUTION_STRATEGIES[strategy];
+  if (!definition) {
+    throw GoalErrors.INVALID_STRATEGY(strategy);
+  }
+
+  return {
+    strategy,
+    strategyParams: definition.validateParams({ ...definition.defaultParams, ...strategyParams }),
+  };
+}
+
+/**
+ * Contribution for the goal's next interval
+ * @param {Object} goal - Goal with strategy, strategyParams, amountInr, investedAmount
+ * @param {Object} options
+ * @param {number} options.priceInr - Current coin price (fetched when left out)
+ * @param {Date} options.now
+ * @returns {Promise<Object>} { amountInr, reason, ... } (reason explains a changed or zero amount)
+ */
+export async function getNextContribution(goal, { priceInr, now = new Date() } = {}) {
+  const price = priceInr ?? await getPriceInINR(goal.coin);
+  return await getContributionStrategy(goal).nextContribution(goal, { priceInr: price, now });
+}
+
+/**
+ * Projected completion of the goal under its strategy
+ * @param {Object} goal
+ * @param {Object} options
+ * @param {number} options.priceInr - Current coin price (fetched when left out)
+ * @param {Date} options.fxDate - Price in INR with that day's stored FX rate
+ * @param {Date} options.now
+ * @returns {Promise<Object>} { estimatedCompletionDate, monthsToComplete, intervalsNeeded, expectedContributionInr }
+ * @throws {GoalValidationError} GOAL_DURATION_TOO_LONG
+ */
+export async function projectCompletion(goal, { priceInr, fxDate, now = new Date() } = {}) {
+  const price = priceInr ?? await getPriceInINR(goal.coin, { fxDate });
+  return await getContributionStrategy(goal).project(goal, { priceInr: price, now });
+}
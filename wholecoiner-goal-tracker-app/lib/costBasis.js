@@ -0,0 +1,130 @@
+/**
+ * Cost basis and P&L helpers
+ * Each SWAP records what it cost at execution time in its meta:
+ * costUsdc, costInr, fxRate, executionPriceUsdc, executionPriceInr
+ */
+
+import { getFxUsdToInr } from './fx.js';
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Build the cost fields recorded on a SWAP when it executes
+ * @param {number} costUsdc - USDC spent on the swap
+ * @param {number} amountCrypto - Goal token received
+ * @returns {Promise<Object>} Cost meta to merge into the SWAP transaction meta
+ */
+export async function buildSwapCost(costUsdc, amountCrypto) {
+  const fxRate = await getFxUsdToInr();
+  const costInr = costUsdc * fxRate;
+
+  return {
+    costUsdc: round(costUsdc, 6),
+    costInr: round(costInr),
+    fxRate,
+    executionPriceUsdc: amountCrypto > 0 ? costUsdc / amountCrypto : null,
+    executionPriceInr: amountCrypto > 0 ? costInr / amountCrypto : null,
+    costRecordedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Read the recorded cost of a SWAP transaction
+ * Swaps executed before cost tracking fall back to the quoted input amount and
+ * the given FX rate, and are flagged as estimated
+ * @param {Object} txn - SWAP transaction
+ * @param {number} fallbackFxRate - USD/INR rate for swaps without a recorded rate
+ * @returns {{costUsdc: number, costInr: number, fxRate: number, estimated: boolean}}
+ */
+export function getSwapCost(txn, fallbackFxRate) {
+  const meta = txn.meta || {};
+
+  if (meta.costUsdc !== undefined && meta.costInr !== undefined) {
+    return {
+      costUsdc: meta.costUsdc,
+      costInr: meta.costInr,
+      fxRate: meta.fxRate,
+      estimated: false,
+    };
+  }
+
+  // Legacy swaps: SWAP.amountInr holds the onramp USDC amount
+  const costUsdc = meta.inputAmount ?? txn.amountInr ?? 0;
+  return {
+    costUsdc,
+    costInr: costUsdc * fallbackFxRate,
+    fxRate: fallbackFxRate,
+    estimated: true,
+  };
+}
+
+/**
+ * Compute cost basis, unrealized P&L and per-batch returns from confirmed swaps
+ * @param {Array} swaps - SWAP_CONFIRMED transactions of one goal
+ * @param {Object} prices
+ * @param {number} prices.currentPriceInr - Current coin price in INR
+ * @param {number|null} prices.currentPriceUsd - Current coin price in USD
+ * @param {number} prices.fxRate - Current USD/INR rate (fallback for legacy swaps)
+ * @returns {Object} Cost basis summary
+ */
+export function computeCostBasis(swaps, { currentPriceInr, currentPriceUsd, fxRate }) {
+  let totalCostInr = 0;
+  let totalCostUsdc = 0;
+  let totalCrypto = 0;
+  let estimated = false;
+
+  const batches = swaps
+    .slice()
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map((txn) => {
+      const cost = getSwapCost(txn, fxRate);
+      const amountCrypto = txn.amountCrypto || 0;
+      const currentValueInr = amountCrypto * currentPriceInr;
+      const currentValueUsd = currentPriceUsd !== null ? amountCrypto * currentPriceUsd : null;
+
+      totalCostInr += cost.costInr;
+      totalCostUsdc += cost.costUsdc;
+      totalCrypto += amountCrypto;
+      estimated = estimated || cost.estimated;
+
+      return {
+        batchId: txn.batchId,
+        timestamp: new Date(txn.timestamp).toISOString(),
+        amountCrypto,
+        costUsdc: round(cost.costUsdc, 6),
+        costInr: round(cost.costInr),
+        fxRate: cost.fxRate,
+        executionPriceInr: amountCrypto > 0 ? round(cost.costInr / amountCrypto) : null,
+        executionPriceUsd: amountCrypto > 0 ? round(cost.costUsdc / amountCrypto) : null,
+        currentValueInr: round(currentValueInr),
+        currentValueUsd: currentValueUsd !== null ? round(currentValueUsd) : null,
+        returnInr: round(currentValueInr - cost.costInr),
+        returnUsd: currentValueUsd !== null ? round(currentValueUsd - cost.costUsdc) : null,
+        returnPercentage: cost.costInr > 0 ? round(((currentValueInr - cost.costInr) / cost.costInr) * 100) : 0,
+        estimated: cost.estimated,
+      };
+    });
+
+  const currentValueInr = totalCrypto * currentPriceInr;
+  const currentValueUsd = currentPriceUsd !== null ? totalCrypto * currentPriceUsd : null;
+  const unrealizedPnlInr = currentValueInr - totalCostInr;
+  const unrealizedPnlUsd = currentValueUsd !== null ? currentValueUsd - totalCostUsdc : null;
+
+  return {
+    totalCrypto,
+    totalCostInr: round(totalCostInr),
+    totalCostUsdc: round(totalCostUsdc, 6),
+    averageCostInr: totalCrypto > 0 ? round(totalCostInr / totalCrypto) : null,
+    averageCostUsd: totalCrypto > 0 ? round(totalCostUsdc / totalCrypto) : null,
+    currentValueInr: round(currentValueInr),
+    currentValueUsd: currentValueUsd !== null ? round(currentValueUsd) : null,
+    unrealizedPnlInr: round(unrealizedPnlInr),
+    unrealizedPnlUsd: unrealizedPnlUsd !== null ? round(unrealizedPnlUsd) : null,
+    unrealizedPnlPercentage: totalCostInr > 0 ? round((unrealizedPnlInr / totalCostInr) * 100) : 0,
+    estimated,
+    batches,
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * CSV helpers shared by the history export and the tax report
+ */
+
+/**
+ * One CSV cell
+ * Quotes cells with commas, quotes or line breaks. Text starting with = + - @
+ * (or a tab/CR) is prefixed with ' so spreadsheets show it instead of running
+ * it as a formula; numbers are left as they are.
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
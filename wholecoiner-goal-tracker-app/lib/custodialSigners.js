@@ -0,0 +1,79 @@
+/**
+ * Server-side signers for auto-signed (custodial) swaps
+ * A signer has the shape
+ * { name, signTransaction(transaction, walletAddress) -> Promise<VersionedTransaction> }
+ * and refuses to sign for a wallet it does not control.
+ * Select with CUSTODIAL_SIGNER=privy|keypair; unset disables auto-signing.
+ */
+
+import { PrivyClient } from '@privy-io/server-auth';
+import { logger } from './logger.js';
+import { getAppWallet } from './solana.js';
+
+/**
+ * Privy server-side signing for embedded wallets the user delegated to the app
+ * Needs PRIVY_AUTHORIZATION_PRIVATE_KEY when the app has an authorization key registered.
+ */
+export function createPrivySigner() {
+  const privy = new PrivyClient(process.env.PRIVY_APP_ID, process.env.PRIVY_APP_SECRET, {
+    walletApi: {
+      authorizationPrivateKey: process.env.PRIVY_AUTHORIZATION_PRIVATE_KEY,
+    },
+  });
+
+  return {
+    name: 'privy',
+
+    async signTransaction(transaction, walletAddress) {
+      const { signedTransaction } = await privy.walletApi.solana.signTransaction({
+        address: walletAddress,
+        chainType: 'solana',
+        transaction,
+      });
+      return signedTransaction;
+    },
+  };
+}
+
+/**
+ * Locally held keypair (APP_WALLET_PRIVATE_KEY by default)
+ * For local validators and tests: goals can only auto-sign if their user's
+ * wallet is this keypair.
+ * @param {Keypair} keypair
+ */
+export function createKeypairSigner(keypair = getAppWallet()) {
+  const address = keypair.publicKey.toBase58();
+
+  return {
+    name: 'keypair',
+
+    async signTransaction(transaction, walletAddress) {
+      if (walletAddress !== address) {
+        throw new Error(`Keypair signer controls ${address}, not ${walletAddress}`);
+      }
+      transaction.sign([keypair]);
+      return transaction;
+    },
+  };
+}
+
+/**
+ * Get the configured signer
+ * @returns {Object|null} Signer, or null when auto-signing is disabled
+ */
+export function getCustodialSigner() {
+  const signerName = process.env.CUSTODIAL_SIGNER;
+
+  switch (signerName) {
+    case undefined:
+    case '':
+      return null;
+    case 'privy':
+      return createPrivySigner();
+    case 'keypair':
+      return createKeypairSigner();
+    default:
+      logger.warn('Unknown CUSTODIAL_SIGNER, auto-signing disabled', { signer: signerName });
+      return null;
+  }
+}
@@ -0,0 +1,357 @@
+/**
+ * Auto-sign (custodial) mode for scheduled investments
+ * Goals that opt in have their swaps signed on the server by the signer from
+ * lib/custodialSigners.js, as long as the swap fits the per-swap and
+ * per-month caps the user set. Every swap the server signs, and every one it
+ * refuses, gets a server_signed_swaps audit record. The record is created as
+ * PENDING before quoting, under a per-goal lock, so it reserves the amount
+ * against the monthly cap. Submitted swaps are confirmed by reconcile like any other.
+ */
+
+import { VersionedTransaction } from '@solana/web3.js';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getSolanaConnection } from './solana.js';
+import { ValidationError } from './errors.js';
+import { getCustodialSigner } from './custodialSigners.js';
+import { getQuoteData } from './swapQuote.js';
+import { getBatch, transitionBatch } from './investmentBatch.js';
+import { recordBatchEvent, BATCH_EVENT_TYPES } from './batchEvents.js';
+import { recordSwapFailure, getSignedSwapSignature } from './swapRetry.js';
+import { sendInvestmentNotification } from './notifications.js';
+
+export const SIGNED_SWAP_STATUS = {
+  PENDING: 'PENDING',               // Amount reserved against the monthly cap, being quoted and signed
+  SIGNED: 'SIGNED',                 // Signed, not yet submitted
+  SUBMITTED: 'SUBMITTED',           // Sent to Solana
+  FAILED: 'FAILED',                 // Submit failed; the retry worker may still resubmit it
+  SIGNING_FAILED: 'SIGNING_FAILED', // The signer returned an error; nothing was signed
+  REJECTED: 'REJECTED',             // Refused by a cap or a pre-trade warning; nothing was signed
+  QUOTE_FAILED: 'QUOTE_FAILED',     // Quoting failed after the reservation; nothing was signed
+};
+
+// Statuses that never signed anything, so they do not count toward the monthly cap
+const UNSIGNED_STATUSES = [
+  SIGNED_SWAP_STATUS.REJECTED,
+  SIGNED_SWAP_STATUS.SIGNING_FAILED,
+  SIGNED_SWAP_STATUS.QUOTE_FAILED,
+];
+
+let signer;
+
+function getSigner() {
+  if (signer === undefined) {
+    signer = getCustodialSigner();
+  }
+  return signer;
+}
+
+/**
+ * Override the signer (tests, scripts)
+ * @param {Object|null|undefined} nextSigner - Signer, null to disable, undefined to use CUSTODIAL_SIGNER
+ */
+export function setCustodialSigner(nextSigner) {
+  signer = nextSigner;
+}
+
+/**
+ * Name of the configured signer
+ * @returns {string|null} null when auto-signing is disabled on this server
+ */
+export function getAutoSignerName() {
+  return getSigner()?.name || null;
+}
+
+/**
+ * Validate an auto-sign settings update
+ * Turning auto-sign on needs both caps, and a signer configured on the server.
+ * @param {Object} body - { enabled, maxPerSwapUsdc, maxPerMonthUsdc }
+ * @param {Object} goal - Current goal
+ * @param {Date} now
+ * @returns {Object} Goal columns to update
+ * @throws {ValidationError}
+ */
+export function validateAutoSignSettings(body, goal, now = new Date()) {
+  const { enabled, maxPerSwapUsdc, maxPerMonthUsdc } = body || {};
+
+  if (typeof enabled !== 'boolean') {
+    throw new ValidationError('enabled must be true or false');
+  }
+
+  const caps = {};
+  for (const [field, value] of Object.entries({ maxPerSwapUsdc, maxPerMonthUsdc })) {
+    if (value === undefined) continue;
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+      throw new ValidationError(`${field} must be a positive number`);
+    }
+    caps[field] = value;
+  }
+
+  const nextPerSwap = caps.maxPerSwapUsdc !== undefined ? caps.maxPerSwapUsdc : goal.autoSignMaxPerSwapUsdc;
+  const nextPerMonth = caps.maxPerMonthUsdc !== undefined ? caps.maxPerMonthUsdc : goal.autoSignMaxPerMonthUsdc;
+
+  if (enabled) {
+    if (!getSigner()) {
+      throw new ValidationError('Auto-signing is not available on this server');
+    }
+    if (!nextPerSwap || !nextPerMonth) {
+      throw new ValidationError('maxPerSwapUsdc and maxPerMonthUsdc are required to enable auto-signing');
+    }
+  }
+
+  if (nextPerSwap && nextPerMonth && nextPerSwap > nextPerMonth) {
+    throw new ValidationError('maxPerSwapUsdc cannot be more than maxPerMonthUsdc');
+  }
+
+  return {
+    autoSign: enabled,
+    autoSignEnabledAt: enabled ? (goal.autoSign ? goal.autoSignEnabledAt : now) : null,
+    ...(caps.maxPerSwapUsdc !== undefined && { autoSignMaxPerSwapUsdc: caps.maxPerSwapUsdc }),
+    ...(caps.maxPerMonthUsdc !== undefined && { autoSignMaxPerMonthUsdc: caps.maxPerMonthUsdc }),
+  };
+}
+
+/**
+ * USDC auto-signed for a goal in the calendar month (UTC) of `now`
+ * Counts every swap the server signed, submitted or not, since a failed submit
+ * can still be resubmitted, and every PENDING reservation still being signed.
+ * A batch signed more than once (after a re-quote) counts once.
+ * @param {string} goalId
+ * @param {Date} now
+ * @param {string} excludeBatchId - Batch being signed now
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Promise<number>}
+ */
+export async function getAutoSignedThisMonth(goalId, now = new Date(), excludeBatchId = null, client = prisma) {
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const records = await client.serverSignedSwap.findMany({
+    where: {
+      goalId,
+      status: { notIn: UNSIGNED_STATUSES },
+      createdAt: { gte: monthStart },
+      ...(excludeBatchId && { batchId: { not: excludeBatchId } }),
+    },
+    select: { batchId: true, amountUsdc: true },
+  });
+
+  const byBatch = new Map(records.map((record) => [record.batchId, record.amountUsdc]));
+  return [...byBatch.values()].reduce((sum, amount) => sum + amount, 0);
+}
+
+/**
+ * Why a swap would break the goal's caps
+ * @returns {string|null} Reason, or null if the swap is within the caps
+ */
+function getCapViolation(goal, amountUsdc, monthSpentUsdc) {
+  if (!goal.autoSignMaxPerSwapUsdc || !goal.autoSignMaxPerMonthUsdc) {
+    return 'Spend caps are not set';
+  }
+  if (amountUsdc > goal.autoSignMaxPerSwapUsdc) {
+    return `${amountUsdc} USDC is over the ${goal.autoSignMaxPerSwapUsdc} USDC per-swap cap`;
+  }
+  if (monthSpentUsdc + amountUsdc > goal.autoSignMaxPerMonthUsdc) {
+    return `${monthSpentUsdc + amountUsdc} USDC this month would be over the ${goal.autoSignMaxPerMonthUsdc} USDC monthly cap`;
+  }
+  return null;
+}
+
+/**
+ * Quote, sign and submit a batch's swap on the server
+ * Only for goals with autoSign on. Outcomes:
+ *  - REJECTED: a cap or missing signer stopped it before quoting; quote it for the user instead
+ *  - QUOTED: the quote has pre-trade warnings or the signer failed; the batch is
+ *    quoted and waits for the user's signature
+ *  - SUBMITTED: sent to Solana; reconcile confirms it
+ *  - FAILED: submission failed; recorded with recordSwapFailure for the retry worker
+ * @param {Object} options
+ * @param {Object} options.goal - Goal with user
+ * @param {string} options.batchId - Batch in ONRAMP_CONFIRMED, FAILED or EXPIRED
+ * @param {number} options.slippageBps
+ * @param {string} options.requestId
+ * @param {Date} options.now
+ * @returns {Promise<Object>} { status, reason?, signature?, nextRetryAt?, quote? }
+ */
+export async function autoSignSwap({ goal, batchId, slippageBps, requestId = null, now = new Date() }) {
+  const custodialSigner = getSigner();
+  const batch = await getBatch(batchId);
+  const amountUsdc = batch?.amountUsdc || 0;
+  const walletAddress = goal.user?.walletAddress;
+
+  const audit = {
+    batchId,
+    goalId: goal.id,
+    userId: goal.userId,
+    signer: custodialSigner?.name || 'none',
+    walletAddress: walletAddress || '',
+    amountUsdc,
+    maxPerSwapUsdc: goal.autoSignMaxPerSwapUsdc,
+    maxPerMonthUsdc: goal.autoSignMaxPerMonthUsdc,
+    requestId,
+    createdAt: now,
+  };
+
+  // Check the caps and reserve the amount in one step: the advisory lock makes
+  // concurrent batches of the same goal wait, so they cannot both fit under the cap
+  const { record, violation } = await prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`auto-sign:${goal.id}`}))`;
+
+    const monthSpentUsdc = await getAutoSignedThisMonth(goal.id, now, batchId, tx);
+    const violation = !custodialSigner
+      ? 'Auto-signing is not available on this server'
+      : getCapViolation(goal, amountUsdc, monthSpentUsdc);
+
+    return {
+      violation,
+      record: await tx.serverSignedSwap.create({
+        data: {
+          ...audit,
+          monthSpentUsdc,
+          status: violation ? SIGNED_SWAP_STATUS.REJECTED : SIGNED_SWAP_STATUS.PENDING,
+          reason: violation,
+        },
+      }),
+    };
+  });
+
+  const refuse = async (reason) => {
+    await prisma.serverSignedSwap.update({
+      where: { id: record.id },
+      data: { status: SIGNED_SWAP_STATUS.REJECTED, reason },
+    });
+    await recordBatchEvent(batchId, BATCH_EVENT_TYPES.AUTO_SIGN_REJECTED, { reason }, { requestId });
+    await sendInvestmentNotification(batchId, 'AUTO_SIGN_REJECTED', { reason });
+
+    logger.warn('Auto-sign refused', { goalId: goal.id, batchId, reason, requestId });
+  };
+
+  if (violation) {
+    await refuse(violation);
+    return { status: 'REJECTED', reason: violation };
+  }
+
+  let quoteData;
+  try {
+    quoteData = await getQuoteData({
+      goalId: goal.id,
+      batchId,
+      inputMint: 'USDC',
+      outputMint: goal.coin,
+      slippageBps,
+      userId: goal.userId,
+      requestId,
+      notify: false,
+    });
+  } catch (error) {
+    // Release the reservation; nothing was signed
+    await prisma.serverSignedSwap.update({
+      where: { id: record.id },
+      data: { status: SIGNED_SWAP_STATUS.QUOTE_FAILED, reason: error.message },
+    });
+    throw error;
+  }
+
+  // The server never signs a quote the pre-trade checks flagged; the user decides
+  if (quoteData.risk?.warnings.length > 0) {
+    const reason = quoteData.risk.warnings.map((warning) => warning.message).join('; ');
+    await refuse(reason);
+    return { status: 'QUOTED', reason, quote: quoteData.quote };
+  }
+
+  let signedTransaction;
+  try {
+    const transaction = VersionedTransaction.deserialize(Buffer.from(quoteData.swapTransaction, 'base64'));
+    const signed = await custodialSigner.signTransaction(transaction, walletAddress);
+    signedTransaction = Buffer.from(signed.serialize()).toString('base64');
+  } catch (error) {
+    await prisma.serverSignedSwap.update({
+      where: { id: record.id },
+      data: { status: SIGNED_SWAP_STATUS.SIGNING_FAILED, reason: error.message },
+    });
+    await sendInvestmentNotification(batchId, 'AUTO_SIGN_FAILED', {
+      reason: error.message,
+      outputAmount: quoteData.quote?.outputAmount,
+    });
+
+    logger.error('Auto-sign failed', { goalId: goal.id, batchId, error: error.message, requestId });
+    return { status: 'QUOTED', reason: error.message, quote: quoteData.quote };
+  }
+
+  await prisma.serverSignedSwap.update({
+    where: { id: record.id },
+    data: { status: SIGNED_SWAP_STATUS.SIGNED },
+  });
+
+  await transitionBatch(batchId, 'SWAP_SIGNED', {}, {
+    requestId,
+    details: { autoSigned: true, signer: custodialSigner.name, auditId: record.id },
+  });
+  await recordBatchEvent(batchId, BATCH_EVENT_TYPES.SUBMIT_ATTEMPT, { autoSigned: true }, { requestId });
+
+  let signature;
+  try {
+    signature = await getSolanaConnection().sendRawTransaction(Buffer.from(signedTransaction, 'base64'), {
+      skipPreflight: true,
+      maxRetries: 3,
+      preflightCommitment: 'confirmed',
+    });
+  } catch (error) {
+    await recordBatchEvent(batchId, BATCH_EVENT_TYPES.RPC_ERROR, {
+      stage: 'submit',
+      error: error.message,
+    }, { requestId });
+    await prisma.serverSignedSwap.update({
+      where: { id: record.id },
+      // The swap may have reached Solana before the call failed
+      data: { status: SIGNED_SWAP_STATUS.FAILED, reason: error.message, signature: getSignedSwapSignature(signedTransaction) },
+    });
+    const { nextRetryAt } = await recordSwapFailure(batchId, error, { requestId, stage: 'submit', signedTransaction, now });
+
+    logger.error('Auto-signed swap submit failed', { goalId: goal.id, batchId, error: error.message, requestId });
+    return { status: 'FAILED', reason: error.message, nextRetryAt, quote: quoteData.quote };
+  }
+
+  await transitionBatch(batchId, 'SWAP_SUBMITTED', {}, {
+    requestId,
+    details: { signature, autoSigned: true },
+  });
+  await prisma.transaction.update({
+    where: { batchId_type: { batchId, type: 'SWAP' } },
+    data: { txnHash: signature },
+  });
+  await prisma.serverSignedSwap.update({
+    where: { id: record.id },
+    data: { status: SIGNED_SWAP_STATUS.SUBMITTED, signature },
+  });
+  await sendInvestmentNotification(batchId, 'AUTO_SIGNED', {
+    signature,
+    amountUsdc,
+    outputAmount: quoteData.quote?.outputAmount,
+  });
+
+  logger.info('Auto-signed swap submitted', {
+    goalId: goal.id,
+    batchId,
+    signer: custodialSigner.name,
+    amountUsdc,
+    signature,
+    requestId,
+  });
+
+  return { status: 'SUBMITTED', signature, quote: quoteData.quote };
+}
+
+/**
+ * Audit records of a goal, newest first
+ * @param {string} goalId
+ * @param {Object} options
+ * @param {number} options.limit
+ * @returns {Promise<Array>}
+ */
+export async function listServerSignedSwaps(goalId, { limit = 20 } = {}) {
+  return await prisma.serverSignedSwap.findMany({
+    where: { goalId },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+  });
+}
@@ -0,0 +1,145 @@
+/**
+ * Admin-added goal tokens
+ * Stored in custom_tokens and loaded into lib/tokenRegistry.js so the sync
+ * token lookups (getTokenMint, getTokenInfo, isValidCoin) can resolve them.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { ValidationError } from './errors.js';
+import { setCustomTokens } from './tokenRegistry.js';
+import { TOKEN_MINTS } from './tokens.js';
+import { isValidSolanaAddress } from './solana.js';
+
+const CUSTOM_TOKENS_TTL_MS = 60 * 1000; // 1 minute
+
+let loadedAt = 0;
+
+const toRegistryToken = (token) => ({
+  symbol: token.symbol,
+  mint: token.mint,
+  decimals: token.decimals,
+  name: token.name,
+  maxTarget: token.maxTarget,
+  enabled: token.enabled,
+});
+
+/**
+ * Load custom tokens into the token registry (cached for 1 minute)
+ * Disabled tokens are loaded too so existing goals still resolve; they are
+ * only excluded from new goals. Call before resolving goal coins in a request.
+ * On DB errors the previously loaded tokens stay registered.
+ * @param {Object} options
+ * @param {boolean} options.force - Reload even if the cache is fresh
+ */
+export async function loadCustomTokens({ force = false } = {}) {
+  if (!force && Date.now() - loadedAt < CUSTOM_TOKENS_TTL_MS) {
+    return;
+  }
+
+  try {
+    const tokens = await prisma.customToken.findMany();
+    setCustomTokens(tokens.map(toRegistryToken));
+    loadedAt = Date.now();
+  } catch (error) {
+    logger.warn('Failed to load custom tokens', { error: error.message });
+  }
+}
+
+/**
+ * Validate admin input for a new custom token
+ * @returns {Object} Normalized token data
+ */
+function validateCustomToken({ symbol, mint, decimals, name, maxTarget }) {
+  if (typeof symbol !== 'string') {
+    throw new ValidationError('symbol must be 2-10 letters or digits');
+  }
+
+  const normalized = symbol.toUpperCase();
+
+  if (!/^[A-Z0-9]{2,10}$/.test(normalized)) {
+    throw new ValidationError('symbol must be 2-10 letters or digits');
+  }
+
+  if (TOKEN_MINTS[normalized]) {
+    throw new ValidationError(`${normalized} is already a built-in token`);
+  }
+
+  if (typeof mint !== 'string' || !isValidSolanaAddress(mint)) {
+    throw new ValidationError('mint must be a valid Solana address');
+  }
+
+  if (Object.values(TOKEN_MINTS).some((token) => token.mint === mint)) {
+    throw new ValidationError('mint belongs to a built-in token');
+  }
+
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 12) {
+    throw new ValidationError('decimals must be an integer between 0 and 12');
+  }
+
+  if (typeof maxTarget !== 'number' || !(maxTarget > 0)) {
+    throw new ValidationError('maxTarget must be a positive number');
+  }
+
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    throw new ValidationError('name must be a string');
+  }
+
+  return {
+    symbol: normalized,
+    mint,
+    decimals,
+    name: name?.trim() || normalized,
+    maxTarget,
+  };
+}
+
+/**
+ * List all custom tokens (including disabled)
+ */
+export async function listCustomTokens() {
+  return await prisma.customToken.findMany({ orderBy: { createdAt: 'asc' } });
+}
+
+/**
+ * Add a custom token
+ * @param {Object} data - { symbol, mint, decimals, name, maxTarget }
+ * @param {string} createdBy - Admin user ID
+ */
+export async function createCustomToken(data, createdBy) {
+  const token = validateCustomToken(data);
+
+  try {
+    const created = await prisma.customToken.create({
+      data: { ...token, createdBy },
+    });
+    await loadCustomTokens({ force: true });
+    return created;
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new ValidationError('A custom token with this symbol or mint already exists');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Enable or disable a custom token
+ * Disabling hides it from new goals; existing goals keep working
+ * @param {string} symbol - Token symbol
+ * @param {boolean} enabled
+ * @returns {Promise<Object|null>} Updated token, or null if not found
+ */
+export async function setCustomTokenEnabled(symbol, enabled) {
+  const existing = await prisma.customToken.findUnique({ where: { symbol: symbol.toUpperCase() } });
+  if (!existing) {
+    return null;
+  }
+
+  const updated = await prisma.customToken.update({
+    where: { id: existing.id },
+    data: { enabled },
+  });
+  await loadCustomTokens({ force: true });
+  return updated;
+}
@@ -43,12 +43,22 @@ export class NotFoundError extends AppError {
 }
 
 export class RateLimitError extends AppError {
-  constructor(message = 'Too many requests') {
-    super(message, 429, 'RATE_LIMIT_EXCEEDED');
+  constructor(message = 'Too many requests', retryAfterSec = null, headers = {}) {
+    super(message, 429, 'RATE_LIMIT_EXCEEDED', true, retryAfterSec);
+    this.headers = headers; // Retry-After and X-RateLimit-* for the response
     this.name = 'RateLimitError';
   }
 }
 
+// SMTP server refused or dropped a message (lib/smtp.js); 5xx replies are permanent
+export class SmtpError extends AppError {
+  constructor(message, responseCode = null) {
+    super(message, 502, 'SMTP_ERROR', !(responseCode >= 500));
+    this.responseCode = responseCode;
+    this.name = 'SmtpError';
+  }
+}
+
 export class GoalValidationError extends AppError {
   constructor(message, code) {
     super(message, 422, code); // 422 Unprocessable Entity
@@ -58,7 +68,7 @@ export class GoalValidationError extends AppError {
 
 export const GoalErrors = {
   INVALID_COIN: (coin) => new GoalValidationError(
-    `Invalid coin: ${coin}. Supported: BTC, ETH, SOL`, 
+    `Invalid coin: ${coin}. See GET /api/tokens for supported coins`, 
     'INVALID_COIN'
   ),
   INVALID_AMOUNT: (field, min, max) => new GoalValidationError(
@@ -82,9 +92,83 @@ export const GoalErrors = {
   GOAL_ALREADY_COMPLETED: () => new GoalValidationError(
     'Cannot modify completed goal',
     'GOAL_ALREADY_COMPLETED'
+  ),
+  TARGET_BELOW_INVESTED: (invested, coin) => new GoalValidationError(
+    `targetAmount must be greater than the ${invested} ${coin} already invested`,
+    'TARGET_BELOW_INVESTED'
+  ),
+  GOAL_ARCHIVED: () => new GoalValidationError(
+    'Goal is archived. Unarchive it first',
+    'GOAL_ARCHIVED'
+  ),
+  GOAL_NOT_ARCHIVED: () => new GoalValidationError(
+    'Goal is not archived',
+    'GOAL_NOT_ARCHIVED'
+  ),
+  GOAL_HAS_TRANSACTIONS: (count) => new GoalValidationError(
+    `Cannot delete a goal with ${count} transaction${count === 1 ? '' : 's'}. Archive it instead`,
+    'GOAL_HAS_TRANSACTIONS'
+  ),
+  GOAL_IS_DRAFT: () => new GoalValidationError(
+    'Goal is a draft. Publish it first',
+    'GOAL_IS_DRAFT'
+  ),
+  GOAL_NOT_DRAFT: () => new GoalValidationError(
+    'Goal is not a draft',
+    'GOAL_NOT_DRAFT'
+  ),
+  INVALID_STRATEGY: (strategy) => new GoalValidationError(
+    `Invalid contribution strategy: ${strategy}. Must be FIXED_DCA, VALUE_AVERAGING or BUY_THE_DIP`,
+    'INVALID_STRATEGY'
+  ),
+  INVALID_STRATEGY_PARAMS: (message) => new GoalValidationError(
+    `Invalid strategy parameters: ${message}`,
+    'INVALID_STRATEGY_PARAMS'
+  ),
+  INVALID_GOAL_TEXT: (field, max) => new GoalValidationError(
+    `${field} must be at most ${max} characters`,
+    'INVALID_GOAL_TEXT'
+  ),
+  PAUSE_REQUEST_NOT_FOUND: () => new NotFoundError('Pause request not found'),
+  PAUSE_REQUEST_ALREADY_PENDING: () => new GoalValidationError(
+    'Goal already has a pending pause request',
+    'PAUSE_REQUEST_ALREADY_PENDING'
+  ),
+  PAUSE_REQUEST_NOT_PENDING: (status) => new GoalValidationError(
+    `Pause request is already ${status}`,
+    'PAUSE_REQUEST_NOT_PENDING'
+  ),
+  PAUSE_REQUIRES_REQUEST: () => new GoalValidationError(
+    'Goals are paused through a pause request (POST /api/goals/:id/pause-requests)',
+    'PAUSE_REQUIRES_REQUEST'
+  ),
+  PAUSE_COOLING_OFF: (approvableAt) => new GoalValidationError(
+    `Pause request can be approved from ${approvableAt.toISOString()}`,
+    'PAUSE_COOLING_OFF'
+  ),
+  INVALID_RESUME_DATE: () => new GoalValidationError(
+    'resumeAt must be a valid date in the future',
+    'INVALID_RESUME_DATE'
   )
 };
 
+// Investment batch errors
+export const BatchErrors = {
+  BATCH_NOT_FOUND: () => new AppError('Investment batch not found', 404, 'BATCH_NOT_FOUND'),
+  INVALID_BATCH_TRANSITION: (from, to) => new AppError(
+    `Cannot move investment from ${from} to ${to}`,
+    409,
+    'INVALID_BATCH_TRANSITION'
+  ),
+  NOT_CANCELABLE: (state) => new AppError(
+    state === 'SWAP_SIGNED' || state === 'SWAP_SUBMITTED' || state === 'SWAP_CONFIRMED'
+      ? 'Cannot cancel: transaction already submitted to blockchain'
+      : `Cannot cancel investment in state: ${state}`,
+    422,
+    'NOT_CANCELABLE'
+  ),
+};
+
 // Swap-specific errors
 export class SwapError extends AppError {
   constructor(message, code, retryable = false, retryAfterSec = null, hint = null) {
@@ -93,6 +177,38 @@ export class SwapError extends AppError {
   }
 }
 
+// Quote rejected by lib/tradeRisk.js; `warnings` lists every check that failed
+export class PreTradeCheckError extends SwapError {
+  constructor(warnings) {
+    super(
+      `Pre-trade checks failed: ${warnings.filter((w) => w.severity === 'block').map((w) => w.message).join('; ')}`,
+      'PRE_TRADE_CHECK_FAILED',
+      true,
+      null,
+      'The market for this token is too thin or moving too fast right now. Try again later or with a smaller amount.'
+    );
+    this.statusCode = 422;
+    this.warnings = warnings;
+    this.name = 'PreTradeCheckError';
+  }
+}
+
+// Batch not quoted because a goal rule (lib/investmentRules.js) is not met; `rule` names it
+export class InvestmentRuleError extends SwapError {
+  constructor(rule, reason) {
+    super(
+      `Investment skipped: ${reason}`,
+      'INVESTMENT_RULE_NOT_MET',
+      true,
+      null,
+      'Your goal\'s investment rules stop this purchase right now. Change the rules or try again later.'
+    );
+    this.statusCode = 422;
+    this.rule = rule;
+    this.name = 'InvestmentRuleError';
+  }
+}
+
 export const SwapErrors = {
   NO_ROUTE_FOUND: () => new SwapError('No swap route found for this token pair', 'NO_ROUTE_FOUND', true, 30, 'The route may become available shortly. Try again in a moment.'),
   SLIPPAGE_EXCEEDED: (slippagePct) => new SwapError(
@@ -121,6 +237,8 @@ export const SwapErrors = {
     null, 
     'This token may have trading restrictions or insufficient liquidity.'
   ),
+  PRE_TRADE_CHECK_FAILED: (warnings) => new PreTradeCheckError(warnings),
+  INVESTMENT_RULE_NOT_MET: (rule, reason) => new InvestmentRuleError(rule, reason),
   AMOUNT_TOO_LARGE: () => new SwapError(
     'Amount too large for available liquidity. Try reducing the swap amount.', 
     'AMOUNT_TOO_LARGE', 
@@ -1,25 +1,216 @@
 /**
  * FX service for USD to INR conversion
- * Mock today, real API tomorrow
+ * Live rates come from the provider selected in lib/fxProviders.js and are
+ * cached for FX_CACHE_TTL_MS. When the provider fails, the last known rate is
+ * served (marked stale). The first rate of each UTC day is stored in
+ * fx_snapshots so INR values for a past date can be reproduced.
  */
 
-const MOCK_FX_RATE = 83; // 1 USD = 83 INR
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getFxProvider, DEFAULT_FX_RATE } from './fxProviders.js';
+
+const FX_CACHE_TTL_MS = Number(process.env.FX_CACHE_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+
+let provider = null;
+let fxCache = null; // { rate, source, fetchedAt }
+let lastSnapshotDate = null;
+
+function getProvider() {
+  if (!provider) {
+    provider = getFxProvider();
+  }
+  return provider;
+}
+
+/**
+ * Override the FX provider (tests, scripts). Clears the cache.
+ * @param {Object|null} nextProvider - Provider, or null to use the configured one
+ */
+export function setFxProvider(nextProvider) {
+  provider = nextProvider;
+  fxCache = null;
+  lastSnapshotDate = null;
+}
+
+/**
+ * UTC calendar day used as the snapshot key
+ * @param {Date|string} date
+ * @returns {string} YYYY-MM-DD
+ */
+export function toFxDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Store the day's first rate (later rates for the same day are ignored)
+ */
+async function storeDailySnapshot(rate, source, fetchedAt) {
+  const date = toFxDate(fetchedAt);
+  if (lastSnapshotDate === date) {
+    return;
+  }
+
+  try {
+    await prisma.fxSnapshot.upsert({
+      where: { date },
+      create: { date, rate, source, fetchedAt },
+      update: {},
+    });
+    lastSnapshotDate = date;
+  } catch (error) {
+    logger.warn('Failed to store FX snapshot', { date, error: error.message });
+  }
+}
+
+async function getLatestSnapshot(onOrBefore) {
+  try {
+    return await prisma.fxSnapshot.findFirst({
+      where: onOrBefore ? { date: { lte: onOrBefore } } : {},
+      orderBy: { date: 'desc' },
+    });
+  } catch (error) {
+    logger.warn('Failed to read FX snapshot', { error: error.message });
+    return null;
+  }
+}
+
+async function getLiveFxRate() {
+  const now = Date.now();
+
+  if (fxCache && now - fxCache.fetchedAt < FX_CACHE_TTL_MS) {
+    return { ...fxCache, date: toFxDate(fxCache.fetchedAt), stale: false };
+  }
+
+  const activeProvider = getProvider();
+
+  try {
+    const rate = await activeProvider.getRate();
+    fxCache = { rate, source: activeProvider.name, fetchedAt: now };
+    await storeDailySnapshot(rate, activeProvider.name, new Date(now));
+
+    return { ...fxCache, date: toFxDate(now), stale: false };
+  } catch (error) {
+    logger.warn('FX provider failed, using last known rate', {
+      provider: activeProvider.name,
+      error: error.message,
+    });
+
+    // Stale-while-error: last cached rate, then last stored snapshot, then default
+    if (fxCache) {
+      return { ...fxCache, date: toFxDate(fxCache.fetchedAt), stale: true };
+    }
+
+    const snapshot = await getLatestSnapshot();
+    if (snapshot) {
+      return {
+        rate: snapshot.rate,
+        source: snapshot.source,
+        fetchedAt: snapshot.fetchedAt.getTime(),
+        date: snapshot.date,
+        stale: true,
+      };
+    }
+
+    return { rate: DEFAULT_FX_RATE, source: 'default', fetchedAt: now, date: toFxDate(now), stale: true };
+  }
+}
+
+/**
+ * Get USD to INR rate with its provenance
+ * With a date, the stored snapshot for that day is used (or the closest earlier
+ * one for past days), so results are reproducible. Without one, the live rate.
+ * @param {Object} options
+ * @param {Date|string} options.date - Day to get the rate for
+ * @returns {Promise<{rate: number, source: string, date: string, fetchedAt: number, stale: boolean}>}
+ */
+export async function getFxRate({ date } = {}) {
+  if (!date) {
+    return getLiveFxRate();
+  }
+
+  const day = toFxDate(date);
+  const snapshot = await getLatestSnapshot(day);
+
+  if (snapshot && (snapshot.date === day || day < toFxDate(new Date()))) {
+    return {
+      rate: snapshot.rate,
+      source: snapshot.source,
+      fetchedAt: snapshot.fetchedAt.getTime(),
+      date: snapshot.date,
+      stale: snapshot.date !== day,
+    };
+  }
+
+  if (day < toFxDate(new Date())) {
+    logger.warn('No FX snapshot on or before date, using live rate', { date: day });
+  }
+
+  return getLiveFxRate();
+}
+
+/**
+ * Get stored rates for several days in one query (e.g. for history views)
+ * Days without a snapshot use the closest earlier one, or the live rate.
+ * @param {Array<Date|string>} dates
+ * @returns {Promise<Map<string, number>>} YYYY-MM-DD -> rate
+ */
+export async function getFxRatesForDates(dates) {
+  const days = [...new Set(dates.map(toFxDate))].sort();
+  const rates = new Map();
+
+  if (days.length === 0) {
+    return rates;
+  }
+
+  let snapshots = [];
+  try {
+    snapshots = await prisma.fxSnapshot.findMany({
+      where: { date: { lte: days[days.length - 1] } },
+      orderBy: { date: 'asc' },
+      select: { date: true, rate: true },
+    });
+  } catch (error) {
+    logger.warn('Failed to read FX snapshots', { error: error.message });
+  }
+
+  let index = -1;
+  let live = null;
+
+  for (const day of days) {
+    while (index + 1 < snapshots.length && snapshots[index + 1].date <= day) {
+      index++;
+    }
+
+    if (index >= 0) {
+      rates.set(day, snapshots[index].rate);
+    } else {
+      live = live ?? (await getLiveFxRate()).rate;
+      rates.set(day, live);
+    }
+  }
+
+  return rates;
+}
 
 /**
  * Get USD to INR exchange rate
+ * @param {Object} options
+ * @param {Date|string} options.date - Day to get the rate for (default: live)
  * @returns {Promise<number>} Exchange rate
  */
-export async function getFxUsdToInr() {
-  // TODO (Oct 28): Replace with real FX API or USDC/INR pair
-  return MOCK_FX_RATE;
+export async function getFxUsdToInr(options) {
+  const { rate } = await getFxRate(options);
+  return rate;
 }
 
 /**
  * Convert USD amount to INR
  * @param {number} usdAmount - Amount in USD
+ * @param {Object} options - See getFxUsdToInr
  * @returns {Promise<number>} Amount in INR
  */
-export async function convertUsdToInr(usdAmount) {
-  const rate = await getFxUsdToInr();
+export async function convertUsdToInr(usdAmount, options) {
+  const rate = await getFxUsdToInr(options);
   return usdAmount * rate;
 }
@@ -0,0 +1,141 @@
+/**
+ * USD/INR FX rate provider adapters
+ * Used by lib/fx.js, which adds caching, fallback and daily snapshots.
+ *
+ * A provider is { name, getRate() } where getRate resolves to the number of
+ * INR per 1 USD. Select with FX_PROVIDER=static|http|usdc-inr|stub (default: static).
+ */
+
+import { logger } from './logger.js';
+
+export const DEFAULT_FX_RATE = 83; // 1 USD = 83 INR
+
+const FX_API_URL = 'https://open.er-api.com/v6/latest/USD';
+const FX_API_PATH = 'rates.INR';
+const USDC_INR_URL = 'https://api.coingecko.com/api/v3/simple/price?ids=usd-coin&vs_currencies=inr';
+const USDC_INR_PATH = 'usd-coin.inr';
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Read a dotted path (e.g. 'rates.INR') from a JSON response
+ */
+function readPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function assertRate(rate, name) {
+  if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+    throw new Error(`${name} returned an invalid FX rate: ${rate}`);
+  }
+  return rate;
+}
+
+/**
+ * Fixed rate, e.g. for environments without network access
+ * @param {Object} options
+ * @param {number} options.rate - INR per USD
+ */
+export function createStaticProvider({ rate = Number(process.env.FX_STATIC_RATE) || DEFAULT_FX_RATE } = {}) {
+  return {
+    name: 'static',
+    async getRate() {
+      return assertRate(rate, 'static');
+    },
+  };
+}
+
+/**
+ * Generic JSON rate API adapter
+ * @param {Object} options
+ * @param {string} options.name - Provider name recorded with snapshots
+ * @param {string} options.url - Endpoint returning JSON
+ * @param {string} options.path - Dotted path to the rate in the response
+ * @param {Function} options.fetchImpl - fetch implementation
+ */
+export function createJsonRateProvider({ name, url, path, fetchImpl = fetch }) {
+  return {
+    name,
+    async getRate() {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+      try {
+        const response = await fetchImpl(url, {
+          headers: { Accept: 'application/json' },
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          throw new Error(`${name} FX API error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return assertRate(Number(readPath(data, path)), name);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    },
+  };
+}
+
+/**
+ * USD/INR from an FX rates API (FX_API_URL, FX_API_PATH)
+ */
+export function createHttpProvider({
+  url = process.env.FX_API_URL || FX_API_URL,
+  path = process.env.FX_API_PATH || FX_API_PATH,
+  fetchImpl,
+} = {}) {
+  return createJsonRateProvider({ name: 'http', url, path, fetchImpl });
+}
+
+/**
+ * USD/INR derived from a USDC/INR market price (FX_USDC_INR_URL, FX_USDC_INR_PATH)
+ * Closer to what users actually pay, since investments are funded in USDC
+ */
+export function createUsdcInrProvider({
+  url = process.env.FX_USDC_INR_URL || USDC_INR_URL,
+  path = process.env.FX_USDC_INR_PATH || USDC_INR_PATH,
+  fetchImpl,
+} = {}) {
+  return createJsonRateProvider({ name: 'usdc-inr', url, path, fetchImpl });
+}
+
+/**
+ * Local stub for offline tests
+ * @param {Object} options
+ * @param {number} options.rate - Rate to return
+ * @param {boolean} options.fail - Throw on every call (to exercise the fallback path)
+ */
+export function createStubProvider({ rate = Number(process.env.FX_STUB_RATE) || DEFAULT_FX_RATE, fail = false } = {}) {
+  return {
+    name: 'stub',
+    async getRate() {
+      if (fail) {
+        throw new Error('Stub FX provider failure');
+      }
+      return assertRate(rate, 'stub');
+    },
+  };
+}
+
+/**
+ * Get the configured FX provider
+ */
+export function getFxProvider() {
+  const name = (process.env.FX_PROVIDER || 'static').toLowerCase();
+
+  switch (name) {
+    case 'static':
+      return createStaticProvider();
+    case 'http':
+      return createHttpProvider();
+    case 'usdc-inr':
+      return createUsdcInrProvider();
+    case 'stub':
+      return createStubProvider();
+    default:
+      logger.warn('Unknown FX_PROVIDER, falling back to static', { provider: name });
+      return createStaticProvider();
+  }
+}
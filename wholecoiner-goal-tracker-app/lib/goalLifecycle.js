@@ -0,0 +1,167 @@
+/**
+ * Goal drafts, archiving and deletion
+ * DRAFT goals are saved without the full validation and go live when published.
+ * ARCHIVED goals are hidden from goal lists and skipped by the scheduler but
+ * keep their transaction history. Only goals without transactions can be deleted.
+ */
+
+import { prisma } from './prisma.js';
+import { GoalErrors } from './errors.js';
+import {
+  validateStatusTransition,
+  validateGoalInput,
+  validateDraftInput,
+  validateGoalText
+} from './goalValidation.js';
+import { validateContributionStrategy, projectCompletion } from './contributionStrategies.js';
+import { skipElapsedSlots } from './scheduler.js';
+
+const DRAFT_FIELDS = ['coin', 'targetAmount', 'amountInr', 'frequency'];
+
+/**
+ * Save edits to a draft (same light validation as creating one)
+ * @param {Object} goal - Draft goal (ownership already checked)
+ * @param {Object} body - Any of coin, targetAmount, amountInr, frequency, strategy, strategyParams, name, note
+ * @returns {Promise<Object>} Updated goal
+ */
+export async function updateDraft(goal, body) {
+  if (goal.status !== 'DRAFT') {
+    throw GoalErrors.GOAL_NOT_DRAFT();
+  }
+
+  const merged = { ...goal };
+  for (const field of DRAFT_FIELDS) {
+    if (body[field] !== undefined) merged[field] = body[field];
+  }
+
+  // Params sent alone apply to the draft's current strategy
+  const strategy = body.strategy !== undefined || body.strategyParams !== undefined
+    ? validateContributionStrategy({
+        strategy: body.strategy ?? goal.strategy,
+        strategyParams: body.strategy === undefined ? { ...goal.strategyParams, ...body.strategyParams } : body.strategyParams,
+      })
+    : {};
+
+  return await prisma.goal.update({
+    where: { id: goal.id },
+    data: {
+      ...validateDraftInput(merged),
+      ...validateGoalText(body),
+      ...strategy,
+    },
+  });
+}
+
+/**
+ * Publish a draft: run the creation checks and make it ACTIVE
+ * The schedule starts now (publishedAt), not when the draft was saved
+ * @param {Object} goal - Draft goal (ownership already checked)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { goal, estimatedCompletion }
+ */
+export async function publishGoal(goal, now = new Date()) {
+  if (goal.status !== 'DRAFT') {
+    throw GoalErrors.GOAL_NOT_DRAFT();
+  }
+
+  const coin = validateGoalInput(goal);
+  const estimatedCompletion = await projectCompletion({ ...goal, coin, publishedAt: now }, { now });
+  validateStatusTransition(goal.status, 'ACTIVE', { publish: true });
+
+  const { count } = await prisma.goal.updateMany({
+    where: { id: goal.id, status: 'DRAFT' },
+    data: { status: 'ACTIVE', coin, publishedAt: now },
+  });
+
+  // Published concurrently by another request
+  if (count === 0) {
+    throw GoalErrors.GOAL_NOT_DRAFT();
+  }
+
+  const publishedGoal = await prisma.goal.findUnique({ where: { id: goal.id } });
+  return { goal: publishedGoal, estimatedCompletion };
+}
+
+/**
+ * Archive a goal, remembering its status so unarchive can restore it
+ * Open pause requests are closed since the goal is no longer scheduled
+ * @param {Object} goal - Goal (ownership already checked)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Updated goal
+ */
+export async function archiveGoal(goal, now = new Date()) {
+  validateStatusTransition(goal.status, 'ARCHIVED');
+
+  const [updatedGoal] = await prisma.$transaction([
+    prisma.goal.update({
+      where: { id: goal.id },
+      data: {
+        status: 'ARCHIVED',
+        archivedAt: now,
+        archivedFromStatus: goal.status,
+      },
+    }),
+    prisma.pauseRequest.updateMany({
+      where: { goalId: goal.id, status: 'PENDING' },
+      data: { status: 'REJECTED', rejectedAt: now },
+    }),
+    prisma.pauseRequest.updateMany({
+      where: { goalId: goal.id, status: 'APPROVED', resumedAt: null },
+      data: { resumedAt: now },
+    }),
+  ]);
+
+  return updatedGoal;
+}
+
+/**
+ * Restore an archived goal to the status it had when archived
+ * Slots that came due while archived are recorded as skipped, not missed
+ * @param {Object} goal - Goal (ownership already checked)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Updated goal
+ */
+export async function unarchiveGoal(goal, now = new Date()) {
+  if (goal.status !== 'ARCHIVED') {
+    throw GoalErrors.GOAL_NOT_ARCHIVED();
+  }
+
+  const restoredStatus = goal.archivedFromStatus || 'PAUSED';
+  validateStatusTransition(goal.status, restoredStatus, { unarchive: true });
+
+  if (restoredStatus === 'ACTIVE') {
+    await skipElapsedSlots(goal, now, 'Goal was archived');
+  }
+
+  return await prisma.goal.update({
+    where: { id: goal.id },
+    data: {
+      status: restoredStatus,
+      archivedAt: null,
+      archivedFromStatus: null,
+    },
+  });
+}
+
+/**
+ * Delete a goal that has no transactions
+ * The transaction check is part of the delete so a concurrent investment
+ * cannot slip in between check and delete
+ * @param {Object} goal - Goal (ownership already checked)
+ */
+export async function deleteGoal(goal) {
+  const { count } = await prisma.goal.deleteMany({
+    where: {
+      id: goal.id,
+      transactions: { none: {} },
+    },
+  });
+
+  if (count === 0) {
+    const transactionCount = await prisma.transaction.count({ where: { goalId: goal.id } });
+    if (transactionCount > 0) {
+      throw GoalErrors.GOAL_HAS_TRANSACTIONS(transactionCount);
+    }
+    throw GoalErrors.GOAL_NOT_FOUND();
+  }
+}
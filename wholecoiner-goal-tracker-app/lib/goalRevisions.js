@@ -0,0 +1,98 @@
+/**
+ * Goal parameter edits and their audit log
+ * Every change to targetAmount, amountInr or frequency is stored as a
+ * GoalRevision with { field: { from, to } } for each changed field.
+ */
+
+import { prisma } from './prisma.js';
+import { GoalErrors } from './errors.js';
+import { validateGoalInput } from './goalValidation.js';
+
+export const EDITABLE_GOAL_FIELDS = ['targetAmount', 'amountInr', 'frequency'];
+
+/**
+ * Diff the editable fields in a PATCH body against the goal
+ * @param {Object} goal - Current goal
+ * @param {Object} body - Request body
+ * @returns {Object} { field: { from, to } } for fields that actually change
+ */
+export function getGoalParamChanges(goal, body) {
+  const changes = {};
+
+  for (const field of EDITABLE_GOAL_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    const value = field === 'frequency' ? body[field] : Number(body[field]);
+    if (value !== goal[field]) {
+      changes[field] = { from: goal[field], to: value };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Validate edited parameters with the same rules as goal creation
+ * @param {Object} goal - Current goal
+ * @param {Object} changes - Output of getGoalParamChanges
+ * @returns {Object} Prisma update data for the changed fields
+ */
+export function validateGoalParamChanges(goal, changes) {
+  const data = Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to]));
+  const merged = { ...goal, ...data };
+
+  validateGoalInput({
+    coin: goal.coin,
+    targetAmount: merged.targetAmount,
+    amountInr: merged.amountInr,
+    frequency: merged.frequency,
+  });
+
+  // Lowering the target to what is already invested would complete the goal by edit
+  if (changes.targetAmount && merged.targetAmount <= goal.investedAmount) {
+    throw GoalErrors.TARGET_BELOW_INVESTED(goal.investedAmount, goal.coin);
+  }
+
+  return data;
+}
+
+/**
+ * Apply a goal update and record the revision in one transaction
+ * @param {Object} goal - Current goal
+ * @param {Object} data - Prisma update data (may include non-audited fields like status)
+ * @param {Object} changes - Audited changes (see getGoalParamChanges)
+ * @param {string} userId - User making the change
+ * @returns {Promise<Object>} Updated goal
+ */
+export async function updateGoalWithRevision(goal, data, changes, userId) {
+  if (Object.keys(changes).length === 0) {
+    return await prisma.goal.update({ where: { id: goal.id }, data });
+  }
+
+  const [updatedGoal] = await prisma.$transaction([
+    prisma.goal.update({ where: { id: goal.id }, data }),
+    prisma.goalRevision.create({
+      data: {
+        goalId: goal.id,
+        userId,
+        changes,
+      },
+    }),
+  ]);
+
+  return updatedGoal;
+}
+
+/**
+ * List a goal's revisions, newest first
+ * @param {string} goalId - Goal ID
+ * @param {Object} options
+ * @param {number} options.limit - Max revisions to return
+ */
+export async function getGoalRevisions(goalId, { limit = 50 } = {}) {
+  return await prisma.goalRevision.findMany({
+    where: { goalId },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+  });
+}
@@ -1,7 +1,9 @@
 import { GoalErrors } from './errors.js';
-import { isValidCoin, getPriceInINR, getTokenInfo } from './prices.js';
+import { isValidCoin, getTokenInfo } from './prices.js';
 
 const VALID_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const MAX_NAME_LENGTH = 80;
+const MAX_NOTE_LENGTH = 500;
 
 /**
  * Validate goal input with per-token limits
@@ -38,53 +40,89 @@ export function validateGoalInput(data) {
 }
 
 /**
- * Calculate estimated completion (don't store, return only)
+ * Validate the optional name and note of a goal
+ * Blank values are stored as null
+ * @returns {Object} { name, note } for the fields present in data
  */
-export async function calculateEstimatedCompletion(coin, targetAmount, amountInr, frequency) {
-  const pricePerCoin = await getPriceInINR(coin);
-  const totalCostINR = targetAmount * pricePerCoin;
-  const intervalsNeeded = Math.ceil(totalCostINR / amountInr);
-  
-  // Convert intervals to days
-  const daysPerInterval = {
-    'DAILY': 1,
-    'WEEKLY': 7,
-    'MONTHLY': 30
-  }[frequency];
+export function validateGoalText(data) {
+  const result = {};
+
+  for (const [field, max] of [['name', MAX_NAME_LENGTH], ['note', MAX_NOTE_LENGTH]]) {
+    if (data[field] === undefined) continue;
+
+    const value = data[field] === null ? '' : String(data[field]).trim();
+    if (value.length > max) {
+      throw GoalErrors.INVALID_GOAL_TEXT(field, max);
+    }
+    result[field] = value || null;
+  }
+
+  return result;
+}
+
+/**
+ * Validate a draft goal
+ * Drafts only need a known coin and frequency and non-negative amounts;
+ * limits and duration are checked when the draft is published
+ * @returns {Object} Normalized { coin, targetAmount, amountInr, frequency }
+ */
+export function validateDraftInput(data) {
+  const { coin, frequency } = data;
   
-  const daysToComplete = intervalsNeeded * daysPerInterval;
-  const monthsToComplete = Math.ceil(daysToComplete / 30);
+  const normalizedCoin = coin?.toUpperCase();
+  if (!normalizedCoin || !isValidCoin(normalizedCoin)) {
+    throw GoalErrors.INVALID_COIN(coin);
+  }
   
-  // Validate max 10 years (120 months)
-  if (monthsToComplete > 120) {
-    throw GoalErrors.GOAL_DURATION_TOO_LONG(monthsToComplete);
+  if (!frequency || !VALID_FREQUENCIES.includes(frequency)) {
+    throw GoalErrors.INVALID_FREQUENCY(frequency);
   }
   
-  // Calculate estimated date (don't persist)
-  const estimatedDate = new Date();
-  estimatedDate.setDate(estimatedDate.getDate() + daysToComplete);
+  const amounts = {};
+  for (const field of ['targetAmount', 'amountInr']) {
+    const value = Number(data[field] ?? 0);
+    if (!Number.isFinite(value) || value < 0) {
+      throw GoalErrors.INVALID_AMOUNT(field, 0, Infinity);
+    }
+    amounts[field] = value;
+  }
   
-  return {
-    monthsToComplete,
-    estimatedCompletionDate: estimatedDate.toISOString(),
-    intervalsNeeded,
-    totalCostINR: Math.round(totalCostINR)
-  };
+  return { coin: normalizedCoin, frequency, ...amounts };
 }
 
 /**
  * Validate status transition (state machine enforcement)
+ * ARCHIVED is reachable from any other state and only left by unarchiving,
+ * which restores the status the goal had before (including COMPLETED).
+ * DRAFT is only left by publishing, and nothing returns to DRAFT.
+ * @param {string} currentStatus
+ * @param {string} newStatus
+ * @param {Object} options
+ * @param {boolean} options.unarchive - Restoring an archived goal's previous status
+ * @param {boolean} options.publish - Publishing a draft
  */
-export function validateStatusTransition(currentStatus, newStatus) {
-  // Cannot manually set to COMPLETED
-  if (newStatus === 'COMPLETED') {
+export function validateStatusTransition(currentStatus, newStatus, { unarchive = false, publish = false } = {}) {
+  // Cannot manually set to COMPLETED (only restored from ARCHIVED)
+  if (newStatus === 'COMPLETED' && !unarchive) {
     throw GoalErrors.INVALID_STATUS_TRANSITION(currentStatus, newStatus);
   }
   
+  // Leaving ARCHIVED only happens through unarchive
+  if (currentStatus === 'ARCHIVED' && !unarchive) {
+    throw GoalErrors.GOAL_ARCHIVED();
+  }
+  
+  // Leaving DRAFT only happens through publish
+  if (currentStatus === 'DRAFT' && !publish) {
+    throw GoalErrors.GOAL_IS_DRAFT();
+  }
+  
   const validTransitions = {
-    'ACTIVE': ['PAUSED'],
-    'PAUSED': ['ACTIVE'],
-    'COMPLETED': [] // Terminal state
+    'DRAFT': ['ACTIVE'],
+    'ACTIVE': ['PAUSED', 'ARCHIVED'],
+    'PAUSED': ['ACTIVE', 'ARCHIVED'],
+    'COMPLETED': ['ARCHIVED'],
+    'ARCHIVED': ['ACTIVE', 'PAUSED', 'COMPLETED']
   };
   
   if (!validTransitions[currentStatus]?.includes(newStatus)) {
@@ -2,6 +2,72 @@
  * History API helper functions
  */
 
+import { getTokenMint } from './tokens.js';
+import { ValidationError } from './errors.js';
+
+function parseDateParam(name, value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Transaction filters shared by /api/history and /api/history/export
+ * Goal ownership is checked by the caller; goal.userId keeps other users' rows out regardless.
+ * @param {string} userId
+ * @param {URLSearchParams} searchParams - goalId, type, coin, startDate, endDate
+ * @returns {Object} Prisma where clause for transactions
+ * @throws {ValidationError}
+ */
+export function buildHistoryWhere(userId, searchParams) {
+  const goalId = searchParams.get('goalId');
+  const type = searchParams.get('type');
+  const coin = searchParams.get('coin');
+  const startDate = searchParams.get('startDate');
+  const endDate = searchParams.get('endDate');
+
+  // Validate type if provided
+  if (type && !['ONRAMP', 'SWAP'].includes(type)) {
+    throw new ValidationError('type must be either ONRAMP or SWAP');
+  }
+
+  const where = {
+    goal: { userId },
+  };
+
+  if (goalId) {
+    where.goalId = goalId;
+  }
+
+  if (type) {
+    where.type = type;
+  }
+
+  if (coin) {
+    try {
+      const tokenInfo = getTokenMint(coin);
+      where.tokenMint = tokenInfo.mint;
+    } catch (error) {
+      throw new ValidationError(`Invalid coin: ${coin}`);
+    }
+  }
+
+  // Date range filters
+  if (startDate || endDate) {
+    where.timestamp = {};
+    if (startDate) {
+      where.timestamp.gte = parseDateParam('startDate', startDate);
+    }
+    if (endDate) {
+      where.timestamp.lte = parseDateParam('endDate', endDate);
+    }
+  }
+
+  return where;
+}
+
 /**
  * Group transactions by batchId into paired onramp/swap entries
  * @param {Array} transactions - Array of transaction objects with batchId and type
@@ -42,6 +108,10 @@ export function groupByBatchId(transactions) {
         txnHash: tx.txnHash,
         timestamp: tx.timestamp,
         network: tx.network,
+        costUsdc: tx.meta?.costUsdc ?? null,
+        costInr: tx.meta?.costInr ?? null,
+        fxRate: tx.meta?.fxRate ?? null,
+        feePaidLamports: tx.meta?.feePaidLamports ?? null,
       };
     }
     
@@ -54,3 +124,24 @@ export function groupByBatchId(transactions) {
   return Array.from(batches.values()).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 }
 
+/**
+ * Attach the USD/INR rate and INR value to each batch
+ * Swaps with a recorded cost keep their execution-time rate; other batches use
+ * the stored daily rate for the batch date, so values don't drift over time
+ * @param {Array} batches - Output of groupByBatchId
+ * @param {Map<string, number>} ratesByDate - YYYY-MM-DD -> rate (see getFxRatesForDates)
+ * @returns {Array} Batches with fx { rate, date } and investedInr
+ */
+export function attachFxRates(batches, ratesByDate) {
+  return batches.map((batch) => {
+    const date = new Date(batch.timestamp).toISOString().slice(0, 10);
+    const rate = batch.swap?.fxRate ?? ratesByDate.get(date) ?? null;
+    // ONRAMP.amountInr holds the USDC amount
+    const amountUsdc = batch.swap?.costUsdc ?? batch.onramp?.amountInr ?? null;
+    const investedInr = batch.swap?.costInr
+      ?? (rate !== null && amountUsdc !== null ? Math.round(amountUsdc * rate * 100) / 100 : null);
+
+    return { ...batch, fx: { rate, date }, investedInr };
+  });
+}
+
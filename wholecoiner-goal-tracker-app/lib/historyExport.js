@@ -0,0 +1,236 @@
+/**
+ * Transaction history export (CSV, JSON, OFX)
+ * One row per investment batch with what an accountant needs: INR invested,
+ * USDC spent, crypto received, execution price, network fee and explorer link.
+ * Batches are read a page at a time and written to a ReadableStream as the
+ * client consumes it, so a large history is never held in memory.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { groupByBatchId, attachFxRates } from './history.js';
+import { getFxRatesForDates } from './fx.js';
+import { getTxExplorerUrl } from './solana-explorer.js';
+import { csvCell } from './csv.js';
+
+const PAGE_SIZE = 200;
+const LAMPORTS_PER_SOL = 1_000_000_000;
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx' },
+};
+
+export const EXPORT_COLUMNS = [
+  'date',
+  'batchId',
+  'goalId',
+  'goalName',
+  'coin',
+  'state',
+  'investedInr',
+  'usdcSpent',
+  'cryptoReceived',
+  'executionPriceInr',
+  'executionPriceUsdc',
+  'fxRate',
+  'networkFeeSol',
+  'network',
+  'txnHash',
+  'explorerUrl',
+];
+
+const round = (value, places) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+/**
+ * Flatten a grouped batch (attachFxRates output) into an export row
+ */
+function toExportRow(batch, batchRecord) {
+  const { onramp, swap } = batch;
+  // ONRAMP.amountInr holds the USDC amount
+  const usdcSpent = swap?.costUsdc ?? onramp?.amountInr ?? batchRecord.amountUsdc ?? null;
+  const cryptoReceived = batchRecord.state === 'SWAP_CONFIRMED' ? swap?.amountCrypto ?? null : null;
+  const network = swap?.network ?? onramp?.network ?? null;
+
+  return {
+    date: new Date(batch.timestamp).toISOString(),
+    batchId: batch.batchId,
+    goalId: batch.goalId,
+    goalName: batchRecord.goal.name,
+    coin: batch.coin,
+    state: batchRecord.state,
+    investedInr: batch.investedInr,
+    usdcSpent,
+    cryptoReceived,
+    executionPriceInr: cryptoReceived && batch.investedInr !== null ? round(batch.investedInr / cryptoReceived, 2) : null,
+    executionPriceUsdc: cryptoReceived && usdcSpent !== null ? round(usdcSpent / cryptoReceived, 6) : null,
+    fxRate: batch.fx.rate,
+    networkFeeSol: swap?.feePaidLamports != null ? swap.feePaidLamports / LAMPORTS_PER_SOL : null,
+    network,
+    txnHash: swap?.txnHash ?? null,
+    explorerUrl: swap?.txnHash ? getTxExplorerUrl(swap.txnHash, network === 'MAINNET' ? 'mainnet-beta' : 'devnet') : null,
+  };
+}
+
+/**
+ * Export rows, oldest batch first, read PAGE_SIZE batches per query
+ * @param {string} userId
+ * @param {Object} where - Transaction filters from buildHistoryWhere
+ */
+export async function* exportHistoryRows(userId, where) {
+  let cursor = null;
+
+  while (true) {
+    const page = await prisma.investmentBatch.findMany({
+      where: { userId, transactions: { some: where } },
+      include: {
+        goal: true,
+        transactions: where.type ? { where: { type: where.type } } : true,
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: PAGE_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    if (page.length === 0) {
+      return;
+    }
+
+    const records = new Map(page.map((record) => [record.id, record]));
+    const transactions = page.flatMap((record) => record.transactions.map((tx) => ({ ...tx, goal: record.goal })));
+    const batches = groupByBatchId(transactions).reverse();
+    const valued = attachFxRates(batches, await getFxRatesForDates(batches.map((b) => b.timestamp)));
+
+    for (const batch of valued) {
+      yield toExportRow(batch, records.get(batch.batchId));
+    }
+
+    if (page.length < PAGE_SIZE) {
+      return;
+    }
+    cursor = page[page.length - 1].id;
+  }
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// OFX date: YYYYMMDDHHMMSS in UTC
+function ofxDate(date) {
+  return new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14) + '[0:GMT]';
+}
+
+async function* csvChunks(rows) {
+  yield EXPORT_COLUMNS.join(',') + '\r\n';
+  for await (const row of rows) {
+    yield EXPORT_COLUMNS.map((column) => csvCell(row[column])).join(',') + '\r\n';
+  }
+}
+
+async function* jsonChunks(rows, { exportedAt, filters }) {
+  yield `{"exportedAt":${JSON.stringify(exportedAt)},"filters":${JSON.stringify(filters)},"batches":[`;
+  let first = true;
+  for await (const row of rows) {
+    yield (first ? '' : ',') + JSON.stringify(row);
+    first = false;
+  }
+  yield ']}';
+}
+
+/**
+ * OFX 2 investment statement in INR
+ * Only confirmed swaps are trades; each is a BUYOTHER of the coin's mint.
+ * The network fee is paid in SOL, so it goes in the memo rather than FEES.
+ */
+async function* ofxChunks(rows, { exportedAt, userId }) {
+  const now = ofxDate(exportedAt);
+  yield [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS><DTSERVER>${now}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+    '<INVSTMTMSGSRSV1><INVSTMTTRNRS><TRNUID>0</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<INVSTMTRS><DTASOF>${now}</DTASOF><CURDEF>INR</CURDEF>`,
+    `<INVACCTFROM><BROKERID>wholecoiner</BROKERID><ACCTID>${escapeXml(userId)}</ACCTID></INVACCTFROM>`,
+    `<INVTRANLIST><DTSTART>${ofxDate(0)}</DTSTART><DTEND>${now}</DTEND>`,
+    '',
+  ].join('\n');
+
+  for await (const row of rows) {
+    if (row.state !== 'SWAP_CONFIRMED' || !row.cryptoReceived || row.investedInr === null) continue;
+
+    const memo = `${row.goalName || row.coin} ${row.usdcSpent} USDC${row.networkFeeSol !== null ? `, network fee ${row.networkFeeSol} SOL` : ''}`;
+    yield [
+      '<BUYOTHER><INVBUY>',
+      `<INVTRAN><FITID>${escapeXml(row.batchId)}</FITID><DTTRADE>${ofxDate(row.date)}</DTTRADE><MEMO>${escapeXml(memo)}</MEMO></INVTRAN>`,
+      `<SECID><UNIQUEID>${escapeXml(row.coin)}</UNIQUEID><UNIQUEIDTYPE>TICKER</UNIQUEIDTYPE></SECID>`,
+      `<UNITS>${row.cryptoReceived}</UNITS><UNITPRICE>${row.executionPriceInr}</UNITPRICE>`,
+      `<TOTAL>${-row.investedInr}</TOTAL><SUBACCTSEC>CASH</SUBACCTSEC><SUBACCTFUND>CASH</SUBACCTFUND>`,
+      '</INVBUY></BUYOTHER>',
+      '',
+    ].join('\n');
+  }
+
+  yield '</INVTRANLIST></INVSTMTRS></INVSTMTTRNRS></INVSTMTMSGSRSV1>\n</OFX>\n';
+}
+
+const CHUNK_WRITERS = {
+  csv: csvChunks,
+  json: jsonChunks,
+  ofx: ofxChunks,
+};
+
+// Rows with the first one already read
+async function* withFirstRow(first, rows) {
+  if (first.done) return;
+  yield first.value;
+  yield* rows;
+}
+
+/**
+ * Stream a user's history in the given format
+ * The first page is read before returning, so a failing query is thrown here
+ * (and becomes an error response) instead of cutting off a 200 download.
+ * After that, chunks are produced on pull, so reading stops when the client stops reading.
+ * @param {string} userId
+ * @param {Object} where - Transaction filters from buildHistoryWhere
+ * @param {string} format - csv | json | ofx
+ * @param {Object} options
+ * @param {Object} options.filters - Query filters echoed in the JSON export
+ * @param {string} options.requestId
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export async function createHistoryExportStream(userId, where, format, { filters = {}, requestId } = {}) {
+  const encoder = new TextEncoder();
+  const rows = exportHistoryRows(userId, where);
+  const first = await rows.next();
+  const chunks = CHUNK_WRITERS[format](withFirstRow(first, rows), {
+    exportedAt: new Date().toISOString(),
+    filters,
+    userId,
+  });
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      } catch (error) {
+        logger.error('History export failed mid-stream', { userId, format, error: error.message, requestId });
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await chunks.return();
+    },
+  });
+}
@@ -15,12 +15,13 @@ export const ok = (data, init) => {
  * @param {string} message - Error message
  * @param {number} code - HTTP status code (default: 400)
  * @param {Object} extra - Additional error data
+ * @param {ResponseInit} init - Optional response init options (e.g. headers)
  * @returns {NextResponse}
  */
-export const fail = (message, code = 400, extra = {}) => {
+export const fail = (message, code = 400, extra = {}, init = {}) => {
   return NextResponse.json(
     { ok: false, error: { message, code, ...extra } },
-    { status: code }
+    { ...init, status: code }
   );
 };
 
@@ -0,0 +1,165 @@
+/**
+ * Investment batch state machine
+ * A batch is one onramp -> swap investment. Its state only changes through
+ * transitionBatch, which checks the move against BATCH_TRANSITIONS, stamps
+ * the matching <state>At column and appends the move to the batch event log.
+ */
+
+import { prisma } from './prisma.js';
+import { BatchErrors } from './errors.js';
+
+/**
+ * Allowed moves from each state
+ * QUOTED -> QUOTED is a re-quote before the swap is signed.
+ * FAILED -> SWAP_SIGNED / SWAP_SUBMITTED are retry-worker recoveries (lib/swapRetry.js):
+ * resubmitting the stored signed swap, or a swap that landed after its confirmation failed.
+ * SWAP_CONFIRMED and CANCELED are terminal.
+ */
+export const BATCH_TRANSITIONS = {
+  ONRAMP_CONFIRMED: ['QUOTED', 'FAILED', 'CANCELED'],
+  QUOTED: ['QUOTED', 'SWAP_SIGNED', 'EXPIRED', 'FAILED', 'CANCELED'],
+  SWAP_SIGNED: ['SWAP_SUBMITTED', 'FAILED'],
+  SWAP_SUBMITTED: ['SWAP_CONFIRMED', 'FAILED'],
+  SWAP_CONFIRMED: [],
+  FAILED: ['QUOTED', 'SWAP_SIGNED', 'SWAP_SUBMITTED', 'CANCELED'],
+  EXPIRED: ['QUOTED', 'CANCELED'],
+  CANCELED: [],
+};
+
+const STATE_TIMESTAMPS = {
+  ONRAMP_CONFIRMED: 'onrampConfirmedAt',
+  QUOTED: 'quotedAt',
+  SWAP_SIGNED: 'swapSignedAt',
+  SWAP_SUBMITTED: 'swapSubmittedAt',
+  SWAP_CONFIRMED: 'swapConfirmedAt',
+  FAILED: 'failedAt',
+  EXPIRED: 'expiredAt',
+  CANCELED: 'canceledAt',
+};
+
+/**
+ * Whether a batch may move from one state to another
+ * @param {string} fromState
+ * @param {string} toState
+ * @returns {boolean}
+ */
+export function canTransition(fromState, toState) {
+  return BATCH_TRANSITIONS[fromState]?.includes(toState) || false;
+}
+
+/**
+ * Whether a batch in this state can still be canceled by the user
+ * @param {string} state
+ * @returns {boolean}
+ */
+export function isCancelable(state) {
+  return canTransition(state, 'CANCELED');
+}
+
+/**
+ * Create a batch for a confirmed onramp
+ * Call inside the transaction that records the ONRAMP transaction.
+ * @param {Object} data - { id, goalId, userId, amountUsdc }
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} options
+ * @param {string} options.requestId - Request that created the batch
+ * @returns {Promise<Object>} Created batch
+ */
+export async function createBatch({ id, goalId, userId, amountUsdc }, client = prisma, { requestId = null } = {}) {
+  const batch = await client.investmentBatch.create({
+    data: {
+      id,
+      goalId,
+      userId,
+      amountUsdc,
+      state: 'ONRAMP_CONFIRMED',
+      onrampConfirmedAt: new Date(),
+    },
+  });
+
+  await client.batchEvent.create({
+    data: {
+      batchId: id,
+      type: 'ONRAMP_CONFIRMED',
+      toState: 'ONRAMP_CONFIRMED',
+      requestId,
+      data: { amountUsdc },
+    },
+  });
+
+  return batch;
+}
+
+/**
+ * Get a batch by ID
+ * @param {string} batchId
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Object|null>}
+ */
+export async function getBatch(batchId, client = prisma) {
+  return await client.investmentBatch.findUnique({ where: { id: batchId } });
+}
+
+/**
+ * Move a batch to a new state
+ * The update only applies if the batch is still in the state it was read in,
+ * so two requests racing on the same batch cannot both move it. The move and
+ * its event are written in one transaction.
+ * @param {string} batchId
+ * @param {string} toState - Target BatchState
+ * @param {Object} data - Extra columns to set (error, quoteExpiresAt, canceledBy)
+ * @param {Object} options
+ * @param {Object} options.client - Prisma client or transaction client
+ * @param {Date} options.now - Transition time
+ * @param {string} options.requestId - Request that caused the move
+ * @param {Object} options.details - Extra event data (quote ID, amounts, ...)
+ * @returns {Promise<Object>} Updated batch
+ * @throws {AppError} BATCH_NOT_FOUND or INVALID_BATCH_TRANSITION
+ */
+export async function transitionBatch(batchId, toState, data = {}, options = {}) {
+  const { client = prisma, now = new Date(), requestId = null, details = null } = options;
+
+  // Transaction clients have no $transaction; they are already atomic
+  if (client.$transaction) {
+    return await client.$transaction((tx) => transitionBatch(batchId, toState, data, { ...options, client: tx, now }));
+  }
+
+  const batch = await getBatch(batchId, client);
+  if (!batch) {
+    throw BatchErrors.BATCH_NOT_FOUND();
+  }
+
+  if (!canTransition(batch.state, toState)) {
+    throw BatchErrors.INVALID_BATCH_TRANSITION(batch.state, toState);
+  }
+
+  const { count } = await client.investmentBatch.updateMany({
+    where: { id: batchId, state: batch.state },
+    data: {
+      // A fresh quote clears the failure and any pending retry
+      ...(toState === 'QUOTED' && { error: null, failureKind: null, nextRetryAt: null }),
+      ...data,
+      state: toState,
+      [STATE_TIMESTAMPS[toState]]: now,
+    },
+  });
+
+  if (count === 0) {
+    const latest = await getBatch(batchId, client);
+    throw BatchErrors.INVALID_BATCH_TRANSITION(latest?.state || batch.state, toState);
+  }
+
+  await client.batchEvent.create({
+    data: {
+      batchId,
+      type: toState,
+      fromState: batch.state,
+      toState,
+      requestId,
+      data: { ...data, ...details },
+      createdAt: now,
+    },
+  });
+
+  return await getBatch(batchId, client);
+}
@@ -0,0 +1,234 @@
+/**
+ * Conditional investment rules
+ * A goal can limit when and how much it buys (`investmentRules` JSON on the goal):
+ *  - priceCeilingInr: only buy while the coin is at or below this INR price
+ *  - maxSpendPerIntervalInr: cap on what all of the goal's batches spend per
+ *    frequency interval (rolling: the last day, 7 days or 30 days)
+ *  - dipThresholdPct + dipMultiplier: when the price is at least dipThresholdPct
+ *    below its average over dipLookback, scheduled runs buy dipMultiplier times the usual amount
+ *    (not for BUY_THE_DIP goals, whose strategy already multiplies on a dip)
+ * Rules are checked against getPriceInINR before a batch is quoted.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getFxUsdToInr } from './fx.js';
+import { getPriceInINR, getTokenInfo, isFallbackPrice } from './prices.js';
+import { getPriceHistory } from './priceHistory.js';
+import { ValidationError } from './errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RULE_INTERVAL_MS = {
+  DAILY: DAY_MS,
+  WEEKLY: 7 * DAY_MS,
+  MONTHLY: 30 * DAY_MS,
+};
+
+const INTERVAL_LABELS = {
+  DAILY: '24 hours',
+  WEEKLY: '7 days',
+  MONTHLY: '30 days',
+};
+
+export const DIP_LOOKBACKS = ['7d', '30d'];
+export const MAX_DIP_MULTIPLIER = 5;
+
+// Which rule stopped a run
+export const INVESTMENT_RULES = {
+  PRICE_CEILING: 'PRICE_CEILING',
+  PRICE_UNAVAILABLE: 'PRICE_UNAVAILABLE',
+  MAX_SPEND: 'MAX_SPEND',
+};
+
+const FIELDS = ['priceCeilingInr', 'maxSpendPerIntervalInr', 'dipThresholdPct', 'dipMultiplier', 'dipLookback'];
+
+function validatePositive(field, value, max = Infinity) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > max) {
+    throw new ValidationError(`${field} must be a positive number${max < Infinity ? ` up to ${max}` : ''}`);
+  }
+}
+
+/**
+ * Validate a rules update
+ * Fields left out keep their current value; null removes a rule.
+ * @param {Object} input - Partial rules
+ * @param {Object|null} current - Rules stored on the goal
+ * @param {string|null} strategy - The goal's contribution strategy
+ * @returns {Object} Rules to store (empty when every rule is removed)
+ * @throws {ValidationError}
+ */
+export function validateInvestmentRules(input, current = null, strategy = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError('Investment rules must be an object');
+  }
+
+  const unknown = Object.keys(input).filter((field) => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown investment rule: ${unknown.join(', ')}`);
+  }
+
+  const next = { ...current };
+  for (const field of FIELDS) {
+    if (input[field] === undefined) continue;
+    if (input[field] === null) {
+      delete next[field];
+      continue;
+    }
+
+    if (field === 'dipLookback') {
+      if (!DIP_LOOKBACKS.includes(input[field])) {
+        throw new ValidationError(`dipLookback must be one of: ${DIP_LOOKBACKS.join(', ')}`);
+      }
+    } else if (field === 'dipThresholdPct') {
+      validatePositive(field, input[field], 90);
+    } else if (field === 'dipMultiplier') {
+      validatePositive(field, input[field], MAX_DIP_MULTIPLIER);
+      if (input[field] <= 1) {
+        throw new ValidationError('dipMultiplier must be more than 1');
+      }
+    } else {
+      validatePositive(field, input[field]);
+    }
+    next[field] = input[field];
+  }
+
+  if (Boolean(next.dipThresholdPct) !== Boolean(next.dipMultiplier)) {
+    throw new ValidationError('dipThresholdPct and dipMultiplier must be set together');
+  }
+  // Both would multiply the same run
+  if (next.dipThresholdPct && strategy === 'BUY_THE_DIP') {
+    throw new ValidationError('The dip rule cannot be used with the BUY_THE_DIP strategy, which already buys more on a dip');
+  }
+  if (!next.dipThresholdPct) {
+    delete next.dipLookback;
+  }
+
+  return next;
+}
+
+/**
+ * Whether a goal has any rule set
+ * @param {Object} goal
+ * @returns {boolean}
+ */
+export function hasInvestmentRules(goal) {
+  return Object.keys(goal.investmentRules || {}).length > 0;
+}
+
+/**
+ * Average INR price over the lookback window, or null without history
+ * Also the dip reference of the BUY_THE_DIP contribution strategy.
+ * @param {string} coin
+ * @param {string} lookback - 7d or 30d
+ * @param {Date} now
+ * @returns {Promise<number|null>}
+ */
+export async function getAveragePriceInr(coin, lookback, now = new Date()) {
+  try {
+    const { candles } = await getPriceHistory(coin, lookback, { now, currency: 'INR' });
+    if (candles.length === 0) {
+      return null;
+    }
+    return candles.reduce((sum, candle) => sum + candle.close, 0) / candles.length;
+  } catch (error) {
+    logger.warn('Reference price for dip rule unavailable', { coin, lookback, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * USDC committed by the goal's batches in the rolling interval ending at `now`
+ * Canceled batches do not count.
+ */
+async function getSpentThisIntervalUsdc(goal, now, excludeBatchId) {
+  const { _sum } = await prisma.investmentBatch.aggregate({
+    _sum: { amountUsdc: true },
+    where: {
+      goalId: goal.id,
+      state: { not: 'CANCELED' },
+      createdAt: { gt: new Date(now.getTime() - RULE_INTERVAL_MS[goal.frequency]) },
+      ...(excludeBatchId && { id: { not: excludeBatchId } }),
+    },
+  });
+  return _sum.amountUsdc || 0;
+}
+
+/**
+ * Check a goal's rules for one investment
+ * Scheduled runs pass adjustAmount so the dip multiplier and the spend cap can
+ * change the amount; a batch that already exists (quote path) keeps its amount
+ * and is skipped if it no longer fits.
+ * @param {Object} goal - Goal with investmentRules, coin and frequency
+ * @param {Object} options
+ * @param {number} options.amountInr - Amount about to be invested
+ * @param {boolean} options.adjustAmount - Amount may be changed (scheduled runs)
+ * @param {string} options.excludeBatchId - Batch being checked, left out of the interval spend
+ * @param {Date} options.now
+ * @returns {Promise<Object>} { allowed, rule, reason, amountInr, priceInr, dip, spentThisIntervalInr }
+ */
+export async function evaluateInvestmentRules(goal, { amountInr, adjustAmount = false, excludeBatchId = null, now = new Date() }) {
+  const rules = goal.investmentRules || {};
+  const result = {
+    allowed: true,
+    rule: null,
+    reason: null,
+    amountInr,
+    priceInr: null,
+    dip: null,
+    spentThisIntervalInr: null,
+  };
+
+  if (!hasInvestmentRules(goal)) {
+    return result;
+  }
+
+  const skip = (rule, reason) => ({ ...result, allowed: false, rule, reason });
+
+  if (rules.priceCeilingInr || rules.dipThresholdPct) {
+    result.priceInr = await getPriceInINR(goal.coin);
+    const live = !isFallbackPrice(getTokenInfo(goal.coin)?.mint);
+
+    if (rules.priceCeilingInr) {
+      if (!live) {
+        return skip(INVESTMENT_RULES.PRICE_UNAVAILABLE, `No live ${goal.coin} price to check against your price ceiling`);
+      }
+      if (result.priceInr > rules.priceCeilingInr) {
+        return skip(
+          INVESTMENT_RULES.PRICE_CEILING,
+          `${goal.coin} is ₹${Math.round(result.priceInr).toLocaleString('en-IN')}, above your ceiling of ₹${rules.priceCeilingInr.toLocaleString('en-IN')}`
+        );
+      }
+    }
+
+    if (rules.dipThresholdPct && live) {
+      const lookback = rules.dipLookback || '30d';
+      const referencePriceInr = await getAveragePriceInr(goal.coin, lookback, now);
+      if (referencePriceInr) {
+        const dropPct = ((referencePriceInr - result.priceInr) / referencePriceInr) * 100;
+        const applied = adjustAmount && dropPct >= rules.dipThresholdPct;
+        result.dip = { lookback, referencePriceInr, dropPct, multiplier: rules.dipMultiplier, applied };
+        if (applied) {
+          result.amountInr = amountInr * rules.dipMultiplier;
+        }
+      }
+    }
+  }
+
+  if (rules.maxSpendPerIntervalInr) {
+    const fxRate = await getFxUsdToInr();
+    result.spentThisIntervalInr = (await getSpentThisIntervalUsdc(goal, now, excludeBatchId)) * fxRate;
+    const remainingInr = rules.maxSpendPerIntervalInr - result.spentThisIntervalInr;
+
+    if (adjustAmount && remainingInr > 0) {
+      result.amountInr = Math.min(result.amountInr, remainingInr);
+    } else if (result.amountInr > remainingInr) {
+      return skip(
+        INVESTMENT_RULES.MAX_SPEND,
+        `₹${Math.round(result.spentThisIntervalInr).toLocaleString('en-IN')} already invested in the last ${INTERVAL_LABELS[goal.frequency]} (limit ₹${rules.maxSpendPerIntervalInr.toLocaleString('en-IN')})`
+      );
+    }
+  }
+
+  return result;
+}
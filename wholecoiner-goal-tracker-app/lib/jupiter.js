@@ -176,9 +176,18 @@ export async function getSwapQuote(inputMint, outputMint, amount, slippageBps =
  * @param {Object} quoteResponse - Quote response from getSwapQuote
  * @param {string} userPublicKey - User's wallet public key (base58)
  * @param {number} slippageBps - Slippage in basis points
- * @returns {Promise<Object>} Swap transaction response
+ * @param {Object} [priorityFee] - From the user's swap preferences
+ * @param {string} [priorityFee.priorityLevel] - 'medium' | 'high' | 'veryHigh'
+ * @param {number} [priorityFee.maxPriorityFeeLamports] - Cap on the priority fee
+ * @param {number} [priorityFee.priorityFeeLamports] - Exact fee from lib/priorityFees.js; without it Jupiter estimates one
+ * @returns {Promise<Object>} Swap transaction response (prioritizationFeeLamports is the fee Jupiter set)
  */
-export async function getSwapTransaction(quoteResponse, userPublicKey, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+export async function getSwapTransaction(
+  quoteResponse,
+  userPublicKey,
+  slippageBps = DEFAULT_SLIPPAGE_BPS,
+  { priorityLevel = 'medium', maxPriorityFeeLamports = 10000, priorityFeeLamports = null } = {}
+) {
   try {
     // Use same endpoint format as sher-web: /swap/v1/swap
     const url = `${JUPITER_SWAP_API}/swap`;
@@ -189,16 +198,15 @@ export async function getSwapTransaction(quoteResponse, userPublicKey, slippageB
       quoteResponse,
       userPublicKey,
       // wrapAndUnwrapSol defaults to true in Jupiter API, can be omitted
-      // Prioritization fee format matches sher-web's pattern
-      prioritizationFeeLamports: {
+      prioritizationFeeLamports: priorityFeeLamports ?? {
         priorityLevelWithMaxLamports: {
-          maxLamports: 10000,
-          priorityLevel: 'medium',
+          maxLamports: maxPriorityFeeLamports,
+          priorityLevel,
         },
       },
     };
 
-    logger.info('Fetching Jupiter swap transaction', { userPublicKey, slippageBps });
+    logger.info('Fetching Jupiter swap transaction', { userPublicKey, slippageBps, priorityLevel, maxPriorityFeeLamports, priorityFeeLamports });
 
     const response = await fetch(url, {
       method: 'POST',
@@ -0,0 +1,200 @@
+/**
+ * Goal milestones
+ * A goal's milestones (`milestoneConfig` JSON) are percentages of its target
+ * or absolute amounts of its coin; without a config the defaults apply
+ * (10/25/50/75/100%). Each time investedAmount grows, newly crossed milestones
+ * are stored in goal_milestones with the date reached and the user is notified.
+ * A goal that auto-completes always reaches 100%, configured or not.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { createNotification } from './notifications.js';
+import { ValidationError } from './errors.js';
+
+export const MILESTONE_KINDS = {
+  PERCENT: 'PERCENT',
+  AMOUNT: 'AMOUNT',
+};
+
+export const DEFAULT_MILESTONES = [10, 25, 50, 75, 100].map((threshold) => ({
+  kind: MILESTONE_KINDS.PERCENT,
+  threshold,
+}));
+
+const MAX_MILESTONES = 20;
+
+const COMPLETION_MILESTONE = { kind: MILESTONE_KINDS.PERCENT, threshold: 100 };
+
+const sameMilestone = (a, b) => a.kind === b.kind && a.threshold === b.threshold;
+
+/**
+ * Validate a milestone list
+ * Each entry is { percent } (of the target, up to 100) or { amount } (of the goal's coin).
+ * @param {Array|null} input - Milestones, or null to go back to the defaults
+ * @returns {Array|Object} Config to store ({} means defaults)
+ * @throws {ValidationError}
+ */
+export function validateMilestones(input) {
+  if (input === null) {
+    return {};
+  }
+
+  if (!Array.isArray(input)) {
+    throw new ValidationError('milestones must be an array or null');
+  }
+  if (input.length > MAX_MILESTONES) {
+    throw new ValidationError(`A goal can have at most ${MAX_MILESTONES} milestones`);
+  }
+
+  const milestones = input.map((entry) => {
+    const isPercent = entry?.percent !== undefined;
+    const value = isPercent ? entry.percent : entry?.amount;
+
+    if ((entry?.percent === undefined) === (entry?.amount === undefined)) {
+      throw new ValidationError('Each milestone needs either percent or amount');
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || (isPercent && value > 100)) {
+      throw new ValidationError(isPercent ? 'percent must be more than 0 and at most 100' : 'amount must be a positive number');
+    }
+
+    return { kind: isPercent ? MILESTONE_KINDS.PERCENT : MILESTONE_KINDS.AMOUNT, threshold: value };
+  });
+
+  return milestones
+    .filter((milestone, index) => milestones.findIndex((other) => sameMilestone(other, milestone)) === index)
+    .sort((a, b) => a.kind.localeCompare(b.kind) || a.threshold - b.threshold);
+}
+
+/**
+ * Milestones configured for a goal (the defaults without a config)
+ * @param {Object} goal
+ * @returns {Array<{kind, threshold}>}
+ */
+export function getMilestoneConfig(goal) {
+  return Array.isArray(goal.milestoneConfig) ? goal.milestoneConfig : DEFAULT_MILESTONES;
+}
+
+/**
+ * Amount of the goal's coin a milestone stands for
+ * @param {Object} milestone - { kind, threshold }
+ * @param {Object} goal
+ * @returns {number}
+ */
+export function getMilestoneAmount(milestone, goal) {
+  return milestone.kind === MILESTONE_KINDS.PERCENT
+    ? (goal.targetAmount * milestone.threshold) / 100
+    : milestone.threshold;
+}
+
+/**
+ * Human label, e.g. "50%" or "0.1 BTC"
+ */
+export function formatMilestone(milestone, goal) {
+  return milestone.kind === MILESTONE_KINDS.PERCENT ? `${milestone.threshold}%` : `${milestone.threshold} ${goal.coin}`;
+}
+
+/**
+ * Store the milestones a goal has newly crossed
+ * Call with the goal as updated (investedAmount incremented, status COMPLETED
+ * if it auto-completed), inside the same transaction as the update.
+ * @param {Object} goal - Updated goal
+ * @param {Object} options
+ * @param {Object} options.client - Prisma client or transaction
+ * @param {string} options.batchId - Batch whose swap moved the goal
+ * @param {Date} options.now
+ * @returns {Promise<Array>} Milestones this call inserted (not ones a concurrent update recorded first)
+ */
+export async function recordReachedMilestones(goal, { client = prisma, batchId = null, now = new Date() } = {}) {
+  const candidates = [...getMilestoneConfig(goal)];
+  if (goal.status === 'COMPLETED' && !candidates.some((m) => sameMilestone(m, COMPLETION_MILESTONE))) {
+    candidates.push(COMPLETION_MILESTONE);
+  }
+
+  const crossed = candidates.filter(
+    (milestone) => goal.investedAmount >= getMilestoneAmount(milestone, goal) || (goal.status === 'COMPLETED' && sameMilestone(milestone, COMPLETION_MILESTONE))
+  );
+  if (crossed.length === 0) {
+    return [];
+  }
+
+  const existing = await client.goalMilestone.findMany({
+    where: { goalId: goal.id },
+    select: { kind: true, threshold: true },
+  });
+  const reached = crossed
+    .filter((milestone) => !existing.some((other) => sameMilestone(other, milestone)))
+    .map((milestone) => ({
+      goalId: goal.id,
+      kind: milestone.kind,
+      threshold: milestone.threshold,
+      investedAmount: goal.investedAmount,
+      batchId,
+      reachedAt: now,
+    }));
+
+  if (reached.length === 0) {
+    return [];
+  }
+  // ON CONFLICT DO NOTHING ... RETURNING: when a concurrent execute and reconcile
+  // both cross a milestone, only the one whose row went in gets it back to notify
+  return await client.goalMilestone.createManyAndReturn({ data: reached, skipDuplicates: true });
+}
+
+/**
+ * Tell the user about milestones recorded by recordReachedMilestones
+ * Call after the transaction has committed; failures are logged, not thrown.
+ * @param {Object} goal
+ * @param {Array} reached
+ */
+export async function notifyMilestonesReached(goal, reached) {
+  for (const milestone of reached) {
+    const completed = sameMilestone(milestone, COMPLETION_MILESTONE);
+    const message = completed
+      ? `Goal complete! You now hold ${goal.targetAmount} ${goal.coin}.`
+      : `Milestone reached: ${formatMilestone(milestone, goal)} of your ${goal.targetAmount} ${goal.coin} goal.`;
+
+    try {
+      await createNotification(goal.userId, 'MILESTONE_REACHED', message, {
+        goalId: goal.id,
+        kind: milestone.kind,
+        threshold: milestone.threshold,
+        batchId: milestone.batchId,
+        reachedAt: milestone.reachedAt.toISOString(),
+        completed,
+      });
+    } catch (error) {
+      logger.warn('Milestone notification failed', { goalId: goal.id, threshold: milestone.threshold, error: error.message });
+    }
+  }
+}
+
+/**
+ * Configured and reached milestones of a goal, in the order they are reached
+ * Reached milestones no longer in the config are kept: they happened.
+ * @param {Object} goal
+ * @param {Array} reachedRows - goal_milestones rows of the goal
+ * @returns {Array<{kind, threshold, label, amount, reached, reachedAt}>}
+ */
+export function listMilestones(goal, reachedRows) {
+  const all = [...getMilestoneConfig(goal)];
+  for (const row of reachedRows) {
+    if (!all.some((milestone) => sameMilestone(milestone, row))) {
+      all.push({ kind: row.kind, threshold: row.threshold });
+    }
+  }
+
+  return all
+    .map((milestone) => {
+      const row = reachedRows.find((other) => sameMilestone(other, milestone));
+      return {
+        kind: milestone.kind,
+        threshold: milestone.threshold,
+        label: formatMilestone(milestone, goal),
+        amount: getMilestoneAmount(milestone, goal),
+        reached: Boolean(row),
+        reachedAt: row ? row.reachedAt.toISOString() : null,
+      };
+    })
+    .sort((a, b) => a.amount - b.amount);
+}
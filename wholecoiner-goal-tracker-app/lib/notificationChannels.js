@@ -0,0 +1,63 @@
+/**
+ * Notification delivery channels
+ * A channel has the shape
+ * { name, isConfigured() -> boolean, getRecipient(user) -> string|null (null when
+ *   the user has no usable address),
+ *   send(notification, recipient) -> Promise<{ messageId }> }.
+ * send() throws on failure; an error with `retryable: false` is not retried.
+ * Channel names match the keys of the user's notification preferences.
+ */
+
+import { getSmtpConfig, sendMail, isValidEmailAddress } from './smtp.js';
+import { renderNotificationEmail } from './notificationTemplates.js';
+
+/**
+ * Email over SMTP (lib/smtp.js)
+ */
+export function createEmailChannel() {
+  return {
+    name: 'email',
+
+    isConfigured() {
+      return getSmtpConfig() !== null;
+    },
+
+    // The email comes from the login request, so anything that is not a plain address is dropped
+    getRecipient(user) {
+      return isValidEmailAddress(user.email) ? user.email : null;
+    },
+
+    async send(notification, recipient) {
+      const { subject, text, html } = renderNotificationEmail(notification);
+      const { messageId } = await sendMail({
+        to: recipient,
+        subject,
+        text,
+        html,
+        headers: { 'X-Wholecoiner-Notification': notification.id },
+      });
+      return { messageId };
+    },
+  };
+}
+
+const CHANNELS = {
+  email: createEmailChannel(),
+};
+
+/**
+ * Channel by name
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getNotificationChannel(name) {
+  return CHANNELS[name] || null;
+}
+
+/**
+ * Every registered channel
+ * @returns {Array<Object>}
+ */
+export function getNotificationChannels() {
+  return Object.values(CHANNELS);
+}
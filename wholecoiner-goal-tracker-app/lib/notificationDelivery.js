@@ -0,0 +1,271 @@
+/**
+ * Notification delivery over channels (email)
+ * createNotification queues one notification_deliveries row per channel the
+ * user has turned on for the notification's type and tries it right away,
+ * unless the user is in quiet hours, in which case it waits until they end.
+ * Every try is logged in notification_delivery_attempts. Failed tries are
+ * retried with backoff by the delivery worker (runNotificationDeliveries);
+ * permanent failures (SMTP 5xx) and the last allowed try end in FAILED.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getNotificationChannel, getNotificationChannels } from './notificationChannels.js';
+import { resolveNotificationPreferences, getQuietHoursEnd } from './notificationPreferences.js';
+import { NotFoundError } from './errors.js';
+
+export const DELIVERY_POLICY = {
+  maxAttempts: Number(process.env.NOTIFICATION_DELIVERY_MAX_ATTEMPTS) || 5,
+  baseDelayMs: Number(process.env.NOTIFICATION_DELIVERY_BASE_DELAY_MS) || 60 * 1000, // 1 minute
+  maxDelayMs: Number(process.env.NOTIFICATION_DELIVERY_MAX_DELAY_MS) || 60 * 60 * 1000, // 1 hour
+  leaseMs: 2 * 60 * 1000, // A claimed delivery is picked up again after this if its sender died
+};
+
+const WORKER_BATCH_LIMIT = 50;
+
+/**
+ * Delay before the next try after `attempts` failed tries (exponential backoff, capped)
+ * @param {number} attempts
+ * @returns {number}
+ */
+export function getDeliveryDelayMs(attempts) {
+  return Math.min(DELIVERY_POLICY.baseDelayMs * 2 ** (attempts - 1), DELIVERY_POLICY.maxDelayMs);
+}
+
+/**
+ * Queue a notification on the user's channels and send what is due now
+ * Sends are not awaited: a failed or cut-off send is picked up by the worker.
+ * Never throws; the in-app notification already exists.
+ * @param {Object} notification - Notification row
+ * @param {Object} options
+ * @param {Date} options.now
+ * @returns {Promise<Array>} Queued deliveries
+ */
+export async function dispatchNotification(notification, { now = new Date() } = {}) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: notification.userId },
+      select: { email: true, notificationPreferences: true },
+    });
+    if (!user) {
+      return [];
+    }
+
+    const { channels, quietHours } = resolveNotificationPreferences(user.notificationPreferences);
+    const deferredUntil = getQuietHoursEnd(quietHours, now);
+
+    const deliveries = [];
+    for (const channel of getNotificationChannels()) {
+      const preference = channels[channel.name];
+      if (!preference?.enabled || !preference.types.includes(notification.type)) continue;
+
+      const recipient = channel.getRecipient(user);
+      if (!channel.isConfigured() || !recipient) {
+        logger.warn('Notification channel unavailable', {
+          notificationId: notification.id,
+          channel: channel.name,
+          configured: channel.isConfigured(),
+          hasRecipient: Boolean(recipient),
+        });
+        continue;
+      }
+
+      deliveries.push(
+        await prisma.notificationDelivery.create({
+          data: {
+            notificationId: notification.id,
+            channel: channel.name,
+            recipient,
+            nextAttemptAt: deferredUntil || now,
+          },
+        })
+      );
+    }
+
+    if (deferredUntil && deliveries.length > 0) {
+      logger.info('Notification deferred for quiet hours', {
+        notificationId: notification.id,
+        until: deferredUntil.toISOString(),
+      });
+    } else {
+      for (const delivery of deliveries) {
+        attemptDelivery(delivery.id, { now }).catch((error) => {
+          logger.error('Notification delivery crashed', { deliveryId: delivery.id, error: error.message });
+        });
+      }
+    }
+
+    return deliveries;
+  } catch (error) {
+    logger.error('Failed to queue notification deliveries', {
+      notificationId: notification.id,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
+/**
+ * Try one delivery
+ * The delivery is claimed first (its next try pushed out by the lease) so the
+ * worker and an inline send never send the same message twice.
+ * @param {string} deliveryId
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {string} options.requestId
+ * @returns {Promise<string>} 'sent' | 'rescheduled' | 'failed' | 'deferred' | 'skipped'
+ */
+export async function attemptDelivery(deliveryId, { now = new Date(), requestId = null } = {}) {
+  const claimed = await prisma.notificationDelivery.updateMany({
+    where: { id: deliveryId, status: 'PENDING', nextAttemptAt: { lte: now } },
+    data: { nextAttemptAt: new Date(now.getTime() + DELIVERY_POLICY.leaseMs) },
+  });
+  if (claimed.count === 0) {
+    return 'skipped';
+  }
+
+  const delivery = await prisma.notificationDelivery.findUnique({
+    where: { id: deliveryId },
+    include: {
+      notification: { include: { user: { select: { notificationPreferences: true } } } },
+    },
+  });
+
+  // Quiet hours may have been set (or a retry may fall into them) since it was queued
+  const { quietHours } = resolveNotificationPreferences(delivery.notification.user.notificationPreferences);
+  const deferredUntil = getQuietHoursEnd(quietHours, now);
+  if (deferredUntil) {
+    await prisma.notificationDelivery.update({
+      where: { id: deliveryId },
+      data: { nextAttemptAt: deferredUntil },
+    });
+    return 'deferred';
+  }
+
+  const attempt = delivery.attempts + 1;
+  const channel = getNotificationChannel(delivery.channel);
+  const startedAt = Date.now();
+
+  try {
+    if (!channel) {
+      throw Object.assign(new Error(`Unknown notification channel: ${delivery.channel}`), { retryable: false });
+    }
+
+    const { messageId } = await channel.send(delivery.notification, delivery.recipient);
+
+    await prisma.$transaction([
+      prisma.notificationDeliveryAttempt.create({
+        data: { deliveryId, attempt, succeeded: true, messageId, durationMs: Date.now() - startedAt, attemptedAt: now },
+      }),
+      prisma.notificationDelivery.update({
+        where: { id: deliveryId },
+        data: { status: 'SENT', attempts: attempt, sentAt: now, nextAttemptAt: null, lastError: null },
+      }),
+    ]);
+
+    logger.info('Notification delivered', {
+      deliveryId,
+      notificationId: delivery.notificationId,
+      channel: delivery.channel,
+      attempt,
+      requestId,
+    });
+    return 'sent';
+  } catch (error) {
+    const final = error.retryable === false || attempt >= DELIVERY_POLICY.maxAttempts;
+
+    await prisma.$transaction([
+      prisma.notificationDeliveryAttempt.create({
+        data: {
+          deliveryId,
+          attempt,
+          succeeded: false,
+          error: error.message,
+          responseCode: error.responseCode ?? null,
+          durationMs: Date.now() - startedAt,
+          attemptedAt: now,
+        },
+      }),
+      prisma.notificationDelivery.update({
+        where: { id: deliveryId },
+        data: {
+          status: final ? 'FAILED' : 'PENDING',
+          attempts: attempt,
+          lastError: error.message,
+          nextAttemptAt: final ? null : new Date(now.getTime() + getDeliveryDelayMs(attempt)),
+        },
+      }),
+    ]);
+
+    logger.warn('Notification delivery failed', {
+      deliveryId,
+      notificationId: delivery.notificationId,
+      channel: delivery.channel,
+      attempt,
+      final,
+      error: error.message,
+      requestId,
+    });
+    return final ? 'failed' : 'rescheduled';
+  }
+}
+
+/**
+ * Delivery worker: try every pending delivery that is due
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {string} options.requestId
+ * @returns {Promise<Object>} Summary counts
+ */
+export async function runNotificationDeliveries({ now = new Date(), requestId = null } = {}) {
+  const due = await prisma.notificationDelivery.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+    select: { id: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: WORKER_BATCH_LIMIT,
+  });
+
+  const summary = {
+    total: due.length,
+    sent: 0,
+    rescheduled: 0,
+    failed: 0,
+    deferred: 0,
+    skipped: 0,
+  };
+
+  for (const { id } of due) {
+    try {
+      summary[await attemptDelivery(id, { now, requestId })]++;
+    } catch (error) {
+      summary.skipped++;
+      logger.error('Notification delivery crashed', { deliveryId: id, error: error.message, requestId });
+    }
+  }
+
+  logger.info('Notification delivery run completed', { ...summary, requestId });
+  return summary;
+}
+
+/**
+ * Deliveries of a user's notification with their attempt log
+ * @param {string} notificationId
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Array>} Deliveries, oldest first
+ * @throws {NotFoundError} If the notification is not the user's
+ */
+export async function getNotificationDeliveries(notificationId, userId) {
+  const notification = await prisma.notification.findFirst({
+    where: { id: notificationId, userId },
+    select: { id: true },
+  });
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  return prisma.notificationDelivery.findMany({
+    where: { notificationId },
+    include: { attemptLog: { orderBy: { attempt: 'asc' } } },
+    orderBy: { createdAt: 'asc' },
+  });
+}
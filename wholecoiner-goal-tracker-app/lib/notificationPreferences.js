@@ -0,0 +1,187 @@
+/**
+ * Notification channel preferences
+ * Every notification lands in the in-app inbox. Users choose which types are
+ * also sent on each channel (lib/notificationChannels.js) and can set quiet
+ * hours, during which channel deliveries wait until the quiet hours end.
+ * Stored as a partial JSON object (`notificationPreferences` on users):
+ *   { channels: { email: { enabled, types } }, quietHours: { start, end, timeZone } }
+ */
+
+import { ValidationError } from './errors.js';
+import { NOTIFICATION_TYPES } from './notificationTemplates.js';
+
+export const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+// Email is opt-in; these are the types worth an email by default
+export const DEFAULT_CHANNEL_PREFERENCES = {
+  email: {
+    enabled: false,
+    types: [
+      'SWAP_CONFIRMED',
+      'FAILED',
+      'RETRY_REQUOTED',
+      'RETRY_EXHAUSTED',
+      'AUTO_SIGNED',
+      'AUTO_SIGN_REJECTED',
+      'AUTO_SIGN_FAILED',
+      'RULE_SKIPPED',
+      'SCHEDULED_RUN_MISSED',
+      'SCHEDULED_RUN_SKIPPED',
+      'MILESTONE_REACHED',
+    ],
+  },
+};
+
+export const CHANNEL_NAMES = Object.keys(DEFAULT_CHANNEL_PREFERENCES);
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+function validateChannel(name, input, current) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError(`channels.${name} must be an object`);
+  }
+
+  const next = { ...current };
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      throw new ValidationError(`channels.${name}.enabled must be true or false`);
+    }
+    next.enabled = input.enabled;
+  }
+
+  if (input.types === null) {
+    delete next.types;
+  } else if (input.types !== undefined) {
+    if (!Array.isArray(input.types)) {
+      throw new ValidationError(`channels.${name}.types must be an array or null`);
+    }
+    const unknown = input.types.filter((type) => !NOTIFICATION_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown notification type: ${unknown.join(', ')}`);
+    }
+    next.types = [...new Set(input.types)];
+  }
+
+  return next;
+}
+
+function validateQuietHours(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError('quietHours must be an object or null');
+  }
+
+  const { start, end, timeZone = DEFAULT_TIME_ZONE } = input;
+  if (typeof start !== 'string' || !TIME_PATTERN.test(start) || typeof end !== 'string' || !TIME_PATTERN.test(end)) {
+    throw new ValidationError('quietHours.start and quietHours.end must be times like 22:00');
+  }
+  if (start === end) {
+    throw new ValidationError('quietHours.start and quietHours.end must differ');
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new ValidationError(`Unknown time zone: ${timeZone}`);
+  }
+
+  return { start, end, timeZone };
+}
+
+/**
+ * Validate a preferences update
+ * Channels and fields left out keep their current value; `types: null` goes
+ * back to the channel's default types and `quietHours: null` turns them off.
+ * @param {Object} input - { channels?, quietHours? }
+ * @param {Object|null} current - Stored preferences
+ * @returns {Object} Preferences to store
+ * @throws {ValidationError}
+ */
+export function validateNotificationPreferences(input, current = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError('notificationPreferences must be an object');
+  }
+
+  const unknownFields = Object.keys(input).filter((field) => !['channels', 'quietHours'].includes(field));
+  if (unknownFields.length > 0) {
+    throw new ValidationError(`Unknown notification preference: ${unknownFields.join(', ')}`);
+  }
+
+  const next = { ...current, channels: { ...current?.channels } };
+
+  if (input.channels !== undefined) {
+    if (!input.channels || typeof input.channels !== 'object' || Array.isArray(input.channels)) {
+      throw new ValidationError('channels must be an object');
+    }
+    for (const [name, channel] of Object.entries(input.channels)) {
+      if (!CHANNEL_NAMES.includes(name)) {
+        throw new ValidationError(`Unknown notification channel: ${name}. Must be one of: ${CHANNEL_NAMES.join(', ')}`);
+      }
+      next.channels[name] = validateChannel(name, channel, next.channels[name]);
+    }
+  }
+
+  if (input.quietHours === null) {
+    delete next.quietHours;
+  } else if (input.quietHours !== undefined) {
+    next.quietHours = validateQuietHours(input.quietHours);
+  }
+
+  return next;
+}
+
+/**
+ * Preferences with defaults filled in
+ * @param {Object|null} notificationPreferences - Stored preferences
+ * @returns {{ channels: Object, quietHours: Object|null }}
+ */
+export function resolveNotificationPreferences(notificationPreferences) {
+  const stored = notificationPreferences || {};
+
+  const channels = {};
+  for (const name of CHANNEL_NAMES) {
+    channels[name] = { ...DEFAULT_CHANNEL_PREFERENCES[name], ...stored.channels?.[name] };
+  }
+
+  return { channels, quietHours: stored.quietHours || null };
+}
+
+/**
+ * End of the quiet hours `now` falls in
+ * Quiet hours may wrap midnight (22:00 - 07:00).
+ * @param {Object|null} quietHours - { start, end, timeZone }
+ * @param {Date} now
+ * @returns {Date|null} When deliveries may go out again, or null outside quiet hours
+ */
+export function getQuietHoursEnd(quietHours, now = new Date()) {
+  if (!quietHours) {
+    return null;
+  }
+
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: quietHours.timeZone || DEFAULT_TIME_ZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+  const localMinutes = Number(parts.find((p) => p.type === 'hour').value) * 60 + Number(parts.find((p) => p.type === 'minute').value);
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const inQuietHours = start < end
+    ? localMinutes >= start && localMinutes < end
+    : localMinutes >= start || localMinutes < end;
+
+  if (!inQuietHours) {
+    return null;
+  }
+
+  const minutesLeft = (end - localMinutes + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+}
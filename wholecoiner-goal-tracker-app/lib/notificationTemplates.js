@@ -0,0 +1,86 @@
+/**
+ * Message templates for notification channels
+ * One entry per notification type: the subject line and, where it helps, a
+ * call to action. The body is the notification's own message, so the inbox and
+ * the email always say the same thing.
+ */
+
+import { getTxExplorerUrl } from './solana-explorer.js';
+
+const appUrl = () => process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000';
+
+const goalLink = (label) => (meta) => (meta.goalId ? { label, url: `${appUrl()}/goals/${meta.goalId}` } : null);
+
+export const NOTIFICATION_TEMPLATES = {
+  ONRAMP_CONFIRMED: { subject: () => 'Funds received' },
+  QUOTED: { subject: () => 'Your swap quote is ready', action: goalLink('Review the quote') },
+  SWAP_SIGNED: { subject: () => 'Swap signed' },
+  SWAP_SUBMITTED: { subject: () => 'Swap submitted to Solana' },
+  SWAP_CONFIRMED: { subject: () => 'Swap confirmed', action: goalLink('See your progress') },
+  EXPIRED: { subject: () => 'Swap quote expired', action: goalLink('Get a new quote') },
+  FAILED: { subject: () => 'Swap failed', action: goalLink('Open your goal') },
+  CANCELED: { subject: () => 'Investment canceled' },
+  RETRY_RECOVERED: { subject: () => 'Your swap went through' },
+  RETRY_RESUBMITTED: { subject: () => 'Swap resubmitted' },
+  RETRY_REQUOTED: { subject: () => 'Sign your retried swap', action: goalLink('Sign the swap') },
+  RETRY_EXHAUSTED: { subject: () => 'We could not complete your swap', action: goalLink('Open your goal') },
+  AUTO_SIGNED: { subject: () => 'Auto-invest swap sent' },
+  AUTO_SIGN_REJECTED: { subject: () => 'Auto-invest needs your signature', action: goalLink('Sign the swap') },
+  AUTO_SIGN_FAILED: { subject: () => 'Auto-invest needs your signature', action: goalLink('Sign the swap') },
+  RULE_SKIPPED: { subject: () => 'Investment skipped by a rule', action: goalLink('Review your rules') },
+  INVESTMENT_EVENT: { subject: () => 'Investment update' },
+  SCHEDULED_RUN_MISSED: { subject: () => 'Scheduled investment missed', action: goalLink('Open your goal') },
+  SCHEDULED_RUN_SKIPPED: { subject: () => 'Scheduled investment skipped', action: goalLink('Open your goal') },
+  GOAL_RESUMED: { subject: () => 'Your goal has resumed' },
+  MILESTONE_REACHED: {
+    subject: (meta) => (meta.completed ? 'Goal complete!' : 'Milestone reached'),
+    action: goalLink('See your goal'),
+  },
+};
+
+export const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_TEMPLATES);
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Render a notification as an email
+ * @param {Object} notification - Notification row
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderNotificationEmail(notification) {
+  const meta = notification.meta || {};
+  const template = NOTIFICATION_TEMPLATES[notification.type] || NOTIFICATION_TEMPLATES.INVESTMENT_EVENT;
+  const subject = `Wholecoiner: ${template.subject(meta)}`;
+  const action = template.action?.(meta) || null;
+  const explorerUrl = meta.signature ? getTxExplorerUrl(meta.signature) : null;
+  const settingsUrl = `${appUrl()}/dashboard`;
+
+  const text = [
+    notification.message,
+    action && `${action.label}: ${action.url}`,
+    explorerUrl && `Transaction: ${explorerUrl}`,
+    '',
+    `You are receiving this because email notifications are on. Change them in Wholecoiner: ${settingsUrl}`,
+  ].filter((line) => line !== null && line !== undefined && line !== false).join('\n');
+
+  const html = `<!doctype html>
+<html>
+<body style="margin:0;padding:24px;background:#1b130a;font-family:Arial,sans-serif;color:#f0eade">
+  <div style="max-width:520px;margin:0 auto;background:#2a2217;border:1px solid #483923;border-radius:16px;padding:24px">
+    <p style="margin:0 0 8px;font-size:12px;letter-spacing:2px;text-transform:uppercase;color:#a89987">Wholecoiner</p>
+    <h1 style="margin:0 0 16px;font-size:20px">${escapeHtml(template.subject(meta))}</h1>
+    <p style="margin:0 0 20px;font-size:15px;line-height:1.5">${escapeHtml(notification.message)}</p>
+    ${action ? `<p style="margin:0 0 20px"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 20px;border-radius:999px;background:#ec9213;color:#221a10;font-weight:bold;text-decoration:none">${escapeHtml(action.label)}</a></p>` : ''}
+    ${explorerUrl ? `<p style="margin:0 0 20px;font-size:13px"><a href="${escapeHtml(explorerUrl)}" style="color:#ec9213">View the transaction on Solana Explorer</a></p>` : ''}
+    <p style="margin:0;font-size:12px;color:#a89987">You are receiving this because email notifications are on. <a href="${escapeHtml(settingsUrl)}" style="color:#a89987">Change them in Wholecoiner</a>.</p>
+  </div>
+</body>
+</html>`;
+
+  return { subject, text, html };
+}
@@ -2,11 +2,14 @@
  * Notification helper functions for investment events
  */
 
-import { prisma } from './prisma';
-import { logger } from './logger';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { NotFoundError } from './errors.js';
+import { dispatchNotification } from './notificationDelivery.js';
 
 /**
  * Create a notification for a user
+ * Also queues it on the channels (email) the user has turned on for its type.
  * @param {string} userId - User ID
  * @param {string} type - Notification type (e.g., 'ONRAMP_CONFIRMED', 'SWAP_CONFIRMED', etc.)
  * @param {string} message - Notification message
@@ -30,6 +33,8 @@ export async function createNotification(userId, type, message, meta = null) {
       type 
     });
 
+    await dispatchNotification(notification);
+
     return notification;
   } catch (error) {
     logger.error('Failed to create notification', { 
@@ -111,6 +116,46 @@ export async function sendInvestmentNotification(batchId, eventType, data) {
         notificationType = 'CANCELED';
         break;
 
+      case 'RETRY_RECOVERED':
+        message = `Good news: your ${goal.coin} swap went through after all. Finalizing on Solana…`;
+        notificationType = 'RETRY_RECOVERED';
+        break;
+
+      case 'RETRY_RESUBMITTED':
+        message = `We resubmitted your ${goal.coin} swap after a network error. Finalizing on Solana…`;
+        notificationType = 'RETRY_RESUBMITTED';
+        break;
+
+      case 'RETRY_REQUOTED':
+        message = `New quote ready for your failed ${goal.coin} swap: ${data.outputAmount || 0} ${goal.coin} at ${((data.slippageBps || 0) / 100).toFixed(1)}% slippage. Sign to retry.`;
+        notificationType = 'RETRY_REQUOTED';
+        break;
+
+      case 'RETRY_EXHAUSTED':
+        message = `We couldn't complete your ${goal.coin} swap after ${data.attempt || 0} retries. Your USDC remains in your wallet.`;
+        notificationType = 'RETRY_EXHAUSTED';
+        break;
+
+      case 'AUTO_SIGNED':
+        message = `Auto-invest: swapped ${data.amountUsdc || 0} USDC for ${data.outputAmount || 0} ${goal.coin}. Finalizing on Solana…`;
+        notificationType = 'AUTO_SIGNED';
+        break;
+
+      case 'AUTO_SIGN_REJECTED':
+        message = `Auto-invest skipped for your ${goal.coin} swap: ${data.reason || 'spend cap reached'}. Sign it yourself to continue.`;
+        notificationType = 'AUTO_SIGN_REJECTED';
+        break;
+
+      case 'AUTO_SIGN_FAILED':
+        message = `We couldn't auto-sign your ${goal.coin} swap. Your quote is ready - sign it yourself to continue.`;
+        notificationType = 'AUTO_SIGN_FAILED';
+        break;
+
+      case 'RULE_SKIPPED':
+        message = `Your ${goal.coin} investment was not made: ${data.reason || 'an investment rule is not met'}.`;
+        notificationType = 'RULE_SKIPPED';
+        break;
+
       default:
         message = data.message || `Investment event: ${eventType}`;
         notificationType = 'INVESTMENT_EVENT';
@@ -134,23 +179,47 @@ export async function sendInvestmentNotification(batchId, eventType, data) {
 }
 
 /**
- * Get user notifications
+ * Get user notifications (newest first, cursor paginated)
  * @param {string} userId - User ID
- * @param {Object} options - Query options (limit, status, etc.)
- * @returns {Promise<Array>} List of notifications
+ * @param {Object} options - Query options (limit, status, after)
+ * @param {number} options.limit - Page size (default: 50)
+ * @param {string} options.status - Filter by UNREAD or READ
+ * @param {string} options.after - Cursor: id of the last notification of the previous page
+ * @returns {Promise<{notifications: Array, hasMore: boolean, nextCursor: string|null}>}
  */
 export async function getUserNotifications(userId, options = {}) {
-  const { limit = 50, status = null } = options;
+  const { limit = 50, status = null, after = null } = options;
 
   const where = { userId };
   if (status) {
     where.status = status;
   }
 
-  return await prisma.notification.findMany({
+  const rows = await prisma.notification.findMany({
     where,
-    orderBy: { timestamp: 'desc' },
-    take: limit,
+    orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+    take: limit + 1, // Fetch one extra to determine hasMore
+    ...(after && { cursor: { id: after }, skip: 1 }),
+  });
+
+  const hasMore = rows.length > limit;
+  const notifications = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    notifications,
+    hasMore,
+    nextCursor: hasMore ? notifications[notifications.length - 1].id : null,
+  };
+}
+
+/**
+ * Count unread notifications for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Unread count
+ */
+export async function getUnreadCount(userId) {
+  return await prisma.notification.count({
+    where: { userId, status: 'UNREAD' },
   });
 }
 
@@ -167,7 +236,7 @@ export async function markNotificationAsRead(notificationId, userId) {
   });
 
   if (!notification) {
-    throw new Error('Notification not found or unauthorized');
+    throw new NotFoundError('Notification not found');
   }
 
   return await prisma.notification.update({
@@ -176,13 +245,16 @@ export async function markNotificationAsRead(notificationId, userId) {
   });
 }
 
+/**
+ * Mark all unread notifications of a user as read
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of notifications updated
+ */
+export async function markAllNotificationsAsRead(userId) {
+  const result = await prisma.notification.updateMany({
+    where: { userId, status: 'UNREAD' },
+    data: { status: 'READ' },
+  });
 
-
-
-
-
-
-
-
-
-
+  return result.count;
+}
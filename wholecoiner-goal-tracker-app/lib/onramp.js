@@ -0,0 +1,60 @@
+/**
+ * Simulated USDC onramp shared by the onramp route and the recurring scheduler
+ */
+
+import { prisma } from './prisma.js';
+import { TOKEN_MINTS, getNetwork } from './tokens.js';
+import { ensureIdempotency } from './idempotency.js';
+import { createBatch } from './investmentBatch.js';
+
+export const MIN_AMOUNT_USDC = 1; // Lowered for testing mode
+
+/**
+ * Record a simulated USDC onramp (database record only, no blockchain transaction)
+ * Creates the ONRAMP_CONFIRMED investment batch together with the transaction.
+ * Idempotent per batchId: an existing ONRAMP transaction is returned untouched
+ * @param {Object} params
+ * @param {Object} params.goal - Goal the funds are for
+ * @param {string} params.walletAddress - User wallet address
+ * @param {number} params.amountUsdc - USDC amount
+ * @param {string} params.batchId - Investment batch ID
+ * @param {Object} params.meta - Extra meta merged into the transaction record
+ * @param {string} params.requestId - Request ID recorded on the batch event
+ * @returns {Promise<{transaction: Object, created: boolean}>}
+ */
+export async function createSimulatedOnramp({ goal, walletAddress, amountUsdc, batchId, meta = {}, requestId = null }) {
+  const network = getNetwork();
+  const usdcMintInfo = TOKEN_MINTS.USDC;
+  const simulatedSignature = `sim_${crypto.randomUUID().replace(/-/g, '')}`;
+
+  const transaction = await ensureIdempotency(batchId, 'ONRAMP', async () => {
+    return await prisma.$transaction(async (tx) => {
+      await createBatch({ id: batchId, goalId: goal.id, userId: goal.userId, amountUsdc }, tx, { requestId });
+
+      return await tx.transaction.create({
+        data: {
+          goalId: goal.id,
+          batchId,
+          type: 'ONRAMP',
+          provider: 'FAUCET',
+          network: network === 'devnet' ? 'DEVNET' : 'MAINNET',
+          txnHash: simulatedSignature,
+          amountInr: amountUsdc, // Store USDC amount in amountInr for backward compatibility
+          amountCrypto: amountUsdc, // Amount in USDC (not converted)
+          tokenMint: usdcMintInfo.mint, // Mainnet USDC mint
+          meta: {
+            simulation: true,
+            simulated: true,
+            userWalletAddress: walletAddress,
+            ...meta,
+          },
+        },
+      });
+    });
+  });
+
+  return {
+    transaction,
+    created: transaction.txnHash === simulatedSignature,
+  };
+}
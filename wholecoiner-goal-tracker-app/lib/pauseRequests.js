@@ -0,0 +1,270 @@
+/**
+ * Pause request workflow
+ * PENDING -> APPROVED (goal ACTIVE -> PAUSED, optional auto-resume) or REJECTED
+ * A request can only be approved once PAUSE_COOLING_OFF_MS has passed since it
+ * was made, so a hijacked session cannot stop a plan in one step.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { GoalErrors, ValidationError } from './errors.js';
+import { validateStatusTransition } from './goalValidation.js';
+import { createNotification } from './notifications.js';
+
+export const PAUSE_COOLING_OFF_MS = Number(process.env.PAUSE_COOLING_OFF_MS) || 24 * 60 * 60 * 1000; // 24 hours
+export const MAX_PAUSE_REASON_LENGTH = 500;
+
+/**
+ * Earliest time a pause request can be approved
+ * @param {Object} pauseRequest - Pause request
+ * @returns {Date}
+ */
+export function getPauseApprovableAt(pauseRequest) {
+  return new Date(new Date(pauseRequest.requestedAt).getTime() + PAUSE_COOLING_OFF_MS);
+}
+
+/**
+ * Parse and validate an optional auto-resume date
+ * @param {string|null|undefined} resumeAt - ISO date
+ * @param {Date} now - Current time
+ * @returns {Date|null}
+ */
+export function parseResumeAt(resumeAt, now = new Date()) {
+  if (resumeAt === undefined || resumeAt === null || resumeAt === '') {
+    return null;
+  }
+
+  const date = new Date(resumeAt);
+  if (Number.isNaN(date.getTime()) || date <= now) {
+    throw GoalErrors.INVALID_RESUME_DATE();
+  }
+
+  return date;
+}
+
+/**
+ * Validate an optional pause reason
+ * Blank values are stored as null
+ * @param {*} reason
+ * @returns {string|null}
+ * @throws {ValidationError}
+ */
+export function parsePauseReason(reason) {
+  if (reason === undefined || reason === null) {
+    return null;
+  }
+  if (typeof reason !== 'string') {
+    throw new ValidationError('reason must be a string');
+  }
+
+  const value = reason.trim();
+  if (value.length > MAX_PAUSE_REASON_LENGTH) {
+    throw new ValidationError(`reason must be at most ${MAX_PAUSE_REASON_LENGTH} characters`);
+  }
+
+  return value || null;
+}
+
+/**
+ * Create a pause request for an ACTIVE goal
+ * @param {Object} goal - Goal (ownership already checked)
+ * @param {Object} data - { reason, resumeAt }
+ * @returns {Promise<Object>} Created pause request
+ */
+export async function createPauseRequest(goal, { reason = null, resumeAt = null } = {}) {
+  validateStatusTransition(goal.status, 'PAUSED');
+  const parsedReason = parsePauseReason(reason);
+
+  const pending = await prisma.pauseRequest.findFirst({
+    where: { goalId: goal.id, status: 'PENDING' },
+  });
+
+  if (pending) {
+    throw GoalErrors.PAUSE_REQUEST_ALREADY_PENDING();
+  }
+
+  return await prisma.pauseRequest.create({
+    data: {
+      goalId: goal.id,
+      reason: parsedReason,
+      resumeAt: parseResumeAt(resumeAt),
+    },
+  });
+}
+
+/**
+ * Approve a pending pause request and pause the goal
+ * @param {Object} goal - Goal (ownership already checked)
+ * @param {string} pauseRequestId - Pause request ID
+ * @param {Object} data - { resumeAt } overrides the requested auto-resume date
+ * @param {Date} now - Current time
+ * @returns {Promise<{pauseRequest: Object, goal: Object}>}
+ * @throws {GoalValidationError} PAUSE_COOLING_OFF before getPauseApprovableAt,
+ * INVALID_RESUME_DATE when the requested auto-resume date has already passed
+ */
+export async function approvePauseRequest(goal, pauseRequestId, { resumeAt } = {}, now = new Date()) {
+  const pauseRequest = await getPendingPauseRequest(goal.id, pauseRequestId);
+
+  validateStatusTransition(goal.status, 'PAUSED');
+
+  const approvableAt = getPauseApprovableAt(pauseRequest);
+  if (now < approvableAt) {
+    throw GoalErrors.PAUSE_COOLING_OFF(approvableAt);
+  }
+
+  // Checked again: the requested date may have passed during the cooling-off
+  const finalResumeAt = parseResumeAt(resumeAt !== undefined ? resumeAt : pauseRequest.resumeAt, now);
+
+  // Conditional updates, so a reject or status change made meanwhile is not overwritten
+  return await prisma.$transaction(async (tx) => {
+    const approved = await tx.pauseRequest.updateMany({
+      where: { id: pauseRequest.id, status: 'PENDING' },
+      data: {
+        status: 'APPROVED',
+        approvedAt: now,
+        resumeAt: finalResumeAt,
+      },
+    });
+    if (approved.count === 0) {
+      const latest = await tx.pauseRequest.findUnique({ where: { id: pauseRequest.id } });
+      throw GoalErrors.PAUSE_REQUEST_NOT_PENDING(latest?.status);
+    }
+
+    const paused = await tx.goal.updateMany({
+      where: { id: goal.id, status: 'ACTIVE' },
+      data: { status: 'PAUSED' },
+    });
+    if (paused.count === 0) {
+      const latest = await tx.goal.findUnique({ where: { id: goal.id } });
+      throw GoalErrors.INVALID_STATUS_TRANSITION(latest?.status, 'PAUSED');
+    }
+
+    return {
+      pauseRequest: await tx.pauseRequest.findUnique({ where: { id: pauseRequest.id } }),
+      goal: await tx.goal.findUnique({ where: { id: goal.id } }),
+    };
+  });
+}
+
+/**
+ * Reject a pending pause request (goal is left untouched)
+ * @param {Object} goal - Goal (ownership already checked)
+ * @param {string} pauseRequestId - Pause request ID
+ * @returns {Promise<Object>} Updated pause request
+ */
+export async function rejectPauseRequest(goal, pauseRequestId) {
+  const pauseRequest = await getPendingPauseRequest(goal.id, pauseRequestId);
+
+  // Conditional, so a concurrent approval is not overwritten
+  const { count } = await prisma.pauseRequest.updateMany({
+    where: { id: pauseRequest.id, status: 'PENDING' },
+    data: {
+      status: 'REJECTED',
+      rejectedAt: new Date(),
+    },
+  });
+  if (count === 0) {
+    const latest = await prisma.pauseRequest.findUnique({ where: { id: pauseRequest.id } });
+    throw GoalErrors.PAUSE_REQUEST_NOT_PENDING(latest?.status);
+  }
+
+  return await prisma.pauseRequest.findUnique({ where: { id: pauseRequest.id } });
+}
+
+/**
+ * Close any pending auto-resume for a goal (e.g. after a manual resume)
+ * so a later manual pause is not resumed by a stale request
+ * @param {string} goalId - Goal ID
+ * @param {Date} now - Current time
+ */
+export async function closeOpenPauseRequests(goalId, now = new Date()) {
+  await prisma.pauseRequest.updateMany({
+    where: {
+      goalId,
+      status: 'APPROVED',
+      resumedAt: null,
+    },
+    data: { resumedAt: now },
+  });
+}
+
+/**
+ * Resume PAUSED goals whose approved pause request has reached its resumeAt
+ * @param {Date} now - Current time
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<number>} Number of goals resumed
+ */
+export async function resumeDuePausedGoals(now = new Date(), requestId = null) {
+  const dueRequests = await prisma.pauseRequest.findMany({
+    where: {
+      status: 'APPROVED',
+      resumedAt: null,
+      resumeAt: { lte: now },
+    },
+    include: { goal: true },
+  });
+
+  let resumed = 0;
+
+  for (const pauseRequest of dueRequests) {
+    const { goal } = pauseRequest;
+
+    try {
+      if (goal.status !== 'PAUSED') {
+        // Goal was resumed or completed some other way; just close the request
+        await closeOpenPauseRequests(goal.id, now);
+        continue;
+      }
+
+      validateStatusTransition(goal.status, 'ACTIVE');
+
+      await prisma.$transaction([
+        prisma.goal.update({
+          where: { id: goal.id },
+          data: { status: 'ACTIVE' },
+        }),
+        prisma.pauseRequest.update({
+          where: { id: pauseRequest.id },
+          data: { resumedAt: now },
+        }),
+      ]);
+
+      resumed++;
+      logger.info('Goal auto-resumed', { goalId: goal.id, pauseRequestId: pauseRequest.id, requestId });
+
+      try {
+        await createNotification(goal.userId, 'GOAL_RESUMED', `Your ${goal.coin} goal has resumed as scheduled.`, {
+          goalId: goal.id,
+          pauseRequestId: pauseRequest.id,
+        });
+      } catch {
+        // Notifications are not critical
+      }
+    } catch (error) {
+      logger.error('Goal auto-resume failed', {
+        goalId: goal.id,
+        pauseRequestId: pauseRequest.id,
+        error: error.message,
+        requestId,
+      });
+    }
+  }
+
+  return resumed;
+}
+
+async function getPendingPauseRequest(goalId, pauseRequestId) {
+  const pauseRequest = await prisma.pauseRequest.findFirst({
+    where: { id: pauseRequestId, goalId },
+  });
+
+  if (!pauseRequest) {
+    throw GoalErrors.PAUSE_REQUEST_NOT_FOUND();
+  }
+
+  if (pauseRequest.status !== 'PENDING') {
+    throw GoalErrors.PAUSE_REQUEST_NOT_PENDING(pauseRequest.status);
+  }
+
+  return pauseRequest;
+}
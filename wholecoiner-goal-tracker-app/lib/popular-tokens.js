@@ -4,6 +4,10 @@
  */
 
 import { TOKEN_MINTS } from './tokens.js';
+import { getCustomToken, getCustomTokens } from './tokenRegistry.js';
+
+// Goals are funded in USDC, so it cannot be a goal coin itself
+const FUNDING_TOKEN = 'USDC';
 
 // Top 10 popular tokens on Solana (by market cap/volume)
 export const POPULAR_TOKENS = {
@@ -11,7 +15,7 @@ export const POPULAR_TOKENS = {
   SOL: {
     symbol: 'SOL',
     mint: TOKEN_MINTS.SOL.mint,
-    decimals: 9,
+    decimals: TOKEN_MINTS.SOL.decimals,
     name: 'Solana',
     maxTarget: 10000
   },
@@ -20,14 +24,14 @@ export const POPULAR_TOKENS = {
   USDC: {
     symbol: 'USDC',
     mint: TOKEN_MINTS.USDC.mint,
-    decimals: 6,
+    decimals: TOKEN_MINTS.USDC.decimals,
     name: 'USD Coin',
     maxTarget: 1000000
   },
   USDT: {
     symbol: 'USDT',
-    mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // Mainnet USDT
-    decimals: 6,
+    mint: TOKEN_MINTS.USDT.mint,
+    decimals: TOKEN_MINTS.USDT.decimals,
     name: 'Tether',
     maxTarget: 1000000
   },
@@ -36,14 +40,14 @@ export const POPULAR_TOKENS = {
   BTC: {
     symbol: 'BTC',
     mint: TOKEN_MINTS.BTC.mint,
-    decimals: 8,
+    decimals: TOKEN_MINTS.BTC.decimals,
     name: 'Wrapped Bitcoin',
     maxTarget: 10
   },
   ETH: {
     symbol: 'ETH',
     mint: TOKEN_MINTS.ETH.mint,
-    decimals: 8,
+    decimals: TOKEN_MINTS.ETH.decimals,
     name: 'Wrapped Ethereum',
     maxTarget: 100
   },
@@ -51,36 +55,36 @@ export const POPULAR_TOKENS = {
   // Popular Solana tokens
   JUP: {
     symbol: 'JUP',
-    mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
-    decimals: 6,
+    mint: TOKEN_MINTS.JUP.mint,
+    decimals: TOKEN_MINTS.JUP.decimals,
     name: 'Jupiter',
     maxTarget: 100000
   },
   RAY: {
     symbol: 'RAY',
-    mint: '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R',
-    decimals: 6,
+    mint: TOKEN_MINTS.RAY.mint,
+    decimals: TOKEN_MINTS.RAY.decimals,
     name: 'Raydium',
     maxTarget: 50000
   },
   BONK: {
     symbol: 'BONK',
-    mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
-    decimals: 5,
+    mint: TOKEN_MINTS.BONK.mint,
+    decimals: TOKEN_MINTS.BONK.decimals,
     name: 'Bonk',
     maxTarget: 10000000
   },
   WIF: {
     symbol: 'WIF',
-    mint: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm',
-    decimals: 6,
+    mint: TOKEN_MINTS.WIF.mint,
+    decimals: TOKEN_MINTS.WIF.decimals,
     name: 'dogwifhat',
     maxTarget: 100000
   },
   PYTH: {
     symbol: 'PYTH',
-    mint: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3',
-    decimals: 6,
+    mint: TOKEN_MINTS.PYTH.mint,
+    decimals: TOKEN_MINTS.PYTH.decimals,
     name: 'Pyth Network',
     maxTarget: 50000
   }
@@ -114,13 +118,35 @@ export function isPopularToken(symbol) {
   return normalized in POPULAR_TOKENS;
 }
 
+/**
+ * Get a token that goals can target: popular tokens plus admin-added mints
+ * @param {string} symbol - Token symbol
+ * @returns {Object|null} { symbol, mint, decimals, name, maxTarget } or null
+ */
+export function getGoalToken(symbol) {
+  const normalized = symbol.toUpperCase();
+  return POPULAR_TOKENS[normalized] || getCustomToken(normalized);
+}
 
+/**
+ * Check if a new goal can target this token
+ * @param {string} symbol - Token symbol
+ * @returns {boolean}
+ */
+export function isGoalCoin(symbol) {
+  const token = getGoalToken(symbol);
+  return token !== null && token.symbol !== FUNDING_TOKEN && token.enabled !== false;
+}
 
-
-
-
-
-
-
-
-
+/**
+ * All tokens a new goal can target
+ * @returns {Object[]} Popular tokens (except USDC) followed by enabled admin-added tokens
+ */
+export function getGoalTokens() {
+  return [
+    ...Object.values(POPULAR_TOKENS).filter((token) => token.symbol !== FUNDING_TOKEN),
+    ...getCustomTokens()
+      .filter((token) => token.enabled !== false)
+      .map(({ enabled, ...token }) => ({ ...token, custom: true })),
+  ];
+}
@@ -0,0 +1,228 @@
+/**
+ * Portfolio aggregation for the dashboard
+ * Values every goal a user can see (not drafts or archived goals) with one
+ * batched getPricesInINR call: cost basis from confirmed swaps, current value,
+ * allocation by coin, 24h change from the price snapshots and a value series
+ * built from lib/priceHistory.js candles and the holdings at each point.
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getPricesInINR } from './prices.js';
+import { getFxUsdToInr } from './fx.js';
+import { getPriceHistory } from './priceHistory.js';
+import { computeCostBasis } from './costBasis.js';
+import { calculateProgress } from './goalValidation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PORTFOLIO_RANGES = ['7d', '30d', '90d', '1y'];
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * INR price of each coin about 24 hours before `now` (latest snapshot in the 24-48h window)
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getPricesDayAgo(coins, now) {
+  const dayAgo = new Date(now.getTime() - DAY_MS);
+  const snapshots = await prisma.priceSnapshot.findMany({
+    where: {
+      symbol: { in: coins },
+      timestamp: { lte: dayAgo, gt: new Date(dayAgo.getTime() - DAY_MS) },
+    },
+    orderBy: { timestamp: 'desc' },
+    select: { symbol: true, priceInr: true },
+  });
+
+  const prices = new Map();
+  for (const snapshot of snapshots) {
+    if (!prices.has(snapshot.symbol) && snapshot.priceInr) {
+      prices.set(snapshot.symbol, snapshot.priceInr);
+    }
+  }
+  return prices;
+}
+
+/**
+ * Portfolio value at each candle of the range
+ * Each point values the crypto held at that time (swaps confirmed up to it) at
+ * the candle's close; a coin without a candle in a bucket keeps its last close.
+ */
+async function buildValueSeries(coins, swaps, range, now) {
+  const histories = await Promise.all(
+    coins.map(async (coin) => {
+      try {
+        return await getPriceHistory(coin, range, { now, currency: 'INR' });
+      } catch (error) {
+        logger.warn('Price history unavailable for portfolio series', { coin, range, error: error.message });
+        return { symbol: coin, candles: [] };
+      }
+    })
+  );
+
+  const closes = new Map(histories.map((history) => [history.symbol, new Map(history.candles.map((c) => [c.time, c.close]))]));
+  const times = [...new Set(histories.flatMap((history) => history.candles.map((c) => c.time)))].sort();
+
+  const lastClose = new Map();
+  const held = new Map(coins.map((coin) => [coin, 0]));
+  let swapIndex = 0;
+
+  return times.map((time) => {
+    const at = new Date(time);
+    while (swapIndex < swaps.length && swaps[swapIndex].timestamp <= at) {
+      const swap = swaps[swapIndex++];
+      held.set(swap.goal.coin, held.get(swap.goal.coin) + (swap.amountCrypto || 0));
+    }
+
+    let valueInr = 0;
+    for (const coin of coins) {
+      const close = closes.get(coin).get(time) ?? lastClose.get(coin);
+      if (close === undefined) continue;
+      lastClose.set(coin, close);
+      valueInr += held.get(coin) * close;
+    }
+
+    return { time, valueInr: round(valueInr) };
+  });
+}
+
+/**
+ * Aggregate a user's goals into portfolio totals
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.range - Value series range: 7d, 30d, 90d or 1y
+ * @param {Date} options.now
+ * @returns {Promise<Object>} { totals, change24h, allocation, goals, series, prices }
+ */
+export async function buildPortfolio(userId, { range = '30d', now = new Date() } = {}) {
+  const goals = await prisma.goal.findMany({
+    where: { userId, status: { notIn: ['DRAFT', 'ARCHIVED'] } },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  const swaps = await prisma.transaction.findMany({
+    where: {
+      type: 'SWAP',
+      goal: { userId, status: { notIn: ['DRAFT', 'ARCHIVED'] } },
+      batch: { state: 'SWAP_CONFIRMED' },
+    },
+    include: { goal: { select: { coin: true } } },
+    orderBy: { timestamp: 'asc' },
+  });
+
+  const coins = [...new Set(goals.map((goal) => goal.coin))];
+  const fxRate = await getFxUsdToInr();
+  const { prices, fetchedAt, stale } = coins.length > 0
+    ? await getPricesInINR(coins)
+    : { prices: {}, fetchedAt: now.toISOString(), stale: false };
+
+  const swapsByGoal = new Map();
+  for (const swap of swaps) {
+    if (!swapsByGoal.has(swap.goalId)) swapsByGoal.set(swap.goalId, []);
+    swapsByGoal.get(swap.goalId).push(swap);
+  }
+
+  const allocationByCoin = new Map();
+  let totalInvestedInr = 0;
+  let totalInvestedUsdc = 0;
+  let currentValueInr = 0;
+  let estimated = false;
+
+  const goalRows = goals.map((goal) => {
+    const priceInr = prices[goal.coin] ?? 0;
+    const costBasis = computeCostBasis(swapsByGoal.get(goal.id) || [], {
+      currentPriceInr: priceInr,
+      currentPriceUsd: priceInr / fxRate,
+      fxRate,
+    });
+    const valueInr = goal.investedAmount * priceInr;
+
+    totalInvestedInr += costBasis.totalCostInr;
+    totalInvestedUsdc += costBasis.totalCostUsdc;
+    currentValueInr += valueInr;
+    estimated = estimated || costBasis.estimated;
+
+    const coinRow = allocationByCoin.get(goal.coin) || { coin: goal.coin, quantity: 0, valueInr: 0, investedInr: 0 };
+    coinRow.quantity += goal.investedAmount;
+    coinRow.valueInr += valueInr;
+    coinRow.investedInr += costBasis.totalCostInr;
+    allocationByCoin.set(goal.coin, coinRow);
+
+    return {
+      goalId: goal.id,
+      name: goal.name,
+      coin: goal.coin,
+      status: goal.status,
+      frequency: goal.frequency,
+      amountInr: goal.amountInr,
+      targetAmount: goal.targetAmount,
+      investedAmount: goal.investedAmount,
+      progressPercentage: calculateProgress(goal.investedAmount, goal.targetAmount),
+      investedInr: costBasis.totalCostInr,
+      currentValueInr: round(valueInr),
+      unrealizedPnlInr: round(valueInr - costBasis.totalCostInr),
+      createdAt: goal.createdAt.toISOString(),
+    };
+  });
+
+  const allocation = Array.from(allocationByCoin.values())
+    .sort((a, b) => b.valueInr - a.valueInr)
+    .map((row) => ({
+      coin: row.coin,
+      quantity: row.quantity,
+      priceInr: prices[row.coin] ?? null,
+      valueInr: round(row.valueInr),
+      investedInr: round(row.investedInr),
+      percentage: currentValueInr > 0 ? round((row.valueInr / currentValueInr) * 100) : 0,
+    }));
+
+  // 24h change of what is held now; coins without a snapshot a day ago are left out
+  const pricesDayAgo = coins.length > 0 ? await getPricesDayAgo(coins, now) : new Map();
+  let valueDayAgoInr = 0;
+  let comparableValueInr = 0;
+  for (const row of allocation) {
+    const previous = pricesDayAgo.get(row.coin);
+    if (previous === undefined) continue;
+    valueDayAgoInr += row.quantity * previous;
+    comparableValueInr += row.valueInr;
+  }
+  const change24h = pricesDayAgo.size > 0
+    ? {
+        valueInr: round(comparableValueInr - valueDayAgoInr),
+        percentage: valueDayAgoInr > 0 ? round(((comparableValueInr - valueDayAgoInr) / valueDayAgoInr) * 100) : 0,
+        coins: [...pricesDayAgo.keys()],
+      }
+    : null;
+
+  const unrealizedPnlInr = currentValueInr - totalInvestedInr;
+  const activeGoals = goals.filter((goal) => goal.status === 'ACTIVE');
+
+  return {
+    totals: {
+      goalCount: goals.length,
+      activeGoals: activeGoals.length,
+      totalInvestedInr: round(totalInvestedInr),
+      totalInvestedUsdc: round(totalInvestedUsdc, 6),
+      currentValueInr: round(currentValueInr),
+      currentValueUsd: round(currentValueInr / fxRate),
+      unrealizedPnlInr: round(unrealizedPnlInr),
+      unrealizedPnlPercentage: totalInvestedInr > 0 ? round((unrealizedPnlInr / totalInvestedInr) * 100) : 0,
+      overallProgress: activeGoals.length > 0
+        ? Math.round(activeGoals.reduce((sum, goal) => sum + calculateProgress(goal.investedAmount, goal.targetAmount), 0) / activeGoals.length)
+        : 0,
+      estimated,
+    },
+    change24h,
+    allocation,
+    goals: goalRows,
+    series: {
+      range,
+      points: coins.length > 0 ? await buildValueSeries(coins, swaps, range, now) : [],
+    },
+    prices: { inr: prices, fxRate, fetchedAt, stale },
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * Historical price subsystem
+ * Stores periodic snapshots of lib/prices.js in the DB and serves OHLC candles
+ * (aggregated in the database), falling back to a provider adapter for ranges
+ * the snapshots do not cover.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getPricesInUSD } from './prices.js';
+import { getFxUsdToInr, getFxRatesForDates, toFxDate } from './fx.js';
+import { getPopularTokenSymbols } from './popular-tokens.js';
+import { getPriceHistoryProvider } from './priceHistoryProviders.js';
+import { loadCustomTokens } from './customTokens.js';
+import { getCustomTokens } from './tokenRegistry.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const PRICE_HISTORY_RANGES = {
+  '7d': { days: 7, intervalMs: 4 * HOUR_MS },
+  '30d': { days: 30, intervalMs: DAY_MS },
+  '90d': { days: 90, intervalMs: DAY_MS },
+  '1y': { days: 365, intervalMs: 7 * DAY_MS },
+  'all': { days: null, intervalMs: 7 * DAY_MS },
+};
+
+// How far back 'all' reaches when there are no snapshots yet
+const ALL_RANGE_FALLBACK_DAYS = 365;
+
+/**
+ * Record a snapshot of current USD prices (and INR equivalent)
+ * Stale/cached prices are not recorded so snapshots only hold fresh quotes
+ * @param {string[]|null} symbols - Symbols to snapshot (default: popular and admin-added tokens)
+ * @param {Date} now - Snapshot time
+ * @returns {Promise<number>} Number of snapshots stored
+ */
+export async function recordPriceSnapshots(symbols = null, now = new Date()) {
+  if (!symbols) {
+    // Disabled custom tokens too: existing goals still chart them
+    await loadCustomTokens();
+    symbols = [...getPopularTokenSymbols(), ...getCustomTokens().map((token) => token.symbol)];
+  }
+
+  const { prices, stale, source } = await getPricesInUSD(symbols);
+
+  if (stale) {
+    logger.warn('Skipping price snapshot: prices are stale', { source });
+    return 0;
+  }
+
+  const fxRate = await getFxUsdToInr();
+  const data = Object.entries(prices).map(([symbol, priceUsd]) => ({
+    symbol,
+    priceUsd,
+    priceInr: priceUsd * fxRate,
+    source,
+    timestamp: now,
+  }));
+
+  if (data.length === 0) {
+    return 0;
+  }
+
+  const result = await prisma.priceSnapshot.createMany({ data });
+  logger.info('Price snapshots recorded', { count: result.count, source });
+  return result.count;
+}
+
+/**
+ * Bucket price points into OHLC candles
+ * @param {Array<{timestamp: Date, price: number}>} points - Ascending points
+ * @param {number} intervalMs - Candle width
+ * @returns {Array<{time: string, open: number, high: number, low: number, close: number}>}
+ */
+export function buildCandles(points, intervalMs) {
+  const candles = [];
+  let current = null;
+
+  for (const point of points) {
+    const bucket = Math.floor(point.timestamp.getTime() / intervalMs) * intervalMs;
+
+    if (!current || current.bucket !== bucket) {
+      current = {
+        bucket,
+        open: point.price,
+        high: point.price,
+        low: point.price,
+        close: point.price,
+      };
+      candles.push(current);
+    } else {
+      current.high = Math.max(current.high, point.price);
+      current.low = Math.min(current.low, point.price);
+      current.close = point.price;
+    }
+  }
+
+  return candles.map(({ bucket, ...ohlc }) => ({ time: new Date(bucket).toISOString(), ...ohlc }));
+}
+
+/**
+ * Join two candle series, combining the candle they share at the seam
+ * @param {Array} earlier - Candles ending at or before the first of later
+ * @param {Array} later
+ * @returns {Array}
+ */
+function mergeCandles(earlier, later) {
+  const last = earlier[earlier.length - 1];
+  const first = later[0];
+  if (!last || !first || last.time !== first.time) {
+    return [...earlier, ...later];
+  }
+
+  const seam = {
+    time: last.time,
+    open: last.open,
+    high: Math.max(last.high, first.high),
+    low: Math.min(last.low, first.low),
+    close: first.close,
+  };
+  return [...earlier.slice(0, -1), seam, ...later.slice(1)];
+}
+
+/**
+ * OHLC candles of the stored snapshots, bucketed like buildCandles
+ * @param {number|null} fxRate - Converts snapshots without an INR price; null for USD candles
+ * @returns {Promise<{candles: Array, firstAt: Date|null}>} firstAt is the earliest snapshot
+ */
+async function getSnapshotCandles(symbol, from, to, intervalMs, fxRate) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      floor(extract(epoch from "timestamp") * 1000 / ${intervalMs})::bigint AS "bucket",
+      min("timestamp") AS "firstAt",
+      (array_agg("price" ORDER BY "timestamp" ASC))[1] AS "open",
+      max("price") AS "high",
+      min("price") AS "low",
+      (array_agg("price" ORDER BY "timestamp" DESC))[1] AS "close"
+    FROM (
+      SELECT "timestamp", ${fxRate === null ? Prisma.sql`"price_usd"` : Prisma.sql`COALESCE("price_inr", "price_usd" * ${fxRate})`} AS "price"
+      FROM "price_snapshots"
+      WHERE "symbol" = ${symbol} AND "timestamp" >= ${from} AND "timestamp" <= ${to}
+    ) AS "points"
+    GROUP BY "bucket"
+    ORDER BY "bucket" ASC
+  `;
+
+  return {
+    candles: rows.map((row) => ({
+      time: new Date(Number(row.bucket) * intervalMs).toISOString(),
+      open: row.open,
+      high: row.high,
+      low: row.low,
+      close: row.close,
+    })),
+    firstAt: rows.length > 0 ? rows[0].firstAt : null,
+  };
+}
+
+/**
+ * Get OHLC price history for a symbol
+ * @param {string} symbol - Token symbol
+ * @param {string} range - 7d, 30d, 90d, 1y or all
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {string} options.currency - USD or INR
+ * @param {Object|null} options.provider - Fallback provider (default: configured provider)
+ * @returns {Promise<{symbol, range, currency, intervalMs, candles, source}>}
+ */
+export async function getPriceHistory(symbol, range, { now = new Date(), currency = 'USD', provider = getPriceHistoryProvider() } = {}) {
+  const rangeConfig = PRICE_HISTORY_RANGES[range];
+  if (!rangeConfig) {
+    throw new Error(`Unsupported range: ${range}`);
+  }
+
+  let from = rangeConfig.days ? new Date(now.getTime() - rangeConfig.days * DAY_MS) : null;
+
+  const snapshots = await getSnapshotCandles(
+    symbol,
+    from || new Date(0),
+    now,
+    rangeConfig.intervalMs,
+    currency === 'INR' ? await getFxUsdToInr() : null
+  );
+
+  if (!from) {
+    from = snapshots.firstAt || new Date(now.getTime() - ALL_RANGE_FALLBACK_DAYS * DAY_MS);
+  }
+
+  let candles = snapshots.candles;
+  const sources = candles.length > 0 ? ['snapshots'] : [];
+
+  // Fill the part of the range before the first snapshot from the provider
+  const coveredFrom = snapshots.firstAt || now;
+  if (provider && coveredFrom.getTime() - from.getTime() > rangeConfig.intervalMs) {
+    try {
+      const history = (await provider.getHistory(symbol, from, coveredFrom))
+        .filter((p) => p.timestamp < coveredFrom);
+      // Converted with each day's stored rate, like the snapshots' priceInr
+      const dailyRates = currency === 'INR' ? await getFxRatesForDates(history.map((p) => p.timestamp)) : null;
+      const filled = history.map((p) => ({
+        timestamp: p.timestamp,
+        price: dailyRates ? p.priceUsd * dailyRates.get(toFxDate(p.timestamp)) : p.priceUsd,
+      }));
+
+      if (filled.length > 0) {
+        candles = mergeCandles(buildCandles(filled, rangeConfig.intervalMs), candles);
+        sources.unshift(provider.name);
+      }
+    } catch (error) {
+      logger.warn('Price history provider failed', { provider: provider.name, symbol, range, error: error.message });
+    }
+  }
+
+  return {
+    symbol,
+    range,
+    currency,
+    intervalMs: rangeConfig.intervalMs,
+    candles,
+    source: sources.length === 0 ? 'none' : sources.join('+'),
+  };
+}
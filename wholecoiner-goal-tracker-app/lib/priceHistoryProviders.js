@@ -0,0 +1,110 @@
+/**
+ * Historical price provider adapters
+ * Used by lib/priceHistory.js to fill ranges not covered by stored snapshots.
+ *
+ * A provider is { name, getHistory(symbol, from, to) } where getHistory resolves
+ * to an ascending array of { timestamp: Date, priceUsd: number }.
+ * Select with PRICE_HISTORY_PROVIDER=coingecko|fixture|none (default: coingecko).
+ */
+
+import { logger } from './logger.js';
+import { MOCK_PRICES_USD } from './prices.js';
+
+const COINGECKO_API = 'https://api.coingecko.com/api/v3';
+
+const COINGECKO_IDS = {
+  BTC: 'bitcoin',
+  ETH: 'ethereum',
+  SOL: 'solana',
+  USDC: 'usd-coin',
+  USDT: 'tether',
+  JUP: 'jupiter-exchange-solana',
+  RAY: 'raydium',
+  BONK: 'bonk',
+  WIF: 'dogwifcoin',
+  PYTH: 'pyth-network',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_FIXTURE_POINTS = 500;
+
+/**
+ * CoinGecko market_chart/range adapter
+ * @param {Object} options
+ * @param {string} options.baseUrl - API base URL
+ * @param {Function} options.fetchImpl - fetch implementation
+ */
+export function createCoinGeckoProvider({ baseUrl = process.env.COINGECKO_API_URL || COINGECKO_API, fetchImpl = fetch } = {}) {
+  return {
+    name: 'coingecko',
+    async getHistory(symbol, from, to) {
+      const id = COINGECKO_IDS[symbol];
+      if (!id) {
+        throw new Error(`No CoinGecko id for ${symbol}`);
+      }
+
+      const url = `${baseUrl}/coins/${id}/market_chart/range?vs_currency=usd` +
+        `&from=${Math.floor(from.getTime() / 1000)}&to=${Math.floor(to.getTime() / 1000)}`;
+
+      const response = await fetchImpl(url, { headers: { Accept: 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`CoinGecko API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return (data.prices || []).map(([timestamp, priceUsd]) => ({
+        timestamp: new Date(timestamp),
+        priceUsd,
+      }));
+    },
+  };
+}
+
+/**
+ * Deterministic local fixture for tests and offline development
+ * Prices oscillate around MOCK_PRICES_USD and depend only on the timestamp,
+ * so the same range always returns the same series.
+ */
+export function createFixtureProvider({ basePrices = MOCK_PRICES_USD } = {}) {
+  return {
+    name: 'fixture',
+    async getHistory(symbol, from, to) {
+      const base = basePrices[symbol];
+      if (!base) {
+        throw new Error(`No fixture price for ${symbol}`);
+      }
+
+      const span = to.getTime() - from.getTime();
+      const stepMs = Math.max(HOUR_MS, Math.ceil(span / MAX_FIXTURE_POINTS / HOUR_MS) * HOUR_MS);
+      const start = Math.ceil(from.getTime() / stepMs) * stepMs;
+      const points = [];
+
+      for (let t = start; t <= to.getTime(); t += stepMs) {
+        const days = t / (24 * HOUR_MS);
+        const wave = 0.06 * Math.sin(days / 9) + 0.02 * Math.sin(days * 1.7) + 0.01 * Math.sin(t / (3 * HOUR_MS));
+        points.push({ timestamp: new Date(t), priceUsd: base * (1 + wave) });
+      }
+
+      return points;
+    },
+  };
+}
+
+/**
+ * Get the configured fallback provider (null when disabled)
+ */
+export function getPriceHistoryProvider() {
+  const name = (process.env.PRICE_HISTORY_PROVIDER || 'coingecko').toLowerCase();
+
+  switch (name) {
+    case 'coingecko':
+      return createCoinGeckoProvider();
+    case 'fixture':
+      return createFixtureProvider();
+    case 'none':
+      return null;
+    default:
+      logger.warn('Unknown PRICE_HISTORY_PROVIDER, falling back to none', { provider: name });
+      return null;
+  }
+}
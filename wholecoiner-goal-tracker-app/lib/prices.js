@@ -5,10 +5,10 @@
 
 import { convertUsdToInr } from './fx.js';
 import { logger } from './logger.js';
-import { POPULAR_TOKENS, getPopularToken, isPopularToken } from './popular-tokens.js';
+import { POPULAR_TOKENS, getGoalToken, isGoalCoin, getGoalTokens } from './popular-tokens.js';
 
 // Mock prices as fallback (USD)
-const MOCK_PRICES_USD = {
+export const MOCK_PRICES_USD = {
   BTC: 106398.0,
   ETH: 3610.75,
   SOL: 168.67,
@@ -164,23 +164,40 @@ export async function getPriceUSD(tokenMint) {
   }
 }
 
+/**
+ * Whether the cached USD price of a token is the mock fallback rather than a live price
+ * @param {string} tokenMint - Token mint address
+ * @returns {boolean}
+ */
+export function isFallbackPrice(tokenMint) {
+  return (priceCache.get(tokenMint)?.errorCount || 0) > 0;
+}
+
 /**
  * Get price in INR
  * @param {string} coinSymbol - Token symbol (e.g., 'BTC', 'SOL')
+ * @param {Object} options
+ * @param {Date|string} options.fxDate - Convert with the stored FX rate for this day
  * @returns {Promise<number>} Price in INR
  */
-export async function getPriceInINR(coinSymbol) {
+export async function getPriceInINR(coinSymbol, { fxDate } = {}) {
   const normalized = coinSymbol.toUpperCase();
   
-  if (!isPopularToken(normalized)) {
+  if (!getGoalToken(normalized)) {
     throw new Error(`Unsupported token: ${coinSymbol}`);
   }
 
-  const tokenInfo = getPopularToken(normalized);
+  const tokenInfo = getGoalToken(normalized);
   if (!tokenInfo) {
     throw new Error(`Token info not found for: ${coinSymbol}`);
   }
 
+  // Dated conversions skip the INR cache (it holds live-rate prices)
+  if (fxDate) {
+    const priceUSD = await getPriceUSD(tokenInfo.mint);
+    return convertUsdToInr(priceUSD, { date: fxDate });
+  }
+
   const cached = priceCache.get(tokenInfo.mint);
   const now = Date.now();
 
@@ -221,7 +238,7 @@ export async function getPricesInINR(coinSymbols) {
   
   // Validate all coins
   for (const coin of normalized) {
-    if (!isPopularToken(coin)) {
+    if (!getGoalToken(coin)) {
       throw new Error(`Unsupported token: ${coin}`);
     }
   }
@@ -242,7 +259,7 @@ export async function getPricesInINR(coinSymbols) {
   try {
     // Get all token mints
     const tokenInfos = normalized.map(symbol => {
-      const tokenInfo = getPopularToken(symbol);
+      const tokenInfo = getGoalToken(symbol);
       if (!tokenInfo) {
         throw new Error(`Token info not found for: ${symbol}`);
       }
@@ -310,7 +327,7 @@ export async function getPricesInINR(coinSymbols) {
     const fxRate = await convertUsdToInr(1);
 
     for (const symbol of normalized) {
-      const tokenInfo = getPopularToken(symbol);
+      const tokenInfo = getGoalToken(symbol);
       if (!tokenInfo) continue;
       
       const cached = priceCache.get(tokenInfo.mint);
@@ -348,7 +365,7 @@ export async function getPricesInUSD(coinSymbols) {
   
   // Validate all coins
   for (const coin of normalized) {
-    if (!isPopularToken(coin)) {
+    if (!getGoalToken(coin)) {
       throw new Error(`Unsupported token: ${coin}`);
     }
   }
@@ -370,7 +387,7 @@ export async function getPricesInUSD(coinSymbols) {
   try {
     // Get all token mints
     const tokenInfos = normalized.map(symbol => {
-      const tokenInfo = getPopularToken(symbol);
+      const tokenInfo = getGoalToken(symbol);
       if (!tokenInfo) {
         throw new Error(`Token info not found for: ${symbol}`);
       }
@@ -443,7 +460,7 @@ export async function getPricesInUSD(coinSymbols) {
     const prices = {};
 
     for (const symbol of normalized) {
-      const tokenInfo = getPopularToken(symbol);
+      const tokenInfo = getGoalToken(symbol);
       if (!tokenInfo) continue;
       
       const cached = priceCache.get(tokenInfo.mint);
@@ -520,24 +537,24 @@ export async function calculatePriceImpact(inputMint, outputMint, inputAmount, e
 }
 
 /**
- * Get all popular tokens
+ * Get all tokens goals can target (popular + admin-added)
  */
 export function getSupportedTokens() {
-  return Object.values(POPULAR_TOKENS);
+  return getGoalTokens();
 }
 
 /**
- * Get token info
+ * Get token info (popular or admin-added token)
  */
 export function getTokenInfo(coinSymbol) {
-  return getPopularToken(coinSymbol);
+  return getGoalToken(coinSymbol);
 }
 
 /**
- * Validate coin symbol
+ * Validate goal coin symbol (any priced token except the USDC funding token)
  */
 export function isValidCoin(coinSymbol) {
-  return isPopularToken(coinSymbol);
+  return isGoalCoin(coinSymbol);
 }
 
 /**
@@ -0,0 +1,117 @@
+/**
+ * Priority-fee estimation and fee accounting for swaps
+ * The compute-unit price comes from the RPC's recent prioritization fees on the
+ * pools the quote routes through, so the fee follows congestion where our swap
+ * actually lands. The user's priorityLevel picks the percentile and their
+ * maxPriorityFeeLamports caps the total.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { logger } from './logger.js';
+import { getSolanaConnection } from './solana.js';
+import { getNetwork } from './tokens.js';
+
+// Percentile of recent fees used for each priority level
+export const PRIORITY_FEE_PERCENTILES = {
+  mainnet: { medium: 50, high: 75, veryHigh: 95 },
+  devnet: { medium: 50, high: 75, veryHigh: 90 },
+};
+
+// Compute units a Jupiter swap is budgeted for when turning a per-CU price into lamports
+export const SWAP_COMPUTE_UNITS = 400_000;
+
+const BASE_FEE_LAMPORTS_PER_SIGNATURE = 5000;
+
+function percentileOf(values, percentile) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const index = Math.ceil((percentile / 100) * sorted.length) - 1;
+  return sorted[Math.min(Math.max(index, 0), sorted.length - 1)];
+}
+
+function getRouteAccounts(quote) {
+  const accounts = [];
+  for (const step of quote.routePlan || []) {
+    try {
+      accounts.push(new PublicKey(step.swapInfo.ammKey));
+    } catch {
+      // Route step without a usable pool address
+    }
+  }
+  return accounts;
+}
+
+/**
+ * Estimate the priority fee for a swap
+ * Returns null when the RPC has no recent fees to go on; the swap then falls
+ * back to Jupiter's own estimate (priorityLevelWithMaxLamports).
+ * @param {Object} options
+ * @param {Object} options.quote - Jupiter quote (its routePlan pools are the accounts checked)
+ * @param {string} options.priorityLevel - 'medium' | 'high' | 'veryHigh'
+ * @param {number} options.maxPriorityFeeLamports - Cap on the total priority fee
+ * @param {Object} [options.connection]
+ * @returns {Promise<Object|null>} { priorityFeeLamports, computeUnitPriceMicroLamports, percentile, capped, sampleSize, network }
+ */
+export async function estimatePriorityFee({ quote, priorityLevel, maxPriorityFeeLamports, connection = getSolanaConnection() }) {
+  const network = getNetwork();
+  const percentile = PRIORITY_FEE_PERCENTILES[network][priorityLevel] ?? PRIORITY_FEE_PERCENTILES[network].medium;
+
+  let recentFees;
+  try {
+    recentFees = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: getRouteAccounts(quote),
+    });
+  } catch (error) {
+    logger.warn('Recent prioritization fees unavailable', { network, error: error.message });
+    return null;
+  }
+
+  if (!recentFees?.length) {
+    return null;
+  }
+
+  const computeUnitPriceMicroLamports = percentileOf(recentFees.map((fee) => fee.prioritizationFee), percentile);
+  const uncappedLamports = Math.ceil((computeUnitPriceMicroLamports * SWAP_COMPUTE_UNITS) / 1_000_000);
+  const priorityFeeLamports = Math.min(uncappedLamports, maxPriorityFeeLamports);
+
+  const estimate = {
+    priorityFeeLamports,
+    computeUnitPriceMicroLamports,
+    percentile,
+    capped: uncappedLamports > maxPriorityFeeLamports,
+    sampleSize: recentFees.length,
+    network,
+  };
+
+  logger.info('Priority fee estimated', { priorityLevel, uncappedLamports, ...estimate });
+  return estimate;
+}
+
+/**
+ * Fees a confirmed swap actually paid
+ * Best effort: an RPC that cannot return the transaction yields {} instead of failing the swap.
+ * @param {string} signature
+ * @param {Object} [connection]
+ * @returns {Promise<Object>} { feePaidLamports, priorityFeePaidLamports, computeUnitsConsumed } to merge into the SWAP meta
+ */
+export async function getSwapFeePaid(signature, connection = getSolanaConnection()) {
+  try {
+    const transaction = await connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
+
+    if (!transaction?.meta) {
+      return {};
+    }
+
+    const baseFee = BASE_FEE_LAMPORTS_PER_SIGNATURE * transaction.transaction.signatures.length;
+    return {
+      feePaidLamports: transaction.meta.fee,
+      priorityFeePaidLamports: Math.max(transaction.meta.fee - baseFee, 0),
+      computeUnitsConsumed: transaction.meta.computeUnitsConsumed ?? null,
+    };
+  } catch (error) {
+    logger.warn('Could not read fee paid for swap', { signature, error: error.message });
+    return {};
+  }
+}
@@ -1,82 +1,168 @@
 /**
- * Simple in-memory rate limiter
+ * Sliding-window rate limiter
+ * Counts hits in fixed windows and weights the previous window by how much of
+ * it still overlaps the sliding window, so a burst at a window boundary cannot
+ * double the limit. Counters live in the store from lib/rateLimitStores.js
+ * (Postgres by default) so limits hold across deploys and instances.
  */
 
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
-const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+import { logger } from './logger.js';
+import { RateLimitError } from './errors.js';
+import { getRateLimitStore } from './rateLimitStores.js';
 
-// Cleanup old entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, data] of rateLimitMap.entries()) {
-    if (now - data.firstRequest > RATE_LIMIT_WINDOW_MS) {
-      rateLimitMap.delete(key);
-    }
+const CLEANUP_PROBABILITY = 0.01; // ~1 in 100 checks prunes expired buckets
+
+/**
+ * Per-route policies
+ * limit = max requests per windowMs for one key (user ID or client IP)
+ */
+export const RATE_LIMIT_POLICIES = {
+  login: { limit: 10, windowMs: 60 * 1000 }, // per IP
+  twoFaVerify: { limit: 5, windowMs: 15 * 60 * 1000 }, // per user
+  swapExecute: { limit: 20, windowMs: 60 * 1000 }, // per user
+  onramp: { limit: 5, windowMs: 60 * 1000 }, // per user
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = getRateLimitStore();
   }
-}, CLEANUP_INTERVAL_MS);
+  return store;
+}
 
 /**
- * Check rate limit for a user
- * @param {string} userId - User ID
- * @param {number} maxRequests - Maximum requests per window (default: 5)
- * @returns {boolean} true if allowed, false if rate limited
+ * Override the counter store (tests, scripts)
+ * @param {Object|null} nextStore - Store, or null to use the configured one
  */
-export function checkRateLimit(userId, maxRequests = 5) {
-  const now = Date.now();
-  const key = userId;
-  
-  if (!rateLimitMap.has(key)) {
-    rateLimitMap.set(key, {
-      firstRequest: now,
-      count: 1,
-    });
-    return true;
+export function setRateLimitStore(nextStore) {
+  store = nextStore;
+}
+
+/**
+ * Client IP for IP-keyed policies
+ * Prefers the platform-provided request.ip. Otherwise takes the rightmost
+ * X-Forwarded-For entry, the one appended by our proxy; entries to its left
+ * come from the client and can be spoofed.
+ * @param {Request} request
+ * @returns {string}
+ */
+export function getClientIp(request) {
+  if (request.ip) {
+    return request.ip;
+  }
+  const hops = (request.headers.get('x-forwarded-for') || '').split(',').map((hop) => hop.trim()).filter(Boolean);
+  if (hops.length > 0) {
+    return hops[hops.length - 1];
+  }
+  return request.headers.get('x-real-ip') || 'unknown';
+}
+
+/**
+ * Record a hit and check it against a policy
+ * If the store is unavailable the request is allowed (and logged) rather than
+ * locking every user out.
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @param {string} identifier - User ID or client IP
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { allowed, limit, remaining, resetAt, retryAfterSec }
+ */
+export async function checkRateLimit(policyName, identifier, now = new Date()) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
   }
-  
-  const data = rateLimitMap.get(key);
-  
-  // Reset if window expired
-  if (now - data.firstRequest > RATE_LIMIT_WINDOW_MS) {
-    rateLimitMap.set(key, {
-      firstRequest: now,
-      count: 1,
+
+  const { limit, windowMs } = policy;
+  const key = `${policyName}:${identifier}`;
+  const windowStartMs = Math.floor(now.getTime() / windowMs) * windowMs;
+  const windowStart = new Date(windowStartMs);
+  const previousWindowStart = new Date(windowStartMs - windowMs);
+  const resetAt = new Date(windowStartMs + windowMs);
+
+  let current;
+  let previous;
+  try {
+    const rateLimitStore = getStore();
+    [current, previous] = await Promise.all([
+      rateLimitStore.increment(key, windowStart, new Date(windowStartMs + 2 * windowMs)),
+      rateLimitStore.get(key, previousWindowStart),
+    ]);
+
+    if (Math.random() < CLEANUP_PROBABILITY) {
+      rateLimitStore.cleanup(now).catch((error) => {
+        logger.warn('Rate limit cleanup failed', { error: error.message });
+      });
+    }
+  } catch (error) {
+    logger.error('Rate limit store unavailable, allowing request', {
+      policy: policyName,
+      error: error.message,
     });
-    return true;
+    return { allowed: true, limit, remaining: limit, resetAt, retryAfterSec: 0 };
   }
-  
-  // Increment count
-  data.count++;
-  
-  // Check if exceeded
-  if (data.count > maxRequests) {
-    return false;
+
+  const overlap = 1 - (now.getTime() - windowStartMs) / windowMs;
+  const count = current + previous * overlap;
+  const allowed = count <= limit;
+
+  // When blocked, wait until the weighted count drops back under the limit
+  let retryAfterSec = 0;
+  if (!allowed) {
+    const untilReset = resetAt.getTime() - now.getTime();
+    const waitMs = previous > 0 && current <= limit
+      ? Math.min(((count - limit) / previous) * windowMs, untilReset)
+      : untilReset;
+    retryAfterSec = Math.max(1, Math.ceil(waitMs / 1000));
   }
-  
-  return true;
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - count)),
+    resetAt,
+    retryAfterSec,
+  };
 }
 
 /**
- * Get remaining requests for a user
- * @param {string} userId - User ID
- * @param {number} maxRequests - Maximum requests per window
- * @returns {number} Remaining requests
+ * Standard rate limit headers for a checkRateLimit result
+ * @param {Object} result - Output of checkRateLimit
+ * @returns {Object} Header name -> value
  */
-export function getRemainingRequests(userId, maxRequests = 5) {
-  const key = userId;
-  const data = rateLimitMap.get(key);
-  
-  if (!data) {
-    return maxRequests;
-  }
-  
-  const now = Date.now();
-  if (now - data.firstRequest > RATE_LIMIT_WINDOW_MS) {
-    return maxRequests;
+export function rateLimitHeaders(result) {
+  const headers = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(result.resetAt.getTime() / 1000)),
+  };
+
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.retryAfterSec);
   }
-  
-  return Math.max(0, maxRequests - data.count);
+
+  return headers;
 }
 
+/**
+ * Check a policy and throw when the limit is exceeded
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @param {string} identifier - User ID or client IP
+ * @returns {Promise<Object>} checkRateLimit result when allowed
+ * @throws {RateLimitError} With Retry-After and X-RateLimit-* headers
+ */
+export async function enforceRateLimit(policyName, identifier) {
+  const result = await checkRateLimit(policyName, identifier);
 
+  if (!result.allowed) {
+    logger.warn('Rate limit exceeded', { policy: policyName, identifier });
+    throw new RateLimitError(
+      `Too many requests. Try again in ${result.retryAfterSec} seconds`,
+      result.retryAfterSec,
+      rateLimitHeaders(result)
+    );
+  }
 
+  return result;
+}
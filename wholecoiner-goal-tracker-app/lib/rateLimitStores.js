@@ -0,0 +1,95 @@
+/**
+ * Rate limit counter stores
+ * A store keeps one counter per (key, window start). Every store has the shape
+ * { name, increment(key, windowStart, expiresAt) -> Promise<number>,
+ *   get(key, windowStart) -> Promise<number>, cleanup(now) -> Promise<void> }.
+ * Select with RATE_LIMIT_STORE=postgres|memory (default postgres).
+ */
+
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+
+/**
+ * Counters in the rate_limit_buckets table, shared by every app instance
+ */
+export function createPostgresStore() {
+  return {
+    name: 'postgres',
+
+    async increment(key, windowStart, expiresAt) {
+      // Single statement so concurrent requests cannot lose an increment
+      const rows = await prisma.$queryRaw`
+        INSERT INTO "rate_limit_buckets" ("key", "window_start", "count", "expires_at")
+        VALUES (${key}, ${windowStart}, 1, ${expiresAt})
+        ON CONFLICT ("key", "window_start")
+        DO UPDATE SET "count" = "rate_limit_buckets"."count" + 1
+        RETURNING "count"
+      `;
+      return Number(rows[0].count);
+    },
+
+    async get(key, windowStart) {
+      const bucket = await prisma.rateLimitBucket.findUnique({
+        where: { key_windowStart: { key, windowStart } },
+        select: { count: true },
+      });
+      return bucket?.count || 0;
+    },
+
+    async cleanup(now) {
+      await prisma.rateLimitBucket.deleteMany({
+        where: { expiresAt: { lt: now } },
+      });
+    },
+  };
+}
+
+/**
+ * Process-local counters for local development and tests
+ * Limits are per instance and reset on restart.
+ */
+export function createMemoryStore() {
+  const buckets = new Map(); // `${key}|${windowStartMs}` -> { count, expiresAt }
+  const bucketKey = (key, windowStart) => `${key}|${windowStart.getTime()}`;
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowStart, expiresAt) {
+      const id = bucketKey(key, windowStart);
+      const bucket = buckets.get(id) || { count: 0, expiresAt };
+      bucket.count += 1;
+      buckets.set(id, bucket);
+      return bucket.count;
+    },
+
+    async get(key, windowStart) {
+      return buckets.get(bucketKey(key, windowStart))?.count || 0;
+    },
+
+    async cleanup(now) {
+      for (const [id, bucket] of buckets.entries()) {
+        if (bucket.expiresAt < now) {
+          buckets.delete(id);
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Store selected by RATE_LIMIT_STORE
+ */
+export function getRateLimitStore() {
+  const name = (process.env.RATE_LIMIT_STORE || 'postgres').toLowerCase();
+
+  switch (name) {
+    case 'postgres':
+      return createPostgresStore();
+    case 'memory':
+      return createMemoryStore();
+    default:
+      logger.warn('Unknown RATE_LIMIT_STORE, falling back to postgres', { store: name });
+      return createPostgresStore();
+  }
+}
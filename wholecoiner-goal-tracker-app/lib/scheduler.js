@@ -0,0 +1,466 @@
+/**
+ * Recurring DCA scheduler
+ * Works out which goal runs are due and creates their investment batches
+ * through the same onramp -> quote pipeline as the manual flow.
+ * The swap then needs the user's signature (QUOTED notification), unless the
+ * goal has auto-sign on and the swap fits its caps (lib/custodialSigning.js).
+ * Goals with investment rules (lib/investmentRules.js) are checked first: a run
+ * the rules stop is recorded as SKIPPED, and a dip can raise the run's amount.
+ * The run's amount itself comes from the goal's contribution strategy
+ * (lib/contributionStrategies.js).
+ */
+
+import { nanoid } from 'nanoid';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getFxUsdToInr } from './fx.js';
+import { isValidSolanaAddress } from './solana.js';
+import { createSimulatedOnramp, MIN_AMOUNT_USDC } from './onramp.js';
+import { getQuoteData, MAX_TEST_AMOUNT_USDC } from './swapQuote.js';
+import { autoSignSwap } from './custodialSigning.js';
+import { recordSwapFailure } from './swapRetry.js';
+import { getBatch } from './investmentBatch.js';
+import { createNotification, sendInvestmentNotification } from './notifications.js';
+import { resumeDuePausedGoals } from './pauseRequests.js';
+import { loadCustomTokens } from './customTokens.js';
+import { evaluateInvestmentRules, INVESTMENT_RULES } from './investmentRules.js';
+import { getNextContribution } from './contributionStrategies.js';
+
+// A run that starts more than this long after its due time is recorded as late
+export const LATE_THRESHOLD_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Add `count` frequency intervals to a date (UTC)
+ * MONTHLY clamps to the last day of shorter months (Jan 31 -> Feb 28)
+ * @param {Date} date - Start date
+ * @param {string} frequency - DAILY, WEEKLY or MONTHLY
+ * @param {number} count - Number of intervals
+ * @returns {Date}
+ */
+export function addInterval(date, frequency, count = 1) {
+  const result = new Date(date);
+
+  switch (frequency) {
+    case 'DAILY':
+      result.setUTCDate(result.getUTCDate() + count);
+      break;
+    case 'WEEKLY':
+      result.setUTCDate(result.getUTCDate() + 7 * count);
+      break;
+    case 'MONTHLY': {
+      const day = result.getUTCDate();
+      result.setUTCDate(1);
+      result.setUTCMonth(result.getUTCMonth() + count);
+      const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+      result.setUTCDate(Math.min(day, lastDay));
+      break;
+    }
+    default:
+      throw new Error(`Unsupported frequency: ${frequency}`);
+  }
+
+  return result;
+}
+
+/**
+ * Date the goal's schedule is anchored on: when it was published, or when it
+ * was created for goals that never were drafts
+ * @param {Object} goal - Goal with publishedAt/createdAt
+ * @returns {Date}
+ */
+function getScheduleAnchor(goal) {
+  return new Date(goal.publishedAt || goal.createdAt);
+}
+
+/**
+ * Get the due times of a goal that have not been handled yet, up to `now`
+ * Slots are anchored on the goal's start date so they never drift
+ * @param {Object} goal - Goal with publishedAt/createdAt and frequency
+ * @param {Date|null} lastDueAt - Due time of the latest recorded run
+ * @param {Date} now - Current time
+ * @returns {Date[]} Due times in ascending order
+ */
+export function getDueSlots(goal, lastDueAt, now) {
+  const anchor = getScheduleAnchor(goal);
+  const slots = [];
+
+  for (let k = 1; ; k++) {
+    const slot = addInterval(anchor, goal.frequency, k);
+    if (slot > now) break;
+    if (lastDueAt && slot <= lastDueAt) continue;
+    slots.push(slot);
+  }
+
+  return slots;
+}
+
+/**
+ * Get the next due time of a goal after its latest recorded run
+ * @param {Object} goal - Goal with publishedAt/createdAt and frequency
+ * @param {Date|null} lastDueAt - Due time of the latest recorded run
+ * @returns {Date}
+ */
+export function getNextDueAt(goal, lastDueAt = null) {
+  const anchor = getScheduleAnchor(goal);
+
+  for (let k = 1; ; k++) {
+    const slot = addInterval(anchor, goal.frequency, k);
+    if (!lastDueAt || slot > lastDueAt) return slot;
+  }
+}
+
+/**
+ * Get the latest recorded scheduled run for a goal
+ * @param {string} goalId - Goal ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getLastScheduledRun(goalId) {
+  return await prisma.scheduledRun.findFirst({
+    where: { goalId },
+    orderBy: { dueAt: 'desc' },
+  });
+}
+
+/**
+ * Run the scheduler once
+ * ACTIVE goals get a batch for their latest due slot; older unhandled slots are
+ * recorded as MISSED. PAUSED goals have their due slots recorded as SKIPPED so
+ * resuming does not count the pause as missed runs. COMPLETED and ARCHIVED goals are ignored.
+ * Paused goals whose approved pause request has reached its resumeAt are resumed
+ * after the slots are processed, so the pause window is recorded as skipped.
+ * @param {Object} options
+ * @param {Date} options.now - Current time (inject a fixed date to test with a fake clock)
+ * @param {string} options.goalId - Only process this goal
+ * @param {boolean} options.skipQuote - Stop after the onramp step (no Jupiter/RPC calls)
+ * @param {string} options.requestId - Request ID for logging
+ * @returns {Promise<Object>} Run summary
+ */
+export async function runScheduler({ now = new Date(), goalId = null, skipQuote = false, requestId = null } = {}) {
+  await loadCustomTokens();
+
+  const goals = await prisma.goal.findMany({
+    where: {
+      status: { in: ['ACTIVE', 'PAUSED'] },
+      ...(goalId && { id: goalId }),
+    },
+    include: { user: true },
+  });
+
+  logger.info('[SCHEDULER] Run started', { now: now.toISOString(), goals: goals.length, requestId });
+
+  const summary = {
+    now: now.toISOString(),
+    goalsChecked: goals.length,
+    executed: 0,
+    late: 0,
+    missed: 0,
+    skipped: 0,
+    failed: 0,
+    resumed: 0,
+    runs: [],
+  };
+
+  for (const goal of goals) {
+    try {
+      const runs = await processGoal(goal, { now, skipQuote, requestId });
+      for (const run of runs) {
+        summary.runs.push(run);
+        if (run.status === 'EXECUTED') summary.executed++;
+        if (run.status === 'MISSED') summary.missed++;
+        if (run.status === 'SKIPPED') summary.skipped++;
+        if (run.status === 'FAILED') summary.failed++;
+        if (run.lateBySeconds) summary.late++;
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error('[SCHEDULER] Goal processing failed', {
+        goalId: goal.id,
+        error: error.message,
+        requestId,
+      });
+    }
+  }
+
+  if (!goalId) {
+    summary.resumed = await resumeDuePausedGoals(now, requestId);
+  }
+
+  logger.info('[SCHEDULER] Run finished', {
+    executed: summary.executed,
+    late: summary.late,
+    missed: summary.missed,
+    skipped: summary.skipped,
+    failed: summary.failed,
+    resumed: summary.resumed,
+    requestId,
+  });
+
+  return summary;
+}
+
+/**
+ * Record slots as SKIPPED so they are not later counted as missed
+ */
+async function recordSkippedSlots(goal, slots, now, reason) {
+  await prisma.scheduledRun.createMany({
+    data: slots.map((dueAt) => ({
+      goalId: goal.id,
+      dueAt,
+      ranAt: now,
+      status: 'SKIPPED',
+      amountInr: goal.amountInr,
+      error: reason,
+    })),
+    skipDuplicates: true,
+  });
+}
+
+/**
+ * Skip every slot that came due while a goal was not being scheduled
+ * (e.g. while archived), so reactivating it does not report missed runs
+ * @param {Object} goal - Goal
+ * @param {Date} now - Current time
+ * @param {string} reason - Recorded on the skipped runs
+ * @returns {Promise<number>} Number of slots skipped
+ */
+export async function skipElapsedSlots(goal, now = new Date(), reason = 'Goal was inactive') {
+  const lastRun = await getLastScheduledRun(goal.id);
+  const slots = getDueSlots(goal, lastRun?.dueAt ?? null, now);
+
+  if (slots.length > 0) {
+    await recordSkippedSlots(goal, slots, now, reason);
+  }
+
+  return slots.length;
+}
+
+/**
+ * Process the due slots of a single goal
+ */
+async function processGoal(goal, { now, skipQuote, requestId }) {
+  const lastRun = await getLastScheduledRun(goal.id);
+  const slots = getDueSlots(goal, lastRun?.dueAt ?? null, now);
+
+  if (slots.length === 0) {
+    return [];
+  }
+
+  if (goal.status === 'PAUSED') {
+    await recordSkippedSlots(goal, slots, now, 'Goal is paused');
+
+    logger.info('[SCHEDULER] Skipped paused goal', { goalId: goal.id, slots: slots.length, requestId });
+    return slots.map((dueAt) => ({ goalId: goal.id, dueAt: dueAt.toISOString(), status: 'SKIPPED' }));
+  }
+
+  const missedSlots = slots.slice(0, -1);
+  const dueAt = slots[slots.length - 1];
+  const runs = [];
+
+  if (missedSlots.length > 0) {
+    await prisma.scheduledRun.createMany({
+      data: missedSlots.map((slot) => ({
+        goalId: goal.id,
+        dueAt: slot,
+        ranAt: now,
+        status: 'MISSED',
+        amountInr: goal.amountInr,
+        lateBySeconds: Math.floor((now.getTime() - slot.getTime()) / 1000),
+      })),
+      skipDuplicates: true,
+    });
+
+    logger.warn('[SCHEDULER] Recorded missed runs', { goalId: goal.id, missed: missedSlots.length, requestId });
+
+    try {
+      await createNotification(
+        goal.userId,
+        'SCHEDULED_RUN_MISSED',
+        `Missed ${missedSlots.length} scheduled ${goal.coin} investment${missedSlots.length === 1 ? '' : 's'}. Only the latest one was run.`,
+        { goalId: goal.id, missedDueAt: missedSlots.map((slot) => slot.toISOString()) }
+      );
+    } catch {
+      // Notifications are not critical
+    }
+
+    runs.push(
+      ...missedSlots.map((slot) => ({ goalId: goal.id, dueAt: slot.toISOString(), status: 'MISSED' }))
+    );
+  }
+
+  const lateMs = now.getTime() - dueAt.getTime();
+  const lateBySeconds = lateMs > LATE_THRESHOLD_MS ? Math.floor(lateMs / 1000) : null;
+
+  // Claim the slot first; the unique (goalId, dueAt) key stops concurrent schedulers
+  let run;
+  try {
+    run = await prisma.scheduledRun.create({
+      data: {
+        goalId: goal.id,
+        dueAt,
+        status: 'PENDING',
+        amountInr: goal.amountInr,
+        lateBySeconds,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      logger.info('[SCHEDULER] Slot already claimed', { goalId: goal.id, dueAt: dueAt.toISOString(), requestId });
+      return runs;
+    }
+    throw error;
+  }
+
+  if (lateBySeconds) {
+    logger.warn('[SCHEDULER] Run is late', { goalId: goal.id, dueAt: dueAt.toISOString(), lateBySeconds, requestId });
+  }
+
+  const result = await executeRun(goal, run, { now, skipQuote, requestId });
+  runs.push({ goalId: goal.id, dueAt: dueAt.toISOString(), lateBySeconds, ...result });
+  return runs;
+}
+
+/**
+ * Record a claimed run the goal's investment rules (or contribution strategy) stopped, and tell the user
+ */
+async function skipRunForRule(goal, run, now, rule, reason) {
+  await prisma.scheduledRun.update({
+    where: { id: run.id },
+    data: { status: 'SKIPPED', ranAt: now, error: reason },
+  });
+
+  try {
+    await createNotification(
+      goal.userId,
+      'SCHEDULED_RUN_SKIPPED',
+      `Scheduled ${goal.coin} investment skipped: ${reason}.`,
+      { goalId: goal.id, dueAt: run.dueAt.toISOString(), rule }
+    );
+  } catch {
+    // Notifications are not critical
+  }
+
+  return { status: 'SKIPPED', rule, reason };
+}
+
+/**
+ * Create the investment batch for a claimed run: size it with the goal's
+ * contribution strategy, check the goal's rules, onramp, then quote (or quote,
+ * sign and submit for auto-sign goals)
+ */
+async function executeRun(goal, run, { now, skipQuote, requestId }) {
+  let batchId = null;
+  let amountUsdc = null;
+  let autoSign = null;
+
+  try {
+    if (!goal.user?.walletAddress || !isValidSolanaAddress(goal.user.walletAddress)) {
+      throw new Error('User wallet address is missing or invalid');
+    }
+
+    const contribution = await getNextContribution(goal, { now });
+    if (contribution.amountInr <= 0) {
+      logger.info('[SCHEDULER] Run skipped by contribution strategy', { goalId: goal.id, strategy: goal.strategy, reason: contribution.reason, requestId });
+      return await skipRunForRule(goal, run, now, goal.strategy, contribution.reason);
+    }
+
+    const ruleCheck = await evaluateInvestmentRules(goal, { amountInr: contribution.amountInr, adjustAmount: true, now });
+    if (!ruleCheck.allowed) {
+      logger.info('[SCHEDULER] Run skipped by investment rule', { goalId: goal.id, rule: ruleCheck.rule, reason: ruleCheck.reason, requestId });
+      return await skipRunForRule(goal, run, now, ruleCheck.rule, ruleCheck.reason);
+    }
+
+    const fxRate = await getFxUsdToInr();
+    // Rounded down so an amount trimmed to the spend cap stays under it when the quote checks the rules again
+    amountUsdc = Math.floor((ruleCheck.amountInr / fxRate) * 100) / 100;
+
+    if (amountUsdc < MIN_AMOUNT_USDC) {
+      // Trimmed by the spend cap to less than can be invested
+      if (ruleCheck.amountInr < contribution.amountInr) {
+        return await skipRunForRule(goal, run, now, INVESTMENT_RULES.MAX_SPEND, 'Spend limit for this interval is almost used up');
+      }
+      // Strategy asked for less than usual (value averaging just behind its target)
+      if (contribution.amountInr < goal.amountInr) {
+        return await skipRunForRule(goal, run, now, goal.strategy, 'Contribution needed this interval is below the minimum investment');
+      }
+      throw new Error(`Amount ${amountUsdc} USDC is below minimum ${MIN_AMOUNT_USDC} USDC`);
+    }
+
+    // The quote would refuse it, leaving an onramped batch nothing can swap
+    if (amountUsdc > MAX_TEST_AMOUNT_USDC) {
+      throw new Error(`Amount ${amountUsdc} USDC exceeds the swap limit of ${MAX_TEST_AMOUNT_USDC} USDC`);
+    }
+
+    batchId = nanoid();
+
+    await createSimulatedOnramp({
+      goal,
+      walletAddress: goal.user.walletAddress,
+      amountUsdc,
+      batchId,
+      meta: {
+        scheduledRunId: run.id,
+        fxRate,
+        ...(contribution.amountInr !== goal.amountInr && { strategy: goal.strategy, strategyAmountInr: contribution.amountInr, strategyReason: contribution.reason }),
+        ...(ruleCheck.dip?.applied && { dipMultiplier: ruleCheck.dip.multiplier, dipDropPct: ruleCheck.dip.dropPct }),
+      },
+    });
+
+    await sendInvestmentNotification(batchId, 'ONRAMP_CONFIRMED', {
+      amountUsdc,
+      goalCoin: goal.coin,
+    });
+
+    if (!skipQuote && goal.autoSign) {
+      autoSign = await autoSignSwap({ goal, batchId, requestId, now });
+    }
+
+    // Over a cap (or not auto-signed at all): quote it for the user to sign
+    if (!skipQuote && (!autoSign || autoSign.status === 'REJECTED')) {
+      await getQuoteData({
+        goalId: goal.id,
+        batchId,
+        inputMint: 'USDC',
+        outputMint: goal.coin,
+        userId: goal.userId,
+        requestId,
+      });
+    }
+
+    await prisma.scheduledRun.update({
+      where: { id: run.id },
+      data: { status: 'EXECUTED', ranAt: now, batchId, amountUsdc, amountInr: ruleCheck.amountInr },
+    });
+
+    logger.info('[SCHEDULER] Batch created', { goalId: goal.id, batchId, amountUsdc, dip: ruleCheck.dip?.applied, autoSign: autoSign?.status, requestId });
+    return {
+      status: 'EXECUTED',
+      batchId,
+      amountUsdc,
+      ...(ruleCheck.dip?.applied && { dipMultiplier: ruleCheck.dip.multiplier }),
+      ...(autoSign && { autoSign: autoSign.status }),
+    };
+  } catch (error) {
+    await prisma.scheduledRun.update({
+      where: { id: run.id },
+      data: { status: 'FAILED', ranAt: now, batchId, amountUsdc, error: error.message },
+    });
+
+    logger.error('[SCHEDULER] Run failed', { goalId: goal.id, batchId, error: error.message, requestId });
+
+    // Onramped but never quoted: fail the batch so the retry worker picks it up
+    const batch = batchId ? await getBatch(batchId) : null;
+    if (batch?.state === 'ONRAMP_CONFIRMED') {
+      try {
+        await recordSwapFailure(batchId, error, { requestId, stage: 'quote', now });
+      } catch (recordError) {
+        logger.error('[SCHEDULER] Could not record quote failure', { batchId, error: recordError.message, requestId });
+      }
+    }
+
+    if (batchId) {
+      await sendInvestmentNotification(batchId, 'FAILED', { reason: error.message });
+    }
+
+    return { status: 'FAILED', batchId, amountUsdc, error: error.message };
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Minimal SMTP client for notification emails
+ * Speaks just enough SMTP to hand one message to a relay: EHLO, STARTTLS when
+ * the server offers it, AUTH PLAIN, MAIL/RCPT/DATA. Configured with SMTP_HOST,
+ * SMTP_PORT, SMTP_SECURE (TLS from the start, usually port 465), SMTP_USER,
+ * SMTP_PASS and SMTP_FROM. A local sink such as Mailpit (port 1025) needs only
+ * SMTP_HOST and SMTP_PORT. Credentials are only sent over TLS unless
+ * SMTP_ALLOW_INSECURE=true (local sinks without TLS).
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { SmtpError } from './errors.js';
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * SMTP settings from the environment
+ * @returns {Object|null} Config, or null when SMTP_HOST is not set
+ */
+export function getSmtpConfig() {
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    return null;
+  }
+
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from: process.env.SMTP_FROM || 'Wholecoiner <no-reply@wholecoiner.local>',
+    allowInsecure: process.env.SMTP_ALLOW_INSECURE === 'true',
+    timeoutMs: Number(process.env.SMTP_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  };
+}
+
+// "Name <a@b.c>" -> "a@b.c"
+const addressOf = (mailbox) => mailbox.match(/<([^>]+)>/)?.[1] || mailbox.trim();
+
+// Plain addresses only: no display name, whitespace, CR/LF or angle brackets
+const ADDRESS_PATTERN = /^[^\s<>@,;:"]+@[^\s<>@,;:"]+\.[^\s<>@,;:"]+$/;
+
+/**
+ * Whether an address is safe to put in a To: header and RCPT TO
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isValidEmailAddress(address) {
+  return typeof address === 'string' && address.length <= 254 && ADDRESS_PATTERN.test(address);
+}
+
+// RFC 2047 encoded-word for headers that are not plain ASCII
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+const base64Lines = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+
+/**
+ * Build a multipart/alternative message (text and HTML)
+ * @returns {{ data: string, messageId: string }}
+ */
+export function buildMessage({ from, to, subject, text, html, headers = {} }) {
+  const boundary = `wc-${crypto.randomUUID()}`;
+  const messageId = `<${crypto.randomUUID()}@${addressOf(from).split('@')[1] || 'localhost'}>`;
+
+  const lines = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(String(value))}`),
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+  ];
+
+  return { data: lines.join('\r\n'), messageId };
+}
+
+/**
+ * Read SMTP replies off a socket; each reply resolves one next() call
+ */
+function readReplies(socket) {
+  let buffer = '';
+  let pending = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      pending.push(line.slice(4));
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: pending };
+        pending = [];
+        if (waiters.length > 0) waiters.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onError = (error) => {
+    failure = error instanceof SmtpError ? error : new SmtpError(`SMTP connection failed: ${error.message}`);
+    waiters.splice(0).forEach((waiter) => waiter.reject(failure));
+  };
+  const onClose = () => onError(new SmtpError('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+/**
+ * Send one message
+ * @param {Object} message - { to, subject, text, html, headers? }
+ * @param {Object} config - From getSmtpConfig()
+ * @returns {Promise<{ messageId: string, response: string }>}
+ * @throws {SmtpError} retryable unless the server answered 5xx
+ */
+export async function sendMail(message, config = getSmtpConfig()) {
+  if (!config) {
+    throw new SmtpError('SMTP_HOST is not configured', 550);
+  }
+  if (!isValidEmailAddress(message.to)) {
+    throw new SmtpError('Invalid recipient address', 553);
+  }
+
+  const { data, messageId } = buildMessage({ ...message, from: config.from });
+  const hostname = addressOf(config.from).split('@')[1] || 'localhost';
+
+  let socket = config.secure
+    ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+    : net.connect({ host: config.host, port: config.port });
+  socket.setTimeout(config.timeoutMs, () => socket.destroy(new SmtpError('SMTP server timed out')));
+  let replies = readReplies(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await replies.next();
+    if (!expected.includes(reply.code)) {
+      const verb = line === null ? 'Greeting' : line.split(' ')[0];
+      throw new SmtpError(`${verb} rejected: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${hostname}`, [250]);
+
+    if (!config.secure && ehlo.lines.some((line) => line.toUpperCase() === 'STARTTLS')) {
+      await command('STARTTLS', [220]);
+      replies.detach();
+      socket.on('error', () => {}); // Reported through the TLS socket from here on
+      socket = tls.connect({ socket, servername: config.host });
+      socket.setTimeout(config.timeoutMs, () => socket.destroy(new SmtpError('SMTP server timed out')));
+      replies = readReplies(socket);
+      ehlo = await command(`EHLO ${hostname}`, [250]);
+    } else if (!config.secure && config.user && !config.allowInsecure) {
+      // Never send credentials in plaintext; a stripped STARTTLS would expose SMTP_PASS
+      throw new SmtpError('SMTP server does not offer STARTTLS; refusing to send credentials without TLS', 530);
+    }
+
+    if (config.user) {
+      const credentials = Buffer.from(`\0${config.user}\0${config.pass || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${addressOf(config.from)}>`, [250]);
+    await command(`RCPT TO:<${message.to}>`, [250, 251]);
+    await command('DATA', [354]);
+    // Lines starting with "." are dot-stuffed so they cannot end the message early
+    const accepted = await command(`${data.replace(/^\./gm, '..')}\r\n.`, [250]);
+
+    await command('QUIT', [221]).catch(() => {});
+    return { messageId, response: accepted.lines.join(' ') };
+  } finally {
+    replies.detach();
+    socket.destroy();
+  }
+}
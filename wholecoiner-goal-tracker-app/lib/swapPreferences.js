@@ -0,0 +1,131 @@
+/**
+ * Slippage and priority-fee preferences
+ * Users set defaults for all their swaps and can override them per goal; the
+ * effective preferences are goal override -> user setting -> system default.
+ * Both levels are stored as a partial JSON object (`swapPreferences` on users and goals).
+ */
+
+import { ValidationError } from './errors.js';
+
+export const SLIPPAGE_CONFIG = {
+  DEFAULT: 50,           // 0.5%
+  HIGH_VOLATILITY: 100,  // 1%
+  MAX_ALLOWED: 200       // 2%
+};
+
+// Jupiter's priorityLevelWithMaxLamports levels
+export const PRIORITY_LEVELS = ['medium', 'high', 'veryHigh'];
+
+export const MAX_PRIORITY_FEE_LAMPORTS = 5_000_000; // 0.005 SOL
+
+export const DEFAULT_SWAP_PREFERENCES = {
+  defaultSlippageBps: SLIPPAGE_CONFIG.DEFAULT,
+  maxSlippageBps: SLIPPAGE_CONFIG.MAX_ALLOWED,
+  priorityLevel: 'medium',
+  maxPriorityFeeLamports: 10_000,
+};
+
+// Bounds the preference form needs to know about
+export const SWAP_PREFERENCE_LIMITS = {
+  maxSlippageBps: SLIPPAGE_CONFIG.MAX_ALLOWED,
+  maxPriorityFeeLamports: MAX_PRIORITY_FEE_LAMPORTS,
+  priorityLevels: PRIORITY_LEVELS,
+};
+
+const FIELDS = Object.keys(DEFAULT_SWAP_PREFERENCES);
+
+function validateInteger(field, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ValidationError(`${field} must be a whole number between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Validate a preferences update
+ * Fields left out keep their current value; null clears a field so the next
+ * level (user setting or system default) applies again.
+ * @param {Object} input - Partial preferences
+ * @param {Object|null} current - Stored preferences at the same level
+ * @returns {Object} Preferences to store (empty when every field is cleared)
+ * @throws {ValidationError}
+ */
+export function validateSwapPreferences(input, current = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError('swapPreferences must be an object');
+  }
+
+  const unknown = Object.keys(input).filter((field) => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown swap preference: ${unknown.join(', ')}`);
+  }
+
+  const next = { ...current };
+  for (const field of FIELDS) {
+    if (input[field] === undefined) continue;
+    if (input[field] === null) {
+      delete next[field];
+      continue;
+    }
+
+    switch (field) {
+      case 'defaultSlippageBps':
+      case 'maxSlippageBps':
+        validateInteger(field, input[field], 1, SLIPPAGE_CONFIG.MAX_ALLOWED);
+        break;
+      case 'maxPriorityFeeLamports':
+        validateInteger(field, input[field], 0, MAX_PRIORITY_FEE_LAMPORTS);
+        break;
+      case 'priorityLevel':
+        if (!PRIORITY_LEVELS.includes(input[field])) {
+          throw new ValidationError(`priorityLevel must be one of: ${PRIORITY_LEVELS.join(', ')}`);
+        }
+        break;
+    }
+    next[field] = input[field];
+  }
+
+  if (next.defaultSlippageBps && next.maxSlippageBps && next.defaultSlippageBps > next.maxSlippageBps) {
+    throw new ValidationError('defaultSlippageBps cannot be more than maxSlippageBps');
+  }
+
+  return next;
+}
+
+/**
+ * Effective preferences for a swap
+ * A default slippage above the effective maximum (set at different levels) is lowered to it.
+ * @param {Object|null} user - User with swapPreferences
+ * @param {Object|null} goal - Goal with swapPreferences
+ * @returns {Object} Every field of DEFAULT_SWAP_PREFERENCES
+ */
+export function resolveSwapPreferences(user, goal = null) {
+  const preferences = {
+    ...DEFAULT_SWAP_PREFERENCES,
+    ...user?.swapPreferences,
+    ...goal?.swapPreferences,
+  };
+
+  preferences.defaultSlippageBps = Math.min(preferences.defaultSlippageBps, preferences.maxSlippageBps);
+  return preferences;
+}
+
+/**
+ * Slippage for a quote: the requested value, or the default preference
+ * @param {number|undefined} requestedBps - Slippage asked for in this request
+ * @param {Object} preferences - Output of resolveSwapPreferences
+ * @returns {number}
+ * @throws {ValidationError} When the request is over the user's maximum
+ */
+export function resolveSlippageBps(requestedBps, preferences) {
+  if (!requestedBps) {
+    return preferences.defaultSlippageBps;
+  }
+
+  if (requestedBps > preferences.maxSlippageBps) {
+    throw new ValidationError(
+      `Slippage ${requestedBps} bps is over your maximum of ${preferences.maxSlippageBps} bps`
+    );
+  }
+
+  return requestedBps;
+}
@@ -0,0 +1,427 @@
+/**
+ * Swap quote helper shared by the swap route and the recurring scheduler
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getSwapQuote, getSwapTransaction } from './jupiter.js';
+import { getSolanaConnection, isValidSolanaAddress } from './solana.js';
+import { getTokenMint, toSmallestUnits, fromSmallestUnits, getNetwork } from './tokens.js';
+import { SwapErrors, ValidationError } from './errors.js';
+import { ensureIdempotency } from './idempotency.js';
+import { getBatch, canTransition, transitionBatch } from './investmentBatch.js';
+import { sendInvestmentNotification } from './notifications.js';
+import { recordBatchEvent, BATCH_EVENT_TYPES } from './batchEvents.js';
+import { runPreTradeChecks } from './tradeRisk.js';
+import { loadCustomTokens } from './customTokens.js';
+import { resolveSwapPreferences, resolveSlippageBps } from './swapPreferences.js';
+import { estimatePriorityFee } from './priorityFees.js';
+import { hasInvestmentRules, evaluateInvestmentRules } from './investmentRules.js';
+import { getFxUsdToInr } from './fx.js';
+
+export { SLIPPAGE_CONFIG } from './swapPreferences.js';
+
+// SAFETY: For testing, limit max swap amount to prevent accidental large transactions
+export const MAX_TEST_AMOUNT_USDC = 5; // Maximum 5 USDC for testing
+
+/**
+ * Get quote data (returns data object, not Response)
+ * Used by handleQuoteMode, auto-requote logic, the recurring scheduler and the
+ * swap retry worker (which sends its own notification, notify: false)
+ * Without slippageBps the user's default slippage preference is used.
+ */
+export async function getQuoteData({ goalId, batchId, inputMint, outputMint, slippageBps, userId, requestId, notify = true }) {
+  try {
+    logger.info('Swap quote request', { 
+      userId, 
+      goalId, 
+      batchId, 
+      inputMint,
+      outputMint,
+      slippageBps,
+      requestId 
+    });
+    
+    // Early validation
+    if (!inputMint || !outputMint) {
+      throw new ValidationError('inputMint and outputMint are required');
+    }
+
+    await loadCustomTokens();
+    
+    // Network validation - Jupiter quotes should use mainnet for better liquidity
+    const currentNetwork = getNetwork();
+    const normalizedOutputMint = outputMint.toUpperCase();
+    
+    logger.info('Quote network check', { 
+      currentNetwork, 
+      outputMint: normalizedOutputMint,
+      requestId 
+    });
+    
+    if (currentNetwork === 'devnet' && normalizedOutputMint !== 'SOL' && normalizedOutputMint !== 'USDC') {
+      logger.warn('Non-SOL quotes on devnet have limited liquidity', {
+        outputMint: normalizedOutputMint,
+        currentNetwork,
+        requestId
+      });
+      // Note: We still try, but warn that it may fail
+      // getTokenMint will throw for mainnet-only tokens on devnet anyway
+    }
+    
+    // Check idempotency (allow re-quoting if previous quote expired)
+    const batch = await getBatch(batchId);
+    const existing = await ensureIdempotency(batchId, 'SWAP', async () => null);
+    
+    if (existing && batch?.state === 'SWAP_CONFIRMED') {
+      logger.info('Swap already confirmed, returning existing', { 
+        transactionId: existing.id, 
+        batchId,
+        requestId 
+      });
+      
+      // Return data object (not Response) for getQuoteData
+      return {
+        success: true,
+        batchId,
+        alreadyConfirmed: true,
+        transaction: {
+          id: existing.id,
+          type: existing.type,
+          txnHash: existing.txnHash,
+          amountCrypto: existing.amountCrypto,
+          tokenMint: existing.tokenMint,
+          network: existing.network,
+          state: batch.state,
+        },
+        explorerUrl: existing.txnHash 
+          ? `https://explorer.solana.com/tx/${existing.txnHash}?cluster=${getNetwork() === 'devnet' ? 'devnet' : 'mainnet-beta'}`
+          : null,
+      };
+    }
+    
+    // Validate goal
+    const goal = await prisma.goal.findFirst({
+      where: {
+        id: goalId,
+        userId: userId,
+      },
+      include: { user: true },
+    });
+    
+    if (!goal) {
+      throw SwapErrors.INVALID_WALLET();
+    }
+    
+    if (goal.status !== 'ACTIVE') {
+      throw new ValidationError('Goal must be ACTIVE to execute swap');
+    }
+    
+    const preferences = resolveSwapPreferences(goal.user, goal);
+    const finalSlippageBps = resolveSlippageBps(slippageBps, preferences);
+    
+    // Get ONRAMP transaction for this batchId
+    const onrampTransaction = await prisma.transaction.findFirst({
+      where: {
+        batchId,
+        type: 'ONRAMP',
+      },
+    });
+    
+    if (!onrampTransaction) {
+      throw new ValidationError('ONRAMP transaction not found for this batchId. Please simulate onramp first.');
+    }
+    
+    // The batch must be ready for a (re-)quote: funds received, or a previous
+    // quote that expired or failed before the swap was signed
+    if (!batch) {
+      throw new ValidationError('Investment batch not found for this batchId. Please simulate onramp first.');
+    }
+    if (!canTransition(batch.state, 'QUOTED')) {
+      throw new ValidationError(`Cannot quote investment in state: ${batch.state}`);
+    }
+    
+    // Goal rules (price ceiling, spend per interval) are checked before every quote
+    if (hasInvestmentRules(goal)) {
+      const fxRate = await getFxUsdToInr();
+      const ruleCheck = await evaluateInvestmentRules(goal, {
+        amountInr: onrampTransaction.amountCrypto * fxRate,
+        excludeBatchId: batchId,
+      });
+
+      if (!ruleCheck.allowed) {
+        await recordBatchEvent(batchId, BATCH_EVENT_TYPES.RULE_SKIPPED, {
+          rule: ruleCheck.rule,
+          reason: ruleCheck.reason,
+          priceInr: ruleCheck.priceInr,
+          spentThisIntervalInr: ruleCheck.spentThisIntervalInr,
+        }, { requestId });
+        if (notify) {
+          await sendInvestmentNotification(batchId, 'RULE_SKIPPED', { rule: ruleCheck.rule, reason: ruleCheck.reason });
+        }
+        throw SwapErrors.INVESTMENT_RULE_NOT_MET(ruleCheck.rule, ruleCheck.reason);
+      }
+    }
+    
+    // Get token mint addresses with error handling
+    // Use mainnet mints for Jupiter quotes (Jupiter API provides accurate mainnet prices)
+    let inputTokenInfo, outputTokenInfo;
+    try {
+      inputTokenInfo = getTokenMint(inputMint, 'mainnet');
+      outputTokenInfo = getTokenMint(outputMint, 'mainnet');
+    } catch (mintError) {
+      logger.error('Invalid token symbol', { 
+        inputMint, 
+        outputMint, 
+        error: mintError.message,
+        requestId 
+      });
+      throw new ValidationError(`Invalid token symbol: ${mintError.message}`);
+    }
+    
+    // Determine swap amount (use amount from ONRAMP transaction - should be USDC now)
+    const swapAmount = onrampTransaction.amountCrypto; // USDC amount from onramp
+    
+    if (swapAmount > MAX_TEST_AMOUNT_USDC) {
+      throw new ValidationError(
+        `Swap amount (${swapAmount} USDC) exceeds test limit (${MAX_TEST_AMOUNT_USDC} USDC). ` +
+        `This is a safety limit to prevent accidental large transactions during testing.`
+      );
+    }
+    
+    const swapAmountInSmallestUnits = toSmallestUnits(swapAmount, inputTokenInfo.decimals);
+      
+    logger.info('Getting swap quote', { 
+      inputMint: inputTokenInfo.mint,
+      outputMint: outputTokenInfo.mint,
+      amount: swapAmountInSmallestUnits,
+      slippageBps: finalSlippageBps,
+      requestId 
+    });
+      
+    // Get quote from Jupiter
+    const quote = await getSwapQuote(
+      inputTokenInfo.mint,
+      outputTokenInfo.mint,
+      swapAmountInSmallestUnits.toString(),
+      finalSlippageBps
+    );
+
+    // Pre-trade checks: block the quote, or pass its warnings on to the user
+    const risk = await runPreTradeChecks({
+      quote,
+      inputToken: inputTokenInfo,
+      outputToken: { ...outputTokenInfo, symbol: normalizedOutputMint },
+    });
+
+    if (risk.blocked) {
+      await recordBatchEvent(batchId, BATCH_EVENT_TYPES.PRE_TRADE_BLOCKED, {
+        quoteId: quote.quoteId,
+        warnings: risk.warnings,
+      }, { requestId });
+      throw SwapErrors.PRE_TRADE_CHECK_FAILED(risk.warnings);
+    }
+      
+    // Get user wallet address (needed for swap transaction)
+    // Note: We'll get it from the goal's user relation
+    const goalWithUser = await prisma.goal.findFirst({
+      where: { id: goalId },
+      include: { user: true },
+    });
+    
+    if (!goalWithUser?.user?.walletAddress || !isValidSolanaAddress(goalWithUser.user.walletAddress)) {
+      throw SwapErrors.INVALID_WALLET();
+    }
+    
+    // SAFETY: Check user wallet balance before swap execution
+    const connection = getSolanaConnection();
+    const userWalletPubkey = new PublicKey(goalWithUser.user.walletAddress);
+    const userBalance = await connection.getBalance(userWalletPubkey);
+    const userBalanceSol = userBalance / 1e9;
+    
+    // Estimate required SOL (rough estimate: swap amount + 0.005 SOL for fees)
+    // Note: This is a conservative estimate. Actual swap may need more depending on token and Jupiter fees
+    const estimatedRequiredSol = (swapAmount / 100) + 0.005; // Rough estimate assuming 1 SOL ≈ 100 USDC
+    const MIN_SOL_FOR_TEST = 0.001; // Minimum 0.001 SOL needed for any transaction
+    
+    if (userBalanceSol < MIN_SOL_FOR_TEST) {
+      throw new ValidationError(
+        `User wallet has insufficient SOL balance (${userBalanceSol.toFixed(6)} SOL). ` +
+        `Minimum ${MIN_SOL_FOR_TEST} SOL required for swap execution. ` +
+        `User needs to fund their wallet first.`
+      );
+    }
+    
+    if (userBalanceSol < estimatedRequiredSol) {
+      logger.warn('User wallet balance may be insufficient for swap', {
+        userBalanceSol,
+        estimatedRequiredSol,
+        swapAmountUsdc: swapAmount,
+        userWallet: goalWithUser.user.walletAddress,
+        requestId
+      });
+      // Continue with warning - actual swap will fail if insufficient, providing better error message
+    }
+    
+    const priorityFee = await estimatePriorityFee({
+      quote,
+      priorityLevel: preferences.priorityLevel,
+      maxPriorityFeeLamports: preferences.maxPriorityFeeLamports,
+      connection,
+    });
+
+    // Get swap transaction (unsigned)
+    const swapData = await getSwapTransaction(
+      quote,
+      goalWithUser.user.walletAddress,
+      finalSlippageBps,
+      { ...preferences, priorityFeeLamports: priorityFee?.priorityFeeLamports }
+    );
+      
+    // Calculate output amount in human-readable format
+    const outputAmount = fromSmallestUnits(quote.outAmount, outputTokenInfo.decimals);
+    
+    logger.info('Swap transaction prepared', { 
+      inAmount: quote.inAmount,
+      outAmount: quote.outAmount,
+      outputAmount,
+      priceImpact: quote.priceImpactPct,
+      expiresAt: quote.expiresAt,
+      quoteId: quote.quoteId,
+      requestId 
+    });
+    
+    await transitionBatch(batchId, 'QUOTED', {
+      quoteExpiresAt: quote.expiresAt ? new Date(quote.expiresAt) : null,
+    }, {
+      requestId,
+      details: {
+        quoteId: quote.quoteId,
+        inputAmount: swapAmount,
+        outputAmount,
+        priceImpactPct: quote.priceImpactPct,
+        slippageBps: finalSlippageBps,
+        riskWarnings: risk.warnings,
+      },
+    });
+    
+    const swapMeta = {
+      expiresAt: quote.expiresAt,
+      quoteId: quote.quoteId,
+      inputMint: inputTokenInfo.mint,
+      outputMint: outputTokenInfo.mint,
+      inputAmount: swapAmount,
+      outputAmount,
+      quoteOutAmountRaw: quote.outAmount,
+      quoteOutAmountDecimals: outputTokenInfo.decimals,
+      priceImpactPct: quote.priceImpactPct,
+      slippageBps: finalSlippageBps,
+      priorityLevel: preferences.priorityLevel,
+      maxPriorityFeeLamports: preferences.maxPriorityFeeLamports,
+      priorityFeeLamports: swapData.prioritizationFeeLamports ?? null,
+      priorityFeeEstimate: priorityFee,
+      riskWarnings: risk.warnings,
+      lastValidBlockHeight: swapData.lastValidBlockHeight ?? null,
+    };
+
+    // Record the quote on the SWAP transaction (upsert to handle re-quoting)
+    await prisma.transaction.upsert({
+      where: {
+        batchId_type: {
+          batchId,
+          type: 'SWAP',
+        },
+      },
+    create: {
+      goalId,
+      batchId,
+      type: 'SWAP',
+      provider: 'JUPITER',
+      network: getNetwork() === 'devnet' ? 'DEVNET' : 'MAINNET',
+      tokenMint: outputTokenInfo.mint,
+      amountInr: onrampTransaction.amountInr,
+      amountCrypto: outputAmount,
+      meta: swapMeta,
+    },
+    update: {
+      meta: swapMeta,
+    },
+    });
+    
+    // Send notification
+    if (notify) {
+      const expiresIn = quote.expiresAt ? 
+        Math.round((new Date(quote.expiresAt).getTime() - Date.now()) / 1000) : 30;
+      await sendInvestmentNotification(batchId, 'QUOTED', {
+        inputAmount: swapAmount,
+        outputAmount,
+        goalCoin: outputMint,
+        expiresIn,
+      });
+    }
+  
+    // Return quote data object (not wrapped in Response)
+    return {
+      success: true,
+      batchId,
+      quote: {
+        inAmount: quote.inAmount,
+        outAmount: quote.outAmount,
+        outputAmount,
+        inputMint: inputTokenInfo.mint,
+        outputMint: outputTokenInfo.mint,
+        priceImpactPct: quote.priceImpactPct,
+        slippageBps: finalSlippageBps,
+        priorityFeeLamports: swapData.prioritizationFeeLamports ?? null,
+        expiresAt: quote.expiresAt,
+        quoteId: quote.quoteId,
+      },
+      risk: {
+        warnings: risk.warnings,
+        referenceDeviationPct: risk.referenceDeviationPct,
+      },
+      swapTransaction: swapData.swapTransaction,
+      lastValidBlockHeight: swapData.lastValidBlockHeight,
+    };
+  } catch (error) {
+    // Log the failure with token context; the caller maps the error to a response
+    const errorCode = error.code || (error instanceof ValidationError ? 'VALIDATION_ERROR' : 'QUOTE_FAILED');
+    let errorMessage = error.message || 'Failed to get quote';
+    
+    // Enhance error message with token context if available
+    // Try to get resolved mint addresses if error occurred after token resolution
+    let inputMintAddress = inputMint;
+    let outputMintAddress = outputMint;
+    
+    try {
+      // If we got past token resolution, try to include resolved addresses
+      const inputInfo = getTokenMint(inputMint, 'mainnet');
+      const outputInfo = getTokenMint(outputMint, 'mainnet');
+      inputMintAddress = inputInfo?.mint || inputMint;
+      outputMintAddress = outputInfo?.mint || outputMint;
+    } catch {
+      // If token resolution failed, use symbols as-is
+    }
+    
+    // Add mint addresses to error message for NO_ROUTE_FOUND
+    if (errorCode === 'NO_ROUTE_FOUND') {
+      errorMessage = `No swap route found for ${inputMint} → ${outputMint} (input: ${inputMintAddress}, output: ${outputMintAddress}). This may be due to limited liquidity or unsupported token pair.`;
+    } else if (errorCode === 'JUPITER_API_ERROR' || errorCode === 'QUOTE_FAILED') {
+      errorMessage = `${errorMessage} (Input: ${inputMint}/${inputMintAddress}, Output: ${outputMint}/${outputMintAddress})`;
+    }
+    
+    logger.error('Quote failed', { 
+      error: errorMessage, 
+      code: errorCode, 
+      requestId,
+      inputMint,
+      outputMint,
+      inputMintAddress,
+      outputMintAddress,
+      stack: error.stack
+    });
+    
+    throw error; // Re-throw to be caught by caller
+  }
+}
@@ -0,0 +1,467 @@
+/**
+ * Automatic retry policy for failed and expired swaps
+ * recordSwapFailure classifies a failure and schedules a retry with backoff.
+ * The retry worker (runSwapRetries) then recovers each batch the cheapest way:
+ *  - the swap landed after all (the submit or confirmation call failed after it
+ *    was sent): hand it to reconcile
+ *  - a network error kept the signed swap from Solana and its blockhash is still
+ *    valid: resubmit the stored signed swap
+ *  - otherwise: fetch a new quote (with wider slippage after a slippage failure)
+ *    and ask the user to sign it, or sign it on the server for auto-sign goals
+ */
+
+import { VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { prisma } from './prisma.js';
+import { logger } from './logger.js';
+import { getSolanaConnection } from './solana.js';
+import { ValidationError } from './errors.js';
+import { SLIPPAGE_CONFIG, getQuoteData } from './swapQuote.js';
+import { resolveSwapPreferences } from './swapPreferences.js';
+import { getBatch, transitionBatch } from './investmentBatch.js';
+import { recordBatchEvent, BATCH_EVENT_TYPES } from './batchEvents.js';
+import { sendInvestmentNotification } from './notifications.js';
+import { autoSignSwap } from './custodialSigning.js';
+
+export const FAILURE_KINDS = {
+  RPC_ERROR: 'RPC_ERROR',                 // Submit/confirm call failed; the swap may or may not have landed
+  BLOCKHASH_EXPIRED: 'BLOCKHASH_EXPIRED', // Signed swap can no longer land
+  QUOTE_EXPIRED: 'QUOTE_EXPIRED',         // Quote ran out before it was signed
+  SLIPPAGE: 'SLIPPAGE',                   // Price moved past the slippage tolerance
+  ON_CHAIN: 'ON_CHAIN',                   // Swap failed on-chain for another reason
+  FATAL: 'FATAL',                         // Retrying will not help (bad input, no funds)
+};
+
+export const RETRY_POLICY = {
+  maxAttempts: Number(process.env.SWAP_RETRY_MAX_ATTEMPTS) || 3,
+  baseDelayMs: Number(process.env.SWAP_RETRY_BASE_DELAY_MS) || 30 * 1000, // 30 seconds
+  maxDelayMs: Number(process.env.SWAP_RETRY_MAX_DELAY_MS) || 10 * 60 * 1000, // 10 minutes
+  slippageStepBps: Number(process.env.SWAP_RETRY_SLIPPAGE_STEP_BPS) || 50, // +0.5% per slippage failure
+  requoteGraceMs: 10 * 1000, // Execute re-quotes inline if the quote expired less than 10s ago
+};
+
+const WORKER_BATCH_LIMIT = 20;
+
+// A blockhash lasts 150 blocks (about a minute); used when no lastValidBlockHeight was recorded
+const BLOCKHASH_LIFETIME_MS = 2 * 60 * 1000;
+
+// Jupiter program errors for "slippage tolerance exceeded"
+const SLIPPAGE_ERROR_CODES = ['6001', '6017', '6025', '0x1771', '0x1789'];
+
+/**
+ * Whether an error means the transaction's blockhash expired
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isBlockhashExpiredError(error) {
+  const errorStr = JSON.stringify(error || {}).toLowerCase();
+  const errorMsg = error?.message?.toLowerCase() || '';
+
+  return error?.name === 'TransactionExpiredBlockheightExceededError'
+    || [errorMsg, errorStr].some((text) =>
+      text.includes('transactionexpiredblockheightexceedederror')
+      || text.includes('block height exceeded')
+      || text.includes('blockhash not found')
+      || text.includes('blockhash expired')
+    );
+}
+
+/**
+ * Whether a submitted swap's blockhash has run out, so it can no longer land
+ * Compares the block height with the lastValidBlockHeight recorded with the
+ * quote; swaps quoted before it was recorded fall back to the quote's age.
+ * @param {Object} connection - Solana connection
+ * @param {Object} swapTxn - SWAP transaction
+ * @param {Date|null} quotedAt - When the batch was quoted
+ * @param {Date} now
+ * @returns {Promise<boolean>}
+ */
+export async function hasBlockhashExpired(connection, swapTxn, quotedAt, now = new Date()) {
+  const lastValidBlockHeight = swapTxn?.meta?.lastValidBlockHeight;
+  if (lastValidBlockHeight) {
+    const blockHeight = await connection.getBlockHeight('confirmed');
+    return blockHeight > lastValidBlockHeight;
+  }
+  return !quotedAt || now.getTime() - quotedAt.getTime() > BLOCKHASH_LIFETIME_MS;
+}
+
+/**
+ * Signature of a signed swap (the fee payer's signature, base58)
+ * Known before submitting, so a submit that failed after the swap was sent
+ * can still be looked up on chain.
+ * @param {string} signedTransaction - Base64 serialized transaction
+ * @returns {string}
+ */
+export function getSignedSwapSignature(signedTransaction) {
+  const transaction = VersionedTransaction.deserialize(Buffer.from(signedTransaction, 'base64'));
+  return bs58.encode(transaction.signatures[0]);
+}
+
+/**
+ * Classify a swap failure into one of FAILURE_KINDS
+ * @param {Error} error
+ * @returns {string}
+ */
+export function classifySwapFailure(error) {
+  const message = error?.message || '';
+
+  if (error?.code === 'SLIPPAGE_EXCEEDED' || /slippage/i.test(message)) {
+    return FAILURE_KINDS.SLIPPAGE;
+  }
+
+  if (message.startsWith('Transaction failed')) {
+    return SLIPPAGE_ERROR_CODES.some((code) => message.includes(code))
+      ? FAILURE_KINDS.SLIPPAGE
+      : FAILURE_KINDS.ON_CHAIN;
+  }
+
+  if (error?.code === 'QUOTE_EXPIRED' || isBlockhashExpiredError(error)) {
+    return FAILURE_KINDS.BLOCKHASH_EXPIRED;
+  }
+
+  if (error?.code === 'SWAP_EXECUTION_FAILED') {
+    return FAILURE_KINDS.ON_CHAIN;
+  }
+
+  if (error?.code === 'INSUFFICIENT_BALANCE' || error instanceof ValidationError) {
+    return FAILURE_KINDS.FATAL;
+  }
+
+  return FAILURE_KINDS.RPC_ERROR;
+}
+
+/**
+ * Delay before a retry attempt (exponential backoff, capped)
+ * @param {number} attempt - Attempts already made (0 for the first retry)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelayMs(attempt) {
+  return Math.min(RETRY_POLICY.baseDelayMs * 2 ** attempt, RETRY_POLICY.maxDelayMs);
+}
+
+/**
+ * Slippage for the next quote: one step wider after a slippage failure,
+ * never above the user's maximum slippage
+ * @param {number} currentBps - Slippage of the failed quote
+ * @param {string} failureKind
+ * @param {number} maxBps - maxSlippageBps swap preference
+ * @returns {number}
+ */
+export function getEscalatedSlippageBps(currentBps, failureKind, maxBps = SLIPPAGE_CONFIG.MAX_ALLOWED) {
+  const base = currentBps || SLIPPAGE_CONFIG.DEFAULT;
+  if (failureKind !== FAILURE_KINDS.SLIPPAGE) {
+    return Math.min(base, maxBps);
+  }
+  return Math.min(base + RETRY_POLICY.slippageStepBps, maxBps);
+}
+
+/**
+ * Record a failed or expired swap and schedule its retry
+ * A QUOTED batch whose quote ran out becomes EXPIRED; anything else becomes FAILED.
+ * A failed submit may still have reached Solana (a timed-out send), so the signed
+ * swap's signature is saved as the SWAP txnHash for the retry worker to look up.
+ * @param {string} batchId
+ * @param {Error} error
+ * @param {Object} options
+ * @param {string} options.requestId
+ * @param {string} options.stage - quote, submit, confirm or reconcile
+ * @param {string} options.signedTransaction - Signed swap, kept for a resubmit after a network error
+ * @param {Date} options.now
+ * @returns {Promise<Object>} { failureKind, nextRetryAt }
+ */
+export async function recordSwapFailure(batchId, error, { requestId = null, stage = null, signedTransaction = null, now = new Date() } = {}) {
+  const batch = await getBatch(batchId);
+  const expiredQuote = batch?.state === 'QUOTED';
+  const failureKind = expiredQuote ? FAILURE_KINDS.QUOTE_EXPIRED : classifySwapFailure(error);
+
+  const retryable = failureKind !== FAILURE_KINDS.FATAL
+    && (batch?.retryCount || 0) < RETRY_POLICY.maxAttempts;
+  const nextRetryAt = retryable
+    ? new Date(now.getTime() + getRetryDelayMs(batch?.retryCount || 0))
+    : null;
+  const keepSignedTransaction = failureKind === FAILURE_KINDS.RPC_ERROR && stage === 'submit' && signedTransaction;
+
+  await transitionBatch(batchId, expiredQuote ? 'EXPIRED' : 'FAILED', {
+    ...(!expiredQuote && { error: error.message }),
+    failureKind,
+    nextRetryAt,
+  }, { requestId, now, details: { stage } });
+
+  // Replaces the signature of an earlier quote of the batch, which can no longer land
+  if (signedTransaction && (stage === 'submit' || stage === 'resubmit')) {
+    await prisma.transaction.updateMany({
+      where: { batchId, type: 'SWAP' },
+      data: { txnHash: getSignedSwapSignature(signedTransaction) },
+    });
+  }
+
+  // Not a state change, and too large (and sensitive) for the event log
+  if (keepSignedTransaction || batch?.signedTransaction) {
+    await prisma.investmentBatch.update({
+      where: { id: batchId },
+      data: { signedTransaction: keepSignedTransaction ? signedTransaction : null },
+    });
+  }
+
+  logger.info('Swap failure recorded', { batchId, failureKind, stage, nextRetryAt, requestId });
+
+  return { failureKind, nextRetryAt };
+}
+
+/**
+ * Put a retry that did not work back on the schedule, or give up
+ * @returns {Promise<boolean>} Whether another attempt is scheduled
+ */
+async function scheduleNextAttempt(batch, attempt, now) {
+  if (attempt >= RETRY_POLICY.maxAttempts) {
+    return false;
+  }
+
+  await prisma.investmentBatch.update({
+    where: { id: batch.id },
+    data: { nextRetryAt: new Date(now.getTime() + getRetryDelayMs(attempt)) },
+  });
+  return true;
+}
+
+/**
+ * Check whether the batch's swap landed even though its confirmation failed
+ */
+async function findLandedSwap(connection, signature) {
+  const status = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+  const value = status?.value;
+  return !!value && !value.err
+    && (value.confirmationStatus === 'confirmed' || value.confirmationStatus === 'finalized');
+}
+
+/**
+ * Resubmit the stored signed swap if its blockhash is still valid
+ * @returns {Promise<string|null>} Signature, or null if the swap needs a fresh signature
+ */
+async function resubmitSignedSwap(connection, batch, swapTxn, requestId) {
+  const txBuffer = Buffer.from(batch.signedTransaction, 'base64');
+  const blockhash = VersionedTransaction.deserialize(txBuffer).message.recentBlockhash;
+
+  const { value: valid } = await connection.isBlockhashValid(blockhash, { commitment: 'confirmed' });
+  if (!valid) {
+    return null;
+  }
+
+  await transitionBatch(batch.id, 'SWAP_SIGNED', {}, { requestId, details: { resubmit: true } });
+  await recordBatchEvent(batch.id, BATCH_EVENT_TYPES.SUBMIT_ATTEMPT, { resubmit: true }, { requestId });
+
+  const signature = await connection.sendRawTransaction(txBuffer, {
+    skipPreflight: true,
+    maxRetries: 3,
+    preflightCommitment: 'confirmed',
+  });
+
+  // Reconcile confirms it from here
+  await transitionBatch(batch.id, 'SWAP_SUBMITTED', { signedTransaction: null }, {
+    requestId,
+    details: { signature, resubmit: true },
+  });
+  if (swapTxn) {
+    await prisma.transaction.update({
+      where: { id: swapTxn.id },
+      data: { txnHash: signature },
+    });
+  }
+
+  return signature;
+}
+
+/**
+ * Run one retry attempt for a FAILED or EXPIRED batch
+ * @returns {Promise<string>} Outcome: recovered, resubmitted, autoSigned, requoted, rescheduled, exhausted or skipped
+ */
+async function retryBatch(batch, { now, requestId }) {
+  // Claim the attempt so overlapping worker runs cannot both retry the batch
+  const { count } = await prisma.investmentBatch.updateMany({
+    where: { id: batch.id, state: batch.state, nextRetryAt: batch.nextRetryAt },
+    data: { retryCount: { increment: 1 }, nextRetryAt: null },
+  });
+  if (count === 0) {
+    return 'skipped';
+  }
+
+  const attempt = batch.retryCount + 1;
+  const { goal } = batch;
+  const swapTxn = batch.transactions.find((txn) => txn.type === 'SWAP');
+  const connection = getSolanaConnection();
+
+  logger.info('Retrying swap', { batchId: batch.id, attempt, failureKind: batch.failureKind, requestId });
+
+  // The swap landed after all (only the submit or confirm call failed): reconcile takes it from here
+  const recoverLandedSwap = async (signature) => {
+    if (swapTxn && swapTxn.txnHash !== signature) {
+      await prisma.transaction.update({
+        where: { id: swapTxn.id },
+        data: { txnHash: signature },
+      });
+    }
+    await transitionBatch(batch.id, 'SWAP_SUBMITTED', { error: null, signedTransaction: null }, {
+      requestId,
+      details: { signature, recovered: true },
+    });
+    await sendInvestmentNotification(batch.id, 'RETRY_RECOVERED', { attempt });
+    return 'recovered';
+  };
+
+  try {
+    if (batch.state === 'FAILED' && batch.failureKind === FAILURE_KINDS.RPC_ERROR) {
+      // The stored signed swap is the latest one sent; txnHash covers confirm-stage failures
+      const sentSignature = (batch.signedTransaction && getSignedSwapSignature(batch.signedTransaction))
+        || swapTxn?.txnHash;
+      if (sentSignature && await findLandedSwap(connection, sentSignature)) {
+        return await recoverLandedSwap(sentSignature);
+      }
+
+      if (batch.signedTransaction) {
+        const signature = await resubmitSignedSwap(connection, batch, swapTxn, requestId);
+        if (signature) {
+          await sendInvestmentNotification(batch.id, 'RETRY_RESUBMITTED', { attempt, signature });
+          return 'resubmitted';
+        }
+        // The blockhash ran out: look once more in case the swap landed just before it did,
+        // so a re-quote never buys the batch twice
+        if (await findLandedSwap(connection, sentSignature)) {
+          return await recoverLandedSwap(sentSignature);
+        }
+      } else if (!await hasBlockhashExpired(connection, swapTxn, batch.quotedAt, now)) {
+        // The original swap may still land; a new quote now could buy twice.
+        // Check again once its blockhash has run out, without using up an attempt.
+        await prisma.investmentBatch.update({
+          where: { id: batch.id },
+          data: { retryCount: batch.retryCount, nextRetryAt: new Date(now.getTime() + RETRY_POLICY.baseDelayMs) },
+        });
+        logger.info('Swap retry waiting for blockhash expiry', { batchId: batch.id, attempt, requestId });
+        return 'rescheduled';
+      }
+    }
+
+    // Needs a fresh signature; the stored signed swap can no longer land
+    const { maxSlippageBps } = resolveSwapPreferences(goal.user, goal);
+    const slippageBps = getEscalatedSlippageBps(swapTxn?.meta?.slippageBps, batch.failureKind, maxSlippageBps);
+    if (batch.signedTransaction) {
+      await prisma.investmentBatch.update({
+        where: { id: batch.id },
+        data: { signedTransaction: null },
+      });
+    }
+
+    if (goal.autoSign) {
+      const autoSign = await autoSignSwap({ goal, batchId: batch.id, slippageBps, requestId, now });
+      if (autoSign.status === 'SUBMITTED') {
+        return 'autoSigned';
+      }
+      if (autoSign.status === 'QUOTED') {
+        return 'requoted';
+      }
+      if (autoSign.status === 'FAILED') {
+        if (autoSign.nextRetryAt) {
+          return 'rescheduled';
+        }
+        await sendInvestmentNotification(batch.id, 'RETRY_EXHAUSTED', { attempt, reason: autoSign.reason });
+        return 'exhausted';
+      }
+      // REJECTED by a cap: the user signs the new quote instead
+    }
+
+    const quoteData = await getQuoteData({
+      goalId: goal.id,
+      batchId: batch.id,
+      inputMint: 'USDC',
+      outputMint: goal.coin,
+      slippageBps,
+      userId: goal.userId,
+      requestId,
+      notify: false,
+    });
+
+    await sendInvestmentNotification(batch.id, 'RETRY_REQUOTED', {
+      attempt,
+      reason: batch.failureKind,
+      slippageBps,
+      outputAmount: quoteData.quote?.outputAmount,
+    });
+    return 'requoted';
+  } catch (error) {
+    logger.error('Swap retry attempt failed', {
+      batchId: batch.id,
+      attempt,
+      error: error.message,
+      requestId,
+    });
+
+    // A resubmit that got past SWAP_SIGNED is a new failure with its own classification
+    const current = await getBatch(batch.id);
+    if (current.state === 'SWAP_SIGNED') {
+      await recordBatchEvent(batch.id, BATCH_EVENT_TYPES.RPC_ERROR, {
+        stage: 'resubmit',
+        error: error.message,
+      }, { requestId });
+      const { nextRetryAt } = await recordSwapFailure(batch.id, error, {
+        requestId,
+        stage: 'resubmit',
+        signedTransaction: batch.signedTransaction,
+        now,
+      });
+      if (nextRetryAt) {
+        return 'rescheduled';
+      }
+    } else if (await scheduleNextAttempt(current, attempt, now)) {
+      return 'rescheduled';
+    }
+
+    await sendInvestmentNotification(batch.id, 'RETRY_EXHAUSTED', {
+      attempt,
+      reason: error.message,
+    });
+    return 'exhausted';
+  }
+}
+
+/**
+ * Retry every FAILED or EXPIRED batch whose retry is due
+ * Batches of goals that are no longer ACTIVE wait until the goal is active again.
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {string} options.requestId
+ * @returns {Promise<Object>} Count per outcome
+ */
+export async function runSwapRetries({ now = new Date(), requestId = null } = {}) {
+  const batches = await prisma.investmentBatch.findMany({
+    where: {
+      state: { in: ['FAILED', 'EXPIRED'] },
+      nextRetryAt: { lte: now },
+      retryCount: { lt: RETRY_POLICY.maxAttempts },
+      goal: { status: 'ACTIVE' },
+    },
+    include: {
+      goal: { include: { user: true } },
+      transactions: true,
+    },
+    orderBy: { nextRetryAt: 'asc' },
+    take: WORKER_BATCH_LIMIT,
+  });
+
+  const summary = {
+    total: batches.length,
+    recovered: 0,
+    resubmitted: 0,
+    autoSigned: 0,
+    requoted: 0,
+    rescheduled: 0,
+    exhausted: 0,
+    skipped: 0,
+  };
+
+  for (const batch of batches) {
+    const outcome = await retryBatch(batch, { now, requestId });
+    summary[outcome]++;
+  }
+
+  logger.info('Swap retry run completed', { ...summary, requestId });
+  return summary;
+}
@@ -0,0 +1,297 @@
+/**
+ * Indian VDA (virtual digital asset) tax report
+ * Per financial year (1 April - 31 March, IST): every acquisition with its cost
+ * in INR, holdings at the start and end of the year, and disposals.
+ * Costs come from the confirmed SWAP transactions, valued at the FX rate
+ * recorded when each swap executed (lib/costBasis.js). Section 115BBH taxes
+ * VDA gains at a flat 30% with only the cost of acquisition deductible and no
+ * loss set-off; Section 194S TDS of 1% applies to transfers.
+ * The app only buys, so disposals stay empty until withdrawals or sells exist.
+ */
+
+import { prisma } from './prisma.js';
+import { getSwapCost } from './costBasis.js';
+import { getFxRatesForDates, toFxDate } from './fx.js';
+import { getTxExplorerUrl } from './solana-explorer.js';
+import { csvCell } from './csv.js';
+import { ValidationError } from './errors.js';
+
+// IST is UTC+05:30 all year
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+export const VDA_TAX_RATE = 0.3;
+export const VDA_TDS_RATE = 0.01;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Parse a financial year label
+ * @param {string} fy - e.g. 2025-26 (April 2025 to March 2026)
+ * @returns {{ label: string, start: Date, end: Date }} end is exclusive
+ * @throws {ValidationError}
+ */
+export function parseFinancialYear(fy) {
+  const match = /^(\d{4})-(\d{2})$/.exec(fy || '');
+  const startYear = match && Number(match[1]);
+  if (!match || Number(match[2]) !== (startYear + 1) % 100) {
+    throw new ValidationError('fy must be a financial year like 2025-26');
+  }
+
+  return {
+    label: fy,
+    start: new Date(Date.UTC(startYear, 3, 1) - IST_OFFSET_MS),
+    end: new Date(Date.UTC(startYear + 1, 3, 1) - IST_OFFSET_MS),
+  };
+}
+
+/**
+ * Financial year a date falls in
+ * @param {Date} date
+ * @returns {string} e.g. 2025-26
+ */
+export function getFinancialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+function addHolding(holdings, coin, amountCrypto, costInr) {
+  const holding = holdings.get(coin) || { coin, quantity: 0, costInr: 0 };
+  holding.quantity += amountCrypto;
+  holding.costInr += costInr;
+  holdings.set(coin, holding);
+}
+
+function toHoldingRows(holdings) {
+  return Array.from(holdings.values())
+    .sort((a, b) => a.coin.localeCompare(b.coin))
+    .map((holding) => ({
+      coin: holding.coin,
+      quantity: holding.quantity,
+      costInr: round(holding.costInr),
+      averageCostInr: holding.quantity > 0 ? round(holding.costInr / holding.quantity) : null,
+    }));
+}
+
+/**
+ * Build a user's VDA report for one financial year
+ * @param {string} userId
+ * @param {string} fy - e.g. 2025-26
+ * @returns {Promise<Object>} { financialYear, period, acquisitions, openingHoldings, closingHoldings, disposals, summary }
+ */
+export async function buildTaxReport(userId, fy) {
+  const { label, start, end } = parseFinancialYear(fy);
+
+  // Everything bought before year end: earlier buys make up the opening holdings
+  const swaps = await prisma.transaction.findMany({
+    where: {
+      type: 'SWAP',
+      goal: { userId },
+      batch: { state: 'SWAP_CONFIRMED' },
+      timestamp: { lt: end },
+    },
+    include: { goal: { select: { id: true, name: true, coin: true } } },
+    orderBy: { timestamp: 'asc' },
+  });
+
+  // Swaps from before cost tracking are valued at the stored rate of their own day
+  const ratesByDate = await getFxRatesForDates(swaps.map((swap) => swap.timestamp));
+
+  const opening = new Map();
+  const closing = new Map();
+  const acquisitions = [];
+  let estimated = false;
+
+  for (const swap of swaps) {
+    const cost = getSwapCost(swap, ratesByDate.get(toFxDate(swap.timestamp)));
+    const amountCrypto = swap.amountCrypto || 0;
+    const coin = swap.goal.coin;
+
+    addHolding(closing, coin, amountCrypto, cost.costInr);
+    if (swap.timestamp < start) {
+      addHolding(opening, coin, amountCrypto, cost.costInr);
+      continue;
+    }
+
+    estimated = estimated || cost.estimated;
+    acquisitions.push({
+      date: swap.timestamp.toISOString(),
+      batchId: swap.batchId,
+      goalId: swap.goal.id,
+      goalName: swap.goal.name,
+      coin,
+      quantity: amountCrypto,
+      costUsdc: round(cost.costUsdc, 6),
+      fxRate: cost.fxRate,
+      costInr: round(cost.costInr),
+      priceInr: amountCrypto > 0 ? round(cost.costInr / amountCrypto) : null,
+      txnHash: swap.txnHash,
+      explorerUrl: swap.txnHash ? getTxExplorerUrl(swap.txnHash, swap.network === 'MAINNET' ? 'mainnet-beta' : 'devnet') : null,
+      estimated: cost.estimated,
+    });
+  }
+
+  const disposals = [];
+  const totalGainInr = disposals.reduce((sum, disposal) => sum + Math.max(disposal.gainInr, 0), 0);
+
+  return {
+    financialYear: label,
+    period: {
+      start: start.toISOString(),
+      end: new Date(end.getTime() - 1).toISOString(),
+    },
+    acquisitions,
+    openingHoldings: toHoldingRows(opening),
+    closingHoldings: toHoldingRows(closing),
+    disposals,
+    summary: {
+      acquisitionCount: acquisitions.length,
+      totalAcquisitionCostInr: round(acquisitions.reduce((sum, row) => sum + row.costInr, 0)),
+      disposalCount: disposals.length,
+      totalSaleConsiderationInr: 0,
+      totalGainInr: round(totalGainInr),
+      taxRate: VDA_TAX_RATE,
+      estimatedTaxInr: round(totalGainInr * VDA_TAX_RATE),
+      tdsRate: VDA_TDS_RATE,
+      estimated,
+    },
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+function csvSection(title, columns, rows) {
+  return [
+    csvCell(title),
+    columns.join(','),
+    ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(',')),
+    '',
+  ];
+}
+
+const ACQUISITION_COLUMNS = ['date', 'coin', 'quantity', 'costUsdc', 'fxRate', 'costInr', 'priceInr', 'goalName', 'batchId', 'txnHash', 'estimated'];
+const HOLDING_COLUMNS = ['coin', 'quantity', 'costInr', 'averageCostInr'];
+const DISPOSAL_COLUMNS = ['date', 'coin', 'quantity', 'saleConsiderationInr', 'costInr', 'gainInr', 'tdsInr'];
+
+/**
+ * Report as CSV, one section per table
+ * @param {Object} report - buildTaxReport output
+ * @returns {string}
+ */
+export function taxReportToCsv(report) {
+  const { summary } = report;
+  return [
+    csvCell(`VDA tax report FY ${report.financialYear} (${report.period.start} to ${report.period.end})`),
+    '',
+    ...csvSection('Acquisitions', ACQUISITION_COLUMNS, report.acquisitions),
+    ...csvSection('Holdings at start of year', HOLDING_COLUMNS, report.openingHoldings),
+    ...csvSection('Holdings at end of year', HOLDING_COLUMNS, report.closingHoldings),
+    ...csvSection('Disposals', DISPOSAL_COLUMNS, report.disposals),
+    'Summary',
+    `Total acquisition cost (INR),${summary.totalAcquisitionCostInr}`,
+    `Total gains (INR),${summary.totalGainInr}`,
+    `Tax at ${summary.taxRate * 100}% (INR),${summary.estimatedTaxInr}`,
+    '',
+  ].join('\r\n');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const formatInr = (value) => (value === null || value === undefined ? '—' : `₹${value.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`);
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' });
+
+function htmlTable(columns, rows, emptyText) {
+  const head = columns.map(([label]) => `<th>${escapeHtml(label)}</th>`).join('');
+  const body = rows.length
+    ? rows.map((row) => `<tr>${columns.map(([, render]) => `<td>${escapeHtml(render(row))}</td>`).join('')}</tr>`).join('\n')
+    : `<tr><td colspan="${columns.length}" class="empty">${escapeHtml(emptyText)}</td></tr>`;
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+const HOLDING_HTML_COLUMNS = [
+  ['Coin', (row) => row.coin],
+  ['Quantity', (row) => row.quantity],
+  ['Cost (INR)', (row) => formatInr(row.costInr)],
+  ['Average cost (INR)', (row) => formatInr(row.averageCostInr)],
+];
+
+/**
+ * Report as a standalone printable HTML page (print to PDF from the browser)
+ * @param {Object} report - buildTaxReport output
+ * @returns {string}
+ */
+export function taxReportToHtml(report) {
+  const { summary } = report;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>VDA tax report FY ${escapeHtml(report.financialYear)}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1b130a; margin: 32px; font-size: 12px; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 14px; margin-top: 28px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #d6cbbb; padding: 4px 6px; text-align: left; }
+  th { background: #f3ede4; }
+  td.empty { color: #7a6a55; text-align: center; }
+  .note { color: #7a6a55; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>VDA tax report — FY ${escapeHtml(report.financialYear)}</h1>
+<p class="note">${escapeHtml(formatDate(report.period.start))} to ${escapeHtml(formatDate(report.period.end))} · generated ${escapeHtml(formatDate(report.generatedAt))}</p>
+
+<h2>Summary</h2>
+${htmlTable([['Item', (row) => row[0]], ['Value', (row) => row[1]]], [
+  ['Acquisitions', summary.acquisitionCount],
+  ['Total acquisition cost', formatInr(summary.totalAcquisitionCostInr)],
+  ['Disposals', summary.disposalCount],
+  ['Total gains', formatInr(summary.totalGainInr)],
+  [`Tax at ${summary.taxRate * 100}% (Section 115BBH)`, formatInr(summary.estimatedTaxInr)],
+], '')}
+${summary.estimated ? '<p class="note">Some costs are estimated from the day\'s stored FX rate because the swap predates cost tracking.</p>' : ''}
+
+<h2>Acquisitions</h2>
+${htmlTable([
+  ['Date', (row) => formatDate(row.date)],
+  ['Coin', (row) => row.coin],
+  ['Quantity', (row) => row.quantity],
+  ['USDC', (row) => row.costUsdc],
+  ['USD/INR', (row) => row.fxRate],
+  ['Cost (INR)', (row) => formatInr(row.costInr)],
+  ['Price (INR)', (row) => formatInr(row.priceInr)],
+  ['Transaction', (row) => row.txnHash || '—'],
+], report.acquisitions, 'No acquisitions this year')}
+
+<h2>Holdings at start of year</h2>
+${htmlTable(HOLDING_HTML_COLUMNS, report.openingHoldings, 'No holdings')}
+
+<h2>Holdings at end of year</h2>
+${htmlTable(HOLDING_HTML_COLUMNS, report.closingHoldings, 'No holdings')}
+
+<h2>Disposals</h2>
+${htmlTable([
+  ['Date', (row) => formatDate(row.date)],
+  ['Coin', (row) => row.coin],
+  ['Quantity', (row) => row.quantity],
+  ['Sale consideration (INR)', (row) => formatInr(row.saleConsiderationInr)],
+  ['Cost (INR)', (row) => formatInr(row.costInr)],
+  ['Gain (INR)', (row) => formatInr(row.gainInr)],
+  ['TDS (INR)', (row) => formatInr(row.tdsInr)],
+], report.disposals, 'No disposals this year')}
+
+<p class="note">Gains on VDAs are taxed at ${summary.taxRate * 100}% with only the cost of acquisition deductible, and losses cannot be set off. Transfers attract ${summary.tdsRate * 100}% TDS under Section 194S. This report is a record of your transactions, not tax advice.</p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,32 @@
+/**
+ * In-memory registry of admin-added goal tokens
+ * Kept free of imports so lib/tokens.js and lib/popular-tokens.js can both read
+ * it; lib/customTokens.js fills it from the database.
+ */
+
+let customTokens = new Map(); // symbol -> { symbol, mint, decimals, name, maxTarget, enabled }
+
+/**
+ * Replace the registered custom tokens
+ * @param {Array<{symbol, mint, decimals, name, maxTarget, enabled}>} tokens
+ */
+export function setCustomTokens(tokens) {
+  customTokens = new Map(tokens.map((token) => [token.symbol.toUpperCase(), token]));
+}
+
+/**
+ * Get a custom token by symbol
+ * @param {string} symbol
+ * @returns {Object|null}
+ */
+export function getCustomToken(symbol) {
+  return customTokens.get(symbol.toUpperCase()) || null;
+}
+
+/**
+ * All registered custom tokens
+ * @returns {Object[]}
+ */
+export function getCustomTokens() {
+  return Array.from(customTokens.values());
+}
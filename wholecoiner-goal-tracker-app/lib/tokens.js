@@ -7,8 +7,12 @@
  * 
  * Note: For quotes, we always use mainnet mints regardless of the network setting
  * because Jupiter API provides accurate mainnet pricing even when testing.
+ *
+ * Admin-added tokens (lib/customTokens.js) are resolved through lib/tokenRegistry.js.
  */
 
+import { getCustomToken } from './tokenRegistry.js';
+
 // Mainnet token mints
 export const TOKEN_MINTS = {
   SOL: {
@@ -34,6 +38,36 @@ export const TOKEN_MINTS = {
     mint: '7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs',
     decimals: 8,
     symbol: 'ETH'
+  },
+  USDT: {
+    mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+    decimals: 6,
+    symbol: 'USDT'
+  },
+  JUP: {
+    mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
+    decimals: 6,
+    symbol: 'JUP'
+  },
+  RAY: {
+    mint: '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R',
+    decimals: 6,
+    symbol: 'RAY'
+  },
+  BONK: {
+    mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
+    decimals: 5,
+    symbol: 'BONK'
+  },
+  WIF: {
+    mint: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm',
+    decimals: 6,
+    symbol: 'WIF'
+  },
+  PYTH: {
+    mint: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3',
+    decimals: 6,
+    symbol: 'PYTH'
   }
 };
 
@@ -74,7 +108,7 @@ export function getUsdcMint() {
 
 /**
  * Get token mint info for a coin symbol
- * @param {string} coinSymbol - BTC, ETH, SOL, or USDC
+ * @param {string} coinSymbol - Any symbol in TOKEN_MINTS or an admin-added token
  * @param {string} network - Optional: 'devnet' or 'mainnet'. If not provided, uses current network.
  * @returns {Object} { mint, decimals, symbol }
  */
@@ -87,37 +121,36 @@ export function getTokenMint(coinSymbol, network = null) {
     return TOKEN_MINTS.SOL;
   }
   
-  // For BTC/ETH goals, use wrapped tokens on mainnet (only mainnet)
-  if (normalized === 'BTC') {
+  if (normalized === 'USDC') {
     if (currentNetwork === 'devnet') {
-      throw new Error('BTC is not supported on devnet');
+      return DEVNET_TOKEN_MINTS.USDC;
     }
-    return TOKEN_MINTS.BTC;
+    return TOKEN_MINTS.USDC;
   }
   
-  if (normalized === 'ETH') {
-    if (currentNetwork === 'devnet') {
-      throw new Error('ETH is not supported on devnet');
-    }
-    return TOKEN_MINTS.ETH;
+  // Everything else (wrapped BTC/ETH, SPL tokens, admin-added mints) is mainnet only
+  const token = TOKEN_MINTS[normalized] || getCustomToken(normalized);
+  if (!token) {
+    throw new Error(`Unsupported coin symbol: ${coinSymbol}`);
   }
   
-  if (normalized === 'USDC') {
-    if (currentNetwork === 'devnet') {
-      return DEVNET_TOKEN_MINTS.USDC;
-    }
-    return TOKEN_MINTS.USDC;
+  if (currentNetwork === 'devnet') {
+    throw new Error(`${normalized} is not supported on devnet`);
   }
   
-  throw new Error(`Unsupported coin symbol: ${coinSymbol}`);
+  return { mint: token.mint, decimals: token.decimals, symbol: normalized };
 }
 
 /**
  * Check if coin symbol is supported for swaps
  */
 export function isSupportedSwapCoin(coinSymbol) {
-  const normalized = coinSymbol.toUpperCase();
-  return normalized === 'SOL' || normalized === 'USDC' || normalized === 'BTC' || normalized === 'ETH';
+  try {
+    getTokenMint(coinSymbol, 'mainnet');
+    return true;
+  } catch {
+    return false;
+  }
 }
 
 /**
@@ -137,7 +170,7 @@ export function fromSmallestUnits(amount, decimals) {
 /**
  * Get mainnet token mint for quotes (always returns mainnet regardless of network)
  * This ensures Jupiter quotes always use mainnet token addresses for accurate pricing.
- * @param {string} coinSymbol - BTC, ETH, SOL, or USDC
+ * @param {string} coinSymbol - Any supported goal token or USDC
  * @returns {Object} { mint, decimals, symbol }
  */
 export function getTokenMintForQuote(coinSymbol) {
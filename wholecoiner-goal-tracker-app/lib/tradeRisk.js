@@ -0,0 +1,127 @@
+/**
+ * Pre-trade risk checks for swap quotes
+ * Run on every Jupiter quote before the swap transaction is built. Each check
+ * compares one number against the output token's thresholds: over `warn` the
+ * quote is returned with a warning the user sees before signing, over `block`
+ * the quote is rejected.
+ */
+
+import { logger } from './logger.js';
+import { calculatePriceImpact, isFallbackPrice } from './prices.js';
+
+export const RISK_CHECKS = {
+  PRICE_IMPACT: 'PRICE_IMPACT',                       // Jupiter's estimated price impact of this trade (%)
+  ROUTE_HOPS: 'ROUTE_HOPS',                           // Number of swaps in the route
+  REFERENCE_DEVIATION: 'REFERENCE_DEVIATION',         // Quote vs getPriceUSD reference price (%)
+  REFERENCE_UNAVAILABLE: 'REFERENCE_UNAVAILABLE',     // No live reference price to compare against
+};
+
+const DEFAULT_THRESHOLDS = {
+  priceImpactPct: { warn: 1, block: 5 },
+  routeHops: { warn: 3, block: 5 },
+  referenceDeviationPct: { warn: 2, block: 10 },
+};
+
+// Per-token overrides; deep, liquid markets get tighter limits, long-tail tokens looser ones
+export const TOKEN_RISK_THRESHOLDS = {
+  BTC: { priceImpactPct: { warn: 0.5, block: 3 }, referenceDeviationPct: { warn: 1, block: 5 } },
+  ETH: { priceImpactPct: { warn: 0.5, block: 3 }, referenceDeviationPct: { warn: 1, block: 5 } },
+  SOL: { priceImpactPct: { warn: 0.5, block: 3 }, referenceDeviationPct: { warn: 1, block: 5 } },
+  USDT: { priceImpactPct: { warn: 0.2, block: 1 }, referenceDeviationPct: { warn: 0.5, block: 2 } },
+  BONK: { priceImpactPct: { warn: 2, block: 8 }, referenceDeviationPct: { warn: 3, block: 15 } },
+  WIF: { priceImpactPct: { warn: 2, block: 8 }, referenceDeviationPct: { warn: 3, block: 15 } },
+};
+
+/**
+ * Thresholds for a token (defaults merged with its overrides)
+ * @param {string} symbol - Output token symbol
+ * @returns {Object} { priceImpactPct, routeHops, referenceDeviationPct }, each { warn, block }
+ */
+export function getRiskThresholds(symbol) {
+  return { ...DEFAULT_THRESHOLDS, ...TOKEN_RISK_THRESHOLDS[symbol?.toUpperCase()] };
+}
+
+/**
+ * Compare a value against { warn, block }
+ * @returns {Object|null} Warning, or null when the value is within both limits
+ */
+function evaluate(check, value, limits, describe) {
+  const severity = value > limits.block ? 'block' : value > limits.warn ? 'warning' : null;
+  if (!severity) {
+    return null;
+  }
+
+  return {
+    check,
+    severity,
+    value,
+    threshold: severity === 'block' ? limits.block : limits.warn,
+    message: describe(value),
+  };
+}
+
+/**
+ * Run the pre-trade checks on a Jupiter quote
+ * @param {Object} options
+ * @param {Object} options.quote - Jupiter quote (priceImpactPct is a fraction, 0.01 = 1%)
+ * @param {Object} options.inputToken - { mint, decimals }
+ * @param {Object} options.outputToken - { mint, decimals, symbol }
+ * @returns {Promise<Object>} { blocked, warnings, thresholds, referenceDeviationPct }
+ */
+export async function runPreTradeChecks({ quote, inputToken, outputToken }) {
+  const thresholds = getRiskThresholds(outputToken.symbol);
+  const warnings = [];
+
+  const priceImpactPct = Math.abs(Number(quote.priceImpactPct) || 0) * 100;
+  warnings.push(evaluate(RISK_CHECKS.PRICE_IMPACT, priceImpactPct, thresholds.priceImpactPct,
+    (value) => `Price impact is ${value.toFixed(2)}%`));
+
+  const hops = quote.routePlan?.length || 0;
+  warnings.push(evaluate(RISK_CHECKS.ROUTE_HOPS, hops, thresholds.routeHops,
+    (value) => `Route goes through ${value} swaps`));
+
+  // Positive deviation = more output than the reference price gives, negative = less
+  const reference = await calculatePriceImpact(
+    inputToken.mint,
+    outputToken.mint,
+    Number(quote.inAmount),
+    Number(quote.outAmount),
+    inputToken.decimals,
+    outputToken.decimals
+  );
+  const referenceLive = reference.description !== 'Unknown'
+    && !isFallbackPrice(inputToken.mint)
+    && !isFallbackPrice(outputToken.mint);
+
+  let referenceDeviationPct = null;
+  if (referenceLive) {
+    referenceDeviationPct = reference.impact;
+    warnings.push(evaluate(RISK_CHECKS.REFERENCE_DEVIATION, Math.abs(reference.impact), thresholds.referenceDeviationPct,
+      (value) => `Quote is ${value.toFixed(2)}% ${reference.impact < 0 ? 'below' : 'above'} the market price`));
+  } else {
+    warnings.push({
+      check: RISK_CHECKS.REFERENCE_UNAVAILABLE,
+      severity: 'warning',
+      value: null,
+      threshold: null,
+      message: 'No live market price to check this quote against',
+    });
+  }
+
+  const result = {
+    blocked: warnings.some((warning) => warning?.severity === 'block'),
+    warnings: warnings.filter(Boolean),
+    thresholds,
+    referenceDeviationPct,
+  };
+
+  if (result.warnings.length > 0) {
+    logger.warn('Pre-trade checks flagged quote', {
+      outputToken: outputToken.symbol,
+      blocked: result.blocked,
+      checks: result.warnings.map((warning) => `${warning.check}:${warning.severity}`),
+    });
+  }
+
+  return result;
+}
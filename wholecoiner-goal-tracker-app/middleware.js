@@ -1,7 +1,9 @@
 import { NextResponse } from 'next/server';
 import { nanoid } from 'nanoid';
 
-// Simple in-memory rate limiter (replace with Redis in production)
+// Per-route limits (login, 2FA, swaps, onramp) are enforced by lib/rateLimit.js:
+// middleware runs on the edge runtime, which cannot reach the Postgres-backed
+// counters. This in-memory limiter is the default for every other /api route.
 const rateLimitStore = new Map();
 
 function rateLimit(ip, limit = 100, windowMs = 60000) {
@@ -25,9 +27,16 @@ function rateLimit(ip, limit = 100, windowMs = 60000) {
   return true;
 }
 
+// Same rule as getClientIp in lib/rateLimit.js: request.ip, else the rightmost
+// (proxy-added) X-Forwarded-For entry
+function clientIp(request) {
+  const hops = (request.headers.get('x-forwarded-for') || '').split(',').map((hop) => hop.trim()).filter(Boolean);
+  return request.ip || hops[hops.length - 1] || request.headers.get('x-real-ip') || 'unknown';
+}
+
 export function middleware(request) {
   const requestId = nanoid();
-  const ip = request.ip || request.headers.get('x-forwarded-for') || 'unknown';
+  const ip = clientIp(request);
 
   // Add request ID to headers
   const requestHeaders = new Headers(request.headers);
@@ -43,7 +52,7 @@ export function middleware(request) {
           requestId,
         },
       },
-      { status: 429 }
+      { status: 429, headers: { 'Retry-After': String(60 - Math.floor((Date.now() % 60000) / 1000)) } }
     );
   }
 
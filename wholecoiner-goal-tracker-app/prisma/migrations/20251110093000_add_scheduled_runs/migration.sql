@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "ScheduledRunStatus" AS ENUM ('PENDING', 'EXECUTED', 'MISSED', 'SKIPPED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "scheduled_runs" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "due_at" TIMESTAMP(3) NOT NULL,
+    "ran_at" TIMESTAMP(3),
+    "status" "ScheduledRunStatus" NOT NULL DEFAULT 'PENDING',
+    "batch_id" TEXT,
+    "amount_inr" DOUBLE PRECISION,
+    "amount_usdc" DOUBLE PRECISION,
+    "late_by_seconds" INTEGER,
+    "error" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "scheduled_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "scheduled_runs_goal_id_idx" ON "scheduled_runs"("goal_id");
+
+-- CreateIndex
+CREATE INDEX "scheduled_runs_status_idx" ON "scheduled_runs"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "scheduled_runs_goal_id_due_at_key" ON "scheduled_runs"("goal_id", "due_at");
+
+-- AddForeignKey
+ALTER TABLE "scheduled_runs" ADD CONSTRAINT "scheduled_runs_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
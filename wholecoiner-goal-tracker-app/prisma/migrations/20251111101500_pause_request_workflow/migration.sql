@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "pause_requests" ADD COLUMN     "reason" TEXT,
+ADD COLUMN     "rejected_at" TIMESTAMP(3),
+ADD COLUMN     "resume_at" TIMESTAMP(3),
+ADD COLUMN     "resumed_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "pause_requests_status_resume_at_idx" ON "pause_requests"("status", "resume_at");
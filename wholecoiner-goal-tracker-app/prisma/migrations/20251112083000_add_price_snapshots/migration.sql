@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "price_snapshots" (
+    "id" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "price_usd" DOUBLE PRECISION NOT NULL,
+    "price_inr" DOUBLE PRECISION,
+    "source" TEXT NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "price_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "price_snapshots_symbol_timestamp_idx" ON "price_snapshots"("symbol", "timestamp");
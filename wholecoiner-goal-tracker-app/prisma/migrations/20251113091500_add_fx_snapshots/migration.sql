@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "fx_snapshots" (
+    "id" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "pair" TEXT NOT NULL DEFAULT 'USD/INR',
+    "rate" DOUBLE PRECISION NOT NULL,
+    "source" TEXT NOT NULL,
+    "fetched_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fx_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fx_snapshots_date_key" ON "fx_snapshots"("date");
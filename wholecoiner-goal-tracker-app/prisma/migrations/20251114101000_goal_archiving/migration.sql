@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "GoalStatus" ADD VALUE 'ARCHIVED';
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN     "archived_at" TIMESTAMP(3),
+ADD COLUMN     "archived_from_status" "GoalStatus";
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "goal_revisions" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "goal_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "goal_revisions_goal_id_created_at_idx" ON "goal_revisions"("goal_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "goal_revisions" ADD CONSTRAINT "goal_revisions_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "goals" ALTER COLUMN "coin" SET DATA TYPE TEXT USING "coin"::TEXT;
+
+-- DropEnum
+DROP TYPE "CoinType";
+
+-- CreateTable
+CREATE TABLE "custom_tokens" (
+    "id" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "mint" TEXT NOT NULL,
+    "decimals" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "max_target" DOUBLE PRECISION NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "custom_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custom_tokens_symbol_key" ON "custom_tokens"("symbol");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custom_tokens_mint_key" ON "custom_tokens"("mint");
@@ -0,0 +1,7 @@
+-- AlterEnum
+ALTER TYPE "GoalStatus" ADD VALUE 'DRAFT';
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN     "name" TEXT,
+ADD COLUMN     "note" TEXT,
+ADD COLUMN     "published_at" TIMESTAMP(3);
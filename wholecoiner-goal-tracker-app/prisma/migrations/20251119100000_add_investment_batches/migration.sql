@@ -0,0 +1,69 @@
+-- CreateEnum
+CREATE TYPE "BatchState" AS ENUM ('ONRAMP_CONFIRMED', 'QUOTED', 'SWAP_SIGNED', 'SWAP_SUBMITTED', 'SWAP_CONFIRMED', 'FAILED', 'EXPIRED', 'CANCELED');
+
+-- CreateTable
+CREATE TABLE "investment_batches" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "state" "BatchState" NOT NULL DEFAULT 'ONRAMP_CONFIRMED',
+    "amount_usdc" DOUBLE PRECISION,
+    "quote_expires_at" TIMESTAMP(3),
+    "error" TEXT,
+    "canceled_by" TEXT,
+    "onramp_confirmed_at" TIMESTAMP(3),
+    "quoted_at" TIMESTAMP(3),
+    "swap_signed_at" TIMESTAMP(3),
+    "swap_submitted_at" TIMESTAMP(3),
+    "swap_confirmed_at" TIMESTAMP(3),
+    "failed_at" TIMESTAMP(3),
+    "expired_at" TIMESTAMP(3),
+    "canceled_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "investment_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "investment_batches_goal_id_idx" ON "investment_batches"("goal_id");
+
+-- CreateIndex
+CREATE INDEX "investment_batches_state_idx" ON "investment_batches"("state");
+
+-- Backfill one batch per existing batch_id. The state comes from the SWAP
+-- transaction's meta.state, else the ONRAMP one's.
+INSERT INTO "investment_batches" ("id", "goal_id", "user_id", "state", "amount_usdc", "onramp_confirmed_at", "created_at", "updated_at")
+SELECT
+    b."batch_id",
+    b."goal_id",
+    g."user_id",
+    (CASE
+        WHEN b."state" IN ('ONRAMP_CONFIRMED', 'QUOTED', 'SWAP_SIGNED', 'SWAP_SUBMITTED', 'SWAP_CONFIRMED', 'FAILED', 'EXPIRED', 'CANCELED') THEN b."state"
+        ELSE 'ONRAMP_CONFIRMED'
+    END)::"BatchState",
+    b."amount_usdc",
+    b."created_at",
+    b."created_at",
+    b."updated_at"
+FROM (
+    SELECT
+        t."batch_id",
+        MIN(t."goal_id") AS "goal_id",
+        COALESCE(
+            MAX(t."meta"->>'state') FILTER (WHERE t."type" = 'SWAP'),
+            MAX(t."meta"->>'state') FILTER (WHERE t."type" = 'ONRAMP')
+        ) AS "state",
+        MAX(t."amount_crypto") FILTER (WHERE t."type" = 'ONRAMP') AS "amount_usdc",
+        MIN(t."timestamp") AS "created_at",
+        MAX(t."timestamp") AS "updated_at"
+    FROM "transactions" t
+    GROUP BY t."batch_id"
+) b
+JOIN "goals" g ON g."id" = b."goal_id";
+
+-- AddForeignKey
+ALTER TABLE "investment_batches" ADD CONSTRAINT "investment_batches_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "investment_batches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "batch_events" (
+    "id" TEXT NOT NULL,
+    "batch_id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "from_state" "BatchState",
+    "to_state" "BatchState",
+    "request_id" TEXT,
+    "data" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "batch_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "batch_events_batch_id_created_at_idx" ON "batch_events"("batch_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "batch_events" ADD CONSTRAINT "batch_events_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "investment_batches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "investment_batches" ADD COLUMN "failure_kind" TEXT,
+ADD COLUMN "retry_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "next_retry_at" TIMESTAMP(3),
+ADD COLUMN "signed_transaction" TEXT;
+
+-- CreateIndex
+CREATE INDEX "investment_batches_next_retry_at_idx" ON "investment_batches"("next_retry_at");
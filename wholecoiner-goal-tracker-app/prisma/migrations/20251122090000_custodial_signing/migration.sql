@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "auto_sign" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "auto_sign_max_per_swap_usdc" DOUBLE PRECISION,
+ADD COLUMN "auto_sign_max_per_month_usdc" DOUBLE PRECISION,
+ADD COLUMN "auto_sign_enabled_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "server_signed_swaps" (
+    "id" TEXT NOT NULL,
+    "batch_id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "signer" TEXT NOT NULL,
+    "wallet_address" TEXT NOT NULL,
+    "amount_usdc" DOUBLE PRECISION NOT NULL,
+    "status" TEXT NOT NULL,
+    "signature" TEXT,
+    "reason" TEXT,
+    "max_per_swap_usdc" DOUBLE PRECISION,
+    "max_per_month_usdc" DOUBLE PRECISION,
+    "month_spent_usdc" DOUBLE PRECISION,
+    "request_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "server_signed_swaps_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "server_signed_swaps_goal_id_created_at_idx" ON "server_signed_swaps"("goal_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "server_signed_swaps_batch_id_idx" ON "server_signed_swaps"("batch_id");
+
+-- AddForeignKey
+ALTER TABLE "server_signed_swaps" ADD CONSTRAINT "server_signed_swaps_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
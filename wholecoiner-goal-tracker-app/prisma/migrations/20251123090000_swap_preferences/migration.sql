@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "swap_preferences" JSONB;
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "swap_preferences" JSONB;
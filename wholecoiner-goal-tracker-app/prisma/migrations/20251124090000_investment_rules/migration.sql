@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "investment_rules" JSONB;
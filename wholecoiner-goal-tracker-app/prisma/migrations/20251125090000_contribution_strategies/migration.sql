@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "ContributionStrategy" AS ENUM ('FIXED_DCA', 'VALUE_AVERAGING', 'BUY_THE_DIP');
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "strategy" "ContributionStrategy" NOT NULL DEFAULT 'FIXED_DCA',
+ADD COLUMN "strategy_params" JSONB;
@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "MilestoneKind" AS ENUM ('PERCENT', 'AMOUNT');
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "milestone_config" JSONB;
+
+-- CreateTable
+CREATE TABLE "goal_milestones" (
+    "id" TEXT NOT NULL,
+    "goal_id" TEXT NOT NULL,
+    "kind" "MilestoneKind" NOT NULL,
+    "threshold" DOUBLE PRECISION NOT NULL,
+    "invested_amount" DOUBLE PRECISION NOT NULL,
+    "batch_id" TEXT,
+    "reached_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "goal_milestones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "goal_milestones_goal_id_kind_threshold_key" ON "goal_milestones"("goal_id", "kind", "threshold");
+
+-- AddForeignKey
+ALTER TABLE "goal_milestones" ADD CONSTRAINT "goal_milestones_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
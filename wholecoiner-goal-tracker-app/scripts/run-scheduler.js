@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Run the recurring DCA scheduler once as a local job
+ *
+ * Usage:
+ *   node scripts/run-scheduler.js [options]
+ *
+ * Options:
+ *   --now=<iso-date>   Pretend the current time is this date (fake clock)
+ *   --goalId=<id>      Only process this goal
+ *   --skip-quote       Stop after the onramp step (no Jupiter/RPC calls)
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Try to load .env.local first, then .env
+const envFiles = [
+  join(__dirname, '..', '.env.local'),
+  join(__dirname, '..', '.env'),
+];
+
+for (const envFile of envFiles) {
+  if (existsSync(envFile)) {
+    const lines = readFileSync(envFile, 'utf-8').split('\n');
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+
+      const match = trimmed.match(/^([^=]+)=(.*)$/);
+      if (match) {
+        const key = match[1].trim();
+        let value = match[2].trim();
+
+        if ((value.startsWith('"') && value.endsWith('"')) ||
+            (value.startsWith("'") && value.endsWith("'"))) {
+          value = value.slice(1, -1);
+        }
+
+        if (!process.env[key]) {
+          process.env[key] = value;
+        }
+      }
+    }
+    console.log(`📄 Loaded environment variables from ${envFile}`);
+    break;
+  }
+}
+
+function parseArgs() {
+  const config = {
+    now: new Date(),
+    goalId: null,
+    skipQuote: false,
+  };
+
+  process.argv.slice(2).forEach(arg => {
+    if (arg.startsWith('--now=')) {
+      config.now = new Date(arg.split('=')[1]);
+    } else if (arg.startsWith('--goalId=')) {
+      config.goalId = arg.split('=')[1];
+    } else if (arg === '--skip-quote') {
+      config.skipQuote = true;
+    }
+  });
+
+  if (Number.isNaN(config.now.getTime())) {
+    throw new Error('--now must be a valid ISO date');
+  }
+
+  return config;
+}
+
+async function main() {
+  const config = parseArgs();
+
+  // Import after env is loaded so lib modules see DATABASE_URL etc.
+  const { runScheduler } = await import('../lib/scheduler.js');
+  const { prisma } = await import('../lib/prisma.js');
+
+  console.log(`\n⏰ Running scheduler at ${config.now.toISOString()}\n`);
+
+  try {
+    const summary = await runScheduler(config);
+
+    for (const run of summary.runs) {
+      const late = run.lateBySeconds ? ` (late by ${run.lateBySeconds}s)` : '';
+      const autoSign = run.autoSign ? ` (auto-sign ${run.autoSign})` : '';
+      const detail = run.error ? ` - ${run.error}` : run.batchId ? ` - batch ${run.batchId}${autoSign}` : '';
+      console.log(`  ${run.status.padEnd(8)} ${run.goalId} due ${run.dueAt}${late}${detail}`);
+    }
+
+    console.log(
+      `\n✅ Goals checked: ${summary.goalsChecked}, executed: ${summary.executed}, ` +
+      `late: ${summary.late}, missed: ${summary.missed}, skipped: ${summary.skipped}, failed: ${summary.failed}, ` +
+      `resumed: ${summary.resumed}\n`
+    );
+
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Scheduler run failed:', error.message);
+  process.exit(1);
+});